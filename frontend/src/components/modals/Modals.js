@@ -10,7 +10,7 @@ import {
     DARK_CYAN_TEXT_CLASS,
     getProfileField 
 } from '../../pages/utils/helpers';
-import { ErrorMessage, SuccessMessage, Spinner } from '../shared/UI';
+import { ErrorMessage, SuccessMessage, Spinner, useIdempotentFetch } from '../shared/UI';
 
 
 export const Modal = ({ title, children, onClose }) => (
@@ -26,36 +26,171 @@ export const Modal = ({ title, children, onClose }) => (
 );
 
 
+const QUOTE_ITEM_LABELS = {
+    labor: 'Labor (hours)',
+    material: 'Materials',
+    visit_charge: 'Visit Charge',
+    discount: 'Discount',
+};
+const GST_RATES = [0, 5, 12, 18, 28];
+
+// Mirrors calculateQuote() on the server, for the live preview only
+const computeQuoteTotals = (items, taxPercent) => {
+    const subtotal = items.reduce((sum, item) => {
+        const lineTotal = (parseFloat(item.quantity) || 0) * (parseFloat(item.unit_price) || 0);
+        return item.item_type === 'discount' ? sum - lineTotal : sum + lineTotal;
+    }, 0);
+    const taxAmount = subtotal * (parseFloat(taxPercent) || 0) / 100;
+    return { subtotal, taxAmount, total: subtotal + taxAmount };
+};
+
+// Line-by-line breakdown of an itemized quote (lump-sum quotes have no items and only show the total)
+const QuoteBreakdown = ({ quote }) => (
+    <table className="w-full text-sm">
+        <tbody>
+            {(quote.items || []).map(item => (
+                <tr key={item.id} className="border-b border-gray-100">
+                    <td className="py-1 text-gray-700">
+                        {item.description || QUOTE_ITEM_LABELS[item.item_type]}
+                        {item.item_type === 'labor' && <span className="text-gray-500"> ({parseFloat(item.quantity)} hrs x {CURRENCY_SYMBOL}{parseFloat(item.unit_price).toFixed(2)})</span>}
+                        {item.item_type === 'material' && parseFloat(item.quantity) !== 1 && <span className="text-gray-500"> ({parseFloat(item.quantity)} x {CURRENCY_SYMBOL}{parseFloat(item.unit_price).toFixed(2)})</span>}
+                    </td>
+                    <td className={`py-1 text-right ${parseFloat(item.line_total) < 0 ? 'text-green-600' : 'text-slate-800'}`}>
+                        {CURRENCY_SYMBOL}{parseFloat(item.line_total).toFixed(2)}
+                    </td>
+                </tr>
+            ))}
+            {quote.items?.length > 0 && (
+                <tr>
+                    <td className="py-1 text-gray-700">Subtotal</td>
+                    <td className="py-1 text-right">{CURRENCY_SYMBOL}{parseFloat(quote.subtotal).toFixed(2)}</td>
+                </tr>
+            )}
+            {parseFloat(quote.tax_amount) > 0 && (
+                <tr>
+                    <td className="py-1 text-gray-700">GST ({parseFloat(quote.tax_percent)}%)</td>
+                    <td className="py-1 text-right">{CURRENCY_SYMBOL}{parseFloat(quote.tax_amount).toFixed(2)}</td>
+                </tr>
+            )}
+            <tr className="font-bold">
+                <td className="py-1 text-slate-800">Total</td>
+                <td className="py-1 text-right text-slate-800">{CURRENCY_SYMBOL}{parseFloat(quote.amount).toFixed(2)}</td>
+            </tr>
+        </tbody>
+    </table>
+);
+
+// Loads the quote/counter-offer history of a booking for the price negotiation modals
+const useQuoteHistory = (bookingId, token) => {
+    const [quoteHistory, setQuoteHistory] = useState({ quotes: [], can_counter: false, max_rounds: 0, rounds_used: 0 });
+
+    useEffect(() => {
+        const fetchQuotes = async () => {
+            try {
+                const res = await fetch(`${API_BASE_URL}/bookings/${bookingId}/quotes`, {
+                    headers: { 'x-auth-token': token },
+                });
+                const data = await res.json();
+                if (res.ok) setQuoteHistory(data);
+            } catch (err) {
+                console.error('Failed to load quote history:', err);
+            }
+        };
+        fetchQuotes();
+    }, [bookingId, token]);
+
+    return quoteHistory;
+};
+
+const QuoteHistoryList = ({ quotes }) => {
+    if (quotes.length === 0) return null;
+
+    return (
+        <div className="mb-4">
+            <p className="text-sm font-semibold text-gray-700 mb-2">Quote History</p>
+            <ol className="space-y-2 max-h-40 overflow-y-auto">
+                {quotes.map(q => (
+                    <li key={q.id} className={`p-2 rounded-lg text-sm border-l-4 ${q.offer_role === 'provider' ? 'border-cyan-600 bg-cyan-50' : 'border-purple-500 bg-purple-50'}`}>
+                        <div className="flex justify-between">
+                            <span className="font-semibold text-slate-800">
+                                {q.offer_role === 'provider' ? 'Provider quote' : 'Customer counter-offer'}: {CURRENCY_SYMBOL}{parseFloat(q.amount).toFixed(2)}
+                            </span>
+                            <span className="text-xs uppercase text-gray-500">{q.status}</span>
+                        </div>
+                        {q.items?.length > 0 && (
+                            <details className="mt-1">
+                                <summary className="text-xs text-gray-600 cursor-pointer">Show breakdown</summary>
+                                <QuoteBreakdown quote={q} />
+                            </details>
+                        )}
+                        {q.message && <p className="italic text-gray-600">{q.message}</p>}
+                        <p className="text-xs text-gray-500">{new Date(q.created_at).toLocaleString()}</p>
+                    </li>
+                ))}
+            </ol>
+        </div>
+    );
+};
+
 export const SetPriceModal = ({ booking, onClose, onPriceSet }) => {
     const { token } = useAuth();
-    const [amount, setAmount] = useState('');
+    const { quotes, max_rounds, rounds_used } = useQuoteHistory(booking.id, token);
+    const [items, setItems] = useState([
+        { item_type: 'labor', description: '', quantity: '1', unit_price: booking.rate_per_hour ? String(booking.rate_per_hour) : '' },
+    ]);
+    const [taxPercent, setTaxPercent] = useState(0);
+    const [message, setMessage] = useState('');
     const [loading, setLoading] = useState(false);
     const [error, setError] = useState('');
     const [success, setSuccess] = useState('');
+
+    const { subtotal, taxAmount, total } = computeQuoteTotals(items, taxPercent);
+
+    const updateItem = (index, field, value) => {
+        setItems(prev => prev.map((item, i) => (i === index ? { ...item, [field]: value } : item)));
+    };
+
+    const addItem = (item_type) => {
+        const unit_price = item_type === 'labor' && booking.rate_per_hour ? String(booking.rate_per_hour) : '';
+        setItems(prev => [...prev, { item_type, description: '', quantity: '1', unit_price }]);
+    };
+
+    const removeItem = (index) => {
+        setItems(prev => prev.filter((_, i) => i !== index));
+    };
     
     const handleSetPrice = async (e) => {
         e.preventDefault();
         setLoading(true);
         setError('');
 
-        const finalAmount = parseFloat(amount);
-        if (isNaN(finalAmount) || finalAmount <= 0) {
-            setError('Please enter a valid positive amount.');
+        if (items.length === 0 || total <= 0) {
+            setError('Please add at least one line item with a total above zero.');
             setLoading(false);
             return;
         }
 
         try {
-            // Logic: Provider sets the price, moves status to 'awaiting_customer_confirmation'
+            // Logic: Provider sets the price, moves status to 'awaiting_customer_confirmation'. The server recomputes the total.
             const response = await fetch(`${API_BASE_URL}/bookings/${booking.id}`, {
                 method: 'PUT',
                 headers: { 'Content-Type': 'application/json', 'x-auth-token': token },
-                body: JSON.stringify({ status: 'accepted', amount: finalAmount }),
+                body: JSON.stringify({
+                    status: 'accepted',
+                    items: items.map(item => ({
+                        item_type: item.item_type,
+                        description: item.description,
+                        quantity: parseFloat(item.quantity),
+                        unit_price: parseFloat(item.unit_price),
+                    })),
+                    tax_percent: parseFloat(taxPercent),
+                    message,
+                }),
             });
             const data = await response.json();
 
             if (response.ok) {
-                setSuccess(`Price of ${CURRENCY_SYMBOL}${finalAmount.toFixed(2)} set. Customer notified for confirmation.`);
+                setSuccess(`Price of ${CURRENCY_SYMBOL}${total.toFixed(2)} set. Customer notified for confirmation.`);
                 setTimeout(() => onPriceSet(), 2000);
             } else {
                 setError(data.error || 'Failed to set price.');
@@ -69,38 +204,165 @@ export const SetPriceModal = ({ booking, onClose, onPriceSet }) => {
     
     return (
         <Modal title={`Set Price for Booking #${booking.id}`} onClose={onClose}>
-            <p className="text-gray-600 mb-4">Set the final service price. The customer must confirm this price before the booking status moves to 'Accepted'.</p>
+            <div className="max-h-[75vh] overflow-y-auto pr-1">
+            <p className="text-gray-600 mb-4">Build the service quote. The customer must confirm this price before the booking status moves to 'Accepted'.</p>
+            <QuoteHistoryList quotes={quotes} />
+            {max_rounds > 0 && (
+                <p className="text-sm text-gray-600 mb-4">
+                    Quote {rounds_used + 1} of {max_rounds}.{rounds_used + 1 === max_rounds && ' This is your final quote: the customer can only accept or reject it.'}
+                </p>
+            )}
             {error && <ErrorMessage message={error} />}
             {success && <SuccessMessage message={success} />}
             <form onSubmit={handleSetPrice} className="space-y-4">
-                 <div>
-                    <label htmlFor="amount" className="block text-sm font-semibold text-gray-700">Final Price ({CURRENCY_SYMBOL})</label>
-                    <input 
-                        id="amount" 
-                        name="amount" 
-                        type="number" 
-                        step="0.01"
-                        value={amount}
-                        onChange={(e) => setAmount(e.target.value)}
-                        required 
-                        className="mt-1 block w-full px-4 py-2 border border-gray-300 rounded-lg text-lg" 
-                        placeholder="e.g., 5000.00"
-                    />
+                <div className="space-y-2">
+                    {items.map((item, index) => (
+                        <div key={index} className="grid grid-cols-12 gap-2 items-center">
+                            <span className="col-span-3 text-xs font-semibold text-gray-700">{QUOTE_ITEM_LABELS[item.item_type]}</span>
+                            <input 
+                                type="text" 
+                                value={item.description}
+                                onChange={(e) => updateItem(index, 'description', e.target.value)}
+                                placeholder="Description"
+                                className="col-span-4 px-2 py-1 border border-gray-300 rounded-lg text-sm" 
+                            />
+                            <input 
+                                type="number" 
+                                step="0.25"
+                                min="0"
+                                value={item.quantity}
+                                onChange={(e) => updateItem(index, 'quantity', e.target.value)}
+                                disabled={item.item_type === 'visit_charge' || item.item_type === 'discount'}
+                                title={item.item_type === 'labor' ? 'Hours' : 'Quantity'}
+                                className="col-span-2 px-2 py-1 border border-gray-300 rounded-lg text-sm disabled:bg-gray-100" 
+                            />
+                            <input 
+                                type="number" 
+                                step="0.01"
+                                min="0"
+                                value={item.unit_price}
+                                onChange={(e) => updateItem(index, 'unit_price', e.target.value)}
+                                required
+                                title={item.item_type === 'labor' ? `Rate per hour (${CURRENCY_SYMBOL})` : `Amount (${CURRENCY_SYMBOL})`}
+                                placeholder={CURRENCY_SYMBOL}
+                                className="col-span-2 px-2 py-1 border border-gray-300 rounded-lg text-sm" 
+                            />
+                            <button type="button" onClick={() => removeItem(index)} className="col-span-1 text-red-500 font-bold hover:text-red-700">&times;</button>
+                        </div>
+                    ))}
+                    <div className="flex flex-wrap gap-2 pt-1">
+                        {Object.keys(QUOTE_ITEM_LABELS).map(type => (
+                            <button key={type} type="button" onClick={() => addItem(type)} className={`text-xs px-2 py-1 rounded-full border border-cyan-600 ${DARK_CYAN_TEXT_CLASS} hover:bg-cyan-50`}>
+                                + {QUOTE_ITEM_LABELS[type]}
+                            </button>
+                        ))}
+                    </div>
+                </div>
+                <div className="flex items-center justify-between">
+                    <label htmlFor="tax_percent" className="text-sm font-semibold text-gray-700">GST</label>
+                    <select 
+                        id="tax_percent" 
+                        value={taxPercent} 
+                        onChange={(e) => setTaxPercent(e.target.value)} 
+                        className="px-3 py-1 border border-gray-300 rounded-lg"
+                    >
+                        {GST_RATES.map(rate => <option key={rate} value={rate}>{rate}%</option>)}
+                    </select>
+                </div>
+                <p className="text-xs text-gray-500">GST can only be charged with a GSTIN saved in your profile.</p>
+                <div className="bg-gray-50 p-3 rounded-lg text-sm space-y-1">
+                    <p className="flex justify-between"><span>Subtotal</span><span>{CURRENCY_SYMBOL}{subtotal.toFixed(2)}</span></p>
+                    <p className="flex justify-between"><span>GST ({taxPercent}%)</span><span>{CURRENCY_SYMBOL}{taxAmount.toFixed(2)}</span></p>
+                    <p className="flex justify-between font-bold text-lg text-slate-800"><span>Total</span><span>{CURRENCY_SYMBOL}{total.toFixed(2)}</span></p>
+                </div>
+                <div>
+                    <label htmlFor="quote_message" className="block text-sm font-semibold text-gray-700">Note to Customer (Optional)</label>
+                    <textarea 
+                        id="quote_message" 
+                        rows="2" 
+                        value={message}
+                        onChange={(e) => setMessage(e.target.value)}
+                        className="mt-1 block w-full px-4 py-2 border border-gray-300 rounded-lg" 
+                        placeholder="e.g., Includes replacement parts."
+                    ></textarea>
                 </div>
                 <button type="submit" disabled={loading} className={`w-full ${DARK_CYAN_CLASS} text-white font-bold py-3 rounded-lg ${DARK_CYAN_HOVER_CLASS} transition disabled:bg-gray-400`}>
                     {loading ? 'Submitting Price...' : 'Submit Price & Await Confirmation'}
                 </button>
             </form>
+            </div>
         </Modal>
     );
 };
 
 
+// Local calendar date (YYYY-MM-DD) for a date input, offset by a number of days from today
+const toDateInputValue = (daysFromToday = 0) => {
+    const d = new Date();
+    d.setDate(d.getDate() + daysFromToday);
+    return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+};
+
+// Uploads photos for one booking (see POST /bookings/:id/photos). Returns an error message or null.
+const uploadBookingPhotos = async (bookingId, files, photoType, token, caption = '') => {
+    const formData = new FormData();
+    Array.from(files).forEach(file => formData.append('photos', file));
+    formData.append('photo_type', photoType);
+    if (caption) formData.append('caption', caption);
+
+    try {
+        const response = await fetch(`${API_BASE_URL}/bookings/${bookingId}/photos`, {
+            method: 'POST',
+            headers: { 'x-auth-token': token },
+            body: formData,
+        });
+        if (!response.ok) {
+            const data = await response.json();
+            return data.error || 'Photo upload failed.';
+        }
+        return null;
+    } catch (err) {
+        return 'Network error occurred while uploading photos.';
+    }
+};
+
 export const BookingModal = ({ provider, service, onClose, onBooked, navigate }) => { 
     const { token, user } = useAuth();
     const [loading, setLoading] = useState(false);
     const [error, setError] = useState('');
     const [success, setSuccess] = useState('');
+    const [slotDate, setSlotDate] = useState(toDateInputValue());
+    const [slots, setSlots] = useState([]);
+    const [slotsLoading, setSlotsLoading] = useState(false);
+    const [selectedSlot, setSelectedSlot] = useState('');
+    const [repeat, setRepeat] = useState('none');
+    const [repeatEndType, setRepeatEndType] = useState('count');
+    const [occurrenceCount, setOccurrenceCount] = useState('4');
+    const [repeatEndsOn, setRepeatEndsOn] = useState('');
+    const [problemPhotos, setProblemPhotos] = useState([]);
+
+    useEffect(() => {
+        const fetchSlots = async () => {
+            setSlotsLoading(true);
+            setSelectedSlot('');
+            try {
+                const res = await fetch(`${API_BASE_URL}/providers/${provider.id}/available-slots?service_id=${service.id}&date=${slotDate}`);
+                const data = await res.json();
+                if (res.ok) {
+                    setSlots(data.slots || []);
+                } else {
+                    setSlots([]);
+                    setError(data.error || 'Failed to load available time slots.');
+                }
+            } catch (err) {
+                setSlots([]);
+                setError('Network error occurred while loading available time slots.');
+            } finally {
+                setSlotsLoading(false);
+            }
+        };
+        fetchSlots();
+    }, [provider.id, service.id, slotDate]);
 
     const handleBookingSuccess = () => {
         onClose();
@@ -109,29 +371,57 @@ export const BookingModal = ({ provider, service, onClose, onBooked, navigate })
 
     const handleSubmit = async (e) => {
         e.preventDefault();
-        setLoading(true);
         setError('');
+
+        if (!selectedSlot) {
+            setError('Please pick an available time slot.');
+            return;
+        }
+        setLoading(true);
         
         const bookingData = {
             provider_id: provider.id,
             service_id: service.id,
-            scheduled_at: e.target.scheduled_at.value,
+            scheduled_at: selectedSlot,
             address: e.target.address.value,
             customer_notes: e.target.customer_notes.value,
             service_description: e.target.service_description.value, 
         };
 
+        // Recurring bookings go to the series endpoint, which creates one booking per visit
+        const isRecurring = repeat !== 'none';
+        const requestBody = isRecurring
+            ? {
+                ...bookingData,
+                starts_at: selectedSlot,
+                frequency: repeat,
+                ...(repeatEndType === 'count' ? { occurrence_count: parseInt(occurrenceCount, 10) } : { ends_on: repeatEndsOn }),
+            }
+            : bookingData;
+
         try {
-            const response = await fetch(`${API_BASE_URL}/bookings`, {
+            const response = await fetch(`${API_BASE_URL}/${isRecurring ? 'booking-series' : 'bookings'}`, {
                 method: 'POST',
                 headers: { 'Content-Type': 'application/json', 'x-auth-token': token },
-                body: JSON.stringify(bookingData),
+                body: JSON.stringify(requestBody),
             });
             const data = await response.json();
 
             if (response.ok) {
-                setSuccess(`Request sent! ID: ${data.booking_id}. Provider will review shortly.`);
-                setTimeout(() => handleBookingSuccess(), 2000); 
+                // Problem photos go on the request (the first visit of a recurring booking)
+                const photoError = problemPhotos.length > 0
+                    ? await uploadBookingPhotos(isRecurring ? data.booking_ids[0] : data.booking_id, problemPhotos, 'problem', token)
+                    : null;
+                setSuccess(isRecurring ? data.message : `Request sent! ID: ${data.booking_id}. Provider will review shortly.`);
+                if (photoError) {
+                    setError(`Your photos could not be attached (${photoError}). You can add them later from the booking details.`);
+                    setTimeout(() => handleBookingSuccess(), 5000);
+                } else {
+                    setTimeout(() => handleBookingSuccess(), 2000); 
+                }
+            } else if (data.conflicts) {
+                const clashes = data.conflicts.map(c => new Date(c.scheduled_at).toLocaleDateString()).join(', ');
+                setError(`${data.error} Unavailable on: ${clashes}.`);
             } else {
                 setError(data.error || 'Failed to send booking request.');
             }
@@ -158,8 +448,84 @@ export const BookingModal = ({ provider, service, onClose, onBooked, navigate })
             <form onSubmit={handleSubmit} className="space-y-4">
                 <p className="text-sm text-gray-600">**Important:** Your default location is set to ({defaultLat}, {defaultLon}). Update it in your dashboard if needed.</p>
                 <div>
-                    <label htmlFor="scheduled_at" className="block text-sm font-semibold text-gray-700">Scheduled Date & Time</label>
-                    <input id="scheduled_at" name="scheduled_at" type="datetime-local" required className="mt-1 block w-full px-4 py-2 border border-gray-300 rounded-lg" />
+                    <label htmlFor="slot_date" className="block text-sm font-semibold text-gray-700">Preferred Date</label>
+                    <input 
+                        id="slot_date" 
+                        type="date" 
+                        value={slotDate} 
+                        min={toDateInputValue()}
+                        onChange={(e) => setSlotDate(e.target.value)} 
+                        required 
+                        className="mt-1 block w-full px-4 py-2 border border-gray-300 rounded-lg" 
+                    />
+                    <p className="block text-sm font-semibold text-gray-700 mt-3 mb-1">Available Time Slots</p>
+                    {slotsLoading ? (
+                        <p className="text-sm text-gray-500">Loading free slots...</p>
+                    ) : slots.length === 0 ? (
+                        <p className="text-sm text-red-500">No free slots on this date. Please pick another day.</p>
+                    ) : (
+                        <div className="grid grid-cols-4 gap-2 max-h-32 overflow-y-auto">
+                            {slots.map(slot => (
+                                <button
+                                    key={slot}
+                                    type="button"
+                                    onClick={() => setSelectedSlot(slot)}
+                                    className={`px-2 py-1 text-sm rounded-lg border transition ${selectedSlot === slot ? `${DARK_CYAN_CLASS} text-white border-transparent` : 'bg-white text-slate-700 border-gray-300 hover:bg-cyan-50'}`}
+                                >
+                                    {new Date(slot).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}
+                                </button>
+                            ))}
+                        </div>
+                    )}
+                </div>
+                <div>
+                    <label htmlFor="repeat" className="block text-sm font-semibold text-gray-700">Repeat</label>
+                    <select 
+                        id="repeat" 
+                        value={repeat} 
+                        onChange={(e) => setRepeat(e.target.value)} 
+                        className="mt-1 block w-full px-4 py-2 border border-gray-300 rounded-lg"
+                    >
+                        <option value="none">One-time visit</option>
+                        <option value="weekly">Every week</option>
+                        <option value="biweekly">Every 2 weeks</option>
+                        <option value="monthly">Every month</option>
+                    </select>
+                    {repeat !== 'none' && (
+                        <div className="mt-2 flex items-center gap-2 text-sm">
+                            <select 
+                                value={repeatEndType} 
+                                onChange={(e) => setRepeatEndType(e.target.value)} 
+                                className="px-2 py-1 border border-gray-300 rounded-lg"
+                            >
+                                <option value="count">for</option>
+                                <option value="date">until</option>
+                            </select>
+                            {repeatEndType === 'count' ? (
+                                <>
+                                    <input 
+                                        type="number" 
+                                        min="2" 
+                                        max="52" 
+                                        value={occurrenceCount} 
+                                        onChange={(e) => setOccurrenceCount(e.target.value)} 
+                                        required 
+                                        className="w-20 px-2 py-1 border border-gray-300 rounded-lg" 
+                                    />
+                                    <span>visits</span>
+                                </>
+                            ) : (
+                                <input 
+                                    type="date" 
+                                    value={repeatEndsOn} 
+                                    min={slotDate}
+                                    onChange={(e) => setRepeatEndsOn(e.target.value)} 
+                                    required 
+                                    className="px-2 py-1 border border-gray-300 rounded-lg" 
+                                />
+                            )}
+                        </div>
+                    )}
                 </div>
                 <div>
                     <label htmlFor="address" className="block text-sm font-semibold text-gray-700">Service Address</label>
@@ -173,6 +539,18 @@ export const BookingModal = ({ provider, service, onClose, onBooked, navigate })
                     <label htmlFor="customer_notes" className="block text-sm font-semibold text-gray-700">Additional Notes (Optional)</label>
                     <textarea id="customer_notes" name="customer_notes" rows="2" className="mt-1 block w-full px-4 py-2 border border-gray-300 rounded-lg"></textarea>
                 </div>
+                <div>
+                    <label htmlFor="problem_photos" className="block text-sm font-semibold text-gray-700">Photos of the Problem (Optional)</label>
+                    <input 
+                        id="problem_photos" 
+                        type="file" 
+                        accept="image/*" 
+                        multiple 
+                        onChange={(e) => setProblemPhotos(e.target.files)} 
+                        className="mt-1 block w-full text-sm text-gray-700 file:mr-4 file:py-2 file:px-4 file:rounded-full file:border-0 file:text-sm file:font-semibold file:bg-cyan-50 file:text-cyan-700 hover:file:bg-cyan-100" 
+                    />
+                    <p className="text-xs text-gray-500 mt-1">Up to 6 images, 5MB each. They help the provider quote accurately.</p>
+                </div>
                 <button type="submit" disabled={loading} className={`w-full ${DARK_CYAN_CLASS} text-white font-bold py-3 rounded-lg ${DARK_CYAN_HOVER_CLASS} transition disabled:bg-gray-400`}>
                     {loading ? 'Sending Request...' : 'Confirm & Send Request'}
                 </button>
@@ -181,8 +559,12 @@ export const BookingModal = ({ provider, service, onClose, onBooked, navigate })
     );
 };
 
+// Suggested tips, as a percentage of the booking amount
+const TIP_PERCENT_OPTIONS = [5, 10, 15];
+
 export const ReviewAndPaymentModal = ({ booking, onClose, onCompleted }) => {
     const { token } = useAuth();
+    const idempotentFetch = useIdempotentFetch();
     const [rating, setRating] = useState(0); 
     const [comment, setComment] = useState('');
     const [error, setError] = useState('');
@@ -190,6 +572,15 @@ export const ReviewAndPaymentModal = ({ booking, onClose, onCompleted }) => {
     const [loading, setLoading] = useState(false);
     const [isPaid, setIsPaid] = useState(booking.booking_status === 'closed');
     const [isReviewed, setIsReviewed] = useState(false); 
+    const [receipt, setReceipt] = useState(null);
+    // Tip: '' (none), one of TIP_PERCENT_OPTIONS, or 'custom' with tipAmount
+    const [tipChoice, setTipChoice] = useState('');
+    const [tipAmount, setTipAmount] = useState('');
+
+    const bookingAmount = parseFloat(booking.amount || 0);
+    const tip = tipChoice === 'custom'
+        ? Math.max(parseFloat(tipAmount) || 0, 0)
+        : tipChoice ? Math.round(bookingAmount * tipChoice) / 100 : 0;
     
     useEffect(() => {
         setIsPaid(booking.booking_status === 'closed');
@@ -197,22 +588,42 @@ export const ReviewAndPaymentModal = ({ booking, onClose, onCompleted }) => {
         // A more robust check would involve fetching the review status.
     }, [booking.booking_status]);
 
+    const fetchReceipt = useCallback(async () => {
+        try {
+            const res = await fetch(`${API_BASE_URL}/payments/${booking.id}/receipt`, {
+                headers: { 'x-auth-token': token },
+            });
+            const data = await res.json();
+            if (res.ok) setReceipt(data);
+        } catch (err) {
+            console.error('Failed to load receipt:', err);
+        }
+    }, [booking.id, token]);
+
+    useEffect(() => {
+        fetchReceipt();
+    }, [fetchReceipt]);
+
     const handlePayment = async (e) => {
         e.preventDefault();
         setLoading(true);
         setError('');
 
         try {
-            const response = await fetch(`${API_BASE_URL}/payments`, {
+            const response = await idempotentFetch(`${API_BASE_URL}/payments`, {
                 method: 'POST',
                 headers: { 'Content-Type': 'application/json', 'x-auth-token': token },
-                body: JSON.stringify({ booking_id: booking.id }), 
+                body: JSON.stringify({
+                    booking_id: booking.id,
+                    ...(tipChoice === 'custom' ? { tip_amount: tip } : tipChoice ? { tip_percent: tipChoice } : {}),
+                }), 
             });
             const data = await response.json();
 
             if (response.ok) {
-                setSuccess(`Payment successful! Amount debited from your wallet. You can now optionally leave a review.`);
+                setSuccess(`${data.message} You can now optionally leave a review.`);
                 setIsPaid(true);
+                fetchReceipt();
                 onCompleted(); 
             } else {
                 setError(data.error || 'Payment failed. Check your wallet balance.');
@@ -288,16 +699,66 @@ export const ReviewAndPaymentModal = ({ booking, onClose, onCompleted }) => {
             {/* --- Payment Section (Only visible if not yet paid) --- */}
             {isPaymentPending && (
                 <div className="bg-red-50 p-4 rounded-lg mb-4 border border-red-200">
-                    <h3 className="text-xl font-bold text-red-700 mb-3">1. Complete Payment (Required)</h3>
+                    <h3 className="text-xl font-bold text-red-700 mb-3">1. Confirm the Job & Pay</h3>
+                    <p className="mb-3 text-sm text-gray-600">
+                        Only confirm once the work is done. If it isn't, close this and use "Not Done / Report a Problem" instead.
+                    </p>
                     <p className="mb-3 text-gray-700">
                         Final Service Fee: **{CURRENCY_SYMBOL}{parseFloat(booking.amount || 0).toFixed(2)}**
                     </p>
+                    {receipt?.quote?.items?.length > 0 && (
+                        <div className="bg-white p-3 rounded-lg border mb-3">
+                            <QuoteBreakdown quote={receipt.quote} />
+                        </div>
+                    )}
+                    <div className="mb-3">
+                        <p className="text-sm font-semibold text-gray-700 mb-2">Add a tip for your provider (optional)</p>
+                        <div className="flex flex-wrap gap-2">
+                            {['', ...TIP_PERCENT_OPTIONS, 'custom'].map(option => (
+                                <button 
+                                    key={option || 'none'}
+                                    type="button"
+                                    onClick={() => setTipChoice(option)}
+                                    className={`px-3 py-1 rounded-full text-sm font-semibold border transition ${tipChoice === option ? 'bg-green-600 text-white border-green-600' : 'bg-white text-gray-700 border-gray-300 hover:bg-gray-50'}`}
+                                >
+                                    {option === '' ? 'No tip' : option === 'custom' ? 'Custom' : `${option}%`}
+                                </button>
+                            ))}
+                        </div>
+                        {tipChoice === 'custom' && (
+                            <input 
+                                type="number" 
+                                min="0" 
+                                step="0.01" 
+                                max={bookingAmount} 
+                                value={tipAmount} 
+                                onChange={(e) => setTipAmount(e.target.value)} 
+                                placeholder={`Tip amount (${CURRENCY_SYMBOL})`} 
+                                className="mt-2 block w-full px-4 py-2 border border-gray-300 rounded-lg" 
+                            />
+                        )}
+                        {tip > 0 && <p className="text-xs text-gray-600 mt-2">Tip of {CURRENCY_SYMBOL}{tip.toFixed(2)} is paid from your available wallet balance and goes entirely to the provider.</p>}
+                    </div>
                     <button onClick={handlePayment} disabled={loading} className="w-full bg-green-600 text-white font-bold py-3 rounded-lg hover:bg-green-700 transition disabled:bg-gray-400">
-                        {loading ? 'Processing...' : `Pay ${CURRENCY_SYMBOL}${parseFloat(booking.amount || 0).toFixed(2)} from Wallet`}
+                        {loading ? 'Processing...' : `Confirm & Pay ${CURRENCY_SYMBOL}${(bookingAmount + tip).toFixed(2)} from Wallet`}
                     </button>
                 </div>
             )}
             
+            {/* --- Receipt (once paid) --- */}
+            {isPaid && receipt?.payment && (
+                <div className="bg-green-50 p-4 rounded-lg mb-4 border border-green-200">
+                    <h3 className="text-lg font-bold text-green-700 mb-2">Payment Receipt</h3>
+                    {receipt.quote && <QuoteBreakdown quote={receipt.quote} />}
+                    {parseFloat(receipt.payment.tip_amount) > 0 && (
+                        <p className="text-sm text-gray-700 mt-2">Tip: {CURRENCY_SYMBOL}{parseFloat(receipt.payment.tip_amount).toFixed(2)}</p>
+                    )}
+                    <p className="text-xs text-gray-600 mt-2">
+                        Paid {CURRENCY_SYMBOL}{parseFloat(receipt.payment.amount).toFixed(2)} on {new Date(receipt.payment.paid_at).toLocaleString()} (Txn: {receipt.payment.gateway_transaction_id})
+                    </p>
+                </div>
+            )}
+
             {/* --- Review Section (Only visible after successful payment or if already paid) --- */}
             {isReadyToReview && (
                 <div className="bg-amber-50 p-4 rounded-lg border border-amber-200">
@@ -333,6 +794,12 @@ export const ReviewAndPaymentModal = ({ booking, onClose, onCompleted }) => {
 
 export const PriceConfirmationModal = ({ booking, onClose, onConfirmed }) => {
     const { token } = useAuth();
+    const idempotentFetch = useIdempotentFetch();
+    const { quotes, can_counter } = useQuoteHistory(booking.id, token);
+    const currentQuote = [...quotes].reverse().find(q => q.offer_role === 'provider' && q.status === 'pending');
+    const [showCounter, setShowCounter] = useState(false);
+    const [counterAmount, setCounterAmount] = useState('');
+    const [counterMessage, setCounterMessage] = useState('');
     const [loading, setLoading] = useState(false);
     const [error, setError] = useState('');
     const [success, setSuccess] = useState('');
@@ -342,7 +809,7 @@ export const PriceConfirmationModal = ({ booking, onClose, onConfirmed }) => {
         setError('');
 
         try {
-            const response = await fetch(`${API_BASE_URL}/bookings/${booking.id}/confirm-price`, {
+            const response = await idempotentFetch(`${API_BASE_URL}/bookings/${booking.id}/confirm-price`, {
                 method: 'PUT',
                 headers: { 'Content-Type': 'application/json', 'x-auth-token': token },
                 body: JSON.stringify({ accepted }),
@@ -362,19 +829,61 @@ export const PriceConfirmationModal = ({ booking, onClose, onConfirmed }) => {
         }
     };
 
+    const handleCounterOffer = async (e) => {
+        e.preventDefault();
+        setError('');
+
+        const finalAmount = parseFloat(counterAmount);
+        if (isNaN(finalAmount) || finalAmount <= 0) {
+            setError('Please enter a valid positive amount.');
+            return;
+        }
+        setLoading(true);
+
+        try {
+            const response = await fetch(`${API_BASE_URL}/bookings/${booking.id}/counter-offer`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json', 'x-auth-token': token },
+                body: JSON.stringify({ amount: finalAmount, message: counterMessage }),
+            });
+            const data = await response.json();
+
+            if (response.ok) {
+                setSuccess(data.message);
+                setTimeout(() => onConfirmed(), 2000);
+            } else {
+                setError(data.error || 'Failed to send counter-offer.');
+            }
+        } catch (err) {
+            setError('Network error occurred.');
+        } finally {
+            setLoading(false);
+        }
+    };
+
     return (
         <Modal title={`Confirm Price for Booking #${booking.id}`} onClose={onClose}>
             {error && <ErrorMessage message={error} />}
             {success && <SuccessMessage message={success} />}
+            <QuoteHistoryList quotes={quotes} />
             
             <div className="space-y-4">
                 <p className="text-lg text-slate-800 font-semibold">
                     Provider's Quoted Price: 
                     <span className="text-green-600 ml-2 text-2xl font-bold">{CURRENCY_SYMBOL}{parseFloat(booking.amount || 0).toFixed(2)}</span>
                 </p>
+                {currentQuote?.items?.length > 0 && (
+                    <div className="bg-gray-50 p-3 rounded-lg border">
+                        <QuoteBreakdown quote={currentQuote} />
+                    </div>
+                )}
+                {currentQuote?.message && <p className="text-sm italic text-gray-600">Provider's note: {currentQuote.message}</p>}
                 <p className="text-gray-600">
                     If you accept, the service will be officially **Accepted**, and the chat will open for coordination. If you reject, the booking will be **Rejected** and cancelled.
                 </p>
+                <p className="text-sm text-emerald-700 bg-emerald-50 p-2 rounded-lg">
+                    🔒 Accepting holds {CURRENCY_SYMBOL}{parseFloat(booking.amount || 0).toFixed(2)} from your available wallet balance in escrow. It is paid to the provider when you pay for the completed job, and returned to you if the booking is cancelled.
+                </p>
                 
                 <div className="flex space-x-4 pt-4">
                     <button 
@@ -392,90 +901,397 @@ export const PriceConfirmationModal = ({ booking, onClose, onConfirmed }) => {
                         Reject Price
                     </button>
                 </div>
+
+                {can_counter && !showCounter && (
+                    <button 
+                        onClick={() => setShowCounter(true)} 
+                        disabled={loading}
+                        className="w-full bg-white text-purple-700 border border-purple-400 font-bold py-3 rounded-lg hover:bg-purple-50 transition disabled:bg-gray-100"
+                    >
+                        Make a Counter-Offer
+                    </button>
+                )}
+                {!can_counter && quotes.length > 0 && (
+                    <p className="text-sm text-gray-500 text-center">This is the provider's final quote.</p>
+                )}
+                {showCounter && (
+                    <form onSubmit={handleCounterOffer} className="space-y-3 border-t pt-4">
+                        <div>
+                            <label htmlFor="counter_amount" className="block text-sm font-semibold text-gray-700">Your Offer ({CURRENCY_SYMBOL})</label>
+                            <input 
+                                id="counter_amount" 
+                                type="number" 
+                                step="0.01"
+                                value={counterAmount}
+                                onChange={(e) => setCounterAmount(e.target.value)}
+                                required 
+                                className="mt-1 block w-full px-4 py-2 border border-gray-300 rounded-lg" 
+                            />
+                        </div>
+                        <div>
+                            <label htmlFor="counter_message" className="block text-sm font-semibold text-gray-700">Message to Provider (Optional)</label>
+                            <textarea 
+                                id="counter_message" 
+                                rows="2" 
+                                value={counterMessage}
+                                onChange={(e) => setCounterMessage(e.target.value)}
+                                className="mt-1 block w-full px-4 py-2 border border-gray-300 rounded-lg" 
+                                placeholder="e.g., I can supply the parts myself."
+                            ></textarea>
+                        </div>
+                        <button type="submit" disabled={loading} className="w-full bg-purple-600 text-white font-bold py-3 rounded-lg hover:bg-purple-700 transition disabled:bg-gray-400">
+                            {loading ? 'Sending...' : 'Send Counter-Offer'}
+                        </button>
+                    </form>
+                )}
             </div>
         </Modal>
     );
 };
 
-export const ChatComponent = ({ booking, onClose, isCustomer }) => {
-    const { token, user, markMessagesAsRead } = useAuth();
-    const [messages, setMessages] = useState([]);
-    const [newMessage, setNewMessage] = useState('');
-    const [file, setFile] = useState(null); 
-    const [loading, setLoading] = useState(true);
+export const CancelBookingModal = ({ booking, onClose, onCancelled }) => {
+    const { token } = useAuth();
+    const idempotentFetch = useIdempotentFetch();
+    const [reason, setReason] = useState('');
+    const [feeInfo, setFeeInfo] = useState(null);
+    const [loading, setLoading] = useState(false);
     const [error, setError] = useState('');
-    const [sendLoading, setSendLoading] = useState(false);
-    
-    const messagesEndRef = React.useRef(null);
-    
-    const fetchMessages = useCallback(async () => {
+    const [success, setSuccess] = useState('');
+
+    useEffect(() => {
+        const fetchFee = async () => {
+            try {
+                const res = await fetch(`${API_BASE_URL}/bookings/${booking.id}/cancellation-fee`, {
+                    headers: { 'x-auth-token': token },
+                });
+                const data = await res.json();
+                if (res.ok) {
+                    setFeeInfo(data);
+                } else {
+                    setError(data.error || 'Failed to load the cancellation policy.');
+                }
+            } catch (err) {
+                setError('Network error occurred while loading the cancellation policy.');
+            }
+        };
+        fetchFee();
+    }, [booking.id, token]);
+
+    const handleCancel = async (e) => {
+        e.preventDefault();
+        setLoading(true);
         setError('');
+
         try {
-            const res = await fetch(`${API_BASE_URL}/bookings/${booking.id}/messages`, { 
-                headers: { 'x-auth-token': token },
+            const response = await idempotentFetch(`${API_BASE_URL}/bookings/${booking.id}/cancel`, {
+                method: 'PUT',
+                headers: { 'Content-Type': 'application/json', 'x-auth-token': token },
+                body: JSON.stringify({ reason }),
             });
-            const data = await res.json();
-            
-            if (res.ok) {
-                setMessages(data.messages || []);
+            const data = await response.json();
+
+            if (response.ok) {
+                setSuccess(data.message);
+                setTimeout(() => onCancelled(), 2000);
             } else {
-                setError(data.error || 'Failed to load chat history.');
+                setError(data.error || 'Failed to cancel booking.');
             }
         } catch (err) {
-            setError('Network error occurred during chat loading.');
+            setError('Network error occurred.');
         } finally {
             setLoading(false);
         }
-    }, [booking.id, token]);
+    };
 
-    useEffect(() => {
-        setLoading(true);
-        fetchMessages();
-        markMessagesAsRead(booking.id); 
-        
-        const interval = setInterval(fetchMessages, 5000); 
-        return () => clearInterval(interval);
-        
-    }, [fetchMessages, booking.id, markMessagesAsRead]);
-    
-    useEffect(() => {
-        messagesEndRef.current?.scrollIntoView({ behavior: "smooth" });
-    }, [messages]);
+    return (
+        <Modal title={`Cancel Booking #${booking.id}`} onClose={onClose}>
+            {error && <ErrorMessage message={error} />}
+            {success && <SuccessMessage message={success} />}
+            {feeInfo && (
+                <div className={`p-4 rounded-lg mb-4 border ${feeInfo.fee > 0 ? 'bg-red-50 border-red-200' : 'bg-green-50 border-green-200'}`}>
+                    {feeInfo.fee > 0 ? (
+                        <p className="text-red-700 font-semibold">
+                            This is a late cancellation. A fee of {CURRENCY_SYMBOL}{parseFloat(feeInfo.fee).toFixed(2)} ({feeInfo.late_fee_percent}% of the agreed price) will be debited from your wallet and paid to the provider.
+                        </p>
+                    ) : (
+                        <p className="text-green-700 font-semibold">This cancellation is free of charge.</p>
+                    )}
+                    <p className="text-xs text-gray-600 mt-1">
+                        Customers can cancel for free up to {feeInfo.free_cutoff_hours} hours before the scheduled time.
+                    </p>
+                </div>
+            )}
+            <form onSubmit={handleCancel} className="space-y-4">
+                <div>
+                    <label htmlFor="cancel_reason" className="block text-sm font-semibold text-gray-700">Reason for Cancellation</label>
+                    <textarea 
+                        id="cancel_reason" 
+                        rows="3" 
+                        value={reason}
+                        onChange={(e) => setReason(e.target.value)}
+                        required 
+                        className="mt-1 block w-full px-4 py-2 border border-gray-300 rounded-lg" 
+                        placeholder="e.g., I am no longer available at this time."
+                    ></textarea>
+                </div>
+                <button type="submit" disabled={loading || !!success || (feeInfo && !feeInfo.can_cancel)} className="w-full bg-red-600 text-white font-bold py-3 rounded-lg hover:bg-red-700 transition disabled:bg-gray-400">
+                    {loading ? 'Cancelling...' : 'Confirm Cancellation'}
+                </button>
+            </form>
+        </Modal>
+    );
+};
 
-    const handleSendMessage = async (e) => {
+export const JobCodeModal = ({ booking, stage, onClose, onConfirmed }) => {
+    const { token } = useAuth();
+    const [code, setCode] = useState('');
+    const [loading, setLoading] = useState(false);
+    const [error, setError] = useState('');
+
+    const isStart = stage === 'start';
+
+    const handleSubmit = async (e) => {
         e.preventDefault();
-        
-        if (!newMessage.trim() && !file) return;
-        if (!token) return;
-        
-        setSendLoading(true);
+        setLoading(true);
         setError('');
-        
-        // Optimistic update
-        const contentToSend = file ? `Uploading ${file.name}...` : newMessage.trim();
-        
-        setMessages(prev => [...prev, { 
-            id: Date.now(), 
-            sender_id: user.id, 
-            sender_email: user.email,
-            content: contentToSend, 
-            file_url: file ? 'pending' : null,
-            created_at: new Date().toISOString() 
-        }]);
-        setNewMessage('');
-        
-        let response;
+
         try {
-            if (file) {
-                // File Upload
-                const formData = new FormData();
-                formData.append('file', file);
-                
-                response = await fetch(`${API_BASE_URL}/bookings/${booking.id}/messages/upload`, {
-                    method: 'POST',
-                    headers: { 'x-auth-token': token },
-                    body: formData,
-                });
+            const response = isStart
+                ? await fetch(`${API_BASE_URL}/bookings/${booking.id}/start`, {
+                    method: 'PUT',
+                    headers: { 'Content-Type': 'application/json', 'x-auth-token': token },
+                    body: JSON.stringify({ code }),
+                })
+                : await fetch(`${API_BASE_URL}/bookings/${booking.id}`, {
+                    method: 'PUT',
+                    headers: { 'Content-Type': 'application/json', 'x-auth-token': token },
+                    body: JSON.stringify({ status: 'completed', completion_code: code }),
+                });
+            const data = await response.json();
+
+            if (response.ok) {
+                onConfirmed();
+                onClose();
+            } else {
+                setError(data.error || 'The code could not be verified.');
+            }
+        } catch (err) {
+            setError('Network error occurred.');
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    return (
+        <Modal title={`${isStart ? 'Start Job' : 'Complete Job'} #${booking.id}`} onClose={onClose}>
+            {error && <ErrorMessage message={error} />}
+            <p className="text-gray-700 mb-4">
+                {isStart
+                    ? 'Ask the customer for their 6-digit start code when you arrive.'
+                    : 'Once the work is done, ask the customer for their 6-digit completion code. The booking becomes payable after this step. Remember to add your after photos under Details & Photos.'}
+            </p>
+            <form onSubmit={handleSubmit} className="space-y-4">
+                <input 
+                    type="text" 
+                    inputMode="numeric" 
+                    maxLength={6} 
+                    value={code}
+                    onChange={(e) => setCode(e.target.value.replace(/\D/g, ''))}
+                    required 
+                    className="block w-full px-4 py-3 border border-gray-300 rounded-lg text-center text-2xl font-mono tracking-widest" 
+                    placeholder="000000"
+                />
+                <button type="submit" disabled={loading || code.length !== 6} className="w-full bg-green-600 text-white font-bold py-3 rounded-lg hover:bg-green-700 transition disabled:bg-gray-400">
+                    {loading ? 'Verifying...' : isStart ? 'Start Job' : 'Mark Completed'}
+                </button>
+            </form>
+        </Modal>
+    );
+};
+
+export const RescheduleModal = ({ booking, onClose, onProposed }) => {
+    const { token } = useAuth();
+    const [proposals, setProposals] = useState([]);
+    const [newTime, setNewTime] = useState('');
+    const [message, setMessage] = useState('');
+    const [loading, setLoading] = useState(false);
+    const [error, setError] = useState('');
+    const [success, setSuccess] = useState('');
+
+    const fetchProposals = useCallback(async () => {
+        try {
+            const res = await fetch(`${API_BASE_URL}/bookings/${booking.id}/reschedule-proposals`, {
+                headers: { 'x-auth-token': token },
+            });
+            const data = await res.json();
+            if (res.ok) {
+                setProposals(data.proposals || []);
+            } else {
+                setError(data.error || 'Failed to load reschedule history.');
+            }
+        } catch (err) {
+            setError('Network error occurred while loading reschedule history.');
+        }
+    }, [booking.id, token]);
+
+    useEffect(() => {
+        fetchProposals();
+    }, [fetchProposals]);
+
+    const handlePropose = async (e) => {
+        e.preventDefault();
+        setLoading(true);
+        setError('');
+
+        try {
+            const response = await fetch(`${API_BASE_URL}/bookings/${booking.id}/reschedule-proposals`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json', 'x-auth-token': token },
+                body: JSON.stringify({ scheduled_at: new Date(newTime).toISOString(), message }),
+            });
+            const data = await response.json();
+
+            if (response.ok) {
+                setSuccess(data.message);
+                setNewTime('');
+                setMessage('');
+                fetchProposals();
+                onProposed();
+            } else {
+                setError(data.error || 'Failed to propose a new time.');
+            }
+        } catch (err) {
+            setError('Network error occurred.');
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    const getProposalStatusClasses = (status) => {
+        switch (status) {
+            case 'pending': return 'text-yellow-700';
+            case 'accepted': return 'text-green-700';
+            case 'declined': return 'text-red-700';
+            default: return 'text-gray-500';
+        }
+    };
+
+    return (
+        <Modal title={`Reschedule Booking #${booking.id}`} onClose={onClose}>
+            {error && <ErrorMessage message={error} />}
+            {success && <SuccessMessage message={success} />}
+            <p className="text-gray-600 mb-4">Currently scheduled for <strong>{new Date(booking.scheduled_at).toLocaleString()}</strong>. The other party must accept the new time before it takes effect.</p>
+            <form onSubmit={handlePropose} className="space-y-4">
+                <div>
+                    <label htmlFor="reschedule_at" className="block text-sm font-semibold text-gray-700">Proposed Date & Time</label>
+                    <input id="reschedule_at" type="datetime-local" value={newTime} onChange={(e) => setNewTime(e.target.value)} required className="mt-1 block w-full px-4 py-2 border border-gray-300 rounded-lg" />
+                </div>
+                <div>
+                    <label htmlFor="reschedule_message" className="block text-sm font-semibold text-gray-700">Message (Optional)</label>
+                    <input id="reschedule_message" type="text" value={message} onChange={(e) => setMessage(e.target.value)} className="mt-1 block w-full px-4 py-2 border border-gray-300 rounded-lg" placeholder="e.g., Can we do the next morning instead?" />
+                </div>
+                <button type="submit" disabled={loading} className={`w-full ${DARK_CYAN_CLASS} text-white font-bold py-3 rounded-lg ${DARK_CYAN_HOVER_CLASS} transition disabled:bg-gray-400`}>
+                    {loading ? 'Sending...' : 'Propose New Time'}
+                </button>
+            </form>
+
+            {proposals.length > 0 && (
+                <div className="mt-6">
+                    <h3 className="text-sm font-bold text-slate-700 mb-2">Proposal History</h3>
+                    <ul className="space-y-2 max-h-48 overflow-y-auto text-sm">
+                        {proposals.map(p => (
+                            <li key={p.id} className="bg-gray-50 p-2 rounded-lg border">
+                                <span className="font-semibold capitalize">{p.proposer_role}</span> proposed {new Date(p.proposed_scheduled_at).toLocaleString()}
+                                <span className={`ml-2 font-bold uppercase text-xs ${getProposalStatusClasses(p.status)}`}>{p.status}</span>
+                                {p.message && <p className="text-gray-600 italic">{p.message}</p>}
+                            </li>
+                        ))}
+                    </ul>
+                </div>
+            )}
+        </Modal>
+    );
+};
+
+export const ChatComponent = ({ booking, onClose, isCustomer }) => {
+    const { token, user, markMessagesAsRead } = useAuth();
+    const [messages, setMessages] = useState([]);
+    const [newMessage, setNewMessage] = useState('');
+    const [file, setFile] = useState(null); 
+    const [loading, setLoading] = useState(true);
+    const [error, setError] = useState('');
+    const [sendLoading, setSendLoading] = useState(false);
+    
+    const messagesEndRef = React.useRef(null);
+    
+    const fetchMessages = useCallback(async () => {
+        setError('');
+        try {
+            const res = await fetch(`${API_BASE_URL}/bookings/${booking.id}/messages`, { 
+                headers: { 'x-auth-token': token },
+            });
+            const data = await res.json();
+            
+            if (res.ok) {
+                setMessages(data.messages || []);
+            } else {
+                setError(data.error || 'Failed to load chat history.');
+            }
+        } catch (err) {
+            setError('Network error occurred during chat loading.');
+        } finally {
+            setLoading(false);
+        }
+    }, [booking.id, token]);
+
+    useEffect(() => {
+        setLoading(true);
+        fetchMessages();
+        markMessagesAsRead(booking.id); 
+        
+        const interval = setInterval(fetchMessages, 5000); 
+        return () => clearInterval(interval);
+        
+    }, [fetchMessages, booking.id, markMessagesAsRead]);
+    
+    useEffect(() => {
+        messagesEndRef.current?.scrollIntoView({ behavior: "smooth" });
+    }, [messages]);
+
+    const handleSendMessage = async (e) => {
+        e.preventDefault();
+        
+        if (!newMessage.trim() && !file) return;
+        if (!token) return;
+        
+        setSendLoading(true);
+        setError('');
+        
+        // Optimistic update
+        const contentToSend = file ? `Uploading ${file.name}...` : newMessage.trim();
+        
+        setMessages(prev => [...prev, { 
+            id: Date.now(), 
+            sender_id: user.id, 
+            sender_email: user.email,
+            content: contentToSend, 
+            file_url: file ? 'pending' : null,
+            created_at: new Date().toISOString() 
+        }]);
+        setNewMessage('');
+        
+        let response;
+        try {
+            if (file) {
+                // File Upload
+                const formData = new FormData();
+                formData.append('file', file);
+                
+                response = await fetch(`${API_BASE_URL}/bookings/${booking.id}/messages/upload`, {
+                    method: 'POST',
+                    headers: { 'x-auth-token': token },
+                    body: formData,
+                });
                 setFile(null); // Clear file after submission attempt
             } else {
                 // Text Message
@@ -609,4 +1425,1225 @@ export const ChatComponent = ({ booking, onClose, isCustomer }) => {
             {!isChatActive && <p className="text-center text-sm text-red-500 mt-2">Chat is only active when the booking status is 'accepted', 'completed', or 'closed'.</p>}
         </Modal>
     );
-};
\ No newline at end of file
+};
+
+export const AdminCompleteBookingModal = ({ booking, onClose, onCompleted }) => {
+    const { token } = useAuth();
+    const [reason, setReason] = useState('');
+    const [loading, setLoading] = useState(false);
+    const [error, setError] = useState('');
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        setLoading(true);
+        setError('');
+
+        try {
+            const response = await fetch(`${API_BASE_URL}/admin/bookings/${booking.id}/complete`, {
+                method: 'PUT',
+                headers: { 'Content-Type': 'application/json', 'x-auth-token': token },
+                body: JSON.stringify({ reason }),
+            });
+            const data = await response.json();
+
+            if (response.ok) {
+                onCompleted();
+                onClose();
+            } else {
+                setError(data.error || 'Failed to complete the booking.');
+            }
+        } catch (err) {
+            setError('Network error occurred.');
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    return (
+        <Modal title={`Complete Booking #${booking.id} Without Code`} onClose={onClose}>
+            {error && <ErrorMessage message={error} />}
+            <p className="text-gray-700 mb-4">
+                This marks the booking completed without the customer's completion code, and payment becomes due.
+                {booking.started_at
+                    ? ` The provider checked in at ${new Date(booking.started_at).toLocaleString()}.`
+                    : ' The provider never entered the start code.'}
+            </p>
+            <form onSubmit={handleSubmit} className="space-y-4">
+                <div>
+                    <label htmlFor="override_reason" className="block text-sm font-semibold text-gray-700">Reason (kept in the booking history)</label>
+                    <textarea 
+                        id="override_reason" 
+                        rows="3" 
+                        value={reason}
+                        onChange={(e) => setReason(e.target.value)}
+                        required 
+                        className="mt-1 block w-full px-4 py-2 border border-gray-300 rounded-lg" 
+                        placeholder="e.g., Customer confirmed by phone that the work was finished."
+                    ></textarea>
+                </div>
+                <button type="submit" disabled={loading} className="w-full bg-red-600 text-white font-bold py-3 rounded-lg hover:bg-red-700 transition disabled:bg-gray-400">
+                    {loading ? 'Completing...' : 'Mark Completed'}
+                </button>
+            </form>
+        </Modal>
+    );
+};
+
+export const BookingStatusHistoryModal = ({ booking, onClose }) => {
+    const { token } = useAuth();
+    const [history, setHistory] = useState([]);
+    const [refunds, setRefunds] = useState([]);
+    const [loading, setLoading] = useState(true);
+    const [error, setError] = useState('');
+
+    useEffect(() => {
+        const fetchHistory = async () => {
+            try {
+                const res = await fetch(`${API_BASE_URL}/bookings/${booking.id}/status-history`, {
+                    headers: { 'x-auth-token': token },
+                });
+                const data = await res.json();
+
+                if (res.ok) {
+                    setHistory(data.history || []);
+                    setRefunds(data.refunds || []);
+                } else {
+                    setError(data.error || 'Failed to load booking history.');
+                }
+            } catch (err) {
+                setError('Network error occurred while loading booking history.');
+            } finally {
+                setLoading(false);
+            }
+        };
+        fetchHistory();
+    }, [booking.id, token]);
+
+    return (
+        <Modal title={`Status History for Booking #${booking.id}`} onClose={onClose}>
+            {error && <ErrorMessage message={error} />}
+            {loading ? <Spinner /> : (
+                <ol className="space-y-3 max-h-96 overflow-y-auto">
+                    {history.length === 0 && !error && <p className="text-center text-gray-500">No status changes recorded.</p>}
+                    {history.map(entry => (
+                        <li key={entry.id} className="border-l-4 border-cyan-600 bg-gray-50 p-3 rounded-r-lg">
+                            <p className="font-semibold text-slate-800 uppercase text-sm">
+                                {entry.from_status ? `${entry.from_status.replace(/_/g, ' ')} → ` : ''}{entry.to_status.replace(/_/g, ' ')}
+                            </p>
+                            <p className="text-xs text-gray-600">
+                                {new Date(entry.created_at).toLocaleString()} by {entry.changed_by_email || 'System'} ({entry.actor_role})
+                            </p>
+                            {entry.reason && <p className="text-sm text-gray-700 mt-1 italic">{entry.reason}</p>}
+                        </li>
+                    ))}
+                    {refunds.map(refund => (
+                        <li key={`refund-${refund.id}`} className="border-l-4 border-purple-600 bg-purple-50 p-3 rounded-r-lg">
+                            <p className="font-semibold text-slate-800 uppercase text-sm">Refund of {CURRENCY_SYMBOL}{parseFloat(refund.amount).toFixed(2)}</p>
+                            <p className="text-xs text-gray-600">{new Date(refund.created_at).toLocaleString()} by Support (admin)</p>
+                            <p className="text-sm text-gray-700 mt-1 italic">{refund.reason}</p>
+                        </li>
+                    ))}
+                </ol>
+            )}
+        </Modal>
+    );
+};
+
+const PHOTO_SECTIONS = [
+    { type: 'problem', label: 'Problem Photos (from the customer)' },
+    { type: 'before', label: 'Before Work' },
+    { type: 'after', label: 'After Work' },
+    { type: 'dispute', label: 'Dispute Evidence' },
+];
+
+// Who may add each photo type, and while the booking is in which statuses (mirrors the server rules)
+const PHOTO_UPLOAD_RULES = {
+    problem: { roles: ['customer'], statuses: ['pending_provider', 'awaiting_customer_confirmation', 'accepted'] },
+    before: { roles: ['provider'], statuses: ['accepted', 'completed'] },
+    after: { roles: ['provider'], statuses: ['accepted', 'completed'] },
+    dispute: { roles: ['customer', 'provider'], statuses: ['disputed'] },
+};
+
+const getUploadablePhotoTypes = (role, status) => Object.keys(PHOTO_UPLOAD_RULES)
+    .filter(type => PHOTO_UPLOAD_RULES[type].roles.includes(role) && PHOTO_UPLOAD_RULES[type].statuses.includes(status));
+
+export const BookingDetailsModal = ({ booking, onClose }) => {
+    const { token, user } = useAuth();
+    const [photos, setPhotos] = useState([]);
+    const [loading, setLoading] = useState(true);
+    const [uploading, setUploading] = useState(false);
+    const [error, setError] = useState('');
+    const [success, setSuccess] = useState('');
+    const [files, setFiles] = useState([]);
+    const [caption, setCaption] = useState('');
+
+    const uploadTypes = getUploadablePhotoTypes(user?.role, booking.booking_status);
+    const canUpload = uploadTypes.length > 0;
+    const [photoType, setPhotoType] = useState(uploadTypes[0] || '');
+
+    const fetchPhotos = useCallback(async () => {
+        try {
+            const res = await fetch(`${API_BASE_URL}/bookings/${booking.id}/photos`, {
+                headers: { 'x-auth-token': token },
+            });
+            const data = await res.json();
+            if (res.ok) {
+                setPhotos(data.photos || []);
+            } else {
+                setError(data.error || 'Failed to load booking photos.');
+            }
+        } catch (err) {
+            setError('Network error occurred while loading booking photos.');
+        } finally {
+            setLoading(false);
+        }
+    }, [booking.id, token]);
+
+    useEffect(() => {
+        fetchPhotos();
+    }, [fetchPhotos]);
+
+    const handleUpload = async (e) => {
+        e.preventDefault();
+        setUploading(true);
+        setError('');
+        setSuccess('');
+
+        const uploadError = await uploadBookingPhotos(booking.id, files, photoType, token, caption);
+        if (uploadError) {
+            setError(uploadError);
+        } else {
+            setSuccess(`${files.length} photo(s) uploaded.`);
+            setFiles([]);
+            setCaption('');
+            e.target.reset();
+            fetchPhotos();
+        }
+        setUploading(false);
+    };
+
+    return (
+        <Modal title={`Booking #${booking.id} Details`} onClose={onClose}>
+            <div className="max-h-[75vh] overflow-y-auto space-y-4 pr-1">
+                <div className="text-sm text-gray-700 space-y-1 p-3 bg-gray-50 rounded-lg border">
+                    <p><span className="font-semibold">Status:</span> <span className="uppercase">{booking.booking_status.replace(/_/g, ' ')}</span></p>
+                    {booking.service_name && <p><span className="font-semibold">Service:</span> {booking.service_name}</p>}
+                    <p><span className="font-semibold">Scheduled:</span> {new Date(booking.scheduled_at).toLocaleString()}</p>
+                    {booking.address && <p><span className="font-semibold">Location:</span> {booking.address}</p>}
+                    {booking.started_at && <p><span className="font-semibold">Started:</span> {new Date(booking.started_at).toLocaleString()}</p>}
+                    {booking.completed_at && <p><span className="font-semibold">Finished:</span> {new Date(booking.completed_at).toLocaleString()}</p>}
+                    {booking.service_description && <p className="italic">{booking.service_description}</p>}
+                </div>
+
+                {error && <ErrorMessage message={error} />}
+                {success && <SuccessMessage message={success} />}
+                {loading && <Spinner />}
+
+                {!loading && PHOTO_SECTIONS.map(section => {
+                    const sectionPhotos = photos.filter(p => p.photo_type === section.type);
+                    return (
+                        <div key={section.type}>
+                            <h3 className="font-semibold text-slate-700 mb-2">{section.label} ({sectionPhotos.length})</h3>
+                            {sectionPhotos.length === 0 ? (
+                                <p className="text-sm text-gray-500">No photos yet.</p>
+                            ) : (
+                                <div className="grid grid-cols-3 gap-2">
+                                    {sectionPhotos.map(photo => (
+                                        <a key={photo.id} href={photo.file_url} target="_blank" rel="noopener noreferrer" title={photo.caption || new Date(photo.created_at).toLocaleString()}>
+                                            <img src={photo.file_url} alt={photo.caption || `${section.type} photo`} className="w-full h-24 object-cover rounded-lg border hover:opacity-80 transition" />
+                                        </a>
+                                    ))}
+                                </div>
+                            )}
+                        </div>
+                    );
+                })}
+
+                {canUpload && (
+                    <form onSubmit={handleUpload} className="space-y-3 border-t pt-4">
+                        <h3 className="font-semibold text-slate-700">Add Photos</h3>
+                        {uploadTypes.length > 1 && (
+                            <select value={photoType} onChange={(e) => setPhotoType(e.target.value)} className="block w-full px-4 py-2 border border-gray-300 rounded-lg">
+                                {uploadTypes.map(type => (
+                                    <option key={type} value={type}>{PHOTO_SECTIONS.find(s => s.type === type).label}</option>
+                                ))}
+                            </select>
+                        )}
+                        <input 
+                            type="file" 
+                            accept="image/*" 
+                            multiple 
+                            onChange={(e) => setFiles(e.target.files)} 
+                            className="block w-full text-sm text-gray-700 file:mr-4 file:py-2 file:px-4 file:rounded-full file:border-0 file:text-sm file:font-semibold file:bg-cyan-50 file:text-cyan-700 hover:file:bg-cyan-100" 
+                        />
+                        <input 
+                            type="text" 
+                            value={caption} 
+                            onChange={(e) => setCaption(e.target.value)} 
+                            placeholder="Caption (optional)" 
+                            className="block w-full px-4 py-2 border border-gray-300 rounded-lg" 
+                        />
+                        <button type="submit" disabled={uploading || files.length === 0} className={`w-full ${DARK_CYAN_CLASS} text-white font-bold py-2 rounded-lg ${DARK_CYAN_HOVER_CLASS} transition disabled:bg-gray-400`}>
+                            {uploading ? 'Uploading...' : 'Upload Photos'}
+                        </button>
+                    </form>
+                )}
+            </div>
+        </Modal>
+    );
+};
+
+export const BookingSeriesModal = ({ booking, onClose, onUpdated }) => {
+    const { token } = useAuth();
+    const [series, setSeries] = useState(null);
+    const [occurrences, setOccurrences] = useState([]);
+    const [loading, setLoading] = useState(true);
+    const [actionLoading, setActionLoading] = useState(false);
+    const [error, setError] = useState('');
+    const [success, setSuccess] = useState('');
+
+    const fetchSeries = useCallback(async () => {
+        try {
+            const res = await fetch(`${API_BASE_URL}/booking-series/${booking.series_id}`, {
+                headers: { 'x-auth-token': token },
+            });
+            const data = await res.json();
+
+            if (res.ok) {
+                setSeries(data.series);
+                setOccurrences(data.occurrences || []);
+            } else {
+                setError(data.error || 'Failed to load the recurring booking.');
+            }
+        } catch (err) {
+            setError('Network error occurred while loading the recurring booking.');
+        } finally {
+            setLoading(false);
+        }
+    }, [booking.series_id, token]);
+
+    useEffect(() => {
+        fetchSeries();
+    }, [fetchSeries]);
+
+    const runAction = async (url, body) => {
+        setActionLoading(true);
+        setError('');
+        setSuccess('');
+
+        try {
+            const response = await fetch(url, {
+                method: 'PUT',
+                headers: { 'Content-Type': 'application/json', 'x-auth-token': token },
+                body: JSON.stringify(body),
+            });
+            const data = await response.json();
+
+            if (response.ok) {
+                setSuccess(data.message);
+                await fetchSeries();
+                onUpdated();
+            } else {
+                setError(data.error || 'Failed to update the recurring booking.');
+            }
+        } catch (err) {
+            setError('Network error occurred.');
+        } finally {
+            setActionLoading(false);
+        }
+    };
+
+    const handleSkip = (occurrence) => {
+        if (!window.confirm(`Skip the visit on ${new Date(occurrence.scheduled_at).toLocaleString()}?`)) return;
+        runAction(`${API_BASE_URL}/booking-series/${booking.series_id}/occurrences/${occurrence.id}/skip`, {});
+    };
+
+    const handleStatusChange = (status) => {
+        if (status === 'ended' && !window.confirm('End this recurring booking? All upcoming visits will be removed.')) return;
+        runAction(`${API_BASE_URL}/booking-series/${booking.series_id}/status`, { status });
+    };
+
+    const isUpcoming = (o) => ['pending_provider', 'awaiting_customer_confirmation', 'accepted'].includes(o.booking_status) && new Date(o.scheduled_at) > new Date();
+    const frequencyLabel = { weekly: 'Every week', biweekly: 'Every 2 weeks', monthly: 'Every month' };
+
+    return (
+        <Modal title={`Recurring Booking #${booking.series_id}`} onClose={onClose}>
+            {error && <ErrorMessage message={error} />}
+            {success && <SuccessMessage message={success} />}
+            {loading ? <Spinner /> : series && (
+                <div className="space-y-4">
+                    <div className="text-sm text-gray-700 bg-gray-50 p-3 rounded-lg border">
+                        <p><strong>{series.service_name}</strong> with {series.provider_name}</p>
+                        <p>{frequencyLabel[series.frequency]}{series.ends_on ? ` until ${new Date(series.ends_on).toLocaleDateString()}` : ` for ${series.occurrence_count} visits`}</p>
+                        <p>Series price: {series.agreed_amount ? `${CURRENCY_SYMBOL}${parseFloat(series.agreed_amount).toFixed(2)} per visit` : 'Not agreed yet'}</p>
+                        <p>Status: <span className="uppercase font-semibold">{series.status}</span></p>
+                    </div>
+
+                    <ol className="space-y-2 max-h-64 overflow-y-auto">
+                        {occurrences.map(o => (
+                            <li key={o.id} className="flex justify-between items-center p-2 rounded-lg border text-sm">
+                                <span>
+                                    <span className="font-mono text-gray-500">#{o.series_occurrence}</span> {new Date(o.scheduled_at).toLocaleString()}
+                                    <span className="ml-2 text-xs uppercase text-gray-500">{o.booking_status.replace(/_/g, ' ')}</span>
+                                </span>
+                                {isUpcoming(o) && series.status === 'active' && (
+                                    <button onClick={() => handleSkip(o)} disabled={actionLoading} className="text-orange-600 font-semibold hover:underline disabled:text-gray-400">
+                                        Skip
+                                    </button>
+                                )}
+                            </li>
+                        ))}
+                    </ol>
+
+                    {series.status !== 'ended' && (
+                        <div className="flex space-x-3">
+                            {series.status === 'active' && (
+                                <button onClick={() => handleStatusChange('paused')} disabled={actionLoading} className="flex-1 bg-amber-500 text-white font-bold py-2 rounded-lg hover:bg-amber-600 transition disabled:bg-gray-400">
+                                    Pause Series
+                                </button>
+                            )}
+                            {series.status === 'paused' && (
+                                <button onClick={() => handleStatusChange('active')} disabled={actionLoading} className="flex-1 bg-green-600 text-white font-bold py-2 rounded-lg hover:bg-green-700 transition disabled:bg-gray-400">
+                                    Resume Series
+                                </button>
+                            )}
+                            <button onClick={() => handleStatusChange('ended')} disabled={actionLoading} className="flex-1 bg-red-500 text-white font-bold py-2 rounded-lg hover:bg-red-600 transition disabled:bg-gray-400">
+                                End Series
+                            </button>
+                        </div>
+                    )}
+                </div>
+            )}
+        </Modal>
+    );
+};
+
+// datetime-local input value -> ISO string (the browser's local time zone)
+const localInputToIso = (value) => (value ? new Date(value).toISOString() : '');
+
+export const PostJobModal = ({ service, onClose, onPosted }) => {
+    const { token, user } = useAuth();
+    const [services, setServices] = useState([]);
+    const [loading, setLoading] = useState(false);
+    const [error, setError] = useState('');
+    const [success, setSuccess] = useState('');
+
+    const defaultAddress = getProfileField(user, 'address_line_1', '');
+    const defaultCity = getProfileField(user, 'city', '');
+    const fullAddress = defaultAddress + (defaultCity ? `, ${defaultCity}` : '');
+
+    // The service is chosen here when the modal is opened from the dashboard
+    useEffect(() => {
+        if (service) return;
+        const fetchServices = async () => {
+            try {
+                const res = await fetch(`${API_BASE_URL}/services`);
+                const data = await res.json();
+                setServices(data || []);
+            } catch (err) {
+                setError('Failed to load services.');
+            }
+        };
+        fetchServices();
+    }, [service]);
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        setLoading(true);
+        setError('');
+
+        const form = e.target;
+        const jobData = {
+            service_id: service ? service.id : parseInt(form.service_id.value, 10),
+            description: form.description.value,
+            address: form.address.value,
+            window_start: localInputToIso(form.window_start.value),
+            window_end: localInputToIso(form.window_end.value),
+        };
+
+        try {
+            const response = await fetch(`${API_BASE_URL}/jobs`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json', 'x-auth-token': token },
+                body: JSON.stringify(jobData),
+            });
+            const data = await response.json();
+
+            if (response.ok) {
+                setSuccess(data.message);
+                setTimeout(() => onPosted(), 2000);
+            } else {
+                setError(data.error || 'Failed to post the job.');
+            }
+        } catch (err) {
+            setError('Network error occurred while posting the job.');
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    return (
+        <Modal title={service ? `Post a ${service.name} Job` : 'Post a Job'} onClose={onClose}>
+            <p className="text-gray-600 mb-4">Describe the job once and let verified providers near you send their quotes. Pick the one you like.</p>
+            {error && <ErrorMessage message={error} />}
+            {success && <SuccessMessage message={success} />}
+            <form onSubmit={handleSubmit} className="space-y-4">
+                {!service && (
+                    <div>
+                        <label htmlFor="service_id" className="block text-sm font-semibold text-gray-700">Service</label>
+                        <select id="service_id" name="service_id" required className="mt-1 block w-full px-4 py-2 border border-gray-300 rounded-lg">
+                            {services.map(s => <option key={s.id} value={s.id}>{s.name}</option>)}
+                        </select>
+                    </div>
+                )}
+                <div>
+                    <label htmlFor="description" className="block text-sm font-semibold text-gray-700">What do you need done?</label>
+                    <textarea id="description" name="description" rows="3" required className="mt-1 block w-full px-4 py-2 border border-gray-300 rounded-lg" placeholder="e.g., Deep clean of a 2BHK apartment including kitchen."></textarea>
+                </div>
+                <div>
+                    <label htmlFor="address" className="block text-sm font-semibold text-gray-700">Service Address</label>
+                    <input id="address" name="address" type="text" defaultValue={fullAddress} required className="mt-1 block w-full px-4 py-2 border border-gray-300 rounded-lg" />
+                </div>
+                <div className="grid grid-cols-2 gap-3">
+                    <div>
+                        <label htmlFor="window_start" className="block text-sm font-semibold text-gray-700">Earliest Time</label>
+                        <input id="window_start" name="window_start" type="datetime-local" required className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-lg" />
+                    </div>
+                    <div>
+                        <label htmlFor="window_end" className="block text-sm font-semibold text-gray-700">Latest Time</label>
+                        <input id="window_end" name="window_end" type="datetime-local" required className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-lg" />
+                    </div>
+                </div>
+                <button type="submit" disabled={loading} className={`w-full ${DARK_CYAN_CLASS} text-white font-bold py-3 rounded-lg ${DARK_CYAN_HOVER_CLASS} transition disabled:bg-gray-400`}>
+                    {loading ? 'Posting Job...' : 'Post Job & Get Quotes'}
+                </button>
+            </form>
+        </Modal>
+    );
+};
+
+// datetime-local input value for an ISO timestamp, in the browser's local time zone
+const isoToLocalInput = (iso) => {
+    const d = new Date(iso);
+    const pad = (n) => String(n).padStart(2, '0');
+    return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}T${pad(d.getHours())}:${pad(d.getMinutes())}`;
+};
+
+export const SubmitBidModal = ({ job, onClose, onSubmitted }) => {
+    const { token } = useAuth();
+    const [amount, setAmount] = useState(job.my_bid ? String(job.my_bid.amount) : '');
+    const [proposedTime, setProposedTime] = useState(job.my_bid ? isoToLocalInput(job.my_bid.proposed_time) : isoToLocalInput(job.window_start));
+    const [message, setMessage] = useState(job.my_bid?.message || '');
+    const [loading, setLoading] = useState(false);
+    const [error, setError] = useState('');
+    const [success, setSuccess] = useState('');
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        setError('');
+
+        const finalAmount = parseFloat(amount);
+        if (isNaN(finalAmount) || finalAmount <= 0) {
+            setError('Please enter a valid positive amount.');
+            return;
+        }
+        setLoading(true);
+
+        try {
+            const response = await fetch(`${API_BASE_URL}/jobs/${job.id}/bids`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json', 'x-auth-token': token },
+                body: JSON.stringify({ amount: finalAmount, proposed_time: localInputToIso(proposedTime), message }),
+            });
+            const data = await response.json();
+
+            if (response.ok) {
+                setSuccess(data.message);
+                setTimeout(() => onSubmitted(), 1500);
+            } else {
+                setError(data.error || 'Failed to submit the bid.');
+            }
+        } catch (err) {
+            setError('Network error occurred.');
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    return (
+        <Modal title={`${job.my_bid ? 'Update' : 'Submit'} Quote for Job #${job.id}`} onClose={onClose}>
+            <div className="text-sm text-gray-700 bg-gray-50 p-3 rounded-lg border mb-4">
+                <p className="font-semibold">{job.service_name} &middot; {job.distance_km} km away</p>
+                <p className="mt-1">{job.description}</p>
+                <p className="mt-1 text-gray-500">Window: {new Date(job.window_start).toLocaleString()} - {new Date(job.window_end).toLocaleString()}</p>
+            </div>
+            {error && <ErrorMessage message={error} />}
+            {success && <SuccessMessage message={success} />}
+            <form onSubmit={handleSubmit} className="space-y-4">
+                <div>
+                    <label htmlFor="bid_amount" className="block text-sm font-semibold text-gray-700">Your Price ({CURRENCY_SYMBOL})</label>
+                    <input id="bid_amount" type="number" step="0.01" value={amount} onChange={(e) => setAmount(e.target.value)} required className="mt-1 block w-full px-4 py-2 border border-gray-300 rounded-lg" />
+                </div>
+                <div>
+                    <label htmlFor="bid_time" className="block text-sm font-semibold text-gray-700">When You Can Do It</label>
+                    <input 
+                        id="bid_time" 
+                        type="datetime-local" 
+                        value={proposedTime} 
+                        min={isoToLocalInput(job.window_start)} 
+                        max={isoToLocalInput(job.window_end)} 
+                        onChange={(e) => setProposedTime(e.target.value)} 
+                        required 
+                        className="mt-1 block w-full px-4 py-2 border border-gray-300 rounded-lg" 
+                    />
+                </div>
+                <div>
+                    <label htmlFor="bid_message" className="block text-sm font-semibold text-gray-700">Message (Optional)</label>
+                    <textarea id="bid_message" rows="2" value={message} onChange={(e) => setMessage(e.target.value)} className="mt-1 block w-full px-4 py-2 border border-gray-300 rounded-lg" placeholder="e.g., 5 years of experience, all materials included."></textarea>
+                </div>
+                <button type="submit" disabled={loading} className={`w-full ${DARK_CYAN_CLASS} text-white font-bold py-3 rounded-lg ${DARK_CYAN_HOVER_CLASS} transition disabled:bg-gray-400`}>
+                    {loading ? 'Submitting...' : job.my_bid ? 'Update Quote' : 'Submit Quote'}
+                </button>
+            </form>
+        </Modal>
+    );
+};
+
+const DISPUTE_REASON_LABELS = {
+    work_not_done: 'The work was not done',
+    poor_quality: 'Poor quality of work',
+    overcharged: 'Charged more than agreed',
+    damage: 'Damage to my property',
+    other: 'Other',
+};
+
+const DISPUTE_RULING_LABELS = {
+    full_payment: 'Full payment to the provider',
+    partial_payment: 'Partial payment to the provider',
+    no_payment: 'No payment',
+};
+
+export const DisputeModal = ({ booking, onClose, onUpdated }) => {
+    const { token, user } = useAuth();
+    const [dispute, setDispute] = useState(null);
+    const [loading, setLoading] = useState(true);
+    const [submitting, setSubmitting] = useState(false);
+    const [error, setError] = useState('');
+    const [success, setSuccess] = useState('');
+    const [reason, setReason] = useState('work_not_done');
+    const [statement, setStatement] = useState('');
+    const [response, setResponse] = useState('');
+    const [evidenceFiles, setEvidenceFiles] = useState([]);
+
+    const isCustomer = user?.role === 'customer';
+
+    const fetchDispute = useCallback(async () => {
+        try {
+            const res = await fetch(`${API_BASE_URL}/bookings/${booking.id}/dispute`, {
+                headers: { 'x-auth-token': token },
+            });
+            const data = await res.json();
+            if (res.ok) {
+                setDispute(data.dispute);
+                setResponse(data.dispute?.provider_response || '');
+            } else {
+                setError(data.error || 'Failed to load the dispute.');
+            }
+        } catch (err) {
+            setError('Network error occurred while loading the dispute.');
+        } finally {
+            setLoading(false);
+        }
+    }, [booking.id, token]);
+
+    useEffect(() => {
+        fetchDispute();
+    }, [fetchDispute]);
+
+    // Evidence is attached after the dispute exists, since uploads need the booking to be 'disputed'
+    const uploadEvidence = async () => {
+        if (evidenceFiles.length === 0) return null;
+        const uploadError = await uploadBookingPhotos(booking.id, evidenceFiles, 'dispute', token);
+        if (!uploadError) setEvidenceFiles([]);
+        return uploadError;
+    };
+
+    const handleOpenDispute = async (e) => {
+        e.preventDefault();
+        setSubmitting(true);
+        setError('');
+
+        try {
+            const res = await fetch(`${API_BASE_URL}/bookings/${booking.id}/dispute`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json', 'x-auth-token': token },
+                body: JSON.stringify({ reason, statement }),
+            });
+            const data = await res.json();
+
+            if (res.ok) {
+                const uploadError = await uploadEvidence();
+                setSuccess(data.message);
+                if (uploadError) setError(`Your evidence could not be uploaded (${uploadError}). You can add it below.`);
+                onUpdated();
+                fetchDispute();
+            } else {
+                setError(data.error || 'Failed to open the dispute.');
+            }
+        } catch (err) {
+            setError('Network error occurred.');
+        } finally {
+            setSubmitting(false);
+        }
+    };
+
+    const handleRespond = async (e) => {
+        e.preventDefault();
+        setSubmitting(true);
+        setError('');
+
+        try {
+            const res = await fetch(`${API_BASE_URL}/bookings/${booking.id}/dispute/response`, {
+                method: 'PUT',
+                headers: { 'Content-Type': 'application/json', 'x-auth-token': token },
+                body: JSON.stringify({ response }),
+            });
+            const data = await res.json();
+
+            if (res.ok) {
+                const uploadError = await uploadEvidence();
+                setSuccess(data.message);
+                if (uploadError) setError(`Your evidence could not be uploaded (${uploadError}).`);
+                fetchDispute();
+            } else {
+                setError(data.error || 'Failed to save your response.');
+            }
+        } catch (err) {
+            setError('Network error occurred.');
+        } finally {
+            setSubmitting(false);
+        }
+    };
+
+    const handleAddEvidence = async (e) => {
+        e.preventDefault();
+        setSubmitting(true);
+        setError('');
+        const uploadError = await uploadEvidence();
+        if (uploadError) {
+            setError(uploadError);
+        } else {
+            setSuccess('Evidence uploaded. You can see it under Details & Photos.');
+            e.target.reset();
+        }
+        setSubmitting(false);
+    };
+
+    const evidenceInput = (
+        <div>
+            <label htmlFor="dispute_evidence" className="block text-sm font-semibold text-gray-700">Evidence Photos (Optional)</label>
+            <input 
+                id="dispute_evidence" 
+                type="file" 
+                accept="image/*" 
+                multiple 
+                onChange={(e) => setEvidenceFiles(e.target.files)} 
+                className="mt-1 block w-full text-sm text-gray-700 file:mr-4 file:py-2 file:px-4 file:rounded-full file:border-0 file:text-sm file:font-semibold file:bg-cyan-50 file:text-cyan-700 hover:file:bg-cyan-100" 
+            />
+        </div>
+    );
+
+    return (
+        <Modal title={`Dispute for Booking #${booking.id}`} onClose={onClose}>
+            <div className="max-h-[75vh] overflow-y-auto space-y-4 pr-1">
+                {error && <ErrorMessage message={error} />}
+                {success && <SuccessMessage message={success} />}
+                {loading && <Spinner />}
+
+                {!loading && !dispute && isCustomer && (
+                    <form onSubmit={handleOpenDispute} className="space-y-4">
+                        <p className="text-gray-700">
+                            Not happy with this job? Tell us what went wrong. Payment of {CURRENCY_SYMBOL}{parseFloat(booking.amount || 0).toFixed(2)} is put on hold while our support team reviews the chat, photos and both sides' statements.
+                        </p>
+                        <div>
+                            <label htmlFor="dispute_reason" className="block text-sm font-semibold text-gray-700">Reason</label>
+                            <select id="dispute_reason" value={reason} onChange={(e) => setReason(e.target.value)} className="mt-1 block w-full px-4 py-2 border border-gray-300 rounded-lg">
+                                {Object.entries(DISPUTE_REASON_LABELS).map(([value, label]) => (
+                                    <option key={value} value={value}>{label}</option>
+                                ))}
+                            </select>
+                        </div>
+                        <div>
+                            <label htmlFor="dispute_statement" className="block text-sm font-semibold text-gray-700">What happened?</label>
+                            <textarea 
+                                id="dispute_statement" 
+                                rows="4" 
+                                value={statement} 
+                                onChange={(e) => setStatement(e.target.value)} 
+                                required 
+                                className="mt-1 block w-full px-4 py-2 border border-gray-300 rounded-lg" 
+                                placeholder="e.g., The tap still leaks and the provider left without fixing it."
+                            ></textarea>
+                        </div>
+                        {evidenceInput}
+                        <button type="submit" disabled={submitting || !!success} className="w-full bg-red-600 text-white font-bold py-3 rounded-lg hover:bg-red-700 transition disabled:bg-gray-400">
+                            {submitting ? 'Submitting...' : 'Open Dispute'}
+                        </button>
+                    </form>
+                )}
+
+                {!loading && !dispute && !isCustomer && (
+                    <p className="text-center text-gray-500">No dispute has been opened for this booking.</p>
+                )}
+
+                {dispute && (
+                    <>
+                        <div className={`p-3 rounded-lg border ${dispute.status === 'open' ? 'bg-orange-50 border-orange-300' : 'bg-green-50 border-green-300'}`}>
+                            <p className="font-semibold text-slate-800">
+                                {dispute.status === 'open' ? 'Under review - payment is on hold' : `Resolved: ${DISPUTE_RULING_LABELS[dispute.ruling]}`}
+                            </p>
+                            {dispute.status === 'resolved' && (
+                                <>
+                                    <p className="text-sm text-gray-700">Amount paid: {CURRENCY_SYMBOL}{parseFloat(dispute.ruled_amount).toFixed(2)}</p>
+                                    <p className="text-sm text-gray-700 italic">{dispute.admin_notes}</p>
+                                </>
+                            )}
+                        </div>
+                        <div>
+                            <h3 className="font-semibold text-slate-700">Customer: {DISPUTE_REASON_LABELS[dispute.reason]}</h3>
+                            <p className="text-sm text-gray-700 whitespace-pre-line">{dispute.customer_statement}</p>
+                            <p className="text-xs text-gray-500">{new Date(dispute.created_at).toLocaleString()}</p>
+                        </div>
+                        {(dispute.provider_response || isCustomer) && (
+                            <div>
+                                <h3 className="font-semibold text-slate-700">Provider's Response</h3>
+                                <p className="text-sm text-gray-700 whitespace-pre-line">{dispute.provider_response || 'The provider has not responded yet.'}</p>
+                                {dispute.provider_responded_at && <p className="text-xs text-gray-500">{new Date(dispute.provider_responded_at).toLocaleString()}</p>}
+                            </div>
+                        )}
+
+                        {dispute.status === 'open' && !isCustomer && (
+                            <form onSubmit={handleRespond} className="space-y-3 border-t pt-4">
+                                <label htmlFor="dispute_response" className="block text-sm font-semibold text-gray-700">
+                                    {dispute.provider_response ? 'Update Your Response' : 'Your Side of the Story'}
+                                </label>
+                                <textarea 
+                                    id="dispute_response" 
+                                    rows="4" 
+                                    value={response} 
+                                    onChange={(e) => setResponse(e.target.value)} 
+                                    required 
+                                    className="block w-full px-4 py-2 border border-gray-300 rounded-lg"
+                                ></textarea>
+                                {evidenceInput}
+                                <button type="submit" disabled={submitting} className={`w-full ${DARK_CYAN_CLASS} text-white font-bold py-2 rounded-lg ${DARK_CYAN_HOVER_CLASS} transition disabled:bg-gray-400`}>
+                                    {submitting ? 'Saving...' : 'Submit Response'}
+                                </button>
+                            </form>
+                        )}
+
+                        {dispute.status === 'open' && isCustomer && (
+                            <form onSubmit={handleAddEvidence} className="space-y-3 border-t pt-4">
+                                {evidenceInput}
+                                <button type="submit" disabled={submitting || evidenceFiles.length === 0} className={`w-full ${DARK_CYAN_CLASS} text-white font-bold py-2 rounded-lg ${DARK_CYAN_HOVER_CLASS} transition disabled:bg-gray-400`}>
+                                    {submitting ? 'Uploading...' : 'Add Evidence'}
+                                </button>
+                            </form>
+                        )}
+                    </>
+                )}
+            </div>
+        </Modal>
+    );
+};
+
+export const CalendarFeedModal = ({ onClose }) => {
+    const { token } = useAuth();
+    const [feedUrl, setFeedUrl] = useState('');
+    const [loading, setLoading] = useState(true);
+    const [error, setError] = useState('');
+    const [success, setSuccess] = useState('');
+
+    const applyFeedPath = (feedPath) => setFeedUrl(`${API_BASE_URL}${feedPath}`);
+
+    useEffect(() => {
+        const fetchFeed = async () => {
+            try {
+                const response = await fetch(`${API_BASE_URL}/user/calendar-feed`, { headers: { 'x-auth-token': token } });
+                const data = await response.json();
+                if (response.ok) {
+                    applyFeedPath(data.feed_path);
+                } else {
+                    setError(data.error || data.msg || 'Failed to load your calendar feed.');
+                }
+            } catch (err) {
+                setError('Network error occurred.');
+            } finally {
+                setLoading(false);
+            }
+        };
+        fetchFeed();
+    }, [token]);
+
+    const handleCopy = async () => {
+        setError('');
+        try {
+            await navigator.clipboard.writeText(feedUrl);
+            setSuccess('Feed link copied. Paste it into your calendar app under "Subscribe from URL".');
+        } catch (err) {
+            setError('Could not copy automatically. Please select the link and copy it.');
+        }
+    };
+
+    const handleReset = async () => {
+        if (!window.confirm('Reset your calendar feed link? Calendars subscribed to the old link will stop updating.')) return;
+        setError('');
+        setSuccess('');
+        try {
+            const response = await fetch(`${API_BASE_URL}/user/calendar-feed/reset`, {
+                method: 'POST',
+                headers: { 'x-auth-token': token },
+            });
+            const data = await response.json();
+            if (response.ok) {
+                applyFeedPath(data.feed_path);
+                setSuccess(data.message);
+            } else {
+                setError(data.error || data.msg || 'Failed to reset the feed link.');
+            }
+        } catch (err) {
+            setError('Network error occurred.');
+        }
+    };
+
+    return (
+        <Modal title="Calendar Feed" onClose={onClose}>
+            {error && <ErrorMessage message={error} />}
+            {success && <SuccessMessage message={success} />}
+            {loading ? <Spinner /> : feedUrl && (
+                <div className="space-y-4">
+                    <p className="text-gray-700">
+                        Subscribe Google Calendar, Outlook or Apple Calendar to this link to see your upcoming accepted bookings.
+                        Reschedules and cancellations update automatically (calendar apps refresh every few hours).
+                    </p>
+                    <p className="text-sm text-red-600">Keep this link private: anyone with it can see your bookings.</p>
+                    <input 
+                        type="text" 
+                        readOnly 
+                        value={feedUrl} 
+                        onFocus={(e) => e.target.select()}
+                        className="block w-full px-4 py-2 border border-gray-300 rounded-lg font-mono text-xs bg-gray-50" 
+                    />
+                    <div className="flex space-x-3">
+                        <button onClick={handleCopy} className={`flex-1 ${DARK_CYAN_CLASS} text-white font-bold py-2 rounded-lg ${DARK_CYAN_HOVER_CLASS} transition`}>
+                            Copy Link
+                        </button>
+                        <a href={feedUrl.replace(/^https?:/, 'webcal:')} className="flex-1 text-center bg-white text-cyan-700 border border-cyan-400 font-bold py-2 rounded-lg hover:bg-cyan-50 transition">
+                            Open in Calendar App
+                        </a>
+                    </div>
+                    <button onClick={handleReset} className="w-full text-sm text-gray-500 hover:text-red-600 underline">
+                        Reset link
+                    </button>
+                </div>
+            )}
+        </Modal>
+    );
+};
+
+// --- ADMIN BOOKING INTERVENTIONS ---
+const ADMIN_BOOKING_ACTIONS = [
+    { key: 'edit', label: 'Edit Amount / Time' },
+    { key: 'reassign', label: 'Reassign' },
+    { key: 'status', label: 'Force Status' },
+    { key: 'cancel', label: 'Cancel' },
+    { key: 'refund', label: 'Refund', statuses: ['closed'] },
+];
+
+// 'disputed' is left out: disputes are opened by the parties and closed by a ruling on the Disputes tab
+const ADMIN_FORCEABLE_STATUSES = ['pending_provider', 'awaiting_customer_confirmation', 'accepted', 'completed', 'closed', 'rejected', 'cancelled', 'expired'];
+
+// One line per audit entry, e.g. "amount: 500 → 650"
+const describeAdminAction = (details = {}) => Object.entries(details)
+    .map(([field, value]) => {
+        if (value && typeof value === 'object' && 'from' in value) {
+            const format = (v) => (field === 'scheduled_at' && v ? new Date(v).toLocaleString() : v ?? 'none');
+            return `${field.replace(/_/g, ' ')}: ${format(value.from)} → ${format(value.to)}`;
+        }
+        return `${field.replace(/_/g, ' ')}: ${value}`;
+    })
+    .join(' · ');
+
+export const AdminBookingActionsModal = ({ booking, onClose, onUpdated }) => {
+    const { token } = useAuth();
+    const idempotentFetch = useIdempotentFetch();
+    const [action, setAction] = useState('edit');
+    const [reason, setReason] = useState('');
+    const [amount, setAmount] = useState(booking.amount ? parseFloat(booking.amount).toFixed(2) : '');
+    const [scheduledAt, setScheduledAt] = useState(isoToLocalInput(booking.scheduled_at));
+    const [status, setStatus] = useState('');
+    const [providerId, setProviderId] = useState('');
+    const [candidates, setCandidates] = useState([]);
+    const [payments, setPayments] = useState([]);
+    const [paymentId, setPaymentId] = useState('');
+    const [refundAmount, setRefundAmount] = useState('');
+    const [auditTrail, setAuditTrail] = useState([]);
+    const [loading, setLoading] = useState(false);
+    const [error, setError] = useState('');
+    const [success, setSuccess] = useState('');
+
+    const fetchAuditTrail = useCallback(async () => {
+        try {
+            const res = await fetch(`${API_BASE_URL}/admin/bookings/${booking.id}/admin-actions`, {
+                headers: { 'x-auth-token': token },
+            });
+            const data = await res.json();
+            if (res.ok) setAuditTrail(data.actions);
+        } catch (err) {
+            console.error('Failed to load admin actions:', err);
+        }
+    }, [booking.id, token]);
+
+    useEffect(() => {
+        fetchAuditTrail();
+    }, [fetchAuditTrail]);
+
+    useEffect(() => {
+        if (action !== 'reassign') return;
+        const fetchCandidates = async () => {
+            try {
+                const res = await fetch(`${API_BASE_URL}/admin/bookings/${booking.id}/reassign-candidates`, {
+                    headers: { 'x-auth-token': token },
+                });
+                const data = await res.json();
+                if (res.ok) setCandidates(data.providers);
+                else setError(data.error || 'Failed to load providers.');
+            } catch (err) {
+                setError('Network error occurred while loading providers.');
+            }
+        };
+        fetchCandidates();
+    }, [action, booking.id, token]);
+
+    const fetchPayments = useCallback(async () => {
+        try {
+            const res = await fetch(`${API_BASE_URL}/admin/bookings/${booking.id}/payments`, {
+                headers: { 'x-auth-token': token },
+            });
+            const data = await res.json();
+            if (res.ok) {
+                setPayments(data);
+                setPaymentId(prev => prev || (data[0] ? String(data[0].id) : ''));
+            } else {
+                setError(data.error || 'Failed to load payments.');
+            }
+        } catch (err) {
+            setError('Network error occurred while loading payments.');
+        }
+    }, [booking.id, token]);
+
+    useEffect(() => {
+        if (action === 'refund') fetchPayments();
+    }, [action, fetchPayments]);
+
+    const selectedPayment = payments.find(p => String(p.id) === paymentId);
+    const refundable = selectedPayment ? parseFloat(selectedPayment.amount) - parseFloat(selectedPayment.refunded_amount) : 0;
+
+    const buildRequest = () => {
+        switch (action) {
+            case 'edit': {
+                const body = { reason };
+                if (amount !== '' && parseFloat(amount) !== parseFloat(booking.amount)) body.amount = parseFloat(amount);
+                if (scheduledAt && scheduledAt !== isoToLocalInput(booking.scheduled_at)) body.scheduled_at = localInputToIso(scheduledAt);
+                return { path: '', body };
+            }
+            case 'reassign': return { path: '/reassign', body: { provider_id: Number(providerId), reason } };
+            case 'status': return { path: '/status', body: { status, reason } };
+            case 'refund': return {
+                path: '/refunds',
+                method: 'POST',
+                body: { payment_id: Number(paymentId), amount: refundAmount === '' ? undefined : parseFloat(refundAmount), reason },
+            };
+            default: return { path: '/cancel', body: { reason } };
+        }
+    };
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        setLoading(true);
+        setError('');
+        setSuccess('');
+
+        const { path, body, method = 'PUT' } = buildRequest();
+
+        try {
+            const res = await idempotentFetch(`${API_BASE_URL}/admin/bookings/${booking.id}${path}`, {
+                method,
+                headers: { 'Content-Type': 'application/json', 'x-auth-token': token },
+                body: JSON.stringify(body),
+            });
+            const data = await res.json();
+
+            if (res.ok) {
+                setSuccess(`${data.message} Both parties have been emailed.`);
+                setReason('');
+                setRefundAmount('');
+                fetchAuditTrail();
+                if (action === 'refund') fetchPayments();
+                onUpdated();
+            } else {
+                setError(data.error || 'The action failed.');
+            }
+        } catch (err) {
+            setError('Network error occurred.');
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    return (
+        <Modal title={`Intervene on Booking #${booking.id}`} onClose={onClose}>
+            <div className="max-h-[75vh] overflow-y-auto space-y-4 pr-1">
+                {error && <ErrorMessage message={error} />}
+                {success && <SuccessMessage message={success} />}
+                <p className="text-sm text-gray-600">
+                    {booking.service_name} by {booking.provider_name} for {booking.customer_email} &middot; <span className="font-semibold">{booking.booking_status.replace(/_/g, ' ')}</span> &middot; {new Date(booking.scheduled_at).toLocaleString()}
+                </p>
+
+                <div className="flex flex-wrap gap-2">
+                    {ADMIN_BOOKING_ACTIONS.filter(a => !a.statuses || a.statuses.includes(booking.booking_status)).map(a => (
+                        <button 
+                            key={a.key}
+                            type="button"
+                            onClick={() => { setAction(a.key); setError(''); setSuccess(''); }}
+                            className={`px-3 py-1 rounded-full text-sm font-semibold border transition ${action === a.key ? 'bg-slate-700 text-white border-slate-700' : 'bg-white text-gray-700 border-gray-300 hover:bg-gray-50'}`}
+                        >
+                            {a.label}
+                        </button>
+                    ))}
+                </div>
+
+                <form onSubmit={handleSubmit} className="space-y-4">
+                    {action === 'edit' && (
+                        <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                            <div>
+                                <label htmlFor="admin_amount" className="block text-sm font-semibold text-gray-700">Amount ({CURRENCY_SYMBOL})</label>
+                                <input id="admin_amount" type="number" min="0.01" step="0.01" value={amount} onChange={(e) => setAmount(e.target.value)} className="mt-1 block w-full px-4 py-2 border border-gray-300 rounded-lg" />
+                                <p className="text-xs text-gray-500 mt-1">Accepted, completed or disputed bookings only. Any escrow hold is resized.</p>
+                            </div>
+                            <div>
+                                <label htmlFor="admin_scheduled_at" className="block text-sm font-semibold text-gray-700">Scheduled For</label>
+                                <input id="admin_scheduled_at" type="datetime-local" value={scheduledAt} onChange={(e) => setScheduledAt(e.target.value)} className="mt-1 block w-full px-4 py-2 border border-gray-300 rounded-lg" />
+                                <p className="text-xs text-gray-500 mt-1">Must be free in the provider's schedule.</p>
+                            </div>
+                        </div>
+                    )}
+
+                    {action === 'reassign' && (
+                        <div>
+                            <label htmlFor="admin_provider" className="block text-sm font-semibold text-gray-700">New Provider</label>
+                            <select id="admin_provider" value={providerId} onChange={(e) => setProviderId(e.target.value)} required className="mt-1 block w-full px-4 py-2 border border-gray-300 rounded-lg">
+                                <option value="">Select a provider offering {booking.service_name}</option>
+                                {candidates.map(p => (
+                                    <option key={p.id} value={p.id}>
+                                        {p.display_name} ({p.email}){p.is_verified ? ' ✓' : ''} ⭐ {parseFloat(p.average_rating || 0).toFixed(1)}
+                                    </option>
+                                ))}
+                            </select>
+                            <p className="text-xs text-gray-500 mt-1">The time and price stay the same. Open quotes and reschedule proposals are withdrawn.</p>
+                        </div>
+                    )}
+
+                    {action === 'status' && booking.booking_status === 'disputed' && (
+                        <p className="text-gray-700">This booking is in dispute. Its status changes when the dispute is resolved from the Disputes tab.</p>
+                    )}
+
+                    {action === 'status' && booking.booking_status !== 'disputed' && (
+                        <div>
+                            <label htmlFor="admin_status" className="block text-sm font-semibold text-gray-700">New Status</label>
+                            <select id="admin_status" value={status} onChange={(e) => setStatus(e.target.value)} required className="mt-1 block w-full px-4 py-2 border border-gray-300 rounded-lg">
+                                <option value="">Select a status</option>
+                                {ADMIN_FORCEABLE_STATUSES.filter(s => s !== booking.booking_status).map(s => (
+                                    <option key={s} value={s}>{s.replace(/_/g, ' ')}</option>
+                                ))}
+                            </select>
+                            <p className="text-xs text-red-600 mt-1">Skips the normal booking rules. No payment is taken. Ending a booking or moving it back before acceptance returns any escrow hold; moving it to accepted or completed holds the booking amount from the customer's wallet. Paid bookings cannot be forced.</p>
+                        </div>
+                    )}
+
+                    {action === 'cancel' && (
+                        <p className="text-gray-700">The booking is cancelled without a cancellation fee and any escrow hold is returned to the customer.</p>
+                    )}
+
+                    {action === 'refund' && (
+                        payments.length === 0 ? (
+                            <p className="text-gray-700">No captured payment found for this booking.</p>
+                        ) : (
+                            <div className="space-y-3">
+                                <div>
+                                    <label htmlFor="admin_refund_payment" className="block text-sm font-semibold text-gray-700">Payment</label>
+                                    <select id="admin_refund_payment" value={paymentId} onChange={(e) => setPaymentId(e.target.value)} required className="mt-1 block w-full px-4 py-2 border border-gray-300 rounded-lg">
+                                        {payments.map(p => (
+                                            <option key={p.id} value={p.id}>
+                                                {p.gateway_transaction_id}: {CURRENCY_SYMBOL}{parseFloat(p.amount).toFixed(2)} on {new Date(p.paid_at).toLocaleDateString()} ({p.status.replace(/_/g, ' ')})
+                                            </option>
+                                        ))}
+                                    </select>
+                                </div>
+                                {selectedPayment?.refunds.length > 0 && (
+                                    <ul className="text-xs text-gray-600 space-y-1">
+                                        {selectedPayment.refunds.map(r => (
+                                            <li key={r.id}>Refunded {CURRENCY_SYMBOL}{parseFloat(r.amount).toFixed(2)} on {new Date(r.created_at).toLocaleString()}: {r.reason}</li>
+                                        ))}
+                                    </ul>
+                                )}
+                                <div>
+                                    <label htmlFor="admin_refund_amount" className="block text-sm font-semibold text-gray-700">Refund Amount ({CURRENCY_SYMBOL})</label>
+                                    <input id="admin_refund_amount" type="number" min="0.01" max={refundable.toFixed(2)} step="0.01" value={refundAmount} onChange={(e) => setRefundAmount(e.target.value)} placeholder={`Leave empty for the full ${CURRENCY_SYMBOL}${refundable.toFixed(2)}`} disabled={refundable <= 0} className="mt-1 block w-full px-4 py-2 border border-gray-300 rounded-lg" />
+                                    <p className="text-xs text-gray-500 mt-1">
+                                        {refundable > 0
+                                            ? `${CURRENCY_SYMBOL}${refundable.toFixed(2)} still refundable. The provider and the platform commission give back their shares; tips are not refunded.`
+                                            : 'This payment has been refunded in full.'}
+                                    </p>
+                                </div>
+                            </div>
+                        )
+                    )}
+
+                    <div>
+                        <label htmlFor="admin_action_reason" className="block text-sm font-semibold text-gray-700">Reason (emailed to both parties and kept in the audit trail)</label>
+                        <textarea 
+                            id="admin_action_reason" 
+                            rows="3" 
+                            value={reason}
+                            onChange={(e) => setReason(e.target.value)}
+                            required 
+                            className="mt-1 block w-full px-4 py-2 border border-gray-300 rounded-lg" 
+                            placeholder="e.g., Provider is unwell; customer agreed by phone to another provider."
+                        ></textarea>
+                    </div>
+                    <button type="submit" disabled={loading || (action === 'status' && booking.booking_status === 'disputed')} className="w-full bg-red-600 text-white font-bold py-3 rounded-lg hover:bg-red-700 transition disabled:bg-gray-400">
+                        {loading ? 'Applying...' : `Apply: ${ADMIN_BOOKING_ACTIONS.find(a => a.key === action).label}`}
+                    </button>
+                </form>
+
+                <div>
+                    <h3 className="text-sm font-bold text-slate-700 mb-2">Admin Audit Trail</h3>
+                    {auditTrail.length === 0 ? (
+                        <p className="text-sm text-gray-500">No admin actions on this booking yet.</p>
+                    ) : (
+                        <ul className="space-y-2 text-sm">
+                            {auditTrail.map(entry => (
+                                <li key={entry.id} className="bg-gray-50 p-2 rounded-lg border">
+                                    <p><span className="font-semibold capitalize">{entry.action.replace(/_/g, ' ')}</span> by {entry.admin_email || 'admin'} on {new Date(entry.created_at).toLocaleString()}</p>
+                                    <p className="text-gray-600">Reason: {entry.reason}</p>
+                                    {Object.keys(entry.details || {}).length > 0 && <p className="text-xs text-gray-500">{describeAdminAction(entry.details)}</p>}
+                                </li>
+                            ))}
+                        </ul>
+                    )}
+                </div>
+            </div>
+        </Modal>
+    );
+};
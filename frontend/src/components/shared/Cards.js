@@ -55,7 +55,7 @@ export const ProviderCard = ({ provider, onClick }) => (
 );
 
 
-export const BookingCard = ({ booking, handleAction, isCustomer, onReviewModalOpen, onChatModalOpen, onPriceConfirmationOpen, onSetPriceOpen }) => {
+export const BookingCard = ({ booking, handleAction, isCustomer, onReviewModalOpen, onChatModalOpen, onPriceConfirmationOpen, onSetPriceOpen, onCancelOpen, onRescheduleOpen, onRescheduleRespond, onSeriesOpen, onJobCodeOpen, onDetailsOpen, onDisputeOpen, onCalendarDownload, onInvoiceDownload }) => {
     // Helper to determine color based on status
     const getStatusClasses = (status) => {
         switch (status) {
@@ -65,6 +65,9 @@ export const BookingCard = ({ booking, handleAction, isCustomer, onReviewModalOp
             case 'completed': return 'bg-red-100 text-red-800 border-red-300'; // Completed/Unpaid
             case 'closed': return 'bg-green-100 text-green-800 border-green-300'; // Paid/Closed
             case 'rejected': return 'bg-gray-200 text-gray-700 border-gray-400';
+            case 'cancelled': return 'bg-gray-200 text-gray-700 border-gray-400';
+            case 'expired': return 'bg-gray-100 text-gray-500 border-gray-300 border-dashed';
+            case 'disputed': return 'bg-orange-100 text-orange-800 border-orange-300';
             default: return 'bg-gray-100 text-gray-600 border-gray-300';
         }
     };
@@ -81,6 +84,115 @@ export const BookingCard = ({ booking, handleAction, isCustomer, onReviewModalOp
     // FIX: Using CURRENCY_SYMBOL from imports instead of hardcoded '₹'
     const amountDisplay = booking.amount ? `${CURRENCY_SYMBOL}${parseFloat(booking.amount).toFixed(2)}` : 'N/A';
     
+    // Cancellation is allowed until the job is done (the server enforces who may cancel when)
+    const cancellableStatuses = isCustomer 
+        ? ['pending_provider', 'awaiting_customer_confirmation', 'accepted'] 
+        : ['awaiting_customer_confirmation', 'accepted'];
+    const cancelButton = onCancelOpen && cancellableStatuses.includes(booking.booking_status) && (
+        <button 
+            className="bg-white text-red-600 border border-red-400 px-4 py-2 rounded-lg font-semibold hover:bg-red-50 transition shadow-sm"
+            onClick={() => onCancelOpen(booking)}
+        >
+            Cancel Booking
+        </button>
+    );
+    
+    // Reschedule: either party can propose, only the other party answers a pending proposal
+    const myRole = isCustomer ? 'customer' : 'provider';
+    const pendingReschedule = booking.pending_reschedule;
+    const canReschedule = ['pending_provider', 'awaiting_customer_confirmation', 'accepted'].includes(booking.booking_status);
+    const rescheduleActions = onRescheduleOpen && canReschedule && (
+        <>
+            {pendingReschedule && pendingReschedule.proposer_role !== myRole && onRescheduleRespond && (
+                <div className="p-2 border border-orange-300 bg-orange-50 rounded-lg text-sm space-y-2">
+                    <p className="font-semibold text-orange-800">New time proposed: {new Date(pendingReschedule.proposed_scheduled_at).toLocaleString()}</p>
+                    {pendingReschedule.message && <p className="italic text-gray-600">{pendingReschedule.message}</p>}
+                    <div className="flex space-x-2">
+                        <button onClick={() => onRescheduleRespond(booking, pendingReschedule.id, true)} className="flex-1 bg-green-600 text-white px-3 py-1 rounded-lg font-semibold hover:bg-green-700 transition">Accept</button>
+                        <button onClick={() => onRescheduleRespond(booking, pendingReschedule.id, false)} className="flex-1 bg-red-500 text-white px-3 py-1 rounded-lg font-semibold hover:bg-red-600 transition">Decline</button>
+                    </div>
+                </div>
+            )}
+            {pendingReschedule && pendingReschedule.proposer_role === myRole && (
+                <p className="text-orange-700 text-sm text-center p-2 border border-orange-300 rounded-lg">
+                    Proposed {new Date(pendingReschedule.proposed_scheduled_at).toLocaleString()} (awaiting reply)
+                </p>
+            )}
+            <button 
+                className="bg-white text-orange-600 border border-orange-400 px-4 py-2 rounded-lg font-semibold hover:bg-orange-50 transition shadow-sm"
+                onClick={() => onRescheduleOpen(booking)}
+            >
+                Reschedule
+            </button>
+        </>
+    );
+
+    // Recurring bookings: manage the whole series (skip/pause/end) from any of its visits
+    const seriesButton = onSeriesOpen && booking.series_id && (
+        <button 
+            className="bg-white text-indigo-600 border border-indigo-400 px-4 py-2 rounded-lg font-semibold hover:bg-indigo-50 transition shadow-sm"
+            onClick={() => onSeriesOpen(booking)}
+        >
+            Manage Series
+        </button>
+    );
+
+    // Booking details with the problem/before/after photos, available in every status
+    const detailsButton = onDetailsOpen && (
+        <button 
+            className="bg-white text-slate-700 border border-slate-400 px-4 py-2 rounded-lg font-semibold hover:bg-slate-50 transition shadow-sm"
+            onClick={() => onDetailsOpen(booking)}
+        >
+            Details & Photos
+        </button>
+    );
+
+    // Calendar export (.ics) for jobs that are confirmed
+    const calendarButton = onCalendarDownload && booking.booking_status === 'accepted' && (
+        <button 
+            className="bg-white text-cyan-700 border border-cyan-400 px-4 py-2 rounded-lg font-semibold hover:bg-cyan-50 transition shadow-sm"
+            onClick={() => onCalendarDownload(booking)}
+        >
+            📅 Add to Calendar
+        </button>
+    );
+
+    // Invoice PDF, once the booking has been paid
+    const invoiceButton = onInvoiceDownload && booking.is_paid && (
+        <button 
+            className="bg-white text-green-700 border border-green-400 px-4 py-2 rounded-lg font-semibold hover:bg-green-50 transition shadow-sm"
+            onClick={() => onInvoiceDownload(booking)}
+        >
+            🧾 Download Invoice{booking.invoice_number ? ` ${booking.invoice_number}` : ''}
+        </button>
+    );
+
+    // Completion confirmation: after the provider marks the job done, the customer confirms (and pays)
+    // or reports it as not done before confirmation_due_at; after that it is confirmed automatically
+    const confirmationDue = booking.booking_status === 'completed' && booking.confirmation_due_at ? new Date(booking.confirmation_due_at) : null;
+    const confirmationOpen = booking.booking_status === 'completed' && (!confirmationDue || confirmationDue > new Date());
+    const confirmationNote = booking.booking_status === 'completed' && confirmationDue && (
+        <p className={`text-sm text-center p-2 rounded-lg border ${confirmationOpen ? 'text-red-700 bg-red-50 border-red-200' : 'text-gray-700 bg-gray-50 border-gray-300'}`}>
+            {confirmationOpen
+                ? (isCustomer
+                    ? `Confirm or report a problem by ${confirmationDue.toLocaleString()}. After that the job is confirmed and paid automatically.`
+                    : `Auto-confirms on ${confirmationDue.toLocaleString()} unless the customer reports a problem.`)
+                : (isCustomer
+                    ? 'The confirmation window has ended. Payment is taken automatically once your wallet balance covers it.'
+                    : 'Confirmation window ended. Payment is taken as soon as the customer\'s wallet covers it.')}
+        </p>
+    );
+
+    // Disputes: the customer can dispute instead of paying; both sides follow the case from here
+    const disputeButton = onDisputeOpen && (booking.booking_status === 'disputed' || (isCustomer && confirmationOpen)) && (
+        <button 
+            className="bg-white text-orange-700 border border-orange-400 px-4 py-2 rounded-lg font-semibold hover:bg-orange-50 transition shadow-sm"
+            onClick={() => onDisputeOpen(booking)}
+        >
+            {booking.booking_status === 'disputed' ? 'View Dispute' : 'Not Done / Report a Problem'}
+        </button>
+    );
+
     // Customer Actions
     const customerActions = (
         <div className="flex flex-col space-y-3">
@@ -102,13 +214,31 @@ export const BookingCard = ({ booking, handleAction, isCustomer, onReviewModalOp
                     className="text-white px-4 py-2 rounded-lg font-semibold transition shadow-md bg-red-500 hover:bg-red-600"
                     onClick={() => onReviewModalOpen(booking)}
                 >
-                    {/* Dynamic text: 'Pay & Review' OR 'Leave/View Review' */}
-                    {booking.booking_status === 'completed' ? 'Pay & Review' : 'Leave/View Review'}
+                    {/* Dynamic text: 'Confirm & Pay' OR 'Leave/View Review' */}
+                    {booking.booking_status === 'completed' ? 'Confirm Done & Pay' : 'Leave/View Review'}
                 </button>
             )}
+            {confirmationNote}
             
+            {/* Handshake codes: shared with the provider on arrival and when the work is done */}
+            {booking.booking_status === 'accepted' && booking.start_code && (
+                <div className="p-3 border border-cyan-300 bg-cyan-50 rounded-lg text-sm text-center">
+                    {booking.started_at ? (
+                        <>
+                            <p className="text-gray-600">Completion code (share when the work is done)</p>
+                            <p className="text-2xl font-mono font-bold tracking-widest text-slate-800">{booking.completion_code}</p>
+                        </>
+                    ) : (
+                        <>
+                            <p className="text-gray-600">Start code (share when the provider arrives)</p>
+                            <p className="text-2xl font-mono font-bold tracking-widest text-slate-800">{booking.start_code}</p>
+                        </>
+                    )}
+                </div>
+            )}
+
             {/* Chat button */}
-            {(booking.booking_status === 'accepted' || booking.booking_status === 'closed' || booking.booking_status === 'completed') && (
+            {['accepted', 'completed', 'disputed', 'closed'].includes(booking.booking_status) && (
                  <button 
                     className={`${DARK_CYAN_CLASS} text-white px-4 py-2 rounded-lg font-semibold ${DARK_CYAN_HOVER_CLASS} transition shadow-md`}
                     onClick={() => onChatModalOpen(booking)}
@@ -116,19 +246,33 @@ export const BookingCard = ({ booking, handleAction, isCustomer, onReviewModalOp
                     Chat Now
                 </button>
             )}
+
+            {disputeButton}
+            {detailsButton}
+            {invoiceButton}
+            {calendarButton}
+            {rescheduleActions}
+            {seriesButton}
+            {cancelButton}
         </div>
     );
     
     // Provider Actions
     const providerActions = (
         <div className="flex flex-col space-y-3">
+             {booking.booking_status === 'pending_provider' && booking.pending_counter_offer && (
+                <p className="text-purple-700 text-sm text-center p-2 border border-purple-300 bg-purple-50 rounded-lg">
+                    Customer counter-offer: {CURRENCY_SYMBOL}{parseFloat(booking.pending_counter_offer.amount).toFixed(2)}
+                    {booking.pending_counter_offer.message && <span className="block italic text-gray-600">{booking.pending_counter_offer.message}</span>}
+                </p>
+            )}
              {booking.booking_status === 'pending_provider' && (
                 <div className="flex space-x-3">
                     <button 
                         onClick={() => onSetPriceOpen(booking)} 
                         className="bg-green-600 text-white px-4 py-2 rounded-lg font-semibold hover:bg-green-700 transition shadow-md"
                     >
-                        Set Price & Accept
+                        {booking.pending_counter_offer ? 'Send New Quote' : 'Set Price & Accept'}
                     </button>
                     <button 
                         onClick={() => handleAction(booking.id, 'rejected')} 
@@ -145,12 +289,21 @@ export const BookingCard = ({ booking, handleAction, isCustomer, onReviewModalOp
             
             {booking.booking_status === 'accepted' && (
                  <div className="space-y-3">
-                    <button 
-                        onClick={() => handleAction(booking.id, 'completed')} 
-                        className="bg-red-600 text-white px-4 py-2 rounded-lg font-semibold hover:bg-red-700 transition shadow-md"
-                    >
-                        Mark Completed (Awaiting Payment)
-                    </button>
+                    {booking.started_at ? (
+                        <button 
+                            onClick={() => onJobCodeOpen(booking, 'complete')} 
+                            className="bg-red-600 text-white px-4 py-2 rounded-lg font-semibold hover:bg-red-700 transition shadow-md"
+                        >
+                            Mark Completed (Enter Code)
+                        </button>
+                    ) : (
+                        <button 
+                            onClick={() => onJobCodeOpen(booking, 'start')} 
+                            className="bg-green-600 text-white px-4 py-2 rounded-lg font-semibold hover:bg-green-700 transition shadow-md"
+                        >
+                            Start Job (Enter Code)
+                        </button>
+                    )}
                     <button 
                         className={`${DARK_CYAN_CLASS} text-white px-4 py-2 rounded-lg font-semibold ${DARK_CYAN_HOVER_CLASS} transition shadow-md`}
                         onClick={() => onChatModalOpen(booking)}
@@ -160,7 +313,7 @@ export const BookingCard = ({ booking, handleAction, isCustomer, onReviewModalOp
                  </div>
             )}
 
-            {(booking.booking_status === 'completed' || booking.booking_status === 'closed') && (
+            {['completed', 'disputed', 'closed'].includes(booking.booking_status) && (
                  <button 
                     className={`${DARK_CYAN_CLASS} text-white px-4 py-2 rounded-lg font-semibold ${DARK_CYAN_HOVER_CLASS} transition shadow-md`}
                     onClick={() => onChatModalOpen(booking)}
@@ -168,12 +321,27 @@ export const BookingCard = ({ booking, handleAction, isCustomer, onReviewModalOp
                     Chat Now / View
                 </button>
             )}
+
+            {booking.booking_status === 'disputed' && (
+                <p className="font-semibold text-sm text-center p-2 rounded-lg text-orange-700 bg-orange-100">
+                    Status: Disputed - Payment On Hold
+                </p>
+            )}
             
             {(booking.booking_status === 'completed' || booking.booking_status === 'closed') && (
                 <p className={`font-semibold text-sm text-center p-2 rounded-lg ${booking.booking_status === 'completed' ? 'text-red-500 bg-red-100' : 'text-green-600 bg-green-100'}`}>
-                    Status: {booking.booking_status === 'completed' ? 'Awaiting Customer Payment' : 'PAID & CLOSED'}
+                    Status: {booking.booking_status === 'completed' ? 'Awaiting Customer Confirmation' : 'PAID & CLOSED'}
                 </p>
             )}
+            {confirmationNote}
+
+            {disputeButton}
+            {detailsButton}
+            {invoiceButton}
+            {calendarButton}
+            {rescheduleActions}
+            {seriesButton}
+            {cancelButton}
 
         </div>
     );
@@ -195,10 +363,37 @@ export const BookingCard = ({ booking, handleAction, isCustomer, onReviewModalOp
                     <p className="font-medium text-slate-800">{secondaryInfo}</p>
                     <p>📅 **Scheduled:** {new Date(booking.scheduled_at).toLocaleString()}</p>
                     <p>📍 **Location:** {booking.address}</p>
+                    {booking.series_id && <p className="text-indigo-600">🔁 Recurring visit #{booking.series_occurrence}</p>}
+                    {booking.started_at && <p>▶️ **Started:** {new Date(booking.started_at).toLocaleString()}</p>}
+                    {booking.completed_at && <p>✅ **Finished:** {new Date(booking.completed_at).toLocaleString()}</p>}
                     {(booking.amount && booking.booking_status !== 'pending_provider') && <p className="font-bold text-blue-600">💰 **Price:** {amountDisplay}</p>}
+                    {booking.escrow_status === 'held' && (
+                        <p className="text-emerald-700">🔒 {CURRENCY_SYMBOL}{parseFloat(booking.escrow_amount).toFixed(2)} held in escrow{isCustomer ? ' from your wallet' : ' for this job'}</p>
+                    )}
+                    {booking.escrow_status === 'returned' && isCustomer && (
+                        <p className="text-gray-500">↩️ Escrow of {CURRENCY_SYMBOL}{parseFloat(booking.escrow_amount).toFixed(2)} returned to your wallet</p>
+                    )}
+                    {booking.refunds?.map(refund => (
+                        <p key={refund.id} className="text-purple-700">
+                            💸 Refunded {CURRENCY_SYMBOL}{parseFloat(refund.amount).toFixed(2)} to your wallet on {new Date(refund.created_at).toLocaleDateString()}: {refund.reason}
+                        </p>
+                    ))}
                     {booking.service_description && (
                         <p className={`mt-2 p-2 bg-gray-50 border-l-4 ${DARK_CYAN_TEXT_CLASS.replace('text', 'border')}`}>Description: {booking.service_description}</p>
                     )}
+                    {booking.booking_status === 'cancelled' && booking.cancellation_reason && (
+                        <p className="mt-2 p-2 bg-red-50 border-l-4 border-red-400">
+                            Cancelled: {booking.cancellation_reason}
+                            {parseFloat(booking.cancellation_fee) > 0 && ` (fee ${CURRENCY_SYMBOL}${parseFloat(booking.cancellation_fee).toFixed(2)})`}
+                        </p>
+                    )}
+                    {booking.booking_status === 'expired' && (
+                        <p className="mt-2 p-2 bg-gray-50 border-l-4 border-gray-400">
+                            {isCustomer
+                                ? 'This request expired because it was not answered in time. You can book again from the services page.'
+                                : 'This request expired because it was not answered in time.'}
+                        </p>
+                    )}
                     {booking.customer_notes && (
                         <p className="mt-2 p-2 bg-gray-50 border-l-4 border-blue-400 italic">Notes: {booking.customer_notes}</p>
                     )}
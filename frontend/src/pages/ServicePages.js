@@ -4,7 +4,7 @@ import React, { useState, useEffect } from 'react';
 import { useAuth } from '../context/AuthContext';
 import { ServiceCard, ProviderCard } from '../components/shared/Cards';
 import { Spinner, ErrorMessage,SuccessMessage } from '../components/shared/UI';
-import { BookingModal } from '../components/modals/Modals';
+import { BookingModal, PostJobModal } from '../components/modals/Modals';
 import { 
     API_BASE_URL, 
     CURRENCY_SYMBOL, 
@@ -70,6 +70,7 @@ export const ServiceProvidersPage = ({ service, setPage, setSelectedProvider })
     const [providers, setProviders] = useState([]);
     const [loading, setLoading] = useState(true);
     const [error, setError] = useState('');
+    const [isPostJobModalOpen, setIsPostJobModalOpen] = useState(false);
     
     // Get customer default location from profile
     const lat = isAuthenticated ? getProfileField(user, 'location_lat', null) : null;
@@ -111,12 +112,31 @@ export const ServiceProvidersPage = ({ service, setPage, setSelectedProvider })
         setPage('providerDetail');
     };
 
+    const handlePostJob = () => {
+        if (!isAuthenticated || user?.role !== 'customer') {
+            setPage('login');
+        } else {
+            setIsPostJobModalOpen(true);
+        }
+    };
+
     return (
         <div className="container mx-auto px-6 py-16">
             <a onClick={() => setPage('allServices')} className="text-blue-600 hover:text-blue-800 font-medium transition mb-8 flex items-center cursor-pointer">&larr; Back to Services</a>
             <h1 className="text-4xl font-extrabold text-slate-800 mb-2">{service?.name || "Service Providers"}</h1>
             <p className="text-lg text-gray-600 mb-4 max-w-3xl">{service?.description}</p>
-            <p className="text-sm text-blue-500 font-medium mb-8">{locationMessage}</p>
+            <p className="text-sm text-blue-500 font-medium mb-4">{locationMessage}</p>
+            {user?.role !== 'provider' && user?.role !== 'admin' && (
+                <div className="flex flex-col md:flex-row md:items-center justify-between gap-3 bg-cyan-50 border border-cyan-200 rounded-xl p-4 mb-8">
+                    <p className="text-gray-700">Rather compare quotes? Post the job and nearby providers will send you their prices.</p>
+                    <button 
+                        onClick={handlePostJob} 
+                        className={`${DARK_CYAN_CLASS} text-white font-bold px-5 py-2 rounded-lg ${DARK_CYAN_HOVER_CLASS} transition shadow-md whitespace-nowrap`}
+                    >
+                        Post a Job
+                    </button>
+                </div>
+            )}
             
             {loading && <Spinner />}
             {error && <ErrorMessage message={error} />}
@@ -131,6 +151,13 @@ export const ServiceProvidersPage = ({ service, setPage, setSelectedProvider })
                     </p>
                 )}
             </div>
+            {isPostJobModalOpen && (
+                <PostJobModal 
+                    service={service} 
+                    onClose={() => setIsPostJobModalOpen(false)} 
+                    onPosted={() => { setIsPostJobModalOpen(false); setPage('customerDashboard'); }} 
+                />
+            )}
         </div>
     );
 };
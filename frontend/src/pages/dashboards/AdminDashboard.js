@@ -11,7 +11,8 @@ import {
     getPhotoUrl 
 } from '../utils/helpers';
 import { Spinner, ErrorMessage, SuccessMessage } from '../../components/shared/UI';
-import { DashboardLayout } from '../../components/shared/UI';
+import { DashboardLayout, BookingFilterBar, LoadMoreSentinel, usePaginatedBookings, useIdempotentFetch } from '../../components/shared/UI';
+import { BookingStatusHistoryModal, AdminCompleteBookingModal, BookingDetailsModal, AdminBookingActionsModal } from '../../components/modals/Modals';
 
 
 const AdminProfileManagement = () => {
@@ -153,6 +154,7 @@ const AdminProfileManagement = () => {
 
 const AdminWalletRequests = () => {
     const { token } = useAuth();
+    const idempotentFetch = useIdempotentFetch();
     const [requests, setRequests] = useState([]);
     const [loading, setLoading] = useState(true);
     const [error, setError] = useState('');
@@ -189,7 +191,7 @@ const AdminWalletRequests = () => {
         setError('');
         
         try {
-            const response = await fetch(`${API_BASE_URL}/admin/wallet-requests/${requestId}/${action}`, {
+            const response = await idempotentFetch(`${API_BASE_URL}/admin/wallet-requests/${requestId}/${action}`, {
                 method: 'PUT',
                 headers: { 'x-auth-token': token },
             });
@@ -243,6 +245,9 @@ const AdminWalletRequests = () => {
                                         {req.status}
                                     </span>
                                     <span className="text-sm font-bold uppercase text-blue-600">{isDeposit ? 'Deposit' : 'Withdrawal'}</span>
+                                    {req.source === 'gateway' && (
+                                        <span className="text-xs font-semibold px-2 py-1 rounded-full bg-emerald-100 text-emerald-800">Paid online (auto-approved)</span>
+                                    )}
                                     <p className="text-sm text-gray-500">Request ID: <span className="font-mono">{req.id}</span></p>
                                 </div>
                                 
@@ -255,7 +260,7 @@ const AdminWalletRequests = () => {
                                     {/* Deposit Specific Fields */}
                                     {isDeposit && (
                                         <>
-                                            <p>💳 **Txn Ref:** <span className="font-mono text-cyan-700">{req.transaction_reference}</span></p>
+                                            <p>💳 **{req.source === 'gateway' ? 'Gateway Payment ID' : 'Txn Ref'}:** <span className="font-mono text-cyan-700">{req.transaction_reference}</span></p>
                                             {req.screenshot_url && (
                                                 <a href={req.screenshot_url} target="_blank" rel="noopener noreferrer" className="text-blue-500 hover:underline flex items-center">
                                                     View Payment Proof 🔗
@@ -361,6 +366,624 @@ const AdminContactMessages = () => {
 };
 
 
+const AdminDisputeReview = ({ disputeId, onBack, onResolved }) => {
+    const { token } = useAuth();
+    const idempotentFetch = useIdempotentFetch();
+    const [details, setDetails] = useState(null);
+    const [loading, setLoading] = useState(true);
+    const [submitting, setSubmitting] = useState(false);
+    const [error, setError] = useState('');
+    const [ruling, setRuling] = useState('full_payment');
+    const [amount, setAmount] = useState('');
+    const [adminNotes, setAdminNotes] = useState('');
+
+    const fetchDetails = useCallback(async () => {
+        try {
+            const res = await fetch(`${API_BASE_URL}/admin/disputes/${disputeId}`, {
+                headers: { 'x-auth-token': token },
+            });
+            const data = await res.json();
+            if (!res.ok) throw new Error(data.error || 'Failed to fetch the dispute.');
+            setDetails(data);
+        } catch (err) {
+            setError(err.message);
+        } finally {
+            setLoading(false);
+        }
+    }, [disputeId, token]);
+
+    useEffect(() => {
+        fetchDetails();
+    }, [fetchDetails]);
+
+    const handleResolve = async (e) => {
+        e.preventDefault();
+        setSubmitting(true);
+        setError('');
+
+        try {
+            const response = await idempotentFetch(`${API_BASE_URL}/admin/disputes/${disputeId}/resolve`, {
+                method: 'PUT',
+                headers: { 'Content-Type': 'application/json', 'x-auth-token': token },
+                body: JSON.stringify({ ruling, amount: ruling === 'partial_payment' ? parseFloat(amount) : undefined, admin_notes: adminNotes }),
+            });
+            const data = await response.json();
+            if (!response.ok) throw new Error(data.error || 'Failed to resolve the dispute.');
+            onResolved(data.message);
+        } catch (err) {
+            setError(err.message);
+        } finally {
+            setSubmitting(false);
+        }
+    };
+
+    if (loading) return <Spinner />;
+    if (!details) return <ErrorMessage message={error || 'Dispute not found.'} />;
+
+    const { dispute, messages, photos, history } = details;
+
+    return (
+        <div className="space-y-6">
+            <button onClick={onBack} className="text-blue-600 hover:text-blue-800 font-medium transition">&larr; Back to Disputes</button>
+            <h2 className="text-2xl font-bold text-slate-700">Dispute #{dispute.id} - Booking #{dispute.booking_id}</h2>
+            {error && <ErrorMessage message={error} />}
+
+            <div className="grid md:grid-cols-2 gap-6">
+                <div className="bg-white border rounded-xl shadow p-5 space-y-2 text-sm text-gray-700">
+                    <h3 className="text-lg font-semibold text-slate-800">Booking</h3>
+                    <p>**Service:** {dispute.service_name} by {dispute.provider_name}</p>
+                    <p>**Customer:** {dispute.customer_email}</p>
+                    <p>**Agreed Price:** {CURRENCY_SYMBOL}{parseFloat(dispute.amount).toFixed(2)}</p>
+                    <p>**Scheduled:** {new Date(dispute.scheduled_at).toLocaleString()}</p>
+                    <p>**Started:** {dispute.started_at ? new Date(dispute.started_at).toLocaleString() : 'Not recorded'}</p>
+                    <p>**Finished:** {dispute.completed_at ? new Date(dispute.completed_at).toLocaleString() : 'Not recorded'}</p>
+                    <p className="italic">{dispute.service_description}</p>
+                </div>
+                <div className="bg-white border rounded-xl shadow p-5 space-y-3 text-sm text-gray-700">
+                    <h3 className="text-lg font-semibold text-slate-800">Statements</h3>
+                    <div>
+                        <p className="font-semibold">Customer ({dispute.reason.replace(/_/g, ' ')}) - {new Date(dispute.created_at).toLocaleString()}</p>
+                        <p className="whitespace-pre-line">{dispute.customer_statement}</p>
+                    </div>
+                    <div>
+                        <p className="font-semibold">Provider{dispute.provider_responded_at && ` - ${new Date(dispute.provider_responded_at).toLocaleString()}`}</p>
+                        <p className="whitespace-pre-line">{dispute.provider_response || 'No response yet.'}</p>
+                    </div>
+                </div>
+            </div>
+
+            <div className="bg-white border rounded-xl shadow p-5">
+                <h3 className="text-lg font-semibold text-slate-800 mb-3">Photos & Evidence ({photos.length})</h3>
+                {photos.length === 0 && <p className="text-sm text-gray-500">No photos were uploaded for this booking.</p>}
+                <div className="grid grid-cols-3 md:grid-cols-6 gap-2">
+                    {photos.map(photo => (
+                        <a key={photo.id} href={photo.file_url} target="_blank" rel="noopener noreferrer" title={photo.caption || ''}>
+                            <img src={photo.file_url} alt={`${photo.photo_type} by ${photo.uploader_role}`} className="w-full h-24 object-cover rounded-lg border" />
+                            <p className="text-xs text-gray-500 text-center uppercase">{photo.photo_type} ({photo.uploader_role})</p>
+                        </a>
+                    ))}
+                </div>
+            </div>
+
+            <div className="grid md:grid-cols-2 gap-6">
+                <div className="bg-white border rounded-xl shadow p-5">
+                    <h3 className="text-lg font-semibold text-slate-800 mb-3">Chat Transcript ({messages.length})</h3>
+                    <div className="max-h-80 overflow-y-auto space-y-2 text-sm">
+                        {messages.length === 0 && <p className="text-gray-500">The parties never chatted.</p>}
+                        {messages.map(m => (
+                            <div key={m.id} className={`p-2 rounded-lg ${m.sender_id === dispute.customer_user_id ? 'bg-blue-50' : 'bg-gray-100'}`}>
+                                <p className="text-xs text-gray-500">{m.sender_email} - {new Date(m.created_at).toLocaleString()}</p>
+                                <p>{m.content}</p>
+                                {m.file_url && <a href={m.file_url} target="_blank" rel="noopener noreferrer" className="text-blue-500 hover:underline text-xs">View attachment 🔗</a>}
+                            </div>
+                        ))}
+                    </div>
+                </div>
+                <div className="bg-white border rounded-xl shadow p-5">
+                    <h3 className="text-lg font-semibold text-slate-800 mb-3">Status History</h3>
+                    <ol className="max-h-80 overflow-y-auto space-y-2 text-sm">
+                        {history.map(entry => (
+                            <li key={entry.id} className="border-l-4 border-cyan-600 pl-2">
+                                <p className="font-semibold uppercase text-xs">{entry.from_status ? `${entry.from_status.replace(/_/g, ' ')} → ` : ''}{entry.to_status.replace(/_/g, ' ')}</p>
+                                <p className="text-xs text-gray-500">{new Date(entry.created_at).toLocaleString()} ({entry.actor_role})</p>
+                                {entry.reason && <p className="italic text-gray-600">{entry.reason}</p>}
+                            </li>
+                        ))}
+                    </ol>
+                </div>
+            </div>
+
+            {dispute.status === 'open' ? (
+                <form onSubmit={handleResolve} className="bg-white border-2 border-orange-300 rounded-xl shadow p-5 space-y-4">
+                    <h3 className="text-lg font-semibold text-slate-800">Ruling</h3>
+                    <div className="flex flex-col md:flex-row gap-4">
+                        {[
+                            ['full_payment', `Full payment (${CURRENCY_SYMBOL}${parseFloat(dispute.amount).toFixed(2)})`],
+                            ['partial_payment', 'Partial payment'],
+                            ['no_payment', 'No payment'],
+                        ].map(([value, label]) => (
+                            <label key={value} className="flex items-center space-x-2 text-gray-700">
+                                <input type="radio" name="ruling" value={value} checked={ruling === value} onChange={(e) => setRuling(e.target.value)} />
+                                <span>{label}</span>
+                            </label>
+                        ))}
+                    </div>
+                    {ruling === 'partial_payment' && (
+                        <input 
+                            type="number" 
+                            min="0.01" 
+                            step="0.01" 
+                            max={parseFloat(dispute.amount) - 0.01} 
+                            value={amount} 
+                            onChange={(e) => setAmount(e.target.value)} 
+                            required 
+                            placeholder={`Amount the customer pays (less than ${CURRENCY_SYMBOL}${parseFloat(dispute.amount).toFixed(2)})`} 
+                            className="block w-full px-4 py-2 border border-gray-300 rounded-lg" 
+                        />
+                    )}
+                    <textarea 
+                        rows="3" 
+                        value={adminNotes} 
+                        onChange={(e) => setAdminNotes(e.target.value)} 
+                        required 
+                        placeholder="Explain the ruling. Both parties receive this note." 
+                        className="block w-full px-4 py-2 border border-gray-300 rounded-lg"
+                    ></textarea>
+                    <button type="submit" disabled={submitting} className="w-full bg-orange-600 text-white font-bold py-3 rounded-lg hover:bg-orange-700 transition disabled:bg-gray-400">
+                        {submitting ? 'Settling...' : 'Rule & Close Booking'}
+                    </button>
+                </form>
+            ) : (
+                <div className="bg-green-50 border border-green-300 rounded-xl p-5 text-sm text-gray-700">
+                    <p className="font-semibold text-green-800">Resolved {new Date(dispute.resolved_at).toLocaleString()}: {dispute.ruling.replace(/_/g, ' ')} ({CURRENCY_SYMBOL}{parseFloat(dispute.ruled_amount).toFixed(2)})</p>
+                    <p className="italic">{dispute.admin_notes}</p>
+                </div>
+            )}
+        </div>
+    );
+};
+
+const AdminDisputes = () => {
+    const { token } = useAuth();
+    const [disputes, setDisputes] = useState([]);
+    const [loading, setLoading] = useState(true);
+    const [error, setError] = useState('');
+    const [success, setSuccess] = useState('');
+    const [selectedDisputeId, setSelectedDisputeId] = useState(null);
+
+    const fetchDisputes = useCallback(async () => {
+        setLoading(true);
+        try {
+            const res = await fetch(`${API_BASE_URL}/admin/disputes`, {
+                headers: { 'x-auth-token': token },
+            });
+            const data = await res.json();
+            if (!res.ok) throw new Error(data.error || 'Failed to fetch disputes.');
+            setDisputes(data);
+        } catch (err) {
+            setError(err.message);
+        } finally {
+            setLoading(false);
+        }
+    }, [token]);
+
+    useEffect(() => {
+        fetchDisputes();
+    }, [fetchDisputes]);
+
+    if (selectedDisputeId) {
+        return (
+            <AdminDisputeReview 
+                disputeId={selectedDisputeId} 
+                onBack={() => setSelectedDisputeId(null)} 
+                onResolved={(message) => { setSelectedDisputeId(null); setSuccess(message); fetchDisputes(); }} 
+            />
+        );
+    }
+
+    return (
+        <div className="space-y-6">
+            <h2 className="text-2xl font-bold text-slate-700">Booking Disputes</h2>
+            <p className="text-gray-600">Payment is frozen on disputed bookings until you rule on them.</p>
+
+            {error && <ErrorMessage message={error} />}
+            {success && <SuccessMessage message={success} />}
+            {loading && <Spinner />}
+
+            {!loading && disputes.length === 0 && <p className="text-center text-gray-500 bg-gray-100 p-10 rounded-xl shadow-inner">No disputes have been raised.</p>}
+
+            {disputes.map(d => (
+                <div key={d.id} className="bg-white border border-gray-200 rounded-xl shadow-lg p-6 flex flex-col md:flex-row justify-between items-start md:items-center">
+                    <div className="space-y-1 text-sm text-gray-600">
+                        <div className="flex items-center space-x-3">
+                            <span className={`text-xs font-semibold px-3 py-1 rounded-full border uppercase ${d.status === 'open' ? 'bg-orange-100 text-orange-800 border-orange-300' : 'bg-green-100 text-green-800 border-green-300'}`}>
+                                {d.status}
+                            </span>
+                            <p className="text-gray-500">Booking ID: <span className="font-mono">{d.booking_id}</span></p>
+                        </div>
+                        <h3 className="text-xl font-bold text-slate-800">{d.service_name}: {CURRENCY_SYMBOL}{parseFloat(d.amount).toFixed(2)}</h3>
+                        <p>**Customer:** {d.customer_email} &middot; **Provider:** {d.provider_name}</p>
+                        <p>**Reason:** {d.reason.replace(/_/g, ' ')} &middot; Opened {new Date(d.created_at).toLocaleString()}</p>
+                        {d.status === 'open' && <p className={d.provider_responded ? 'text-green-700' : 'text-orange-700'}>{d.provider_responded ? 'Provider has responded' : 'Awaiting provider response'}</p>}
+                        {d.status === 'resolved' && <p>**Ruling:** {d.ruling.replace(/_/g, ' ')} ({CURRENCY_SYMBOL}{parseFloat(d.ruled_amount).toFixed(2)})</p>}
+                    </div>
+                    <button 
+                        onClick={() => setSelectedDisputeId(d.id)} 
+                        className={`mt-4 md:mt-0 ${DARK_CYAN_CLASS} text-white px-4 py-2 rounded-lg font-semibold ${DARK_CYAN_HOVER_CLASS} transition shadow-md`}
+                    >
+                        {d.status === 'open' ? 'Review & Rule' : 'View Case'}
+                    </button>
+                </div>
+            ))}
+        </div>
+    );
+};
+
+
+const ADMIN_BOOKING_STATUS_OPTIONS = [
+    { value: '', label: 'All statuses' },
+    { value: 'pending_provider,awaiting_customer_confirmation', label: 'Awaiting a price' },
+    { value: 'accepted', label: 'Accepted' },
+    { value: 'completed', label: 'Completed (unpaid)' },
+    { value: 'disputed', label: 'Disputed' },
+    { value: 'closed', label: 'Closed' },
+    { value: 'rejected,cancelled,expired', label: 'Rejected, cancelled or expired' },
+];
+
+const AdminBookings = () => {
+    const [filters, setFilters] = useState({ status: '', sort: 'created_desc' });
+    const { bookings, loading, error, hasMore, loadMore, reload } = usePaginatedBookings('/admin/bookings', filters);
+    const [historyBooking, setHistoryBooking] = useState(null);
+    const [overrideBooking, setOverrideBooking] = useState(null);
+    const [detailsBooking, setDetailsBooking] = useState(null);
+    const [actionsBooking, setActionsBooking] = useState(null);
+
+    const formatDate = (dateString) => new Date(dateString).toLocaleDateString();
+    const headers = ['ID', 'Provider', 'Customer Email', 'Service', 'Scheduled', 'Status', 'Created On', 'Manage'];
+
+    return (
+        <div className="space-y-4">
+            <h2 className="text-2xl font-semibold text-slate-800">All Platform Bookings</h2>
+            <BookingFilterBar filters={filters} onChange={setFilters} statusOptions={ADMIN_BOOKING_STATUS_OPTIONS} />
+            {error && <ErrorMessage message={error} />}
+            {loading && bookings.length === 0 && <Spinner />}
+            <div className="overflow-x-auto border rounded-xl shadow-sm">
+                <table className="min-w-full bg-white">
+                    <thead className="bg-blue-50">
+                        <tr>
+                            {headers.map(header => <th key={header} className="py-3 px-6 text-left text-xs font-semibold text-blue-700 uppercase tracking-wider border-b">{header}</th>)}
+                        </tr>
+                    </thead>
+                    <tbody className="text-gray-700 text-sm font-light divide-y divide-gray-200">
+                        {bookings.map(b => (
+                            <tr key={b.id} className="hover:bg-gray-50">
+                                <td className="py-3 px-6 text-left whitespace-nowrap">{b.id}</td>
+                                <td className="py-3 px-6 text-left whitespace-nowrap">{b.provider_name}</td>
+                                <td className="py-3 px-6 text-left whitespace-nowrap">{b.customer_email}</td>
+                                <td className="py-3 px-6 text-left whitespace-nowrap">{b.service_name}</td>
+                                <td className="py-3 px-6 text-left whitespace-nowrap">{formatDate(b.scheduled_at)}</td>
+                                <td className="py-3 px-6 text-left whitespace-nowrap space-x-1">
+                                    <span className={`font-bold uppercase text-xs px-2 py-1 rounded-full ${
+                                        b.booking_status === 'closed' ? 'bg-green-100 text-green-700' :
+                                        b.booking_status.includes('pending') || b.booking_status.includes('awaiting') ? 'bg-yellow-100 text-yellow-700' :
+                                        b.booking_status === 'expired' ? 'bg-gray-200 text-gray-600' :
+                                        b.booking_status === 'disputed' ? 'bg-orange-100 text-orange-700' :
+                                        'bg-blue-100 text-blue-700'
+                                    }`}>{b.booking_status.replace('_', ' ')}</span>
+                                    {b.overdue_flagged_at && (
+                                        <span className="font-bold uppercase text-xs px-2 py-1 rounded-full bg-orange-100 text-orange-700" title={`Flagged ${new Date(b.overdue_flagged_at).toLocaleString()}`}>Overdue</span>
+                                    )}
+                                    {b.auto_confirm_failed_at && (
+                                        <span className="font-bold uppercase text-xs px-2 py-1 rounded-full bg-red-100 text-red-700" title={`Confirmation window ended ${formatDate(b.confirmation_due_at)}; the customer's wallet could not cover the payment`}>Auto-pay failed</span>
+                                    )}
+                                </td>
+                                <td className="py-3 px-6 text-left whitespace-nowrap">{formatDate(b.created_at)}</td>
+                                <td className="py-3 px-6 text-left whitespace-nowrap space-x-2">
+                                    <button 
+                                        onClick={() => setHistoryBooking(b)}
+                                        className="px-3 py-1 text-xs rounded-lg font-bold shadow-sm transition bg-slate-600 text-white hover:bg-slate-700"
+                                    >
+                                        View History
+                                    </button>
+                                    <button 
+                                        onClick={() => setDetailsBooking(b)}
+                                        className="px-3 py-1 text-xs rounded-lg font-bold shadow-sm transition bg-cyan-700 text-white hover:bg-cyan-800"
+                                    >
+                                        Photos
+                                    </button>
+                                    {b.booking_status === 'accepted' && (
+                                        <button 
+                                            onClick={() => setOverrideBooking(b)}
+                                            className="px-3 py-1 text-xs rounded-lg font-bold shadow-sm transition bg-red-600 text-white hover:bg-red-700"
+                                        >
+                                            Force Complete
+                                        </button>
+                                    )}
+                                    <button 
+                                        onClick={() => setActionsBooking(b)}
+                                        className="px-3 py-1 text-xs rounded-lg font-bold shadow-sm transition bg-amber-600 text-white hover:bg-amber-700"
+                                    >
+                                        Intervene
+                                    </button>
+                                </td>
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+            </div>
+            {!loading && bookings.length === 0 && <p className="text-center text-gray-500 bg-gray-100 p-6 rounded-xl">No bookings match these filters.</p>}
+            <LoadMoreSentinel hasMore={hasMore} loading={loading} onLoadMore={loadMore} />
+
+            {historyBooking && (
+                <BookingStatusHistoryModal booking={historyBooking} onClose={() => setHistoryBooking(null)} />
+            )}
+            {detailsBooking && (
+                <BookingDetailsModal booking={detailsBooking} onClose={() => setDetailsBooking(null)} />
+            )}
+            {overrideBooking && (
+                <AdminCompleteBookingModal 
+                    booking={overrideBooking} 
+                    onClose={() => setOverrideBooking(null)} 
+                    onCompleted={reload} 
+                />
+            )}
+            {actionsBooking && (
+                <AdminBookingActionsModal 
+                    booking={actionsBooking} 
+                    onClose={() => setActionsBooking(null)} 
+                    onUpdated={reload} 
+                />
+            )}
+        </div>
+    );
+};
+
+const COMMISSION_SCOPE_LABELS = { global: 'All bookings (default)', service: 'Service override', provider: 'Provider override' };
+
+const formatMoney = (value) => `${CURRENCY_SYMBOL}${parseFloat(value || 0).toFixed(2)}`;
+
+const RevenueTable = ({ title, labelHeader, rows, getLabel }) => (
+    <div className="bg-white border border-gray-200 rounded-xl shadow-lg p-6">
+        <h3 className={`text-lg font-semibold ${DARK_CYAN_TEXT_CLASS} mb-3`}>{title}</h3>
+        {rows.length === 0 ? <p className="text-sm text-gray-500">No payments in this period.</p> : (
+            <table className="min-w-full text-sm">
+                <thead>
+                    <tr className="text-left text-xs uppercase text-gray-500 border-b">
+                        <th className="py-2">{labelHeader}</th>
+                        <th className="py-2 text-right">Payments</th>
+                        <th className="py-2 text-right">Gross</th>
+                        <th className="py-2 text-right">Refunded</th>
+                        <th className="py-2 text-right">Commission</th>
+                        <th className="py-2 text-right">Provider Net</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    {rows.map(row => (
+                        <tr key={getLabel(row)} className="border-b last:border-0">
+                            <td className="py-2 font-medium text-slate-700">{getLabel(row)}</td>
+                            <td className="py-2 text-right">{row.payment_count}</td>
+                            <td className="py-2 text-right">{formatMoney(row.gross)}</td>
+                            <td className="py-2 text-right text-purple-700">{formatMoney(row.refunded)}</td>
+                            <td className="py-2 text-right font-semibold text-green-700">{formatMoney(row.commission)}</td>
+                            <td className="py-2 text-right">{formatMoney(row.provider_net)}</td>
+                        </tr>
+                    ))}
+                </tbody>
+            </table>
+        )}
+    </div>
+);
+
+const AdminRevenue = () => {
+    const { token } = useAuth();
+    const [range, setRange] = useState({ from: '', to: '' });
+    const [report, setReport] = useState(null);
+    const [rules, setRules] = useState([]);
+    const [services, setServices] = useState([]);
+    const [providers, setProviders] = useState([]);
+    const [ruleForm, setRuleForm] = useState({ scope: 'global', service_id: '', provider_id: '', fee_type: 'percent', rate: '' });
+    const [loading, setLoading] = useState(true);
+    const [saving, setSaving] = useState(false);
+    const [error, setError] = useState('');
+    const [success, setSuccess] = useState('');
+
+    const fetchReport = useCallback(async () => {
+        setLoading(true);
+        setError('');
+        try {
+            const params = new URLSearchParams();
+            if (range.from) params.set('from', range.from);
+            if (range.to) params.set('to', range.to);
+            const res = await fetch(`${API_BASE_URL}/admin/revenue-report?${params}`, { headers: { 'x-auth-token': token } });
+            const data = await res.json();
+            if (!res.ok) throw new Error(data.error || 'Failed to fetch the revenue report.');
+            setReport(data);
+        } catch (err) {
+            setError(err.message);
+        } finally {
+            setLoading(false);
+        }
+    }, [token, range]);
+
+    const fetchRules = useCallback(async () => {
+        try {
+            const [rulesRes, servicesRes, providersRes] = await Promise.all([
+                fetch(`${API_BASE_URL}/admin/commission-rules`, { headers: { 'x-auth-token': token } }),
+                fetch(`${API_BASE_URL}/services`),
+                fetch(`${API_BASE_URL}/admin/providers`, { headers: { 'x-auth-token': token } }),
+            ]);
+            const rulesData = await rulesRes.json();
+            if (!rulesRes.ok) throw new Error(rulesData.error || 'Failed to fetch commission rules.');
+            setRules(rulesData);
+            if (servicesRes.ok) setServices(await servicesRes.json());
+            if (providersRes.ok) setProviders(await providersRes.json());
+        } catch (err) {
+            setError(err.message);
+        }
+    }, [token]);
+
+    useEffect(() => {
+        fetchReport();
+    }, [fetchReport]);
+
+    useEffect(() => {
+        fetchRules();
+    }, [fetchRules]);
+
+    const handleSaveRule = async (e) => {
+        e.preventDefault();
+        setSaving(true);
+        setError(''); setSuccess('');
+        try {
+            const res = await fetch(`${API_BASE_URL}/admin/commission-rules`, {
+                method: 'PUT',
+                headers: { 'Content-Type': 'application/json', 'x-auth-token': token },
+                body: JSON.stringify(ruleForm),
+            });
+            const data = await res.json();
+            if (!res.ok) throw new Error(data.error || 'Failed to save the commission rule.');
+            setSuccess(data.message);
+            setRuleForm(prev => ({ ...prev, rate: '' }));
+            await fetchRules();
+        } catch (err) {
+            setError(err.message);
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    const handleDeleteRule = async (ruleId) => {
+        setError(''); setSuccess('');
+        try {
+            const res = await fetch(`${API_BASE_URL}/admin/commission-rules/${ruleId}`, {
+                method: 'DELETE',
+                headers: { 'x-auth-token': token },
+            });
+            const data = await res.json();
+            if (!res.ok) throw new Error(data.error || 'Failed to remove the override.');
+            setSuccess(data.message);
+            await fetchRules();
+        } catch (err) {
+            setError(err.message);
+        }
+    };
+
+    const totals = report?.totals || {};
+
+    return (
+        <div className="space-y-6">
+            <h2 className="text-2xl font-bold text-slate-700">Platform Revenue & Commission</h2>
+            <p className="text-gray-600">The platform keeps a commission on every booking payment. The most specific rule applies: provider, then service, then the default. Tips and cancellation fees go to providers in full.</p>
+
+            {error && <ErrorMessage message={error} />}
+            {success && <SuccessMessage message={success} />}
+
+            <div className="bg-white border border-gray-200 rounded-xl shadow-lg p-6 space-y-4">
+                <h3 className={`text-lg font-semibold ${DARK_CYAN_TEXT_CLASS}`}>Commission Rules</h3>
+                <div className="space-y-2">
+                    {rules.map(rule => (
+                        <div key={rule.id} className="flex justify-between items-center text-sm border-b pb-2">
+                            <span>
+                                <span className="font-semibold text-slate-700">{COMMISSION_SCOPE_LABELS[rule.scope]}</span>
+                                {rule.service_name && <> &middot; {rule.service_name}</>}
+                                {rule.provider_name && <> &middot; {rule.provider_name}</>}
+                                : <span className="font-bold text-green-700">{rule.label}</span>
+                            </span>
+                            {rule.scope !== 'global' && (
+                                <button onClick={() => handleDeleteRule(rule.id)} className="text-red-600 hover:underline text-xs font-semibold">Remove</button>
+                            )}
+                        </div>
+                    ))}
+                </div>
+                <form onSubmit={handleSaveRule} className="grid grid-cols-1 md:grid-cols-5 gap-3 items-end">
+                    <div>
+                        <label className="block text-xs font-semibold text-gray-700">Applies to</label>
+                        <select value={ruleForm.scope} onChange={(e) => setRuleForm({ ...ruleForm, scope: e.target.value })} className="block w-full px-3 py-2 border border-gray-300 rounded-lg">
+                            {Object.entries(COMMISSION_SCOPE_LABELS).map(([value, label]) => <option key={value} value={value}>{label}</option>)}
+                        </select>
+                    </div>
+                    <div>
+                        {ruleForm.scope === 'service' && (
+                            <>
+                                <label className="block text-xs font-semibold text-gray-700">Service</label>
+                                <select value={ruleForm.service_id} onChange={(e) => setRuleForm({ ...ruleForm, service_id: e.target.value })} required className="block w-full px-3 py-2 border border-gray-300 rounded-lg">
+                                    <option value="">Choose...</option>
+                                    {services.map(s => <option key={s.id} value={s.id}>{s.name}</option>)}
+                                </select>
+                            </>
+                        )}
+                        {ruleForm.scope === 'provider' && (
+                            <>
+                                <label className="block text-xs font-semibold text-gray-700">Provider</label>
+                                <select value={ruleForm.provider_id} onChange={(e) => setRuleForm({ ...ruleForm, provider_id: e.target.value })} required className="block w-full px-3 py-2 border border-gray-300 rounded-lg">
+                                    <option value="">Choose...</option>
+                                    {providers.map(p => <option key={p.id} value={p.id}>{p.display_name}</option>)}
+                                </select>
+                            </>
+                        )}
+                    </div>
+                    <div>
+                        <label className="block text-xs font-semibold text-gray-700">Fee type</label>
+                        <select value={ruleForm.fee_type} onChange={(e) => setRuleForm({ ...ruleForm, fee_type: e.target.value })} className="block w-full px-3 py-2 border border-gray-300 rounded-lg">
+                            <option value="percent">Percentage</option>
+                            <option value="flat">Flat fee per payment</option>
+                        </select>
+                    </div>
+                    <div>
+                        <label className="block text-xs font-semibold text-gray-700">{ruleForm.fee_type === 'percent' ? 'Rate (%)' : `Fee (${CURRENCY_SYMBOL})`}</label>
+                        <input type="number" step="0.01" min="0" max={ruleForm.fee_type === 'percent' ? 100 : undefined} value={ruleForm.rate} onChange={(e) => setRuleForm({ ...ruleForm, rate: e.target.value })} required className="block w-full px-3 py-2 border border-gray-300 rounded-lg" />
+                    </div>
+                    <button type="submit" disabled={saving} className={`${DARK_CYAN_CLASS} text-white px-4 py-2 rounded-lg font-semibold ${DARK_CYAN_HOVER_CLASS} transition disabled:bg-gray-400`}>
+                        {saving ? 'Saving...' : 'Save Rule'}
+                    </button>
+                </form>
+            </div>
+
+            <div className="flex flex-wrap items-end gap-3">
+                <div>
+                    <label className="block text-xs font-semibold text-gray-700">From</label>
+                    <input type="date" value={range.from} onChange={(e) => setRange({ ...range, from: e.target.value })} className="px-3 py-2 border border-gray-300 rounded-lg" />
+                </div>
+                <div>
+                    <label className="block text-xs font-semibold text-gray-700">To</label>
+                    <input type="date" value={range.to} onChange={(e) => setRange({ ...range, to: e.target.value })} className="px-3 py-2 border border-gray-300 rounded-lg" />
+                </div>
+                <p className="text-xs text-gray-500 pb-2">Leave empty for the last 30 days.</p>
+            </div>
+
+            {loading && <Spinner />}
+            {report && (
+                <>
+                    <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-4 gap-6">
+                        <div className="bg-blue-600 text-white p-6 rounded-xl shadow-lg">
+                            <p className="text-sm font-medium opacity-80">Gross Payments ({totals.payment_count || 0})</p>
+                            <h3 className="text-3xl font-extrabold mt-1">{formatMoney(totals.gross)}</h3>
+                            {parseFloat(totals.refunded) > 0 && <p className="text-xs font-medium mt-1">{formatMoney(totals.refunded)} refunded since</p>}
+                        </div>
+                        <div className="bg-green-600 text-white p-6 rounded-xl shadow-lg">
+                            <p className="text-sm font-medium opacity-80">Platform Commission (after refunds)</p>
+                            <h3 className="text-3xl font-extrabold mt-1">{formatMoney(totals.commission)}</h3>
+                        </div>
+                        <div className="bg-slate-600 text-white p-6 rounded-xl shadow-lg">
+                            <p className="text-sm font-medium opacity-80">Paid Out to Providers</p>
+                            <h3 className="text-3xl font-extrabold mt-1">{formatMoney(totals.provider_net)}</h3>
+                        </div>
+                        <div className="bg-amber-500 text-white p-6 rounded-xl shadow-lg">
+                            <p className="text-sm font-medium opacity-80">Tips (not commissioned)</p>
+                            <h3 className="text-3xl font-extrabold mt-1">{formatMoney(totals.tips)}</h3>
+                        </div>
+                    </div>
+                    <p className="text-xs text-gray-500">Commission account balance (all time, from the ledger): {formatMoney(report.commission_account_balance)}</p>
+                    <RevenueTable title="By Month" labelHeader="Month" rows={report.by_month} getLabel={row => row.month} />
+                    <RevenueTable title="By Service" labelHeader="Service" rows={report.by_service} getLabel={row => row.service_name} />
+                    <RevenueTable title="By Provider" labelHeader="Provider" rows={report.by_provider} getLabel={row => row.provider_name} />
+                </>
+            )}
+        </div>
+    );
+};
+
+
 const AdminOverview = () => {
     const { token } = useAuth();
     const [metrics, setMetrics] = useState({});
@@ -423,6 +1046,14 @@ const AdminOverview = () => {
                     <p className="text-sm font-medium opacity-80">Pending Withdrawals</p>
                     <h3 className="text-3xl font-extrabold mt-1">{metrics.pending_withdrawals || '0'}</h3>
                 </div>
+                <div className="bg-orange-600 text-white p-6 rounded-xl shadow-lg">
+                    <p className="text-sm font-medium opacity-80">Overdue Bookings</p>
+                    <h3 className="text-3xl font-extrabold mt-1">{metrics.overdue_bookings || '0'}</h3>
+                </div>
+                <div className="bg-orange-600 text-white p-6 rounded-xl shadow-lg">
+                    <p className="text-sm font-medium opacity-80">Open Disputes</p>
+                    <h3 className="text-3xl font-extrabold mt-1">{metrics.open_disputes || '0'}</h3>
+                </div>
             </div>
         </div>
     );
@@ -434,7 +1065,6 @@ export const AdminDashboard = () => {
     const [activeTab, setActiveTab] = useState('overview');
     const [users, setUsers] = useState([]);
     const [providers, setProviders] = useState([]);
-    const [bookings, setBookings] = useState([]);
     const [loading, setLoading] = useState(false);
     const [error, setError] = useState('');
 
@@ -445,6 +1075,8 @@ export const AdminDashboard = () => {
         { tab: 'users', label: 'Manage Users' },
         { tab: 'providers', label: 'Provider Verification' },
         { tab: 'bookings', label: 'All Bookings' },
+        { tab: 'disputes', label: 'Disputes' },
+        { tab: 'revenue', label: 'Revenue' },
         { tab: 'profile', label: 'My Profile' },
     ];
 
@@ -500,7 +1132,6 @@ export const AdminDashboard = () => {
         if (token) {
             fetchData('users', setUsers);
             fetchData('providers', setProviders);
-            fetchData('bookings', setBookings);
         }
     }, [token, fetchData]);
 
@@ -509,7 +1140,6 @@ export const AdminDashboard = () => {
         if (token) {
             if (activeTab === 'users') fetchData('users', setUsers);
             else if (activeTab === 'providers') fetchData('providers', setProviders);
-            else if (activeTab === 'bookings') fetchData('bookings', setBookings);
         }
     }, [activeTab, token, fetchData]);
     
@@ -573,25 +1203,13 @@ export const AdminDashboard = () => {
         p.id 
     ]);
 
-    const bookingTableData = bookings.map(b => [
-        b.id,
-        b.provider_name,
-        b.customer_email,
-        formatDate(b.scheduled_at),
-        <span key={b.id} className={`font-bold uppercase text-xs px-2 py-1 rounded-full ${
-            b.booking_status === 'closed' ? 'bg-green-100 text-green-700' :
-            b.booking_status.includes('pending') || b.booking_status.includes('awaiting') ? 'bg-yellow-100 text-yellow-700' :
-            'bg-blue-100 text-blue-700'
-        }`}>{b.booking_status.replace('_', ' ')}</span>,
-        formatDate(b.created_at)
-    ]);
-
 
     return (
         <DashboardLayout navItems={navItems} activeTab={activeTab} setActiveTab={setActiveTab} title="Platform Administration">
             {activeTab === 'overview' && <AdminOverview />}
             {activeTab === 'walletRequests' && <AdminWalletRequests />}
             {activeTab === 'contactMessages' && <AdminContactMessages />} 
+            {activeTab === 'disputes' && <AdminDisputes />}
             {activeTab === 'users' && <AdminTable title="All Users" headers={['ID', 'Email', 'Role', 'Status', 'Registered On']} data={userTableData} />}
             {activeTab === 'providers' && <AdminTable 
                 title="Provider Verification Queue" 
@@ -599,7 +1217,8 @@ export const AdminDashboard = () => {
                 data={providerTableData} 
                 actionHandler={handleVerify} 
             />}
-            {activeTab === 'bookings' && <AdminTable title="All Platform Bookings" headers={['ID', 'Provider', 'Customer Email', 'Scheduled', 'Status', 'Created On']} data={bookingTableData} />}
+            {activeTab === 'bookings' && <AdminBookings />}
+            {activeTab === 'revenue' && <AdminRevenue />}
             {activeTab === 'profile' && <AdminProfileManagement />}
         </DashboardLayout>
     );
@@ -10,14 +10,23 @@ import {
     DARK_CYAN_TEXT_CLASS,
     MOCK_UPI_QR_CODE_URL,
     getProfileField,
-    getPhotoUrl
+    getPhotoUrl,
+    downloadBookingCalendar,
+    downloadBookingInvoice
 } from '../utils/helpers';
 import { Spinner, ErrorMessage, SuccessMessage } from '../../components/shared/UI';
-import { DashboardLayout } from '../../components/shared/UI';
+import { DashboardLayout, BookingFilterBar, LoadMoreSentinel, usePaginatedBookings, WalletStatement, useIdempotentFetch } from '../../components/shared/UI';
 import { BookingCard } from '../../components/shared/Cards';
 import { 
     ReviewAndPaymentModal, 
     PriceConfirmationModal, 
+    CancelBookingModal,
+    RescheduleModal,
+    BookingSeriesModal,
+    BookingDetailsModal,
+    DisputeModal,
+    PostJobModal,
+    CalendarFeedModal,
     ChatComponent 
 } from '../../components/modals/Modals';
 
@@ -213,9 +222,14 @@ const CustomerProfileManagement = () => {
     );
 }
 
+// How often an online top-up is checked until the gateway reports the payment
+const GATEWAY_ORDER_POLL_MS = 4000;
+
 const CustomerWallet = () => {
     const { token } = useAuth();
+    const idempotentFetch = useIdempotentFetch();
     const [balance, setBalance] = useState(0);
+    const [heldBalance, setHeldBalance] = useState(0);
     const [depositAmount, setDepositAmount] = useState('');
     const [depositTxnRef, setDepositTxnRef] = useState('');
     const [screenshotFile, setScreenshotFile] = useState(null);
@@ -224,6 +238,11 @@ const CustomerWallet = () => {
     const [error, setError] = useState('');
     const [success, setSuccess] = useState('');
     const [pendingRequestsCount, setPendingRequestsCount] = useState(0);
+    const [onlineAmount, setOnlineAmount] = useState('');
+    const [onlineOrder, setOnlineOrder] = useState(null);
+    const [onlineLoading, setOnlineLoading] = useState(false);
+    const [onlineError, setOnlineError] = useState('');
+    const [onlineSuccess, setOnlineSuccess] = useState('');
 
     const fetchWallet = useCallback(async () => {
         if (!token) return;
@@ -233,6 +252,7 @@ const CustomerWallet = () => {
             if (res.ok) {
                 const data = await res.json();
                 setBalance(data.balance);
+                setHeldBalance(data.held_balance || 0);
                 setPendingRequestsCount(data.pending_requests_count || 0);
             } else {
                 setError('Failed to fetch wallet data.');
@@ -247,6 +267,56 @@ const CustomerWallet = () => {
     useEffect(() => {
         fetchWallet();
     }, [fetchWallet]);
+
+    // The wallet is credited by the gateway's webhook, not by this page: poll the order until it settles
+    useEffect(() => {
+        if (!onlineOrder || onlineOrder.status !== 'created') return undefined;
+        const timer = setInterval(async () => {
+            try {
+                const res = await fetch(`${API_BASE_URL}/customer/wallet/gateway-orders/${onlineOrder.id}`, { headers: { 'x-auth-token': token } });
+                const data = await res.json();
+                if (!res.ok || data.order.status === 'created') return;
+                setOnlineOrder(prev => ({ ...prev, ...data.order }));
+                if (data.order.status === 'paid') {
+                    setOnlineSuccess(`${CURRENCY_SYMBOL}${parseFloat(data.order.amount).toFixed(2)} has been added to your wallet.`);
+                    fetchWallet();
+                } else {
+                    setOnlineError(data.order.failure_reason || 'The online payment did not go through.');
+                }
+            } catch (err) {
+                // Keep polling; the next attempt may get through
+            }
+        }, GATEWAY_ORDER_POLL_MS);
+        return () => clearInterval(timer);
+    }, [onlineOrder, token, fetchWallet]);
+
+    const handleOnlineTopUp = async (e) => {
+        e.preventDefault();
+        setOnlineError(''); setOnlineSuccess('');
+        // Open the checkout window within the click, otherwise popup blockers stop it
+        const checkoutWindow = window.open('', '_blank');
+        setOnlineLoading(true);
+
+        try {
+            const response = await idempotentFetch(`${API_BASE_URL}/customer/wallet/gateway-orders`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json', 'x-auth-token': token },
+                body: JSON.stringify({ amount: onlineAmount }),
+            });
+            const data = await response.json();
+            if (!response.ok) {
+                throw new Error(data.error || 'Could not start the online payment.');
+            }
+            setOnlineOrder({ ...data.order, checkout_url: data.checkout_url });
+            setOnlineAmount('');
+            if (checkoutWindow) checkoutWindow.location.href = data.checkout_url;
+        } catch (err) {
+            if (checkoutWindow) checkoutWindow.close();
+            setOnlineError(err.message || 'Network error while starting the online payment.');
+        } finally {
+            setOnlineLoading(false);
+        }
+    };
     
     const handleDepositRequest = async (e) => {
         e.preventDefault();
@@ -276,7 +346,7 @@ const CustomerWallet = () => {
         formData.append('screenshot_file', screenshotFile);
 
         try {
-            const response = await fetch(`${API_BASE_URL}/customer/wallet/deposit-request`, {
+            const response = await idempotentFetch(`${API_BASE_URL}/customer/wallet/deposit-request`, {
                 method: 'POST',
                 headers: { 'x-auth-token': token },
                 body: formData,
@@ -306,16 +376,53 @@ const CustomerWallet = () => {
             
             <div className={`${DARK_CYAN_CLASS} text-white p-6 rounded-xl shadow-lg border-2 border-cyan-800 flex justify-between items-center`}>
                 <div>
-                    <p className="text-sm font-medium opacity-90">Current Balance</p>
+                    <p className="text-sm font-medium opacity-90">Available Balance</p>
                     {pendingRequestsCount > 0 && <p className="text-xs font-medium text-yellow-300">{pendingRequestsCount} Deposit Request(s) Pending Admin Approval</p>}
                 </div>
                 {loading ? <p className="text-2xl font-extrabold">Loading...</p> : (
-                    <h3 className="text-4xl font-extrabold">{CURRENCY_SYMBOL}{balance.toFixed(2)}</h3>
+                    <div className="text-right">
+                        <h3 className="text-4xl font-extrabold">{CURRENCY_SYMBOL}{balance.toFixed(2)}</h3>
+                        {heldBalance > 0 && (
+                            <p className="text-sm font-medium opacity-90 mt-1">
+                                🔒 {CURRENCY_SYMBOL}{heldBalance.toFixed(2)} held in escrow for accepted bookings
+                            </p>
+                        )}
+                    </div>
                 )}
             </div>
             
             <div className="bg-gray-50 p-6 rounded-xl border max-w-4xl">
-                <h3 className={`text-xl font-semibold ${DARK_CYAN_TEXT_CLASS} mb-4 border-b pb-2`}>Deposit Funds (Admin Approval Required)</h3>
+                <h3 className={`text-xl font-semibold ${DARK_CYAN_TEXT_CLASS} mb-4 border-b pb-2`}>Top Up Online (Instant)</h3>
+                {onlineError && <ErrorMessage message={onlineError}/>}
+                {onlineSuccess && <SuccessMessage message={onlineSuccess}/>}
+                <form onSubmit={handleOnlineTopUp} className="flex flex-col sm:flex-row gap-3">
+                    <input 
+                        type="number" 
+                        step="0.01" 
+                        min="1"
+                        value={onlineAmount}
+                        onChange={(e) => setOnlineAmount(e.target.value)}
+                        required
+                        placeholder={`${CURRENCY_SYMBOL} 500.00`}
+                        className="flex-1 px-4 py-2 border border-gray-300 rounded-lg"
+                        disabled={onlineLoading}
+                    />
+                    <button type="submit" disabled={onlineLoading} className={`${DARK_CYAN_CLASS} text-white font-bold px-6 py-2 rounded-lg ${DARK_CYAN_HOVER_CLASS} transition disabled:bg-gray-400`}>
+                        {onlineLoading ? 'Starting Payment...' : 'Pay Online'}
+                    </button>
+                </form>
+                {onlineOrder?.status === 'created' && (
+                    <p className="text-sm text-gray-600 mt-3">
+                        Waiting for your payment of {CURRENCY_SYMBOL}{parseFloat(onlineOrder.amount).toFixed(2)}. Complete it in the checkout window
+                        {' '}(<a href={onlineOrder.checkout_url} target="_blank" rel="noopener noreferrer" className="text-blue-600 underline">open it again</a>).
+                        Your balance updates here as soon as the payment is confirmed.
+                    </p>
+                )}
+                <p className="text-xs text-gray-500 mt-2">Paid through {onlineOrder?.gateway || 'our payment gateway'}. The amount is added to your wallet automatically, no screenshot needed.</p>
+            </div>
+
+            <div className="bg-gray-50 p-6 rounded-xl border max-w-4xl">
+                <h3 className={`text-xl font-semibold ${DARK_CYAN_TEXT_CLASS} mb-4 border-b pb-2`}>Or Deposit Manually (Admin Approval Required)</h3>
                 
                 <div className="flex flex-col md:flex-row gap-6">
                     {/* QR Code and Instructions */}
@@ -379,6 +486,8 @@ const CustomerWallet = () => {
                     </div>
                 </div>
             </div>
+
+            <WalletStatement />
         </div>
     );
 };
@@ -402,40 +511,167 @@ const CustomerFindServices = ({ setPage }) => (
 );
 
 
-const CustomerBookingHistory = () => {
+const CustomerJobPosts = () => {
     const { token, user } = useAuth();
-    const [bookings, setBookings] = useState([]);
+    const idempotentFetch = useIdempotentFetch();
+    const [jobs, setJobs] = useState([]);
     const [loading, setLoading] = useState(true);
     const [error, setError] = useState('');
-    const [activeModal, setActiveModal] = useState(null);
-    const [selectedBooking, setSelectedBooking] = useState(null);
-    
-    const fetchBookings = useCallback(async () => {
+    const [success, setSuccess] = useState('');
+    const [isPostModalOpen, setIsPostModalOpen] = useState(false);
+
+    const fetchJobs = useCallback(async () => {
         if (!token || user?.role !== 'customer') return;
         setLoading(true);
-        setError('');
         try {
-            const res = await fetch(`${API_BASE_URL}/customer/bookings`, { 
+            const res = await fetch(`${API_BASE_URL}/customer/jobs`, {
                 headers: { 'x-auth-token': token },
             });
-            
-            if (!res.ok) {
-                 const errorText = await res.json();
-                 throw new Error(errorText.error || `Failed to fetch bookings. Status: ${res.status}`);
-            }
-            
             const data = await res.json();
-            setBookings(data.bookings || []);
+            if (!res.ok) throw new Error(data.error || 'Failed to fetch job posts.');
+            setJobs(data.jobs || []);
         } catch (err) {
             setError(err.message);
         } finally {
             setLoading(false);
         }
-    }, [token, user]);
+    }, [token, user?.role]);
 
     useEffect(() => {
-        fetchBookings();
-    }, [fetchBookings]);
+        fetchJobs();
+    }, [fetchJobs]);
+
+    const handleJobAction = async (url, confirmText) => {
+        if (!window.confirm(confirmText)) return;
+        setError('');
+        setSuccess('');
+        try {
+            const response = await idempotentFetch(url, {
+                method: 'PUT',
+                headers: { 'x-auth-token': token },
+            });
+            const data = await response.json();
+            if (!response.ok) throw new Error(data.error || 'Action failed.');
+            setSuccess(data.message);
+            fetchJobs();
+        } catch (err) {
+            setError(err.message);
+        }
+    };
+
+    const statusClasses = {
+        open: 'bg-blue-100 text-blue-800',
+        awarded: 'bg-green-100 text-green-800',
+        cancelled: 'bg-gray-100 text-gray-600',
+    };
+
+    return (
+        <div className="space-y-6">
+            <div className="flex justify-between items-center">
+                <h2 className="text-2xl font-bold text-slate-700">Your Job Posts</h2>
+                <button 
+                    onClick={() => setIsPostModalOpen(true)} 
+                    className={`${DARK_CYAN_CLASS} text-white px-5 py-2 rounded-lg font-bold ${DARK_CYAN_HOVER_CLASS} transition shadow-md`}
+                >
+                    + Post a Job
+                </button>
+            </div>
+            <p className="text-gray-600">Not sure which provider to pick? Post the job and compare quotes from verified providers near you.</p>
+
+            {error && <ErrorMessage message={error} />}
+            {success && <SuccessMessage message={success} />}
+            {loading && <Spinner />}
+
+            {!loading && jobs.length === 0 && (
+                <p className="text-center text-gray-500 bg-gray-100 p-10 rounded-xl shadow-inner">You haven't posted any jobs yet.</p>
+            )}
+
+            {jobs.map(job => (
+                <div key={job.id} className="bg-white border border-gray-200 rounded-xl shadow-lg p-6 space-y-4">
+                    <div className="flex justify-between items-start">
+                        <div>
+                            <span className={`text-xs font-semibold px-3 py-1 rounded-full uppercase ${statusClasses[job.status]}`}>{job.status}</span>
+                            <h3 className="text-xl font-bold text-slate-800 mt-2">{job.service_name} <span className="text-sm text-gray-500 font-normal">Job #{job.id}</span></h3>
+                            <p className="text-gray-700">{job.description}</p>
+                            <p className="text-sm text-gray-500">📍 {job.address}</p>
+                            <p className="text-sm text-gray-500">🕒 {new Date(job.window_start).toLocaleString()} - {new Date(job.window_end).toLocaleString()}</p>
+                            {job.booking_id && <p className="text-sm text-green-700 font-semibold">Booked as booking #{job.booking_id} (see My Bookings)</p>}
+                        </div>
+                        {job.status === 'open' && (
+                            <button 
+                                onClick={() => handleJobAction(`${API_BASE_URL}/jobs/${job.id}/cancel`, 'Cancel this job post? All quotes will be declined.')} 
+                                className="text-sm text-red-600 font-semibold hover:underline"
+                            >
+                                Cancel Job
+                            </button>
+                        )}
+                    </div>
+
+                    <div>
+                        <h4 className="font-semibold text-slate-700 mb-2">Quotes ({job.bids.length})</h4>
+                        {job.bids.length === 0 && <p className="text-sm text-gray-500">No quotes yet. Nearby providers have been notified.</p>}
+                        <ul className="space-y-2">
+                            {job.bids.map(bid => (
+                                <li key={bid.id} className="flex flex-col md:flex-row justify-between md:items-center gap-2 p-3 bg-gray-50 rounded-lg border">
+                                    <div className="flex items-center space-x-3">
+                                        <img src={bid.provider_photo || `https://placehold.co/40x40/E0E7FF/4338CA?text=${bid.provider_name.charAt(0)}`} alt={bid.provider_name} className="w-10 h-10 rounded-full object-cover" />
+                                        <div className="text-sm">
+                                            <p className="font-semibold text-slate-800">
+                                                {bid.provider_name} <span className="text-amber-600">⭐ {parseFloat(bid.average_rating || 0).toFixed(1)}</span>
+                                                <span className="text-gray-500"> ({bid.review_count || 0}) &middot; {bid.distance_km} km</span>
+                                            </p>
+                                            <p className="text-gray-600">{new Date(bid.proposed_time).toLocaleString()}</p>
+                                            {bid.message && <p className="italic text-gray-600">{bid.message}</p>}
+                                        </div>
+                                    </div>
+                                    <div className="flex items-center space-x-3">
+                                        <span className="text-lg font-bold text-green-700">{CURRENCY_SYMBOL}{parseFloat(bid.amount).toFixed(2)}</span>
+                                        {job.status === 'open' && bid.status === 'pending' ? (
+                                            <button 
+                                                onClick={() => handleJobAction(`${API_BASE_URL}/jobs/${job.id}/bids/${bid.id}/accept`, `Accept ${bid.provider_name}'s quote of ${CURRENCY_SYMBOL}${parseFloat(bid.amount).toFixed(2)}? This books the job and holds the amount from your wallet in escrow.`)} 
+                                                className="bg-green-600 text-white px-4 py-2 rounded-lg font-semibold hover:bg-green-700 transition"
+                                            >
+                                                Accept
+                                            </button>
+                                        ) : (
+                                            <span className="text-xs uppercase text-gray-500">{bid.status}</span>
+                                        )}
+                                    </div>
+                                </li>
+                            ))}
+                        </ul>
+                    </div>
+                </div>
+            ))}
+
+            {isPostModalOpen && (
+                <PostJobModal 
+                    onClose={() => setIsPostModalOpen(false)} 
+                    onPosted={() => { setIsPostModalOpen(false); fetchJobs(); }} 
+                />
+            )}
+        </div>
+    );
+};
+
+
+const CUSTOMER_BOOKING_STATUS_OPTIONS = [
+    { value: '', label: 'All bookings' },
+    { value: 'pending_provider,awaiting_customer_confirmation', label: 'Awaiting a price' },
+    { value: 'accepted', label: 'Upcoming (accepted)' },
+    { value: 'completed', label: 'Awaiting your confirmation' },
+    { value: 'disputed', label: 'Disputed' },
+    { value: 'closed', label: 'Paid & closed' },
+    { value: 'cancelled,rejected,expired', label: 'Cancelled, rejected or expired' },
+];
+
+const CustomerBookingHistory = () => {
+    const { token } = useAuth();
+    const [filters, setFilters] = useState({ status: '', sort: 'scheduled_desc' });
+    const { bookings, loading, error: listError, hasMore, loadMore, reload: fetchBookings } = usePaginatedBookings('/customer/bookings', filters);
+    const [error, setError] = useState('');
+    const [activeModal, setActiveModal] = useState(null);
+    const [selectedBooking, setSelectedBooking] = useState(null);
     
     const handleReviewModalOpen = (booking) => {
         setSelectedBooking(booking);
@@ -452,17 +688,88 @@ const CustomerBookingHistory = () => {
         setActiveModal('confirmPrice');
     };
 
+    const handleCancelOpen = (booking) => {
+        setSelectedBooking(booking);
+        setActiveModal('cancel');
+    };
+
+    const handleRescheduleOpen = (booking) => {
+        setSelectedBooking(booking);
+        setActiveModal('reschedule');
+    };
+
+    const handleSeriesOpen = (booking) => {
+        setSelectedBooking(booking);
+        setActiveModal('series');
+    };
+
+    const handleDetailsOpen = (booking) => {
+        setSelectedBooking(booking);
+        setActiveModal('details');
+    };
+
+    const handleDisputeOpen = (booking) => {
+        setSelectedBooking(booking);
+        setActiveModal('dispute');
+    };
+
+    const handleCalendarDownload = async (booking) => {
+        setError('');
+        try {
+            await downloadBookingCalendar(booking.id, token);
+        } catch (err) {
+            setError(err.message || 'Network error while exporting the booking.');
+        }
+    };
+
+    const handleInvoiceDownload = async (booking) => {
+        setError('');
+        try {
+            await downloadBookingInvoice(booking.id, token);
+        } catch (err) {
+            setError(err.message || 'Network error while downloading the invoice.');
+        }
+    };
+
+    const handleRescheduleRespond = async (booking, proposalId, accepted) => {
+        setError('');
+        try {
+            const response = await fetch(`${API_BASE_URL}/bookings/${booking.id}/reschedule-proposals/${proposalId}`, {
+                method: 'PUT',
+                headers: { 'Content-Type': 'application/json', 'x-auth-token': token },
+                body: JSON.stringify({ accepted }),
+            });
+            const data = await response.json();
+            if (!response.ok) {
+                throw new Error(data.error || 'Failed to respond to the proposed time.');
+            }
+            fetchBookings();
+        } catch (err) {
+            setError(err.message || 'Network error while responding to the proposed time.');
+        }
+    };
+
 
     return (
         <div className="space-y-6">
-            <h2 className="text-2xl font-bold text-slate-700">Your Booking History</h2>
+            <div className="flex justify-between items-center">
+                <h2 className="text-2xl font-bold text-slate-700">Your Booking History</h2>
+                <button 
+                    onClick={() => setActiveModal('calendarFeed')} 
+                    className="bg-white text-cyan-700 border border-cyan-400 px-4 py-2 rounded-lg font-semibold hover:bg-cyan-50 transition shadow-sm"
+                >
+                    📅 Calendar Feed
+                </button>
+            </div>
             <p className="text-gray-600">Track the status of your requested services and access chat and payment options.</p>
             
-            {error && <ErrorMessage message={error}/>}
-            {loading && <Spinner />}
+            <BookingFilterBar filters={filters} onChange={setFilters} statusOptions={CUSTOMER_BOOKING_STATUS_OPTIONS} />
+
+            {(error || listError) && <ErrorMessage message={error || listError}/>}
+            {loading && bookings.length === 0 && <Spinner />}
             
             {!loading && bookings.length === 0 && <p className="text-center text-gray-500 bg-gray-100 p-10 rounded-xl shadow-inner">
-                You haven't placed any bookings yet. Find a service now!
+                No bookings match these filters. Find a service now!
             </p>}
 
             {bookings.map(booking => (
@@ -474,8 +781,17 @@ const CustomerBookingHistory = () => {
                     onReviewModalOpen={handleReviewModalOpen}
                     onChatModalOpen={handleChatModalOpen}
                     onPriceConfirmationOpen={handlePriceConfirmationOpen} 
+                    onCancelOpen={handleCancelOpen}
+                    onRescheduleOpen={handleRescheduleOpen}
+                    onRescheduleRespond={handleRescheduleRespond}
+                    onSeriesOpen={handleSeriesOpen}
+                    onDetailsOpen={handleDetailsOpen}
+                    onDisputeOpen={handleDisputeOpen}
+                    onCalendarDownload={handleCalendarDownload}
+                    onInvoiceDownload={handleInvoiceDownload}
                 />
             ))}
+            <LoadMoreSentinel hasMore={hasMore} loading={loading} onLoadMore={loadMore} />
             
             {activeModal === 'review' && selectedBooking && (
                 <ReviewAndPaymentModal 
@@ -500,6 +816,49 @@ const CustomerBookingHistory = () => {
                     onConfirmed={fetchBookings} 
                 />
             )}
+
+            {activeModal === 'cancel' && selectedBooking && (
+                <CancelBookingModal
+                    booking={selectedBooking}
+                    onClose={() => setActiveModal(null)}
+                    onCancelled={() => { setActiveModal(null); fetchBookings(); }}
+                />
+            )}
+
+            {activeModal === 'reschedule' && selectedBooking && (
+                <RescheduleModal
+                    booking={selectedBooking}
+                    onClose={() => setActiveModal(null)}
+                    onProposed={fetchBookings}
+                />
+            )}
+
+            {activeModal === 'series' && selectedBooking && (
+                <BookingSeriesModal
+                    booking={selectedBooking}
+                    onClose={() => setActiveModal(null)}
+                    onUpdated={fetchBookings}
+                />
+            )}
+
+            {activeModal === 'details' && selectedBooking && (
+                <BookingDetailsModal
+                    booking={selectedBooking}
+                    onClose={() => setActiveModal(null)}
+                />
+            )}
+
+            {activeModal === 'dispute' && selectedBooking && (
+                <DisputeModal
+                    booking={selectedBooking}
+                    onClose={() => setActiveModal(null)}
+                    onUpdated={fetchBookings}
+                />
+            )}
+
+            {activeModal === 'calendarFeed' && (
+                <CalendarFeedModal onClose={() => setActiveModal(null)} />
+            )}
         </div>
     );
 };
@@ -509,6 +868,7 @@ export const CustomerDashboard = ({ setPage }) => {
     const [activeTab, setActiveTab] = useState('bookings');
     const navItems = [
         { tab: 'bookings', label: 'My Bookings' },
+        { tab: 'jobs', label: 'Job Posts' },
         { tab: 'wallet', label: 'My Wallet' }, 
         { tab: 'findServices', label: 'Find a Service' }, 
         { tab: 'profile', label: 'My Profile' },
@@ -517,6 +877,7 @@ export const CustomerDashboard = ({ setPage }) => {
     const renderTab = () => {
         switch (activeTab) {
             case 'bookings': return <CustomerBookingHistory />;
+            case 'jobs': return <CustomerJobPosts />;
             case 'wallet': return <CustomerWallet />;
             case 'profile': return <CustomerProfileManagement />;
             case 'findServices': return <CustomerFindServices setPage={setPage} />;
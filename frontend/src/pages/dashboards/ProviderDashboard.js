@@ -8,19 +8,30 @@ import {
     DARK_CYAN_CLASS, 
     DARK_CYAN_HOVER_CLASS,
     DARK_CYAN_TEXT_CLASS,
-    getPhotoUrl 
+    getPhotoUrl,
+    downloadBookingCalendar,
+    downloadBookingInvoice 
 } from '../utils/helpers';
 import { Spinner, ErrorMessage, SuccessMessage } from '../../components/shared/UI';
-import { DashboardLayout } from '../../components/shared/UI';
+import { DashboardLayout, BookingFilterBar, LoadMoreSentinel, usePaginatedBookings, WalletStatement, useIdempotentFetch } from '../../components/shared/UI';
 import { BookingCard } from '../../components/shared/Cards';
 import { 
     SetPriceModal, 
+    CancelBookingModal,
+    RescheduleModal,
+    BookingSeriesModal,
+    BookingDetailsModal,
+    DisputeModal,
+    JobCodeModal,
+    SubmitBidModal,
+    CalendarFeedModal,
     ChatComponent 
 } from '../../components/modals/Modals';
 
 
 const ProviderWalletAndEarnings = () => {
     const { token } = useAuth();
+    const idempotentFetch = useIdempotentFetch();
     const [analytics, setAnalytics] = useState({});
     const [loading, setLoading] = useState(true);
     const [error, setError] = useState('');
@@ -88,7 +99,7 @@ const ProviderWalletAndEarnings = () => {
 
 
         try {
-            const response = await fetch(`${API_BASE_URL}/provider/wallet/withdraw-request`, {
+            const response = await idempotentFetch(`${API_BASE_URL}/provider/wallet/withdraw-request`, {
                 method: 'POST',
                 headers: { 'Content-Type': 'application/json', 'x-auth-token': token },
                 body: JSON.stringify({ 
@@ -125,11 +136,13 @@ const ProviderWalletAndEarnings = () => {
                 <div className="bg-[#E0F7FA] text-[#008080] p-6 rounded-xl shadow-lg border border-[#B2EBF2]">
                     <p className="text-sm font-medium">Wallet Balance</p>
                     <h3 className="text-3xl font-extrabold mt-1">{CURRENCY_SYMBOL}{analytics.wallet_balance?.toFixed(2) || '0.00'}</h3>
+                    {analytics.escrow_held > 0 && <p className="text-xs font-medium mt-1">🔒 {CURRENCY_SYMBOL}{analytics.escrow_held.toFixed(2)} held in escrow for your accepted jobs</p>}
                     {pendingRequestsCount > 0 && <p className="text-xs font-medium text-red-500">{pendingRequestsCount} Withdrawal Request(s) Pending Admin Approval</p>}
                 </div>
                 <div className="bg-green-100 text-green-800 p-6 rounded-xl shadow-lg border border-green-300">
                     <p className="text-sm font-medium">Total Lifetime Earnings</p>
                     <h3 className="text-3xl font-extrabold mt-1">{CURRENCY_SYMBOL}{analytics.total_earnings?.toFixed(2) || '0.00'}</h3>
+                    {analytics.tips_received > 0 && <p className="text-xs font-medium mt-1">Includes {CURRENCY_SYMBOL}{analytics.tips_received.toFixed(2)} in tips from {analytics.tip_count} customer(s)</p>}
                 </div>
                 <div className="bg-blue-100 text-blue-800 p-6 rounded-xl shadow-lg border border-blue-300">
                     <p className="text-sm font-medium">Completed Jobs</p>
@@ -139,6 +152,25 @@ const ProviderWalletAndEarnings = () => {
                     <p className="text-sm font-medium">Average Rating</p>
                     <h3 className="text-3xl font-extrabold mt-1">⭐ {analytics.average_rating?.toFixed(2) || '0.00'}</h3>
                 </div>
+                <div className="bg-white text-slate-700 p-6 rounded-xl shadow-lg border border-gray-200 md:col-span-2">
+                    <p className="text-sm font-medium">Job Payments After Platform Fee</p>
+                    <div className="grid grid-cols-3 gap-4 mt-2">
+                        <div>
+                            <p className="text-xs text-gray-500">Gross paid by customers</p>
+                            <h3 className="text-xl font-bold">{CURRENCY_SYMBOL}{(analytics.gross_payments || 0).toFixed(2)}</h3>
+                        </div>
+                        <div>
+                            <p className="text-xs text-gray-500">Platform fee</p>
+                            <h3 className="text-xl font-bold text-red-600">−{CURRENCY_SYMBOL}{(analytics.platform_fees || 0).toFixed(2)}</h3>
+                        </div>
+                        <div>
+                            <p className="text-xs text-gray-500">Net to you</p>
+                            <h3 className="text-xl font-bold text-green-700">{CURRENCY_SYMBOL}{(analytics.net_payments || 0).toFixed(2)}</h3>
+                        </div>
+                    </div>
+                    <p className="text-xs text-gray-500 mt-2">Tips and cancellation fees are paid to you in full.</p>
+                    {analytics.refunded_payments > 0 && <p className="text-xs text-purple-700 mt-1">Net of {CURRENCY_SYMBOL}{analytics.refunded_payments.toFixed(2)} refunded to customers.</p>}
+                </div>
             </div>
             
              <div className="bg-gray-50 p-6 rounded-xl border max-w-2xl">
@@ -179,45 +211,35 @@ const ProviderWalletAndEarnings = () => {
                     </button>
                 </form>
             </div>
+
+            <WalletStatement />
         </div>
     );
 };
 
 
+const ACTIVE_BOOKING_STATUSES = 'pending_provider,awaiting_customer_confirmation,accepted,disputed';
+
+const PROVIDER_BOOKING_STATUS_OPTIONS = [
+    { value: ACTIVE_BOOKING_STATUSES, label: 'Active & pending' },
+    { value: 'pending_provider', label: 'New requests' },
+    { value: 'accepted', label: 'Accepted jobs' },
+    { value: 'completed', label: 'Awaiting customer confirmation' },
+    { value: 'closed', label: 'Paid & closed' },
+    { value: 'disputed', label: 'Disputed' },
+    { value: 'rejected,cancelled,expired', label: 'Rejected, cancelled or expired' },
+    { value: '', label: 'All bookings' },
+];
+
 const ProviderBookingRequests = () => {
     const { token } = useAuth();
-    const [bookings, setBookings] = useState([]);
-    const [loading, setLoading] = useState(true);
+    const [filters, setFilters] = useState({ status: ACTIVE_BOOKING_STATUSES, sort: 'scheduled_asc' });
+    const { bookings, loading, error: listError, hasMore, loadMore, reload: fetchBookings } = usePaginatedBookings('/provider/bookings', filters);
     const [error, setError] = useState('');
     const [updateStatus, setUpdateStatus] = useState(null);
     const [activeModal, setActiveModal] = useState(null);
     const [selectedBooking, setSelectedBooking] = useState(null);
-
-    const fetchBookings = useCallback(async () => {
-        setLoading(true);
-        setError('');
-        try {
-            const res = await fetch(`${API_BASE_URL}/provider/bookings`, { 
-                headers: { 'x-auth-token': token },
-            });
-            
-            if (!res.ok) {
-                 const errorText = await res.json();
-                 throw new Error(errorText.error || `Failed to fetch bookings. Status: ${res.status}`);
-            }
-            
-            const data = await res.json();
-            setBookings(data.bookings || []);
-        } catch (err) {
-            setError(err.message);
-        } finally {
-            setLoading(false);
-        }
-    }, [token]);
-
-    useEffect(() => {
-        fetchBookings();
-    }, [fetchBookings]);
+    const [jobCodeStage, setJobCodeStage] = useState('start');
 
     const handleAction = async (bookingId, status) => {
         setUpdateStatus({ id: bookingId, loading: true });
@@ -259,21 +281,95 @@ const ProviderBookingRequests = () => {
         setActiveModal('setPrice');
     };
 
-    const pendingBookings = bookings.filter(b => b.booking_status === 'pending_provider' || b.booking_status === 'awaiting_customer_confirmation' || b.booking_status === 'accepted');
-    const historyBookings = bookings.filter(b => b.booking_status === 'rejected' || b.booking_status === 'completed' || b.booking_status === 'closed');
+    const handleCancelOpen = (booking) => {
+        setSelectedBooking(booking);
+        setActiveModal('cancel');
+    };
+
+    const handleRescheduleOpen = (booking) => {
+        setSelectedBooking(booking);
+        setActiveModal('reschedule');
+    };
+
+    const handleSeriesOpen = (booking) => {
+        setSelectedBooking(booking);
+        setActiveModal('series');
+    };
+
+    const handleDetailsOpen = (booking) => {
+        setSelectedBooking(booking);
+        setActiveModal('details');
+    };
+
+    const handleDisputeOpen = (booking) => {
+        setSelectedBooking(booking);
+        setActiveModal('dispute');
+    };
+
+    const handleJobCodeOpen = (booking, stage) => {
+        setSelectedBooking(booking);
+        setJobCodeStage(stage);
+        setActiveModal('jobCode');
+    };
+
+    const handleCalendarDownload = async (booking) => {
+        setError('');
+        try {
+            await downloadBookingCalendar(booking.id, token);
+        } catch (err) {
+            setError(err.message || 'Network error while exporting the booking.');
+        }
+    };
+
+    const handleInvoiceDownload = async (booking) => {
+        setError('');
+        try {
+            await downloadBookingInvoice(booking.id, token);
+        } catch (err) {
+            setError(err.message || 'Network error while downloading the invoice.');
+        }
+    };
+
+    const handleRescheduleRespond = async (booking, proposalId, accepted) => {
+        setError('');
+        try {
+            const response = await fetch(`${API_BASE_URL}/bookings/${booking.id}/reschedule-proposals/${proposalId}`, {
+                method: 'PUT',
+                headers: { 'Content-Type': 'application/json', 'x-auth-token': token },
+                body: JSON.stringify({ accepted }),
+            });
+            const data = await response.json();
+            if (!response.ok) {
+                throw new Error(data.error || 'Failed to respond to the proposed time.');
+            }
+            fetchBookings();
+        } catch (err) {
+            setError(err.message || 'Network error while responding to the proposed time.');
+        }
+    };
 
     return (
         <div className="space-y-6">
-            <h2 className="text-2xl font-bold text-slate-700">Incoming Booking Requests & Schedule</h2>
+            <div className="flex justify-between items-center">
+                <h2 className="text-2xl font-bold text-slate-700">Incoming Booking Requests & Schedule</h2>
+                <button 
+                    onClick={() => setActiveModal('calendarFeed')} 
+                    className="bg-white text-cyan-700 border border-cyan-400 px-4 py-2 rounded-lg font-semibold hover:bg-cyan-50 transition shadow-sm"
+                >
+                    📅 Calendar Feed
+                </button>
+            </div>
             
-            {error && <ErrorMessage message={error}/>}
+            {(error || listError) && <ErrorMessage message={error || listError}/>}
             {updateStatus && updateStatus.success && <SuccessMessage message={updateStatus.message} />}
 
-            <h3 className="text-xl font-semibold text-slate-800 border-b pb-2 mt-8">Active/Pending ({pendingBookings.length})</h3>
-            {loading && pendingBookings.length === 0 && <Spinner />}
-            {!loading && pendingBookings.length === 0 && <p className="text-gray-500 p-4 bg-blue-50 rounded-lg border">You have no active or pending booking requests right now. Time for a break!</p>}
+            <BookingFilterBar filters={filters} onChange={setFilters} statusOptions={PROVIDER_BOOKING_STATUS_OPTIONS} />
 
-            {pendingBookings.map(booking => (
+            <h3 className="text-xl font-semibold text-slate-800 border-b pb-2 mt-8">Bookings ({bookings.length}{hasMore ? '+' : ''})</h3>
+            {loading && bookings.length === 0 && <Spinner />}
+            {!loading && bookings.length === 0 && <p className="text-gray-500 p-4 bg-blue-50 rounded-lg border">No bookings match these filters. Time for a break!</p>}
+
+            {bookings.map(booking => (
                 <BookingCard 
                     key={booking.id} 
                     booking={booking} 
@@ -281,13 +377,18 @@ const ProviderBookingRequests = () => {
                     handleAction={handleAction} 
                     onChatModalOpen={handleChatModalOpen}
                     onSetPriceOpen={handleSetPriceOpen} 
+                    onCancelOpen={handleCancelOpen}
+                    onRescheduleOpen={handleRescheduleOpen}
+                    onRescheduleRespond={handleRescheduleRespond}
+                    onSeriesOpen={handleSeriesOpen}
+                    onJobCodeOpen={handleJobCodeOpen}
+                    onDetailsOpen={handleDetailsOpen}
+                    onDisputeOpen={handleDisputeOpen}
+                    onCalendarDownload={handleCalendarDownload}
+                    onInvoiceDownload={handleInvoiceDownload}
                 />
             ))}
-            
-            <h3 className="text-xl font-semibold text-slate-800 border-b pb-2 mt-10">Booking History ({historyBookings.length})</h3>
-            {historyBookings.map(booking => (
-                <BookingCard key={booking.id} booking={booking} isCustomer={false} handleAction={() => {}} onChatModalOpen={handleChatModalOpen}/>
-            ))}
+            <LoadMoreSentinel hasMore={hasMore} loading={loading} onLoadMore={loadMore} />
             
             {activeModal === 'chat' && selectedBooking && (
                 <ChatComponent
@@ -305,11 +406,428 @@ const ProviderBookingRequests = () => {
                 />
             )}
 
+            {activeModal === 'cancel' && selectedBooking && (
+                <CancelBookingModal
+                    booking={selectedBooking}
+                    onClose={() => setActiveModal(null)}
+                    onCancelled={() => { setActiveModal(null); fetchBookings(); }}
+                />
+            )}
+
+            {activeModal === 'reschedule' && selectedBooking && (
+                <RescheduleModal
+                    booking={selectedBooking}
+                    onClose={() => setActiveModal(null)}
+                    onProposed={fetchBookings}
+                />
+            )}
+
+            {activeModal === 'series' && selectedBooking && (
+                <BookingSeriesModal
+                    booking={selectedBooking}
+                    onClose={() => setActiveModal(null)}
+                    onUpdated={fetchBookings}
+                />
+            )}
+
+            {activeModal === 'jobCode' && selectedBooking && (
+                <JobCodeModal
+                    booking={selectedBooking}
+                    stage={jobCodeStage}
+                    onClose={() => setActiveModal(null)}
+                    onConfirmed={fetchBookings}
+                />
+            )}
+
+            {activeModal === 'details' && selectedBooking && (
+                <BookingDetailsModal
+                    booking={selectedBooking}
+                    onClose={() => setActiveModal(null)}
+                />
+            )}
+
+            {activeModal === 'dispute' && selectedBooking && (
+                <DisputeModal
+                    booking={selectedBooking}
+                    onClose={() => setActiveModal(null)}
+                    onUpdated={fetchBookings}
+                />
+            )}
+
+            {activeModal === 'calendarFeed' && (
+                <CalendarFeedModal onClose={() => setActiveModal(null)} />
+            )}
+
         </div>
     );
 };
 
 
+const ProviderJobBoard = () => {
+    const { token } = useAuth();
+    const [jobs, setJobs] = useState([]);
+    const [notice, setNotice] = useState('');
+    const [loading, setLoading] = useState(true);
+    const [error, setError] = useState('');
+    const [selectedJob, setSelectedJob] = useState(null);
+
+    const fetchJobs = useCallback(async () => {
+        if (!token) return;
+        setLoading(true);
+        try {
+            const res = await fetch(`${API_BASE_URL}/provider/jobs`, {
+                headers: { 'x-auth-token': token },
+            });
+            const data = await res.json();
+            if (!res.ok) throw new Error(data.error || 'Failed to fetch the job board.');
+            setJobs(data.jobs || []);
+            setNotice(data.message);
+        } catch (err) {
+            setError(err.message);
+        } finally {
+            setLoading(false);
+        }
+    }, [token]);
+
+    useEffect(() => {
+        fetchJobs();
+    }, [fetchJobs]);
+
+    const handleWithdraw = async (job) => {
+        if (!window.confirm('Withdraw your quote for this job?')) return;
+        setError('');
+        try {
+            const response = await fetch(`${API_BASE_URL}/jobs/${job.id}/bids`, {
+                method: 'DELETE',
+                headers: { 'x-auth-token': token },
+            });
+            const data = await response.json();
+            if (!response.ok) throw new Error(data.error || 'Failed to withdraw the quote.');
+            fetchJobs();
+        } catch (err) {
+            setError(err.message);
+        }
+    };
+
+    return (
+        <div className="space-y-6">
+            <h2 className="text-2xl font-bold text-slate-700">Job Board</h2>
+            <p className="text-gray-600">Open jobs for your services inside your service area. Send a quote; if the customer picks it, the booking is confirmed straight away.</p>
+
+            {error && <ErrorMessage message={error} />}
+            {loading && <Spinner />}
+            {!loading && jobs.length === 0 && (
+                <p className="text-gray-500 p-4 bg-blue-50 rounded-lg border">{notice || 'No open jobs near you right now.'}</p>
+            )}
+
+            {jobs.map(job => (
+                <div key={job.id} className="bg-white border border-gray-200 rounded-xl shadow-lg p-6 flex flex-col md:flex-row justify-between gap-4">
+                    <div className="space-y-1">
+                        <h3 className="text-xl font-bold text-slate-800">{job.service_name} <span className="text-sm text-gray-500 font-normal">Job #{job.id} &middot; {job.distance_km} km away</span></h3>
+                        <p className="text-gray-700">{job.description}</p>
+                        <p className="text-sm text-gray-500">🕒 {new Date(job.window_start).toLocaleString()} - {new Date(job.window_end).toLocaleString()}</p>
+                        <p className="text-sm text-gray-500">{job.bid_count} quotes so far</p>
+                        {job.my_bid && (
+                            <p className="text-sm font-semibold text-purple-700">
+                                Your quote: {CURRENCY_SYMBOL}{parseFloat(job.my_bid.amount).toFixed(2)} for {new Date(job.my_bid.proposed_time).toLocaleString()} ({job.my_bid.status})
+                            </p>
+                        )}
+                    </div>
+                    <div className="flex flex-col space-y-2 md:w-48">
+                        <button 
+                            onClick={() => setSelectedJob(job)} 
+                            className="bg-green-600 text-white px-4 py-2 rounded-lg font-semibold hover:bg-green-700 transition shadow-md"
+                        >
+                            {job.my_bid?.status === 'pending' ? 'Update Quote' : 'Send Quote'}
+                        </button>
+                        {job.my_bid?.status === 'pending' && (
+                            <button onClick={() => handleWithdraw(job)} className="text-sm text-red-600 font-semibold hover:underline">
+                                Withdraw Quote
+                            </button>
+                        )}
+                    </div>
+                </div>
+            ))}
+
+            {selectedJob && (
+                <SubmitBidModal 
+                    job={selectedJob} 
+                    onClose={() => setSelectedJob(null)} 
+                    onSubmitted={() => { setSelectedJob(null); fetchJobs(); }} 
+                />
+            )}
+        </div>
+    );
+};
+
+
+const WEEKDAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+const ProviderAvailabilitySettings = () => {
+  const { token } = useAuth();
+  const [workingHours, setWorkingHours] = useState([]);
+  const [usesDefaultHours, setUsesDefaultHours] = useState(false);
+  const [serviceDurations, setServiceDurations] = useState([]);
+  const [timeOff, setTimeOff] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+  const [success, setSuccess] = useState('');
+
+  const fetchAvailability = useCallback(async () => {
+    if (!token) return;
+    try {
+      setLoading(true);
+      const res = await fetch(`${API_BASE_URL}/provider/availability`, {
+        headers: { 'x-auth-token': token },
+      });
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error || 'Failed to fetch availability.');
+
+      setWorkingHours(data.working_hours || []);
+      setUsesDefaultHours(data.uses_default_hours);
+      setServiceDurations(data.service_durations || []);
+      setTimeOff(data.time_off || []);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [token]);
+
+  useEffect(() => {
+    fetchAvailability();
+  }, [fetchAvailability]);
+
+  const updatePeriod = (index, field, value) => {
+    setWorkingHours(prev => prev.map((w, i) => (i === index ? { ...w, [field]: value } : w)));
+  };
+
+  const addPeriod = (day_of_week) => {
+    setWorkingHours(prev => [...prev, { day_of_week, start_time: '09:00', end_time: '18:00' }]);
+  };
+
+  const removePeriod = (index) => {
+    setWorkingHours(prev => prev.filter((_, i) => i !== index));
+  };
+
+  const updateServiceSetting = (service_id, field, value) => {
+    setServiceDurations(prev => prev.map(d => (d.service_id === service_id ? { ...d, [field]: value } : d)));
+  };
+
+  // Save weekly hours and job durations
+  const handleSave = async () => {
+    setError('');
+    setSuccess('');
+    setSaving(true);
+
+    try {
+      const res = await fetch(`${API_BASE_URL}/provider/availability`, {
+        method: 'PUT',
+        headers: {
+          'Content-Type': 'application/json',
+          'x-auth-token': token,
+        },
+        body: JSON.stringify({
+          working_hours: workingHours.map(w => ({ ...w, day_of_week: Number(w.day_of_week) })),
+          service_durations: serviceDurations.map(d => ({
+            service_id: d.service_id,
+            job_duration_minutes: parseInt(d.job_duration_minutes, 10),
+            rate_per_hour: d.rate_per_hour === null || d.rate_per_hour === '' ? null : parseFloat(d.rate_per_hour),
+          })),
+        }),
+      });
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error || 'Failed to save availability.');
+
+      setSuccess('Availability saved successfully!');
+      await fetchAvailability();
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleAddTimeOff = async (e) => {
+    e.preventDefault();
+    setError('');
+    setSuccess('');
+    const form = e.target;
+
+    try {
+      const res = await fetch(`${API_BASE_URL}/provider/availability/time-off`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'x-auth-token': token,
+        },
+        body: JSON.stringify({
+          starts_at: new Date(form.starts_at.value).toISOString(),
+          ends_at: new Date(form.ends_at.value).toISOString(),
+          reason: form.reason.value,
+        }),
+      });
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error || 'Failed to add time off.');
+
+      form.reset();
+      setSuccess('Time off added.');
+      await fetchAvailability();
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handleRemoveTimeOff = async (id) => {
+    setError('');
+    setSuccess('');
+    try {
+      const res = await fetch(`${API_BASE_URL}/provider/availability/time-off/${id}`, {
+        method: 'DELETE',
+        headers: { 'x-auth-token': token },
+      });
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error || 'Failed to remove time off.');
+
+      setTimeOff(prev => prev.filter(t => t.id !== id));
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  if (loading) return <Spinner />;
+
+  return (
+    <div className="space-y-6 bg-gray-50 p-6 rounded-xl border">
+      <h3 className={`text-lg font-semibold ${DARK_CYAN_TEXT_CLASS} border-b pb-2`}>
+        Availability & Working Hours
+      </h3>
+
+      {error && <ErrorMessage message={error} />}
+      {success && <SuccessMessage message={success} />}
+      {usesDefaultHours && (
+        <p className="text-sm text-gray-600">
+          You have not set your hours yet, so customers see the default schedule below. Save to make it your own.
+        </p>
+      )}
+
+      {/* Weekly Hours */}
+      <div className="space-y-3">
+        {WEEKDAYS.map((dayName, day) => (
+          <div key={dayName} className="flex flex-col md:flex-row md:items-start gap-2">
+            <span className="w-28 text-sm font-semibold text-gray-700 pt-2">{dayName}</span>
+            <div className="flex-1 space-y-2">
+              {workingHours.map((w, index) => Number(w.day_of_week) === day && (
+                <div key={index} className="flex items-center gap-2">
+                  <input
+                    type="time"
+                    value={w.start_time}
+                    onChange={(e) => updatePeriod(index, 'start_time', e.target.value)}
+                    className="px-3 py-2 border border-gray-300 rounded-lg"
+                  />
+                  <span className="text-gray-500">to</span>
+                  <input
+                    type="time"
+                    value={w.end_time}
+                    onChange={(e) => updatePeriod(index, 'end_time', e.target.value)}
+                    className="px-3 py-2 border border-gray-300 rounded-lg"
+                  />
+                  <button type="button" onClick={() => removePeriod(index)} className="text-sm text-red-600 hover:underline">
+                    Remove
+                  </button>
+                </div>
+              ))}
+              <button type="button" onClick={() => addPeriod(day)} className={`text-sm ${DARK_CYAN_TEXT_CLASS} hover:underline`}>
+                + Add hours
+              </button>
+            </div>
+          </div>
+        ))}
+      </div>
+
+      {/* Job Durations */}
+      {serviceDurations.length > 0 && (
+        <div className="space-y-2">
+          <p className="text-sm font-semibold text-gray-700">Typical Job Duration (minutes) & Hourly Rate ({CURRENCY_SYMBOL})</p>
+          {serviceDurations.map(d => (
+            <div key={d.service_id} className="flex items-center gap-3">
+              <span className="w-40 text-sm text-gray-700">{d.service_name}</span>
+              <input
+                type="number"
+                min="15"
+                max="720"
+                step="15"
+                value={d.job_duration_minutes}
+                onChange={(e) => updateServiceSetting(d.service_id, 'job_duration_minutes', e.target.value)}
+                className="w-28 px-3 py-2 border border-gray-300 rounded-lg"
+              />
+              <input
+                type="number"
+                min="0"
+                step="0.01"
+                value={d.rate_per_hour ?? ''}
+                onChange={(e) => updateServiceSetting(d.service_id, 'rate_per_hour', e.target.value)}
+                placeholder="Rate/hr"
+                className="w-28 px-3 py-2 border border-gray-300 rounded-lg"
+              />
+            </div>
+          ))}
+        </div>
+      )}
+
+      <button
+        type="button"
+        onClick={handleSave}
+        disabled={saving}
+        className={`w-full ${DARK_CYAN_CLASS} text-white font-bold py-3 rounded-lg ${DARK_CYAN_HOVER_CLASS} transition shadow-md disabled:bg-gray-400`}
+      >
+        {saving ? 'Saving Availability...' : 'Save Availability'}
+      </button>
+
+      {/* Time Off */}
+      <h3 className={`text-lg font-semibold ${DARK_CYAN_TEXT_CLASS} border-b pb-2`}>
+        Time Off
+      </h3>
+      {timeOff.length === 0 ? (
+        <p className="text-sm text-gray-500">No upcoming time off.</p>
+      ) : (
+        <ul className="space-y-2">
+          {timeOff.map(t => (
+            <li key={t.id} className="flex justify-between items-center bg-white p-3 rounded-lg border text-sm">
+              <span>
+                {new Date(t.starts_at).toLocaleString()} - {new Date(t.ends_at).toLocaleString()}
+                {t.reason && <span className="text-gray-500"> ({t.reason})</span>}
+              </span>
+              <button type="button" onClick={() => handleRemoveTimeOff(t.id)} className="text-red-600 hover:underline">
+                Remove
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+      <form onSubmit={handleAddTimeOff} className="grid grid-cols-1 md:grid-cols-4 gap-3 items-end">
+        <div>
+          <label htmlFor="starts_at" className="block text-sm font-semibold text-gray-700">From</label>
+          <input id="starts_at" name="starts_at" type="datetime-local" required className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-lg" />
+        </div>
+        <div>
+          <label htmlFor="ends_at" className="block text-sm font-semibold text-gray-700">Until</label>
+          <input id="ends_at" name="ends_at" type="datetime-local" required className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-lg" />
+        </div>
+        <div>
+          <label htmlFor="reason" className="block text-sm font-semibold text-gray-700">Reason (Optional)</label>
+          <input id="reason" name="reason" type="text" className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-lg" />
+        </div>
+        <button type="submit" className="bg-slate-700 text-white font-semibold py-2 rounded-lg hover:bg-slate-800 transition">
+          Add Time Off
+        </button>
+      </form>
+    </div>
+  );
+};
+
+
 const ProviderProfileManagement = () => {
   const { user, token } = useAuth(); // removed fetchUserProfile to avoid re-render loop
   const [profile, setProfile] = useState(null);
@@ -398,6 +916,7 @@ const ProviderProfileManagement = () => {
       service_radius_km: parseInt(formData.get('service_radius_km'), 10),
       service_ids: serviceIds,
       payout_upi_id: formData.get('payout_upi_id'),
+      gstin: formData.get('gstin'),
     };
 
     try {
@@ -609,6 +1128,21 @@ const ProviderProfileManagement = () => {
             placeholder="E.g., yourname@bank or A/C: 1234"
           />
         </div>
+        <div>
+          <label htmlFor="gstin" className="block text-sm font-semibold text-gray-700">
+            GSTIN (optional)
+          </label>
+          <input
+            id="gstin"
+            name="gstin"
+            type="text"
+            maxLength={15}
+            defaultValue={profile.gstin || ''}
+            className="mt-1 block w-full px-4 py-3 border border-gray-300 rounded-lg uppercase"
+            placeholder="E.g., 27ABCDE1234F1Z5"
+          />
+          <p className="text-xs text-gray-500 mt-1">Printed on your customers' invoices. Leave blank if you are not registered under GST.</p>
+        </div>
 
         <button
           type="submit"
@@ -619,6 +1153,8 @@ const ProviderProfileManagement = () => {
           {loading ? 'Saving Profile...' : 'Save Profile Updates'}
         </button>
       </form>
+
+      <ProviderAvailabilitySettings />
     </div>
   );
 };
@@ -628,6 +1164,7 @@ export const ProviderDashboard = () => {
     const [activeTab, setActiveTab] = useState('bookings');
      const navItems = [
         { tab: 'bookings', label: 'Booking Requests' },
+        { tab: 'jobs', label: 'Job Board' },
         { tab: 'earnings', label: 'Earnings & Payments' },
         { tab: 'profile', label: 'Profile Management' },
     ];
@@ -635,6 +1172,7 @@ export const ProviderDashboard = () => {
     const renderTab = () => {
         switch (activeTab) {
             case 'bookings': return <ProviderBookingRequests />;
+            case 'jobs': return <ProviderJobBoard />;
             case 'earnings': return <ProviderWalletAndEarnings />;
             case 'profile': return <ProviderProfileManagement />;
             default: return <ProviderBookingRequests />;
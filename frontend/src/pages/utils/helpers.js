@@ -19,4 +19,73 @@ export const getProfileField = (user, field, defaultValue = '') => user?.profile
 export const getPhotoUrl = (user) => {
     // Uses the corrected database column name 'profile_picture_url'
     return user?.profile_picture_url || 'https://placehold.co/100x100/F0F4FF/4338CA?text=User';
-};
\ No newline at end of file
+};
+// Downloads a booking's .ics file. The export needs the auth header, so a plain link won't work.
+export const downloadBookingCalendar = async (bookingId, token) => {
+    const response = await fetch(`${API_BASE_URL}/bookings/${bookingId}/calendar.ics`, {
+        headers: { 'x-auth-token': token },
+    });
+    if (!response.ok) {
+        const data = await response.json();
+        throw new Error(data.error || 'Failed to export the booking to your calendar.');
+    }
+    const url = URL.createObjectURL(await response.blob());
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `booking-${bookingId}.ics`;
+    link.click();
+    URL.revokeObjectURL(url);
+};
+
+// Downloads the invoice PDF for a paid booking
+export const downloadBookingInvoice = async (bookingId, token) => {
+    const response = await fetch(`${API_BASE_URL}/payments/${bookingId}/invoice`, {
+        headers: { 'x-auth-token': token },
+    });
+    if (!response.ok) {
+        const data = await response.json();
+        throw new Error(data.error || 'Failed to download the invoice.');
+    }
+    const url = URL.createObjectURL(await response.blob());
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `invoice-booking-${bookingId}.pdf`;
+    link.click();
+    URL.revokeObjectURL(url);
+};
+
+// Downloads the wallet statement for a { from, to } range as 'csv' or 'pdf'
+export const downloadWalletStatement = async (format, range, token) => {
+    const params = new URLSearchParams();
+    Object.entries(range).forEach(([key, value]) => {
+        if (value) params.append(key, value);
+    });
+    const response = await fetch(`${API_BASE_URL}/user/wallet/statement.${format}?${params.toString()}`, {
+        headers: { 'x-auth-token': token },
+    });
+    if (!response.ok) {
+        const data = await response.json();
+        throw new Error(data.error || 'Failed to download the wallet statement.');
+    }
+    const url = URL.createObjectURL(await response.blob());
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `wallet-statement-${range.from || 'start'}-to-${range.to || 'today'}.${format}`;
+    link.click();
+    URL.revokeObjectURL(url);
+};
+
+// Query string for the paginated booking lists (status, from, to, service_id, q, sort). Empty values are left out.
+export const buildBookingListQuery = (filters, cursor = null) => {
+    const params = new URLSearchParams();
+    Object.entries({ ...filters, cursor }).forEach(([key, value]) => {
+        if (value) params.append(key, value);
+    });
+    return params.toString();
+};
+
+// A fresh Idempotency-Key for one money-moving request (see useIdempotentFetch in components/shared/UI)
+export const createIdempotencyKey = () => {
+    if (window.crypto?.randomUUID) return window.crypto.randomUUID();
+    return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}-${Math.random().toString(36).slice(2)}`;
+};
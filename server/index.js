@@ -7,6 +7,7 @@ require('dotenv').config();
 
 // --- Configuration & Middleware ---
 const pool = require('./src/config/db'); // Test connection runs on import
+const { startBookingExpiryJob } = require('./src/utils/bookingExpiry');
 // Multer is still defined here for global access and static file configuration
 const multer = require('multer'); 
 
@@ -17,7 +18,12 @@ app.use(cors({
     origin: 'http://localhost:3000'
 }));
 
-app.use(express.json());
+// Keep the raw body too: payment gateway webhooks are signed over the exact bytes received
+app.use(express.json({
+    verify: (req, res, buf) => {
+        req.rawBody = buf;
+    }
+}));
 
 
 // --- STATIC FILES / GLOBAL FILE UPLOAD CONFIGURATION (Needed for serving /uploads) ---
@@ -65,6 +71,15 @@ app.use('/api/v1', require('./src/routes/userRoutes'));
 // 4. Booking and Chat Routes (Includes POST /bookings and PUT /bookings/:id)
 app.use('/api/v1', require('./src/routes/bookingRoutes'));
 
+// 4b. Recurring Booking Series (Includes POST /booking-series, skip/pause/resume/end)
+app.use('/api/v1', require('./src/routes/seriesRoutes'));
+
+// 4c. Open Job Posts & Provider Bids (Includes POST /jobs, /provider/jobs, bid acceptance)
+app.use('/api/v1', require('./src/routes/jobRoutes'));
+
+// 4d. Calendar Export & Feeds (Includes /bookings/:id/calendar.ics and the public /calendar/:token.ics feed)
+app.use('/api/v1', require('./src/routes/calendarRoutes'));
+
 // 5. Customer Specific Routes (Includes /customer/bookings and deposit-request)
 app.use('/api/v1', require('./src/routes/customerRoutes'));
 
@@ -74,6 +89,15 @@ app.use('/api/v1', require('./src/routes/providerRoutes'));
 // 7. Payment & Review Routes
 app.use('/api/v1', require('./src/routes/paymentRoutes'));
 
+// 7b. Booking Disputes (Includes POST /bookings/:id/dispute and the provider response; rulings live in adminRoutes)
+app.use('/api/v1', require('./src/routes/disputeRoutes'));
+
+// 7c. Payment Gateway (Includes the signed webhooks; the offline mock gateway's checkout page only when MOCK_GATEWAY_ENABLED is set)
+app.use('/api/v1', require('./src/routes/gatewayRoutes'));
+if (require('./src/utils/mockGateway').enabled) {
+    app.use('/api/v1', require('./src/routes/mockGatewayRoutes'));
+}
+
 // 8. Admin Routes (Secured internally by role check in the router)
 app.use('/api/v1', require('./src/routes/adminRoutes'));
 
@@ -85,6 +109,9 @@ app.listen(PORT, () => {
     console.log(`Server is running at http://localhost:${PORT}`); 
     console.log(`Nodemailer is configured for: ${process.env.EMAIL_USER}`);
 
+    // Expires unanswered booking requests/quotes and flags overdue bookings
+    startBookingExpiryJob();
+
 
 });
 
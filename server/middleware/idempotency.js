@@ -0,0 +1,138 @@
+// backend/middleware/idempotency.js
+
+const crypto = require('crypto');
+const fs = require('fs');
+const pool = require('../src/config/db');
+require('dotenv').config();
+
+// --- IDEMPOTENCY KEYS ---
+// Money-moving routes accept an optional Idempotency-Key header, so a double click or a retried
+// request cannot pay, withdraw or deposit twice. The first request with a key claims it for the user;
+// its successful (2xx) response is stored and replayed, with an Idempotent-Replayed header, for any
+// repeat of the same request until the key is IDEMPOTENCY_KEY_TTL_HOURS old. A repeat that arrives
+// while the first is still running gets 409, and reusing a key for a different request gets 422.
+// Failed responses release the key, so the same request can be retried once the problem is fixed.
+// A key still 'processing' after IDEMPOTENCY_LEASE_SECONDS (e.g. the process died mid-request) is
+// released as well, so a crash does not block the request for the whole TTL.
+// Apply after auth (keys are scoped to req.user) and after any body parser such as multer.
+const IDEMPOTENCY_KEY_TTL_HOURS = parseFloat(process.env.IDEMPOTENCY_KEY_TTL_HOURS || 24);
+const IDEMPOTENCY_LEASE_SECONDS = parseFloat(process.env.IDEMPOTENCY_LEASE_SECONDS || 120);
+const IDEMPOTENCY_KEY_PATTERN = /^[\x21-\x7E]{1,255}$/; // printable ASCII, no spaces
+
+// Same method, URL, body and upload means the same request
+const fingerprintRequest = (req) => crypto.createHash('sha256').update(JSON.stringify({
+    method: req.method,
+    url: req.originalUrl,
+    body: req.body || null,
+    file: req.file ? { name: req.file.originalname, size: req.file.size } : null,
+})).digest('hex');
+
+// A replay or a rejected repeat must not leave its own upload behind
+const discardUpload = (req) => {
+    if (req.file?.path) {
+        fs.unlink(req.file.path, () => {});
+    }
+};
+
+const idempotency = async (req, res, next) => {
+    const key = req.header('Idempotency-Key');
+    if (key === undefined) {
+        return next();
+    }
+    if (!IDEMPOTENCY_KEY_PATTERN.test(key)) {
+        discardUpload(req);
+        return res.status(400).json({ error: 'Idempotency-Key must be 1 to 255 printable characters without spaces.' });
+    }
+
+    const user_id = req.user.id;
+    const requestHash = fingerprintRequest(req);
+    let claimed;
+
+    try {
+        // An expired key, or one whose request never finished, is free to be used again
+        await pool.query(
+            `DELETE FROM idempotency_keys
+             WHERE user_id = $1 AND idempotency_key = $2
+               AND (created_at < NOW() - $3::float8 * INTERVAL '1 hour'
+                    OR (status = 'processing' AND created_at < NOW() - $4::float8 * INTERVAL '1 second'))`,
+            [user_id, key, IDEMPOTENCY_KEY_TTL_HOURS, IDEMPOTENCY_LEASE_SECONDS]
+        );
+        const claimResult = await pool.query(
+            `INSERT INTO idempotency_keys (user_id, idempotency_key, request_method, request_path, request_hash)
+             VALUES ($1, $2, $3, $4, $5)
+             ON CONFLICT (user_id, idempotency_key) DO NOTHING
+             RETURNING id`,
+            [user_id, key, req.method, req.originalUrl, requestHash]
+        );
+        claimed = claimResult.rows[0];
+
+        if (!claimed) {
+            const existingResult = await pool.query(
+                'SELECT request_hash, status, response_status, response_body FROM idempotency_keys WHERE user_id = $1 AND idempotency_key = $2',
+                [user_id, key]
+            );
+            const existing = existingResult.rows[0];
+            discardUpload(req);
+
+            if (existing && existing.request_hash !== requestHash) {
+                return res.status(422).json({ error: 'This Idempotency-Key was already used for a different request.' });
+            }
+            if (!existing || existing.status !== 'completed') {
+                return res.status(409).json({ error: 'This request is already being processed. Please wait for it to finish.' });
+            }
+            res.set('Idempotent-Replayed', 'true');
+            return res.status(existing.response_status).json(existing.response_body);
+        }
+    } catch (err) {
+        console.error('Idempotency key error:', err);
+        discardUpload(req);
+        return res.status(500).json({ error: 'Could not process the request. Please try again.' });
+    }
+
+    // Store the outcome before the client sees it, so an immediate retry is already a replay
+    let settled = false;
+    const sendJson = res.json.bind(res);
+    res.json = (body) => {
+        settled = true;
+        const outcome = res.statusCode >= 200 && res.statusCode < 300
+            ? pool.query(
+                `UPDATE idempotency_keys
+                 SET status = 'completed', response_status = $2, response_body = $3::jsonb, completed_at = CURRENT_TIMESTAMP
+                 WHERE id = $1`,
+                [claimed.id, res.statusCode, JSON.stringify(body === undefined ? null : body)]
+            )
+            : pool.query('DELETE FROM idempotency_keys WHERE id = $1', [claimed.id]);
+        outcome
+            .catch(err => console.error('Idempotency key update error:', err))
+            .finally(() => sendJson(body));
+        return res;
+    };
+
+    // A response sent some other way (e.g. an unhandled error) must not hold the key until it expires
+    res.on('close', () => {
+        if (!settled) {
+            pool.query('DELETE FROM idempotency_keys WHERE id = $1', [claimed.id])
+                .catch(err => console.error('Idempotency key release error:', err));
+        }
+    });
+
+    next();
+};
+
+/**
+ * @function purgeExpiredIdempotencyKeys
+ * @desc Deletes keys older than IDEMPOTENCY_KEY_TTL_HOURS and abandoned 'processing' keys past their lease.
+ * @returns {number} how many keys were deleted
+ */
+const purgeExpiredIdempotencyKeys = async () => {
+    const result = await pool.query(
+        `DELETE FROM idempotency_keys
+         WHERE created_at < NOW() - $1::float8 * INTERVAL '1 hour'
+            OR (status = 'processing' AND created_at < NOW() - $2::float8 * INTERVAL '1 second')`,
+        [IDEMPOTENCY_KEY_TTL_HOURS, IDEMPOTENCY_LEASE_SECONDS]
+    );
+    return result.rowCount;
+};
+
+module.exports = idempotency;
+module.exports.purgeExpiredIdempotencyKeys = purgeExpiredIdempotencyKeys;
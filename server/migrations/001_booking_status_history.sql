@@ -0,0 +1,26 @@
+-- server/migrations/001_booking_status_history.sql
+-- Booking lifecycle: adds the 'cancelled' status and an audit table of every status change.
+-- Apply with: psql -d service-connect_db -f migrations/001_booking_status_history.sql
+
+BEGIN;
+
+ALTER TABLE public.bookings DROP CONSTRAINT IF EXISTS bookings_booking_status_check;
+ALTER TABLE public.bookings ADD CONSTRAINT bookings_booking_status_check CHECK (
+    booking_status IN ('pending_provider', 'awaiting_customer_confirmation', 'accepted', 'rejected', 'cancelled', 'completed', 'closed')
+);
+
+CREATE TABLE IF NOT EXISTS public.booking_status_history (
+    id SERIAL PRIMARY KEY,
+    booking_id integer NOT NULL REFERENCES public.bookings(id) ON DELETE CASCADE,
+    from_status character varying(50),            -- NULL for the row written when the booking is created
+    to_status character varying(50) NOT NULL,
+    changed_by integer REFERENCES public.users(id), -- NULL when the change was made by the system
+    actor_role character varying(50) NOT NULL,
+    reason text,
+    created_at timestamp with time zone DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS booking_status_history_booking_id_idx
+    ON public.booking_status_history (booking_id, created_at);
+
+COMMIT;
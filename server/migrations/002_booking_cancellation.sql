@@ -0,0 +1,12 @@
+-- server/migrations/002_booking_cancellation.sql
+-- Customer/provider cancellation: keeps the reason and any late-cancellation fee on the booking.
+
+BEGIN;
+
+ALTER TABLE public.bookings
+    ADD COLUMN IF NOT EXISTS cancelled_by integer REFERENCES public.users(id),
+    ADD COLUMN IF NOT EXISTS cancellation_reason text,
+    ADD COLUMN IF NOT EXISTS cancellation_fee numeric(10,2) DEFAULT 0.00 NOT NULL,
+    ADD COLUMN IF NOT EXISTS cancelled_at timestamp with time zone;
+
+COMMIT;
@@ -0,0 +1,26 @@
+-- server/migrations/003_booking_reschedule_proposals.sql
+-- Reschedule proposals: either party proposes a new scheduled_at, the other accepts or declines.
+
+BEGIN;
+
+CREATE TABLE IF NOT EXISTS public.booking_reschedule_proposals (
+    id SERIAL PRIMARY KEY,
+    booking_id integer NOT NULL REFERENCES public.bookings(id) ON DELETE CASCADE,
+    proposed_by integer NOT NULL REFERENCES public.users(id),
+    proposer_role character varying(50) NOT NULL,
+    previous_scheduled_at timestamp with time zone,
+    proposed_scheduled_at timestamp with time zone NOT NULL,
+    message text,
+    status character varying(50) DEFAULT 'pending'::character varying NOT NULL,
+    responded_by integer REFERENCES public.users(id),
+    responded_at timestamp with time zone,
+    created_at timestamp with time zone DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT booking_reschedule_proposals_status_check CHECK (
+        status IN ('pending', 'accepted', 'declined', 'superseded')
+    )
+);
+
+CREATE INDEX IF NOT EXISTS booking_reschedule_proposals_booking_id_idx
+    ON public.booking_reschedule_proposals (booking_id, created_at);
+
+COMMIT;
@@ -0,0 +1,35 @@
+-- server/migrations/004_provider_availability.sql
+-- Provider availability: weekly working hours, time off and a job duration per offered service.
+
+BEGIN;
+
+CREATE TABLE IF NOT EXISTS public.provider_working_hours (
+    id SERIAL PRIMARY KEY,
+    provider_id integer NOT NULL REFERENCES public.providers(id) ON DELETE CASCADE,
+    day_of_week smallint NOT NULL,  -- 0 = Sunday ... 6 = Saturday
+    start_time time NOT NULL,       -- local business time
+    end_time time NOT NULL,
+    CONSTRAINT provider_working_hours_day_check CHECK (day_of_week BETWEEN 0 AND 6),
+    CONSTRAINT provider_working_hours_range_check CHECK (start_time < end_time)
+);
+
+CREATE INDEX IF NOT EXISTS provider_working_hours_provider_id_idx
+    ON public.provider_working_hours (provider_id, day_of_week);
+
+CREATE TABLE IF NOT EXISTS public.provider_time_off (
+    id SERIAL PRIMARY KEY,
+    provider_id integer NOT NULL REFERENCES public.providers(id) ON DELETE CASCADE,
+    starts_at timestamp with time zone NOT NULL,
+    ends_at timestamp with time zone NOT NULL,
+    reason text,
+    created_at timestamp with time zone DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT provider_time_off_range_check CHECK (starts_at < ends_at)
+);
+
+CREATE INDEX IF NOT EXISTS provider_time_off_provider_id_idx
+    ON public.provider_time_off (provider_id, starts_at);
+
+ALTER TABLE public.provider_services
+    ADD COLUMN IF NOT EXISTS job_duration_minutes integer DEFAULT 60 NOT NULL;
+
+COMMIT;
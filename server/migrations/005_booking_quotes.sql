@@ -0,0 +1,24 @@
+-- server/migrations/005_booking_quotes.sql
+-- Quote history: every provider quote and customer counter-offer made while negotiating a booking's price.
+
+BEGIN;
+
+CREATE TABLE IF NOT EXISTS public.booking_quotes (
+    id SERIAL PRIMARY KEY,
+    booking_id integer NOT NULL REFERENCES public.bookings(id) ON DELETE CASCADE,
+    offered_by integer NOT NULL REFERENCES public.users(id),
+    offer_role character varying(50) NOT NULL,  -- 'provider' (quote) or 'customer' (counter-offer)
+    amount numeric(10,2) NOT NULL,
+    message text,
+    status character varying(50) DEFAULT 'pending'::character varying NOT NULL,
+    created_at timestamp with time zone DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT booking_quotes_amount_check CHECK (amount > 0),
+    CONSTRAINT booking_quotes_status_check CHECK (
+        status IN ('pending', 'accepted', 'rejected', 'countered')
+    )
+);
+
+CREATE INDEX IF NOT EXISTS booking_quotes_booking_id_idx
+    ON public.booking_quotes (booking_id, created_at);
+
+COMMIT;
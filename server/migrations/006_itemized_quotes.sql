@@ -0,0 +1,27 @@
+-- server/migrations/006_itemized_quotes.sql
+-- Itemized quotes: labor/materials/visit charge/discount lines plus GST, with the computed total kept on booking_quotes.amount.
+
+BEGIN;
+
+ALTER TABLE public.booking_quotes
+    ADD COLUMN IF NOT EXISTS subtotal numeric(10,2),
+    ADD COLUMN IF NOT EXISTS tax_percent numeric(5,2) DEFAULT 0.00 NOT NULL,
+    ADD COLUMN IF NOT EXISTS tax_amount numeric(10,2) DEFAULT 0.00 NOT NULL;
+
+CREATE TABLE IF NOT EXISTS public.booking_quote_items (
+    id SERIAL PRIMARY KEY,
+    quote_id integer NOT NULL REFERENCES public.booking_quotes(id) ON DELETE CASCADE,
+    item_type character varying(50) NOT NULL,
+    description text,
+    quantity numeric(10,2) DEFAULT 1 NOT NULL,
+    unit_price numeric(10,2) NOT NULL,
+    line_total numeric(10,2) NOT NULL,  -- negative for discounts
+    CONSTRAINT booking_quote_items_type_check CHECK (
+        item_type IN ('labor', 'material', 'visit_charge', 'discount')
+    )
+);
+
+CREATE INDEX IF NOT EXISTS booking_quote_items_quote_id_idx
+    ON public.booking_quote_items (quote_id);
+
+COMMIT;
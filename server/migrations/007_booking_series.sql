@@ -0,0 +1,43 @@
+-- server/migrations/007_booking_series.sql
+-- Recurring bookings: a series holds the schedule rule, each occurrence is a normal booking row linked to it.
+
+BEGIN;
+
+CREATE TABLE IF NOT EXISTS public.booking_series (
+    id SERIAL PRIMARY KEY,
+    customer_id integer NOT NULL REFERENCES public.users(id),
+    provider_id integer NOT NULL REFERENCES public.providers(id),
+    service_id integer NOT NULL REFERENCES public.services(id),
+    frequency character varying(20) NOT NULL,
+    starts_at timestamp with time zone NOT NULL,
+    ends_on date,                     -- last local date an occurrence may fall on
+    occurrence_count integer,         -- alternatively, a fixed number of occurrences
+    address text NOT NULL,
+    service_description text NOT NULL,
+    customer_notes text,
+    agreed_amount numeric(10,2),      -- set when the customer accepts the first quote; carried over to every occurrence
+    status character varying(20) DEFAULT 'active'::character varying NOT NULL,
+    paused_at timestamp with time zone,
+    created_at timestamp with time zone DEFAULT CURRENT_TIMESTAMP,
+    updated_at timestamp with time zone DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT booking_series_frequency_check CHECK (frequency IN ('weekly', 'biweekly', 'monthly')),
+    CONSTRAINT booking_series_status_check CHECK (status IN ('active', 'paused', 'ended')),
+    CONSTRAINT booking_series_end_check CHECK (ends_on IS NOT NULL OR occurrence_count IS NOT NULL)
+);
+
+CREATE INDEX IF NOT EXISTS booking_series_customer_id_idx ON public.booking_series (customer_id);
+CREATE INDEX IF NOT EXISTS booking_series_provider_id_idx ON public.booking_series (provider_id);
+
+ALTER TABLE public.bookings
+    ADD COLUMN IF NOT EXISTS series_id integer REFERENCES public.booking_series(id),
+    ADD COLUMN IF NOT EXISTS series_occurrence integer;
+
+CREATE INDEX IF NOT EXISTS bookings_series_id_idx ON public.bookings (series_id, series_occurrence);
+
+-- Quotes left open on occurrences that receive the series price are closed as 'superseded'
+ALTER TABLE public.booking_quotes DROP CONSTRAINT IF EXISTS booking_quotes_status_check;
+ALTER TABLE public.booking_quotes ADD CONSTRAINT booking_quotes_status_check CHECK (
+    status IN ('pending', 'accepted', 'rejected', 'countered', 'superseded')
+);
+
+COMMIT;
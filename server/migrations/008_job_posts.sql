@@ -0,0 +1,42 @@
+-- server/migrations/008_job_posts.sql
+-- Open job posts: a customer describes a job, nearby providers bid, the chosen bid becomes a booking.
+
+BEGIN;
+
+CREATE TABLE IF NOT EXISTS public.job_posts (
+    id SERIAL PRIMARY KEY,
+    customer_id integer NOT NULL REFERENCES public.users(id),
+    service_id integer NOT NULL REFERENCES public.services(id),
+    description text NOT NULL,
+    address text NOT NULL,
+    location_lat numeric(10,8) NOT NULL,
+    location_lon numeric(11,8) NOT NULL,
+    window_start timestamp with time zone NOT NULL,  -- the job can be done any time in this window
+    window_end timestamp with time zone NOT NULL,
+    status character varying(20) DEFAULT 'open'::character varying NOT NULL,
+    booking_id integer REFERENCES public.bookings(id),  -- set once a bid is accepted
+    created_at timestamp with time zone DEFAULT CURRENT_TIMESTAMP,
+    updated_at timestamp with time zone DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT job_posts_status_check CHECK (status IN ('open', 'awarded', 'cancelled')),
+    CONSTRAINT job_posts_window_check CHECK (window_start < window_end)
+);
+
+CREATE INDEX IF NOT EXISTS job_posts_service_id_idx ON public.job_posts (service_id, status);
+CREATE INDEX IF NOT EXISTS job_posts_customer_id_idx ON public.job_posts (customer_id);
+
+CREATE TABLE IF NOT EXISTS public.job_bids (
+    id SERIAL PRIMARY KEY,
+    job_post_id integer NOT NULL REFERENCES public.job_posts(id) ON DELETE CASCADE,
+    provider_id integer NOT NULL REFERENCES public.providers(id),
+    amount numeric(10,2) NOT NULL,
+    proposed_time timestamp with time zone NOT NULL,
+    message text,
+    status character varying(20) DEFAULT 'pending'::character varying NOT NULL,
+    created_at timestamp with time zone DEFAULT CURRENT_TIMESTAMP,
+    updated_at timestamp with time zone DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT job_bids_amount_check CHECK (amount > 0),
+    CONSTRAINT job_bids_status_check CHECK (status IN ('pending', 'accepted', 'declined', 'withdrawn')),
+    CONSTRAINT job_bids_one_per_provider UNIQUE (job_post_id, provider_id)
+);
+
+COMMIT;
@@ -0,0 +1,23 @@
+-- server/migrations/009_booking_expiry.sql
+-- Booking expiry: adds the 'expired' status for requests and quotes nobody answered in time,
+-- and a flag for accepted bookings that are long past their scheduled time.
+
+BEGIN;
+
+ALTER TABLE public.bookings DROP CONSTRAINT IF EXISTS bookings_booking_status_check;
+ALTER TABLE public.bookings ADD CONSTRAINT bookings_booking_status_check CHECK (
+    booking_status IN ('pending_provider', 'awaiting_customer_confirmation', 'accepted', 'rejected', 'cancelled', 'completed', 'closed', 'expired')
+);
+
+ALTER TABLE public.bookings
+    ADD COLUMN IF NOT EXISTS overdue_flagged_at timestamp with time zone; -- set once by the expiry job, shown to admins
+
+CREATE INDEX IF NOT EXISTS bookings_status_updated_at_idx
+    ON public.bookings (booking_status, updated_at);
+
+ALTER TABLE public.booking_quotes DROP CONSTRAINT IF EXISTS booking_quotes_status_check;
+ALTER TABLE public.booking_quotes ADD CONSTRAINT booking_quotes_status_check CHECK (
+    status IN ('pending', 'accepted', 'rejected', 'countered', 'superseded', 'expired')
+);
+
+COMMIT;
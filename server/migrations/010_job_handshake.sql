@@ -0,0 +1,17 @@
+-- server/migrations/010_job_handshake.sql
+-- Job handshake: every booking gets a start code and a completion code that only the customer sees.
+-- The provider enters them on arrival and when finished; the actual start and end times are stored.
+-- The column defaults generate the codes for new bookings and backfill existing ones.
+
+BEGIN;
+
+ALTER TABLE public.bookings
+    ADD COLUMN IF NOT EXISTS start_code character varying(6) DEFAULT lpad(floor(random() * 1000000)::int::text, 6, '0') NOT NULL,
+    ADD COLUMN IF NOT EXISTS completion_code character varying(6) DEFAULT lpad(floor(random() * 1000000)::int::text, 6, '0') NOT NULL,
+    ADD COLUMN IF NOT EXISTS started_at timestamp with time zone,
+    ADD COLUMN IF NOT EXISTS completed_at timestamp with time zone,
+    ADD COLUMN IF NOT EXISTS failed_code_attempts smallint DEFAULT 0 NOT NULL, -- reset after each successful code
+    ADD COLUMN IF NOT EXISTS completion_override_by integer REFERENCES public.users(id), -- admin who completed without the code
+    ADD COLUMN IF NOT EXISTS completion_override_reason text;
+
+COMMIT;
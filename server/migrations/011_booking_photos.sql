@@ -0,0 +1,22 @@
+-- server/migrations/011_booking_photos.sql
+-- Booking photos: problem photos from the customer and before/after photos from the provider,
+-- kept as evidence of the work done.
+
+BEGIN;
+
+CREATE TABLE IF NOT EXISTS public.booking_photos (
+    id SERIAL PRIMARY KEY,
+    booking_id integer NOT NULL REFERENCES public.bookings(id) ON DELETE CASCADE,
+    uploaded_by integer NOT NULL REFERENCES public.users(id),
+    uploader_role character varying(50) NOT NULL,
+    photo_type character varying(20) NOT NULL,
+    file_url text NOT NULL,
+    caption text,
+    created_at timestamp with time zone DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT booking_photos_type_check CHECK (photo_type IN ('problem', 'before', 'after'))
+);
+
+CREATE INDEX IF NOT EXISTS booking_photos_booking_id_idx
+    ON public.booking_photos (booking_id, created_at);
+
+COMMIT;
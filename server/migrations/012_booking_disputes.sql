@@ -0,0 +1,41 @@
+-- server/migrations/012_booking_disputes.sql
+-- Disputes: a customer can dispute a completed booking instead of paying. The booking moves to
+-- 'disputed' (payment is frozen) until an admin rules full, partial or no payment and closes it.
+-- Evidence files are stored in booking_photos with photo_type 'dispute'.
+
+BEGIN;
+
+ALTER TABLE public.bookings DROP CONSTRAINT IF EXISTS bookings_booking_status_check;
+ALTER TABLE public.bookings ADD CONSTRAINT bookings_booking_status_check CHECK (
+    booking_status IN ('pending_provider', 'awaiting_customer_confirmation', 'accepted', 'rejected', 'cancelled', 'completed', 'closed', 'expired', 'disputed')
+);
+
+CREATE TABLE IF NOT EXISTS public.booking_disputes (
+    id SERIAL PRIMARY KEY,
+    booking_id integer NOT NULL UNIQUE REFERENCES public.bookings(id) ON DELETE CASCADE, -- one dispute per booking
+    opened_by integer NOT NULL REFERENCES public.users(id),
+    reason character varying(50) NOT NULL,
+    customer_statement text NOT NULL,
+    provider_response text,
+    provider_responded_at timestamp with time zone,
+    status character varying(20) DEFAULT 'open'::character varying NOT NULL,
+    ruling character varying(20),
+    ruled_amount numeric(10,2),          -- what the customer pays the provider (0 for no payment)
+    admin_notes text,
+    resolved_by integer REFERENCES public.users(id),
+    resolved_at timestamp with time zone,
+    created_at timestamp with time zone DEFAULT CURRENT_TIMESTAMP,
+    updated_at timestamp with time zone DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT booking_disputes_status_check CHECK (status IN ('open', 'resolved')),
+    CONSTRAINT booking_disputes_ruling_check CHECK (ruling IS NULL OR ruling IN ('full_payment', 'partial_payment', 'no_payment'))
+);
+
+CREATE INDEX IF NOT EXISTS booking_disputes_status_idx
+    ON public.booking_disputes (status, created_at);
+
+ALTER TABLE public.booking_photos DROP CONSTRAINT IF EXISTS booking_photos_type_check;
+ALTER TABLE public.booking_photos ADD CONSTRAINT booking_photos_type_check CHECK (
+    photo_type IN ('problem', 'before', 'after', 'dispute')
+);
+
+COMMIT;
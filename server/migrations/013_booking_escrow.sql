@@ -0,0 +1,26 @@
+-- server/migrations/013_booking_escrow.sql
+-- Escrow: when a customer accepts a quote, the agreed amount moves from their available
+-- wallet balance (wallets.balance) into a held balance tied to the booking. Completion
+-- releases the hold to the provider; cancellation, rejection or expiry returns it.
+
+BEGIN;
+
+ALTER TABLE public.wallets
+    ADD COLUMN IF NOT EXISTS held_balance numeric(10,2) DEFAULT 0.00 NOT NULL;
+
+CREATE TABLE IF NOT EXISTS public.booking_escrow (
+    id SERIAL PRIMARY KEY,
+    booking_id integer NOT NULL UNIQUE REFERENCES public.bookings(id) ON DELETE CASCADE, -- one hold per booking
+    customer_id integer NOT NULL REFERENCES public.users(id),
+    amount numeric(10,2) NOT NULL,
+    status character varying(20) DEFAULT 'held'::character varying NOT NULL,
+    held_at timestamp with time zone DEFAULT CURRENT_TIMESTAMP,
+    settled_at timestamp with time zone,     -- when the hold was released or returned
+    CONSTRAINT booking_escrow_status_check CHECK (status IN ('held', 'released', 'returned')),
+    CONSTRAINT booking_escrow_amount_check CHECK (amount > 0)
+);
+
+CREATE INDEX IF NOT EXISTS booking_escrow_customer_idx
+    ON public.booking_escrow (customer_id, status);
+
+COMMIT;
@@ -0,0 +1,11 @@
+-- server/migrations/014_calendar_feeds.sql
+-- Calendar feeds: each customer or provider can subscribe Google Calendar/Outlook to a secret
+-- .ics URL listing their upcoming accepted bookings. The token is created on first use and
+-- can be reset, which invalidates the old URL.
+
+BEGIN;
+
+ALTER TABLE public.users
+    ADD COLUMN IF NOT EXISTS calendar_feed_token character varying(64) UNIQUE;
+
+COMMIT;
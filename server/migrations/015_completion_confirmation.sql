@@ -0,0 +1,22 @@
+-- server/migrations/015_completion_confirmation.sql
+-- Completion confirmation window: once a provider marks a booking completed, the customer has
+-- until confirmation_due_at to confirm (and pay) or report the work as not done. Unanswered
+-- bookings are confirmed and paid by the booking expiry job; if the wallet cannot cover the
+-- payment, auto_confirm_failed_at records that the customer and admin were told, once.
+
+BEGIN;
+
+ALTER TABLE public.bookings
+    ADD COLUMN IF NOT EXISTS confirmation_due_at timestamp with time zone,
+    ADD COLUMN IF NOT EXISTS auto_confirm_failed_at timestamp with time zone;
+
+-- Bookings completed before this migration get a fresh window from now
+UPDATE public.bookings
+SET confirmation_due_at = CURRENT_TIMESTAMP + INTERVAL '48 hours'
+WHERE booking_status = 'completed' AND confirmation_due_at IS NULL;
+
+CREATE INDEX IF NOT EXISTS bookings_confirmation_due_idx
+    ON public.bookings (confirmation_due_at)
+    WHERE booking_status = 'completed';
+
+COMMIT;
@@ -0,0 +1,15 @@
+-- server/migrations/016_payment_tips.sql
+-- Optional tips at payment time. payments.amount stays the booking price; the tip is recorded
+-- next to it and moves from the customer's wallet to the provider's as its own 'tip' ledger journal
+-- (see src/utils/payments.js).
+
+BEGIN;
+
+ALTER TABLE public.payments
+    ADD COLUMN IF NOT EXISTS tip_amount numeric(10,2) DEFAULT 0.00 NOT NULL;
+
+ALTER TABLE public.payments DROP CONSTRAINT IF EXISTS payments_tip_amount_check;
+ALTER TABLE public.payments
+    ADD CONSTRAINT payments_tip_amount_check CHECK (tip_amount >= 0);
+
+COMMIT;
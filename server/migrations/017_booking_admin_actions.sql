@@ -0,0 +1,24 @@
+-- server/migrations/017_booking_admin_actions.sql
+-- Admin interventions on bookings (cancel, forced status change, reassignment to another provider,
+-- amount/schedule edits, completion override). Every action keeps the admin, the mandatory reason
+-- and what changed, so support no longer has to fix stuck bookings with manual SQL.
+
+BEGIN;
+
+CREATE TABLE IF NOT EXISTS public.booking_admin_actions (
+    id SERIAL PRIMARY KEY,
+    booking_id integer NOT NULL REFERENCES public.bookings(id) ON DELETE CASCADE,
+    admin_id integer REFERENCES public.users(id),
+    action character varying(30) NOT NULL,
+    reason text NOT NULL,
+    details jsonb DEFAULT '{}'::jsonb NOT NULL,  -- before/after values of whatever was changed
+    created_at timestamp with time zone DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT booking_admin_actions_action_check CHECK (
+        action IN ('cancel', 'force_status', 'reassign', 'edit', 'complete')
+    )
+);
+
+CREATE INDEX IF NOT EXISTS booking_admin_actions_booking_id_idx
+    ON public.booking_admin_actions (booking_id, created_at);
+
+COMMIT;
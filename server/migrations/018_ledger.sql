@@ -0,0 +1,92 @@
+-- server/migrations/018_ledger.sql
+-- Double-entry ledger for all wallet money. Every movement is a journal of balanced debit and
+-- credit entries between accounts:
+--   wallet:<user_id>   what the platform owes the user (their available balance)   liability
+--   escrow:<user_id>   the customer's money held for accepted bookings              liability
+--   cash               real money received by deposit and paid out by withdrawal   asset
+--   commission         the platform's fees                                          revenue
+-- wallets.balance / wallets.held_balance stay as cached balances, written only together with ledger
+-- entries (see src/utils/ledger.js) and checked by GET /admin/ledger/verify.
+-- The old `transactions` table is kept read-only as the pre-ledger history.
+
+BEGIN;
+
+CREATE TABLE IF NOT EXISTS public.ledger_accounts (
+    id SERIAL PRIMARY KEY,
+    code character varying(40) NOT NULL UNIQUE,
+    kind character varying(20) NOT NULL,
+    user_id integer REFERENCES public.users(id) ON DELETE RESTRICT,
+    created_at timestamp with time zone DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT ledger_accounts_kind_check CHECK (kind IN ('wallet', 'escrow', 'cash', 'commission')),
+    CONSTRAINT ledger_accounts_owner_check CHECK ((kind IN ('wallet', 'escrow')) = (user_id IS NOT NULL))
+);
+
+CREATE TABLE IF NOT EXISTS public.ledger_journals (
+    id SERIAL PRIMARY KEY,
+    entry_type character varying(40) NOT NULL,
+    booking_id integer REFERENCES public.bookings(id) ON DELETE SET NULL,
+    wallet_request_id integer REFERENCES public.wallet_requests(id) ON DELETE SET NULL,
+    memo text,
+    created_by integer REFERENCES public.users(id),
+    created_at timestamp with time zone DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS public.ledger_entries (
+    id SERIAL PRIMARY KEY,
+    journal_id integer NOT NULL REFERENCES public.ledger_journals(id) ON DELETE RESTRICT,
+    account_id integer NOT NULL REFERENCES public.ledger_accounts(id) ON DELETE RESTRICT,
+    direction character varying(6) NOT NULL,
+    amount numeric(12,2) NOT NULL,
+    CONSTRAINT ledger_entries_direction_check CHECK (direction IN ('debit', 'credit')),
+    CONSTRAINT ledger_entries_amount_check CHECK (amount > 0)
+);
+
+CREATE INDEX IF NOT EXISTS ledger_entries_account_idx ON public.ledger_entries (account_id);
+CREATE INDEX IF NOT EXISTS ledger_entries_journal_idx ON public.ledger_entries (journal_id);
+CREATE INDEX IF NOT EXISTS ledger_journals_booking_idx ON public.ledger_journals (booking_id);
+
+INSERT INTO public.ledger_accounts (code, kind) VALUES ('cash', 'cash'), ('commission', 'commission')
+ON CONFLICT (code) DO NOTHING;
+
+-- Opening balances: existing wallet and held balances are carried over as if deposited in cash
+DO $$
+DECLARE
+    w record;
+    journal integer;
+    cash_account integer;
+    user_account integer;
+BEGIN
+    IF EXISTS (SELECT 1 FROM public.ledger_journals WHERE entry_type = 'opening_balance') THEN
+        RETURN;
+    END IF;
+
+    SELECT id INTO cash_account FROM public.ledger_accounts WHERE code = 'cash';
+
+    FOR w IN SELECT user_id, balance, held_balance FROM public.wallets WHERE balance <> 0 OR held_balance <> 0 LOOP
+        INSERT INTO public.ledger_journals (entry_type, memo)
+        VALUES ('opening_balance', 'Balance carried over when the ledger was introduced')
+        RETURNING id INTO journal;
+
+        IF w.balance <> 0 THEN
+            INSERT INTO public.ledger_accounts (code, kind, user_id) VALUES ('wallet:' || w.user_id, 'wallet', w.user_id)
+            ON CONFLICT (code) DO UPDATE SET code = EXCLUDED.code
+            RETURNING id INTO user_account;
+
+            INSERT INTO public.ledger_entries (journal_id, account_id, direction, amount) VALUES
+                (journal, cash_account, CASE WHEN w.balance > 0 THEN 'debit' ELSE 'credit' END, ABS(w.balance)),
+                (journal, user_account, CASE WHEN w.balance > 0 THEN 'credit' ELSE 'debit' END, ABS(w.balance));
+        END IF;
+
+        IF w.held_balance <> 0 THEN
+            INSERT INTO public.ledger_accounts (code, kind, user_id) VALUES ('escrow:' || w.user_id, 'escrow', w.user_id)
+            ON CONFLICT (code) DO UPDATE SET code = EXCLUDED.code
+            RETURNING id INTO user_account;
+
+            INSERT INTO public.ledger_entries (journal_id, account_id, direction, amount) VALUES
+                (journal, cash_account, CASE WHEN w.held_balance > 0 THEN 'debit' ELSE 'credit' END, ABS(w.held_balance)),
+                (journal, user_account, CASE WHEN w.held_balance > 0 THEN 'credit' ELSE 'debit' END, ABS(w.held_balance));
+        END IF;
+    END LOOP;
+END $$;
+
+COMMIT;
@@ -0,0 +1,48 @@
+-- server/migrations/019_platform_commission.sql
+-- Platform commission on booking payments. A rule is either a percentage of the payment or a flat
+-- fee, set globally, per service, or per provider. The most specific rule wins:
+-- provider > service > global. Tips and cancellation fees are not commissioned.
+-- payments.amount stays the gross the customer paid; commission_amount is the platform's share and
+-- the provider receives the difference.
+
+BEGIN;
+
+CREATE TABLE IF NOT EXISTS public.commission_rules (
+    id SERIAL PRIMARY KEY,
+    scope character varying(20) NOT NULL,
+    service_id integer REFERENCES public.services(id) ON DELETE CASCADE,
+    provider_id integer REFERENCES public.providers(id) ON DELETE CASCADE,
+    fee_type character varying(10) NOT NULL,
+    rate numeric(10,2) NOT NULL,
+    updated_by integer REFERENCES public.users(id),
+    updated_at timestamp with time zone DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT commission_rules_scope_check CHECK (
+        (scope = 'global' AND service_id IS NULL AND provider_id IS NULL)
+        OR (scope = 'service' AND service_id IS NOT NULL AND provider_id IS NULL)
+        OR (scope = 'provider' AND provider_id IS NOT NULL AND service_id IS NULL)
+    ),
+    CONSTRAINT commission_rules_fee_type_check CHECK (fee_type IN ('percent', 'flat')),
+    CONSTRAINT commission_rules_rate_check CHECK (rate >= 0 AND (fee_type <> 'percent' OR rate <= 100))
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS commission_rules_global_idx ON public.commission_rules (scope) WHERE scope = 'global';
+CREATE UNIQUE INDEX IF NOT EXISTS commission_rules_service_idx ON public.commission_rules (service_id) WHERE scope = 'service';
+CREATE UNIQUE INDEX IF NOT EXISTS commission_rules_provider_idx ON public.commission_rules (provider_id) WHERE scope = 'provider';
+
+-- The global rule starts at 0%: no commission is taken until an admin sets a rate
+-- (PUT /admin/commission-rules).
+INSERT INTO public.commission_rules (scope, fee_type, rate)
+SELECT 'global', 'percent', 0.00
+WHERE NOT EXISTS (SELECT 1 FROM public.commission_rules WHERE scope = 'global');
+
+ALTER TABLE public.payments
+    ADD COLUMN IF NOT EXISTS commission_amount numeric(10,2) DEFAULT 0.00 NOT NULL,
+    ADD COLUMN IF NOT EXISTS commission_rule_id integer REFERENCES public.commission_rules(id) ON DELETE SET NULL;
+
+ALTER TABLE public.payments DROP CONSTRAINT IF EXISTS payments_commission_amount_check;
+ALTER TABLE public.payments
+    ADD CONSTRAINT payments_commission_amount_check CHECK (commission_amount >= 0 AND commission_amount <= amount);
+
+CREATE INDEX IF NOT EXISTS payments_paid_at_idx ON public.payments (paid_at);
+
+COMMIT;
@@ -0,0 +1,56 @@
+-- server/migrations/020_payment_refunds.sql
+-- Admin refunds of captured booking payments, in full or in part. Each refund is a 'refund' ledger
+-- journal linked to the original payment (ledger_journals.payment_id): the provider's wallet and
+-- the platform commission give back their share of the refunded amount to the customer's wallet.
+-- Tips are not refundable. The payment moves to 'partially_refunded', then 'refunded' once
+-- refunded_amount reaches the payment amount.
+
+BEGIN;
+
+ALTER TABLE public.payments DROP CONSTRAINT IF EXISTS payments_status_check;
+ALTER TABLE public.payments
+    ADD CONSTRAINT payments_status_check CHECK (
+        status IN ('pending', 'succeeded', 'failed', 'partially_refunded', 'refunded')
+    );
+
+-- Running totals over payment_refunds, so reports can net refunds without re-aggregating
+ALTER TABLE public.payments
+    ADD COLUMN IF NOT EXISTS refunded_amount numeric(10,2) DEFAULT 0.00 NOT NULL,
+    ADD COLUMN IF NOT EXISTS refunded_commission numeric(10,2) DEFAULT 0.00 NOT NULL;
+
+ALTER TABLE public.payments DROP CONSTRAINT IF EXISTS payments_refunded_amount_check;
+ALTER TABLE public.payments
+    ADD CONSTRAINT payments_refunded_amount_check CHECK (
+        refunded_amount >= 0 AND refunded_amount <= amount
+        AND refunded_commission >= 0 AND refunded_commission <= commission_amount
+    );
+
+ALTER TABLE public.ledger_journals
+    ADD COLUMN IF NOT EXISTS payment_id integer REFERENCES public.payments(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS ledger_journals_payment_idx ON public.ledger_journals (payment_id);
+
+CREATE TABLE IF NOT EXISTS public.payment_refunds (
+    id SERIAL PRIMARY KEY,
+    payment_id integer NOT NULL REFERENCES public.payments(id) ON DELETE CASCADE,
+    booking_id integer NOT NULL REFERENCES public.bookings(id) ON DELETE CASCADE,
+    amount numeric(10,2) NOT NULL,
+    provider_amount numeric(10,2) NOT NULL,    -- taken back from the provider's wallet
+    commission_amount numeric(10,2) NOT NULL,  -- taken back from the platform commission
+    reason text NOT NULL,
+    journal_id integer REFERENCES public.ledger_journals(id),
+    refunded_by integer REFERENCES public.users(id),
+    created_at timestamp with time zone DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT payment_refunds_amount_check CHECK (amount > 0 AND provider_amount >= 0 AND commission_amount >= 0
+        AND provider_amount + commission_amount = amount)
+);
+
+CREATE INDEX IF NOT EXISTS payment_refunds_booking_idx ON public.payment_refunds (booking_id, created_at);
+
+ALTER TABLE public.booking_admin_actions DROP CONSTRAINT IF EXISTS booking_admin_actions_action_check;
+ALTER TABLE public.booking_admin_actions
+    ADD CONSTRAINT booking_admin_actions_action_check CHECK (
+        action IN ('cancel', 'force_status', 'reassign', 'edit', 'complete', 'refund')
+    );
+
+COMMIT;
@@ -0,0 +1,29 @@
+-- server/migrations/021_invoices.sql
+-- A numbered invoice for every captured booking payment. The invoice keeps a snapshot of the
+-- parties, line items and totals as they were when it was issued (details), so later profile or
+-- quote edits never change a document the customer has already filed.
+-- Numbers look like SC/26-27/000123: financial year plus a running serial, at most 16 characters
+-- as GST rules require. Providers can add their GSTIN, which is printed on their invoices.
+
+BEGIN;
+
+ALTER TABLE public.providers
+    ADD COLUMN IF NOT EXISTS gstin character varying(15);
+
+CREATE SEQUENCE IF NOT EXISTS public.invoice_number_seq;
+
+CREATE TABLE IF NOT EXISTS public.invoices (
+    id SERIAL PRIMARY KEY,
+    invoice_number character varying(16) NOT NULL UNIQUE,
+    payment_id integer NOT NULL UNIQUE REFERENCES public.payments(id) ON DELETE CASCADE,
+    booking_id integer NOT NULL REFERENCES public.bookings(id) ON DELETE CASCADE,
+    customer_id integer NOT NULL REFERENCES public.users(id),
+    provider_id integer NOT NULL REFERENCES public.providers(id),
+    total numeric(10,2) NOT NULL,
+    details jsonb NOT NULL,
+    issued_at timestamp with time zone DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS invoices_booking_idx ON public.invoices (booking_id);
+
+COMMIT;
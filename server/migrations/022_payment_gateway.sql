@@ -0,0 +1,47 @@
+-- server/migrations/022_payment_gateway.sql
+-- Online wallet top-ups through a payment gateway (see src/utils/paymentGateway.js). The customer
+-- creates an order, pays on the gateway's checkout page, and the gateway's signed webhook credits
+-- the wallet. A paid order is recorded as an approved deposit wallet request with source 'gateway',
+-- so it shows up next to manual (screenshot) deposits everywhere deposits are listed.
+-- Webhook deliveries are stored by event id: gateways retry, and a repeated event is ignored.
+
+BEGIN;
+
+ALTER TABLE public.wallet_requests
+    ADD COLUMN IF NOT EXISTS source character varying(20) DEFAULT 'manual' NOT NULL;
+
+ALTER TABLE public.wallet_requests DROP CONSTRAINT IF EXISTS wallet_requests_source_check;
+ALTER TABLE public.wallet_requests
+    ADD CONSTRAINT wallet_requests_source_check CHECK (source IN ('manual', 'gateway'));
+
+CREATE TABLE IF NOT EXISTS public.gateway_orders (
+    id SERIAL PRIMARY KEY,
+    user_id integer NOT NULL REFERENCES public.users(id) ON DELETE CASCADE,
+    gateway character varying(30) NOT NULL,
+    gateway_order_id character varying(100) NOT NULL,
+    gateway_payment_id character varying(100),
+    amount numeric(10,2) NOT NULL,
+    currency character(3) DEFAULT 'INR' NOT NULL,
+    status character varying(20) DEFAULT 'created' NOT NULL,
+    failure_reason text,
+    wallet_request_id integer REFERENCES public.wallet_requests(id),
+    created_at timestamp with time zone DEFAULT CURRENT_TIMESTAMP,
+    updated_at timestamp with time zone DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT gateway_orders_status_check CHECK (status IN ('created', 'paid', 'failed')),
+    CONSTRAINT gateway_orders_amount_check CHECK (amount > 0),
+    CONSTRAINT gateway_orders_gateway_order_key UNIQUE (gateway, gateway_order_id)
+);
+
+CREATE INDEX IF NOT EXISTS gateway_orders_user_idx ON public.gateway_orders (user_id, created_at);
+
+CREATE TABLE IF NOT EXISTS public.gateway_webhook_events (
+    id SERIAL PRIMARY KEY,
+    gateway character varying(30) NOT NULL,
+    event_id character varying(100) NOT NULL,
+    event_type character varying(50) NOT NULL,
+    payload jsonb NOT NULL,
+    received_at timestamp with time zone DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT gateway_webhook_events_event_key UNIQUE (gateway, event_id)
+);
+
+COMMIT;
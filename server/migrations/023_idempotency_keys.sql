@@ -0,0 +1,26 @@
+-- server/migrations/023_idempotency_keys.sql
+-- Idempotency-Key support for money-moving routes (see middleware/idempotency.js). A client key is
+-- scoped to the user who sent it. The first request claims the key ('processing'); its successful
+-- response is stored ('completed') and replayed for repeats of the same request until the key expires.
+
+BEGIN;
+
+CREATE TABLE IF NOT EXISTS public.idempotency_keys (
+    id SERIAL PRIMARY KEY,
+    user_id integer NOT NULL REFERENCES public.users(id) ON DELETE CASCADE,
+    idempotency_key character varying(255) NOT NULL,
+    request_method character varying(10) NOT NULL,
+    request_path text NOT NULL,
+    request_hash character(64) NOT NULL,    -- sha256 of method, path and body
+    status character varying(20) DEFAULT 'processing' NOT NULL,
+    response_status integer,
+    response_body jsonb,
+    created_at timestamp with time zone DEFAULT CURRENT_TIMESTAMP,
+    completed_at timestamp with time zone,
+    CONSTRAINT idempotency_keys_status_check CHECK (status IN ('processing', 'completed')),
+    CONSTRAINT idempotency_keys_user_key UNIQUE (user_id, idempotency_key)
+);
+
+CREATE INDEX IF NOT EXISTS idempotency_keys_created_idx ON public.idempotency_keys (created_at);
+
+COMMIT;
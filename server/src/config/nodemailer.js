@@ -14,15 +14,16 @@ const transporter = nodemailer.createTransport({
 
 /**
  * @function sendEmail
- * @desc Sends an email using Nodemailer.
+ * @desc Sends an email using Nodemailer. Optional attachments use Nodemailer's format ({ filename, content, contentType }).
  */
-const sendEmail = async (to, subject, html) => {
+const sendEmail = async (to, subject, html, attachments = []) => {
     try {
         const info = await transporter.sendMail({
             from: `"${process.env.EMAIL_SENDER_NAME || 'Service Connect'}" <${process.env.EMAIL_USER}>`,
             to: to,
             subject: subject,
             html: html,
+            attachments: attachments,
         });
         console.log('Message sent: %s', info.messageId);
     } catch (error) {
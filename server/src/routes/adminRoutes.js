@@ -2,6 +2,17 @@ const express = require('express');
 const router = express.Router();
 const pool = require('../config/db');
 const auth = require('../../middleware/auth'); // Import auth middleware (attaches req.user)
+const idempotency = require('../../middleware/idempotency');
+const { sendEmail } = require('../config/nodemailer');
+const { BOOKING_STATUSES, BOOKING_TRANSITIONS, getTransitionError, transitionBooking } = require('../utils/bookingLifecycle');
+const { captureHeldFunds, holdFunds, returnHeldFunds, adjustHeldFunds } = require('../utils/escrow');
+const { CASH, COMMISSION, getAvailableBalance, postJournal, walletOf, verifyLedger } = require('../utils/ledger');
+const { validateCommissionRule, describeCommissionRule, getBookingCommission } = require('../utils/commission');
+const { UTC_OFFSET_MINUTES, localMidnight, checkProviderAvailability } = require('../utils/availability');
+const { confirmationDueAt } = require('../utils/completionConfirmation');
+const { CAPTURED_PAYMENT_STATUSES, refundPayment } = require('../utils/payments');
+const { issueInvoice, invoiceAttachment } = require('../utils/invoices');
+const { parseBookingListQuery, buildBookingListSql, paginateBookings } = require('../utils/bookingListQuery');
 
 
 // --- Middleware Function to ensure Admin Role ---
@@ -35,6 +46,8 @@ router.get('/admin/overview-metrics', async (req, res) => {
         // FIX: Fetch counts of pending wallet requests (Deposit and Withdrawal)
         const pendingDeposits = await pool.query("SELECT COUNT(id) FROM wallet_requests WHERE status = 'pending' AND type = 'deposit'");
         const pendingWithdrawals = await pool.query("SELECT COUNT(id) FROM wallet_requests WHERE status = 'pending' AND type = 'withdrawal'");
+        const overdueBookings = await pool.query("SELECT COUNT(id) FROM bookings WHERE booking_status = 'accepted' AND overdue_flagged_at IS NOT NULL");
+        const openDisputes = await pool.query("SELECT COUNT(id) FROM booking_disputes WHERE status = 'open'");
 
         res.status(200).json({
             total_users: parseInt(totalUsers.rows[0].count, 10),
@@ -42,6 +55,8 @@ router.get('/admin/overview-metrics', async (req, res) => {
             pending_verification: parseInt(pendingVerification.rows[0].count, 10),
             pending_deposits: parseInt(pendingDeposits.rows[0].count, 10),
             pending_withdrawals: parseInt(pendingWithdrawals.rows[0].count, 10),
+            overdue_bookings: parseInt(overdueBookings.rows[0].count, 10),
+            open_disputes: parseInt(openDisputes.rows[0].count, 10),
         });
     } catch (err) {
         console.error('Admin overview metric fetch error:', err);
@@ -84,6 +99,7 @@ router.get('/admin/wallet-requests', async (req, res) => {
                 wr.amount, 
                 wr.transaction_reference, 
                 wr.screenshot_url,
+                wr.source,
                 wr.requested_at, 
                 u.email, 
                 u.role,
@@ -103,10 +119,10 @@ router.get('/admin/wallet-requests', async (req, res) => {
 
 /**
  * @route PUT /api/v1/admin/wallet-requests/:id/approve
- * @desc Admin approves a wallet request and updates balances/transactions.
+ * @desc Admin approves a wallet request and posts the deposit or withdrawal to the ledger.
  * @access Private (Admin only)
  */
-router.put('/admin/wallet-requests/:id/approve', async (req, res) => {
+router.put('/admin/wallet-requests/:id/approve', idempotency, async (req, res) => {
     const request_id = req.params.id;
 
     const client = await pool.connect();
@@ -127,27 +143,27 @@ router.put('/admin/wallet-requests/:id/approve', async (req, res) => {
         }
 
         const { user_id, type, amount } = request;
-        const adjustment = type === 'deposit' ? amount : -amount;
-        const txnType = type === 'deposit' ? 'deposit_admin_approved' : 'withdrawal_sent';
 
-        // 2. Update wallet balance
-        const walletUpdate = await client.query(
-            'UPDATE wallets SET balance = balance + $1 WHERE user_id = $2 RETURNING balance',
-            [adjustment, user_id]
-        );
-        
-        // Safety check for withdrawal to prevent negative balance if balance changed externally
-        if (type === 'withdrawal' && walletUpdate.rows[0].balance < 0) {
-            await client.query('ROLLBACK');
-            return res.status(400).json({ error: 'Withdrawal failed: Insufficient funds or concurrent modification.' });
+        // 2. Withdrawals can only pay out what is still available (holds and payments may have used it
+        //    since); the request's own reservation is not counted against it
+        if (type === 'withdrawal') {
+            const { available } = await getAvailableBalance(client, user_id, { excludeRequestId: request.id });
+            if (available < parseFloat(amount)) {
+                await client.query('ROLLBACK');
+                return res.status(400).json({ error: 'Withdrawal failed: the user\'s available balance is below the requested amount.' });
+            }
         }
 
-
-        // 3. Log transaction
-        await client.query(
-            'INSERT INTO transactions (user_id, type, amount) VALUES ($1, $2, $3)',
-            [user_id, txnType, amount]
-        );
+        // 3. Post the movement between the platform's cash and the user's wallet
+        await postJournal(client, {
+            type,
+            walletRequestId: request.id,
+            actorId: req.user.id,
+            transfers: [type === 'deposit'
+                ? { from: CASH, to: walletOf(user_id), amount }
+                : { from: walletOf(user_id), to: CASH, amount }],
+        });
+        const walletResult = await client.query('SELECT balance FROM wallets WHERE user_id = $1', [user_id]);
 
         // 4. Update request status
         await client.query(
@@ -159,7 +175,7 @@ router.put('/admin/wallet-requests/:id/approve', async (req, res) => {
         
         res.status(200).json({
             message: `${type.toUpperCase()} request #${request_id} approved. Balance updated.`,
-            new_balance: parseFloat(walletUpdate.rows[0].balance)
+            new_balance: parseFloat(walletResult.rows[0].balance)
         });
 
     } catch (err) {
@@ -176,7 +192,7 @@ router.put('/admin/wallet-requests/:id/approve', async (req, res) => {
  * @desc Admin rejects a wallet request.
  * @access Private (Admin only)
  */
-router.put('/admin/wallet-requests/:id/reject', async (req, res) => {
+router.put('/admin/wallet-requests/:id/reject', idempotency, async (req, res) => {
     const request_id = req.params.id;
     const { reason } = req.body;
 
@@ -198,6 +214,205 @@ router.put('/admin/wallet-requests/:id/reject', async (req, res) => {
     }
 });
 
+/**
+ * @route GET /api/v1/admin/ledger/verify
+ * @desc Checks the ledger: every journal balances, cached wallet balances match their accounts
+ *       and escrow accounts match open booking holds. Returns the trial balance per account kind.
+ * @access Private (Admin only)
+ */
+router.get('/admin/ledger/verify', async (req, res) => {
+    try {
+        const report = await verifyLedger(pool);
+        res.status(200).json(report);
+    } catch (err) {
+        console.error('Ledger verification error:', err);
+        res.status(500).json({ error: 'Failed to verify the ledger.' });
+    }
+});
+
+// --- PLATFORM COMMISSION & REVENUE ---
+// Commission rules are set per scope (see utils/commission): one global rule, plus optional
+// overrides per service and per provider. Saving a rule for a scope/target replaces the old one.
+
+const COMMISSION_RULE_SELECT = `
+    SELECT cr.id, cr.scope, cr.service_id, cr.provider_id, cr.fee_type, cr.rate, cr.updated_at,
+           s.name AS service_name, p.display_name AS provider_name
+    FROM commission_rules cr
+    LEFT JOIN services s ON s.id = cr.service_id
+    LEFT JOIN providers p ON p.id = cr.provider_id`;
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * @route GET /api/v1/admin/commission-rules
+ * @desc Lists the commission rules, global first, then service and provider overrides.
+ * @access Private (Admin only)
+ */
+router.get('/admin/commission-rules', async (req, res) => {
+    try {
+        const result = await pool.query(
+            `${COMMISSION_RULE_SELECT}
+             ORDER BY CASE cr.scope WHEN 'global' THEN 1 WHEN 'service' THEN 2 ELSE 3 END, s.name, p.display_name`
+        );
+        res.status(200).json(result.rows.map(rule => ({ ...rule, label: describeCommissionRule(rule) })));
+    } catch (err) {
+        console.error('Commission rules fetch error:', err);
+        res.status(500).json({ error: 'Failed to fetch commission rules.' });
+    }
+});
+
+/**
+ * @route PUT /api/v1/admin/commission-rules
+ * @desc Creates or replaces the commission rule for a scope: { scope, service_id?, provider_id?, fee_type, rate }.
+ *       Applies to payments taken from now on; past payments keep the commission they were charged.
+ * @access Private (Admin only)
+ */
+router.put('/admin/commission-rules', async (req, res) => {
+    const rule = validateCommissionRule(req.body);
+    if (rule.error) {
+        return res.status(400).json({ error: rule.error });
+    }
+
+    try {
+        if (rule.serviceId) {
+            const serviceResult = await pool.query('SELECT id FROM services WHERE id = $1', [rule.serviceId]);
+            if (serviceResult.rows.length === 0) {
+                return res.status(404).json({ error: 'Service not found.' });
+            }
+        }
+        if (rule.providerId) {
+            const providerResult = await pool.query('SELECT id FROM providers WHERE id = $1', [rule.providerId]);
+            if (providerResult.rows.length === 0) {
+                return res.status(404).json({ error: 'Provider not found.' });
+            }
+        }
+
+        const params = [rule.scope, rule.serviceId, rule.providerId, rule.feeType, rule.rate, req.user.id];
+        const updated = await pool.query(
+            `UPDATE commission_rules
+             SET fee_type = $4, rate = $5, updated_by = $6, updated_at = CURRENT_TIMESTAMP
+             WHERE scope = $1 AND service_id IS NOT DISTINCT FROM $2 AND provider_id IS NOT DISTINCT FROM $3
+             RETURNING id`,
+            params
+        );
+        const ruleId = updated.rows[0]?.id || (await pool.query(
+            `INSERT INTO commission_rules (scope, service_id, provider_id, fee_type, rate, updated_by)
+             VALUES ($1, $2, $3, $4, $5, $6) RETURNING id`,
+            params
+        )).rows[0].id;
+
+        const result = await pool.query(`${COMMISSION_RULE_SELECT} WHERE cr.id = $1`, [ruleId]);
+        const saved = result.rows[0];
+        res.status(200).json({
+            message: `Commission rule saved: ${describeCommissionRule(saved)}.`,
+            rule: { ...saved, label: describeCommissionRule(saved) },
+        });
+    } catch (err) {
+        console.error('Commission rule save error:', err);
+        res.status(500).json({ error: 'Failed to save the commission rule.' });
+    }
+});
+
+/**
+ * @route DELETE /api/v1/admin/commission-rules/:id
+ * @desc Removes a service or provider override, so the next broader rule applies again.
+ *       The global rule cannot be removed (set its rate to 0 to stop charging commission).
+ * @access Private (Admin only)
+ */
+router.delete('/admin/commission-rules/:id', async (req, res) => {
+    try {
+        const result = await pool.query(
+            "DELETE FROM commission_rules WHERE id = $1 AND scope <> 'global' RETURNING id",
+            [req.params.id]
+        );
+        if (result.rowCount === 0) {
+            return res.status(404).json({ error: 'Override not found. The global rule can be changed but not removed.' });
+        }
+        res.status(200).json({ message: 'Commission override removed.' });
+    } catch (err) {
+        console.error('Commission rule delete error:', err);
+        res.status(500).json({ error: 'Failed to remove the commission rule.' });
+    }
+});
+
+/**
+ * @route GET /api/v1/admin/revenue-report
+ * @desc Platform revenue from payments captured between `from` and `to` (local dates, inclusive;
+ *       defaults to the last 30 days): totals, and gross/refunded/commission/provider net by month,
+ *       service and provider. Refunds count against the period of the payment they reverse. `commission_account_balance` is the ledger's commission account for comparison.
+ * @access Private (Admin only)
+ */
+router.get('/admin/revenue-report', async (req, res) => {
+    const { from, to } = req.query;
+    for (const [field, value] of Object.entries({ from, to })) {
+        if (value && !DATE_PATTERN.test(value)) {
+            return res.status(400).json({ error: `'${field}' must be a date in YYYY-MM-DD format.` });
+        }
+    }
+
+    const rangeEnd = to ? new Date(localMidnight(to).getTime() + 24 * 3600000) : new Date();
+    const rangeStart = from ? localMidnight(from) : new Date(rangeEnd.getTime() - 30 * 24 * 3600000);
+    if (rangeStart >= rangeEnd) {
+        return res.status(400).json({ error: "'from' must be on or before 'to'." });
+    }
+
+    const params = [rangeStart, rangeEnd, UTC_OFFSET_MINUTES];
+    const revenueSelect = `
+        COUNT(*) AS payment_count,
+        COALESCE(SUM(pay.amount), 0) AS gross,
+        COALESCE(SUM(pay.refunded_amount), 0) AS refunded,
+        COALESCE(SUM(pay.commission_amount - pay.refunded_commission), 0) AS commission,
+        COALESCE(SUM(pay.amount - pay.refunded_amount - (pay.commission_amount - pay.refunded_commission)), 0) AS provider_net,
+        COALESCE(SUM(pay.tip_amount), 0) AS tips`;
+    const revenueFrom = (joins = '') => `
+        FROM payments pay
+        JOIN bookings b ON b.id = pay.booking_id
+        ${joins}
+        WHERE pay.status IN ('succeeded', 'partially_refunded', 'refunded') AND pay.paid_at >= $1 AND pay.paid_at < $2`;
+
+    try {
+        const [totals, byMonth, byService, byProvider, ledger] = await Promise.all([
+            pool.query(`SELECT ${revenueSelect} ${revenueFrom()}`, params.slice(0, 2)),
+            pool.query(
+                `SELECT to_char((pay.paid_at AT TIME ZONE 'UTC') + make_interval(mins => $3), 'YYYY-MM') AS month, ${revenueSelect}
+                 ${revenueFrom()}
+                 GROUP BY 1 ORDER BY 1`,
+                params
+            ),
+            pool.query(
+                `SELECT s.id AS service_id, s.name AS service_name, ${revenueSelect}
+                 ${revenueFrom('JOIN services s ON s.id = b.service_id')}
+                 GROUP BY s.id, s.name ORDER BY commission DESC, s.name`,
+                params.slice(0, 2)
+            ),
+            pool.query(
+                `SELECT p.id AS provider_id, p.display_name AS provider_name, ${revenueSelect}
+                 ${revenueFrom('JOIN providers p ON p.id = b.provider_id')}
+                 GROUP BY p.id, p.display_name ORDER BY commission DESC, p.display_name`,
+                params.slice(0, 2)
+            ),
+            pool.query(
+                `SELECT COALESCE(SUM(CASE WHEN e.direction = 'credit' THEN e.amount ELSE -e.amount END), 0) AS balance
+                 FROM ledger_entries e JOIN ledger_accounts a ON a.id = e.account_id
+                 WHERE a.kind = 'commission'`
+            ),
+        ]);
+
+        res.status(200).json({
+            from: rangeStart,
+            to: rangeEnd,
+            totals: totals.rows[0],
+            by_month: byMonth.rows,
+            by_service: byService.rows,
+            by_provider: byProvider.rows,
+            commission_account_balance: ledger.rows[0].balance,
+        });
+    } catch (err) {
+        console.error('Revenue report error:', err);
+        res.status(500).json({ error: 'Failed to build the revenue report.' });
+    }
+});
+
 
 router.get('/admin/users', async (req, res) => {
     try {
@@ -237,8 +452,22 @@ router.get('/admin/providers', async (req, res) => {
     }
 });
 
+/**
+ * @route GET /api/v1/admin/bookings
+ * @desc All platform bookings, one page at a time.
+ *       Query: status, from, to, service_id, q, sort, limit, cursor (see utils/bookingListQuery.js)
+ * @access Private (Admin only)
+ */
 router.get('/admin/bookings', async (req, res) => {
+    const listOptions = parseBookingListQuery(req.query, 'created_desc');
+    if (listOptions.error) {
+        return res.status(400).json({ error: listOptions.error });
+    }
+
     try {
+        const params = [];
+        const list = buildBookingListSql(listOptions, params);
+
         const query = `
             SELECT 
                 b.id, 
@@ -246,21 +475,995 @@ router.get('/admin/bookings', async (req, res) => {
                 u.email AS customer_email,
                 b.scheduled_at, 
                 b.booking_status,
-                b.created_at
+                b.amount,
+                b.created_at,
+                b.started_at,
+                b.completed_at,
+                b.confirmation_due_at,
+                b.address,
+                b.service_description,
+                s.name AS service_name,
+                -- Only meaningful while the booking is still open
+                CASE WHEN b.booking_status = 'accepted' THEN b.overdue_flagged_at END AS overdue_flagged_at,
+                CASE WHEN b.booking_status = 'completed' THEN b.auto_confirm_failed_at END AS auto_confirm_failed_at,
+                ${list.cursorSelect}
             FROM bookings b
             JOIN providers p ON b.provider_id = p.id
             JOIN users u ON b.customer_id = u.id
-            ORDER BY b.created_at DESC;
+            JOIN services s ON b.service_id = s.id
+            WHERE TRUE ${list.where}
+            ORDER BY ${list.orderBy}
+            LIMIT ${list.limit};
         `;
-        const result = await pool.query(query);
+        const result = await pool.query(query, params);
 
-        res.status(200).json(result.rows);
+        res.status(200).json(paginateBookings(result.rows, listOptions));
     } catch (err) {
         console.error('Admin bookings fetch error:', err);
         res.status(500).json({ error: 'Failed to fetch booking list.' });
     }
 });
 
+// --- ADMIN BOOKING INTERVENTIONS ---
+// Support tools for stuck bookings: complete without the customer's code, cancel, force a status,
+// reassign to another provider offering the same service, edit the amount/schedule, or refund a
+// captured payment. Every action needs a reason, emails both parties
+// and is written to booking_admin_actions (see GET /admin/bookings/:id/admin-actions).
+const ADMIN_BOOKING_SELECT = `
+    SELECT b.id, b.customer_id, b.provider_id, b.service_id, b.booking_status, b.amount, b.scheduled_at, b.completed_at,
+           p.display_name AS provider_name, cu.email AS customer_email, pu.email AS provider_email
+    FROM bookings b
+    JOIN providers p ON p.id = b.provider_id
+    JOIN users cu ON cu.id = b.customer_id
+    JOIN users pu ON pu.id = p.user_id`;
+
+// Statuses with no way out: the booking is over
+const TERMINAL_STATUSES = BOOKING_STATUSES.filter(status => Object.keys(BOOKING_TRANSITIONS[status]).length === 0);
+// Reassigning while a quote is waiting for the customer would leave them answering the old provider's price
+const REASSIGNABLE_STATUSES = ['pending_provider', 'accepted'];
+const RESCHEDULABLE_STATUSES = ['pending_provider', 'awaiting_customer_confirmation', 'accepted'];
+// The amount is only edited once a price has been agreed
+const AMOUNT_EDITABLE_STATUSES = ['accepted', 'completed', 'disputed'];
+// Before the customer accepts a price nothing is held; from acceptance until payment the price is in escrow
+const PRE_ACCEPTANCE_STATUSES = ['pending_provider', 'awaiting_customer_confirmation'];
+const HELD_STATUSES = ['accepted', 'completed'];
+
+const lockAdminBooking = async (client, booking_id) => {
+    const result = await client.query(`${ADMIN_BOOKING_SELECT} WHERE b.id = $1 FOR UPDATE OF b`, [booking_id]);
+    return result.rows[0];
+};
+
+const recordAdminAction = async (client, { bookingId, admin, action, reason, details = {} }) => {
+    await client.query(
+        `INSERT INTO booking_admin_actions (booking_id, admin_id, action, reason, details)
+         VALUES ($1, $2, $3, $4, $5)`,
+        [bookingId, admin.id, action, reason, JSON.stringify(details)]
+    );
+};
+
+// Open quotes and reschedule proposals no longer apply once support has changed the booking
+const supersedeOpenOffers = async (client, booking_id, { quotes = true } = {}) => {
+    if (quotes) {
+        await client.query(
+            "UPDATE booking_quotes SET status = 'superseded' WHERE booking_id = $1 AND status = 'pending'",
+            [booking_id]
+        );
+    }
+    await client.query(
+        "UPDATE booking_reschedule_proposals SET status = 'superseded' WHERE booking_id = $1 AND status = 'pending'",
+        [booking_id]
+    );
+};
+
+const buildAdminActionEmail = (booking_id, heading, lines, reason) => `
+    <h2>${heading}</h2>
+    ${lines.filter(Boolean).map(line => `<p>${line}</p>`).join('')}
+    <p><strong>Reason:</strong> ${reason}</p>
+    <p>This change was made by the Service Connect support team. Reply to this email if you have questions about booking ${booking_id}.</p>
+`;
+
+/**
+ * @route PUT /api/v1/admin/bookings/:id/complete
+ * @desc Mark an accepted booking completed without the customer's completion code (e.g. the customer
+ *       is unreachable after a finished visit). The reason is kept on the booking and in its history.
+ * @access Private (Admin only)
+ */
+router.put('/admin/bookings/:id/complete', async (req, res) => {
+    const booking_id = req.params.id;
+    const { reason } = req.body;
+
+    if (!reason || !reason.trim()) {
+        return res.status(400).json({ error: 'A reason is required to complete a booking without the customer\'s code.' });
+    }
+
+    const client = await pool.connect();
+
+    try {
+        await client.query('BEGIN');
+
+        const bookingResult = await client.query(
+            `SELECT b.id, b.booking_status, cu.email AS customer_email, pu.email AS provider_email
+             FROM bookings b
+             JOIN users cu ON cu.id = b.customer_id
+             JOIN providers p ON p.id = b.provider_id
+             JOIN users pu ON pu.id = p.user_id
+             WHERE b.id = $1
+             FOR UPDATE OF b`,
+            [booking_id]
+        );
+        const booking = bookingResult.rows[0];
+
+        if (!booking) {
+            await client.query('ROLLBACK');
+            return res.status(404).json({ error: 'Booking not found.' });
+        }
+
+        const transitionError = getTransitionError(booking.booking_status, 'completed', 'admin');
+        if (transitionError) {
+            await client.query('ROLLBACK');
+            return res.status(400).json({ error: transitionError });
+        }
+
+        const completedAt = new Date();
+        await transitionBooking(client, booking, 'completed', {
+            actor: req.user,
+            reason: `Admin override: ${reason.trim()}`,
+            updates: {
+                completed_at: completedAt,
+                confirmation_due_at: confirmationDueAt(completedAt),
+                completion_override_by: req.user.id,
+                completion_override_reason: reason.trim(),
+            },
+        });
+        await recordAdminAction(client, {
+            bookingId: booking_id,
+            admin: req.user,
+            action: 'complete',
+            reason: reason.trim(),
+            details: { from_status: booking.booking_status },
+        });
+
+        await client.query('COMMIT');
+
+        const emailBody = `
+            <h2>Booking Marked Completed by Support</h2>
+            <p>Booking ID ${booking_id} has been marked <strong>Completed</strong> by the Service Connect team.</p>
+            <p>Reason: ${reason.trim()}</p>
+            <p>Customers can confirm and pay, or report the job as not done, from the Customer Dashboard until ${confirmationDueAt(completedAt).toLocaleString()}. After that it is confirmed and paid automatically. Contact us if you believe this is a mistake.</p>
+        `;
+        await sendEmail(booking.customer_email, `Service Connect: Booking ${booking_id} Completed`, emailBody);
+        await sendEmail(booking.provider_email, `Service Connect: Booking ${booking_id} Completed`, emailBody);
+
+        res.status(200).json({ message: `Booking #${booking_id} marked as completed.` });
+
+    } catch (err) {
+        await client.query('ROLLBACK');
+        console.error('Admin booking completion error:', err);
+        res.status(500).json({ error: 'Failed to complete the booking.' });
+    } finally {
+        client.release();
+    }
+});
+
+/**
+ * @route GET /api/v1/admin/bookings/:id/admin-actions
+ * @desc Audit trail of every admin intervention on a booking, newest first
+ * @access Private (Admin only)
+ */
+router.get('/admin/bookings/:id/admin-actions', async (req, res) => {
+    try {
+        const result = await pool.query(
+            `SELECT a.id, a.action, a.reason, a.details, a.created_at, u.email AS admin_email
+             FROM booking_admin_actions a
+             LEFT JOIN users u ON u.id = a.admin_id
+             WHERE a.booking_id = $1
+             ORDER BY a.created_at DESC, a.id DESC`,
+            [req.params.id]
+        );
+        res.status(200).json({ actions: result.rows });
+    } catch (err) {
+        console.error('Admin action history fetch error:', err);
+        res.status(500).json({ error: 'Failed to fetch the admin action history.' });
+    }
+});
+
+/**
+ * @route PUT /api/v1/admin/bookings/:id/cancel
+ * @desc Cancel a booking on behalf of the platform. No cancellation fee is charged; any escrow hold is returned.
+ * @access Private (Admin only)
+ */
+router.put('/admin/bookings/:id/cancel', idempotency, async (req, res) => {
+    const booking_id = req.params.id;
+    const { reason } = req.body;
+
+    if (!reason || !reason.trim()) {
+        return res.status(400).json({ error: 'A reason is required to cancel a booking.' });
+    }
+
+    const client = await pool.connect();
+
+    try {
+        await client.query('BEGIN');
+
+        const booking = await lockAdminBooking(client, booking_id);
+        if (!booking) {
+            await client.query('ROLLBACK');
+            return res.status(404).json({ error: 'Booking not found.' });
+        }
+
+        const transitionError = getTransitionError(booking.booking_status, 'cancelled', 'admin');
+        if (transitionError) {
+            await client.query('ROLLBACK');
+            return res.status(400).json({ error: transitionError });
+        }
+
+        const returnedEscrow = await returnHeldFunds(client, booking_id, { actorId: req.user.id });
+        await supersedeOpenOffers(client, booking_id);
+        await transitionBooking(client, booking, 'cancelled', {
+            actor: req.user,
+            reason: `Admin: ${reason.trim()}`,
+            updates: {
+                cancelled_by: req.user.id,
+                cancellation_reason: reason.trim(),
+                cancellation_fee: 0,
+                cancelled_at: new Date(),
+            },
+        });
+        await recordAdminAction(client, {
+            bookingId: booking_id,
+            admin: req.user,
+            action: 'cancel',
+            reason: reason.trim(),
+            details: { from_status: booking.booking_status, escrow_returned: returnedEscrow ? parseFloat(returnedEscrow.amount) : 0 },
+        });
+
+        await client.query('COMMIT');
+
+        const emailBody = buildAdminActionEmail(booking_id, `Booking ${booking_id} Cancelled by Support`, [
+            `Booking #${booking_id} scheduled for ${new Date(booking.scheduled_at).toLocaleString()} has been cancelled. No cancellation fee was charged.`,
+            returnedEscrow && `The ₹${parseFloat(returnedEscrow.amount).toFixed(2)} held in escrow was returned to the customer's available balance.`,
+        ], reason.trim());
+        await sendEmail(booking.customer_email, `Service Connect: Booking ${booking_id} Cancelled`, emailBody);
+        await sendEmail(booking.provider_email, `Service Connect: Booking ${booking_id} Cancelled`, emailBody);
+
+        res.status(200).json({ message: `Booking #${booking_id} cancelled.`, new_status: 'cancelled' });
+
+    } catch (err) {
+        await client.query('ROLLBACK');
+        console.error('Admin booking cancellation error:', err);
+        res.status(500).json({ error: 'Failed to cancel the booking.' });
+    } finally {
+        client.release();
+    }
+});
+
+/**
+ * @route PUT /api/v1/admin/bookings/:id/status
+ * @desc Force a booking into any status, bypassing the usual transition rules. Escrow follows the
+ *       status: ending a booking (cancelled, rejected, expired or closed) or moving it back before
+ *       acceptance returns any hold, and moving it into 'accepted' or 'completed' from elsewhere holds
+ *       the booking amount from the customer's wallet. No payment is ever taken here.
+ *       'disputed' is off limits both ways: a dispute is opened by a party and closed by a ruling
+ *       (PUT /admin/disputes/:id/resolve), which keep the booking_disputes row in step. Paid bookings
+ *       cannot be forced at all; they only change through refunds.
+ * @access Private (Admin only)
+ */
+router.put('/admin/bookings/:id/status', idempotency, async (req, res) => {
+    const booking_id = req.params.id;
+    const { status, reason } = req.body;
+
+    if (!BOOKING_STATUSES.includes(status)) {
+        return res.status(400).json({ error: `Status must be one of: ${BOOKING_STATUSES.join(', ')}.` });
+    }
+    if (status === 'disputed') {
+        return res.status(400).json({ error: 'A booking cannot be forced into dispute. The customer or provider opens disputes.' });
+    }
+    if (!reason || !reason.trim()) {
+        return res.status(400).json({ error: 'A reason is required to force a status change.' });
+    }
+
+    const client = await pool.connect();
+
+    try {
+        await client.query('BEGIN');
+
+        const booking = await lockAdminBooking(client, booking_id);
+        if (!booking) {
+            await client.query('ROLLBACK');
+            return res.status(404).json({ error: 'Booking not found.' });
+        }
+        if (booking.booking_status === status) {
+            await client.query('ROLLBACK');
+            return res.status(400).json({ error: `Booking #${booking_id} is already '${status}'.` });
+        }
+        if (booking.booking_status === 'disputed') {
+            await client.query('ROLLBACK');
+            return res.status(400).json({ error: `Booking #${booking_id} is in dispute. Resolve the dispute from the Disputes tab instead.` });
+        }
+
+        const paidResult = await client.query(
+            'SELECT 1 FROM payments WHERE booking_id = $1 AND status = ANY($2) LIMIT 1',
+            [booking_id, CAPTURED_PAYMENT_STATUSES]
+        );
+        if (paidResult.rows.length > 0) {
+            await client.query('ROLLBACK');
+            return res.status(400).json({ error: `Booking #${booking_id} has been paid, so its status cannot be forced. Use a refund instead.` });
+        }
+
+        const updates = {};
+        if (status === 'completed') {
+            updates.completed_at = booking.completed_at || new Date();
+            updates.confirmation_due_at = confirmationDueAt(new Date());
+        } else if (status === 'cancelled') {
+            updates.cancelled_by = req.user.id;
+            updates.cancellation_reason = reason.trim();
+            updates.cancellation_fee = 0;
+            updates.cancelled_at = new Date();
+        }
+
+        let returnedEscrow = null;
+        let heldAmount = 0;
+        if (TERMINAL_STATUSES.includes(status)) {
+            returnedEscrow = await returnHeldFunds(client, booking_id, { actorId: req.user.id });
+            await supersedeOpenOffers(client, booking_id);
+        } else if (PRE_ACCEPTANCE_STATUSES.includes(status)) {
+            returnedEscrow = await returnHeldFunds(client, booking_id, { actorId: req.user.id });
+        } else if (HELD_STATUSES.includes(status) && !HELD_STATUSES.includes(booking.booking_status)) {
+            // Payment later comes out of this hold, so the customer is never charged an amount that was not held
+            const escrowResult = await client.query(
+                "SELECT 1 FROM booking_escrow WHERE booking_id = $1 AND status = 'held'",
+                [booking_id]
+            );
+            if (escrowResult.rows.length === 0) {
+                if (!(parseFloat(booking.amount) > 0)) {
+                    await client.query('ROLLBACK');
+                    return res.status(400).json({ error: `Booking #${booking_id} has no price yet, so it cannot be moved to '${status}'. The provider has to quote it first.` });
+                }
+                const holdError = await holdFunds(client, { bookingId: booking_id, customerId: booking.customer_id, amount: booking.amount });
+                if (holdError) {
+                    await client.query('ROLLBACK');
+                    return res.status(400).json({ error: holdError });
+                }
+                heldAmount = parseFloat(booking.amount);
+            }
+        }
+
+        await transitionBooking(client, booking, status, {
+            actor: req.user,
+            reason: `Admin forced status: ${reason.trim()}`,
+            updates,
+            force: true,
+        });
+        await recordAdminAction(client, {
+            bookingId: booking_id,
+            admin: req.user,
+            action: 'force_status',
+            reason: reason.trim(),
+            details: {
+                from_status: booking.booking_status,
+                to_status: status,
+                escrow_returned: returnedEscrow ? parseFloat(returnedEscrow.amount) : 0,
+                escrow_held: heldAmount,
+            },
+        });
+
+        await client.query('COMMIT');
+
+        const emailBody = buildAdminActionEmail(booking_id, `Booking ${booking_id} Status Changed by Support`, [
+            `The status of booking #${booking_id} was changed from <strong>${booking.booking_status}</strong> to <strong>${status}</strong>.`,
+            returnedEscrow && `The ₹${parseFloat(returnedEscrow.amount).toFixed(2)} held in escrow was returned to the customer's available balance.`,
+            heldAmount > 0 && `₹${heldAmount.toFixed(2)} was moved from the customer's wallet into escrow until the job is paid for.`,
+        ], reason.trim());
+        await sendEmail(booking.customer_email, `Service Connect: Booking ${booking_id} Updated`, emailBody);
+        await sendEmail(booking.provider_email, `Service Connect: Booking ${booking_id} Updated`, emailBody);
+
+        res.status(200).json({
+            message: `Booking #${booking_id} moved from '${booking.booking_status}' to '${status}'.${status === 'closed' ? ' No payment was taken.' : ''}`,
+            new_status: status
+        });
+
+    } catch (err) {
+        await client.query('ROLLBACK');
+        console.error('Admin forced status error:', err);
+        res.status(500).json({ error: 'Failed to change the booking status.' });
+    } finally {
+        client.release();
+    }
+});
+
+/**
+ * @route GET /api/v1/admin/bookings/:id/reassign-candidates
+ * @desc Other providers offering the booking's service, verified and best rated first
+ * @access Private (Admin only)
+ */
+router.get('/admin/bookings/:id/reassign-candidates', async (req, res) => {
+    try {
+        const result = await pool.query(
+            `SELECT p.id, p.display_name, p.is_verified, p.average_rating, u.email
+             FROM bookings b
+             JOIN provider_services ps ON ps.service_id = b.service_id AND ps.provider_id <> b.provider_id
+             JOIN providers p ON p.id = ps.provider_id
+             JOIN users u ON u.id = p.user_id
+             WHERE b.id = $1
+             ORDER BY p.is_verified DESC, p.average_rating DESC NULLS LAST, p.display_name`,
+            [req.params.id]
+        );
+        res.status(200).json({ providers: result.rows });
+    } catch (err) {
+        console.error('Reassign candidates fetch error:', err);
+        res.status(500).json({ error: 'Failed to fetch providers for this service.' });
+    }
+});
+
+/**
+ * @route PUT /api/v1/admin/bookings/:id/reassign
+ * @desc Move a booking to another provider offering the same service, at the same time and price.
+ *       Open quotes and reschedule proposals from the old provider are superseded.
+ * @access Private (Admin only)
+ */
+router.put('/admin/bookings/:id/reassign', async (req, res) => {
+    const booking_id = req.params.id;
+    const { provider_id, reason } = req.body;
+    const newProviderId = Number(provider_id);
+
+    if (!Number.isInteger(newProviderId)) {
+        return res.status(400).json({ error: 'provider_id is required.' });
+    }
+    if (!reason || !reason.trim()) {
+        return res.status(400).json({ error: 'A reason is required to reassign a booking.' });
+    }
+
+    const client = await pool.connect();
+
+    try {
+        await client.query('BEGIN');
+
+        const booking = await lockAdminBooking(client, booking_id);
+        if (!booking) {
+            await client.query('ROLLBACK');
+            return res.status(404).json({ error: 'Booking not found.' });
+        }
+        if (!REASSIGNABLE_STATUSES.includes(booking.booking_status)) {
+            await client.query('ROLLBACK');
+            return res.status(400).json({ error: `Only bookings that are ${REASSIGNABLE_STATUSES.join(' or ')} can be reassigned.` });
+        }
+        if (booking.provider_id === newProviderId) {
+            await client.query('ROLLBACK');
+            return res.status(400).json({ error: 'The booking is already assigned to this provider.' });
+        }
+
+        const providerResult = await client.query(
+            `SELECT p.id, p.display_name, u.email
+             FROM providers p
+             JOIN users u ON u.id = p.user_id
+             JOIN provider_services ps ON ps.provider_id = p.id AND ps.service_id = $2
+             WHERE p.id = $1`,
+            [newProviderId, booking.service_id]
+        );
+        const newProvider = providerResult.rows[0];
+        if (!newProvider) {
+            await client.query('ROLLBACK');
+            return res.status(400).json({ error: 'That provider does not offer this service.' });
+        }
+
+        const conflict = await checkProviderAvailability(client, newProviderId, booking.service_id, new Date(booking.scheduled_at), booking.id);
+        if (conflict) {
+            await client.query('ROLLBACK');
+            return res.status(409).json({ error: conflict });
+        }
+
+        await supersedeOpenOffers(client, booking_id);
+        await client.query(
+            'UPDATE bookings SET provider_id = $2, updated_at = CURRENT_TIMESTAMP WHERE id = $1',
+            [booking_id, newProviderId]
+        );
+        await recordAdminAction(client, {
+            bookingId: booking_id,
+            admin: req.user,
+            action: 'reassign',
+            reason: reason.trim(),
+            details: { from_provider_id: booking.provider_id, to_provider_id: newProviderId },
+        });
+
+        await client.query('COMMIT');
+
+        const when = new Date(booking.scheduled_at).toLocaleString();
+        const subject = `Service Connect: Booking ${booking_id} Reassigned`;
+        await sendEmail(booking.customer_email, subject, buildAdminActionEmail(booking_id, 'Your Booking Has a New Provider', [
+            `Booking #${booking_id} on ${when} has been moved from ${booking.provider_name} to <strong>${newProvider.display_name}</strong>.`,
+            booking.booking_status === 'accepted' ? 'The time and agreed price stay the same.' : 'The new provider will send you a price quote.',
+        ], reason.trim()));
+        await sendEmail(booking.provider_email, subject, buildAdminActionEmail(booking_id, 'Booking Reassigned', [
+            `Booking #${booking_id} on ${when} has been reassigned to another provider and no longer appears in your jobs.`,
+        ], reason.trim()));
+        await sendEmail(newProvider.email, `Service Connect: New Booking ${booking_id} Assigned to You`, buildAdminActionEmail(booking_id, 'New Booking Assigned', [
+            `Booking #${booking_id} on ${when} has been assigned to you.`,
+            booking.booking_status === 'accepted'
+                ? `The price of ₹${parseFloat(booking.amount).toFixed(2)} was already agreed with the customer.`
+                : 'Please review the request and send the customer a price from your Provider Dashboard.',
+        ], reason.trim()));
+
+        res.status(200).json({ message: `Booking #${booking_id} reassigned to ${newProvider.display_name}.` });
+
+    } catch (err) {
+        await client.query('ROLLBACK');
+        console.error('Admin booking reassignment error:', err);
+        res.status(500).json({ error: 'Failed to reassign the booking.' });
+    } finally {
+        client.release();
+    }
+});
+
+/**
+ * @route PUT /api/v1/admin/bookings/:id
+ * @desc Edit a booking's agreed amount and/or scheduled time. An escrow hold is resized to the new
+ *       amount; a new time must be free in the provider's schedule.
+ * @access Private (Admin only)
+ */
+router.put('/admin/bookings/:id', idempotency, async (req, res) => {
+    const booking_id = req.params.id;
+    const { amount, scheduled_at, reason } = req.body;
+    const hasAmount = amount !== undefined && amount !== null && amount !== '';
+    const hasSchedule = Boolean(scheduled_at);
+
+    if (!hasAmount && !hasSchedule) {
+        return res.status(400).json({ error: 'Provide a new amount and/or scheduled_at.' });
+    }
+    if (!reason || !reason.trim()) {
+        return res.status(400).json({ error: 'A reason is required to edit a booking.' });
+    }
+
+    const newAmount = hasAmount ? Math.round(Number(amount) * 100) / 100 : null;
+    if (hasAmount && !(newAmount > 0)) {
+        return res.status(400).json({ error: 'Amount must be a positive number.' });
+    }
+    const newTime = hasSchedule ? new Date(scheduled_at) : null;
+    if (hasSchedule && isNaN(newTime.getTime())) {
+        return res.status(400).json({ error: 'scheduled_at must be a valid date and time.' });
+    }
+
+    const client = await pool.connect();
+
+    try {
+        await client.query('BEGIN');
+
+        const booking = await lockAdminBooking(client, booking_id);
+        if (!booking) {
+            await client.query('ROLLBACK');
+            return res.status(404).json({ error: 'Booking not found.' });
+        }
+        if (hasAmount && !AMOUNT_EDITABLE_STATUSES.includes(booking.booking_status)) {
+            await client.query('ROLLBACK');
+            return res.status(400).json({ error: `The amount can only be edited on ${AMOUNT_EDITABLE_STATUSES.join(', ')} bookings.` });
+        }
+        if (hasSchedule && !RESCHEDULABLE_STATUSES.includes(booking.booking_status)) {
+            await client.query('ROLLBACK');
+            return res.status(400).json({ error: `The schedule can only be edited on ${RESCHEDULABLE_STATUSES.join(', ')} bookings.` });
+        }
+
+        const params = [booking_id];
+        const setClauses = ['updated_at = CURRENT_TIMESTAMP'];
+        const details = {};
+        const lines = [];
+        const setColumn = (column, value) => {
+            params.push(value);
+            setClauses.push(`${column} = $${params.length}`);
+        };
+
+        if (hasAmount) {
+            const escrowResult = await adjustHeldFunds(client, booking_id, newAmount, { actorId: req.user.id });
+            if (escrowResult?.error) {
+                await client.query('ROLLBACK');
+                return res.status(400).json({ error: escrowResult.error });
+            }
+            setColumn('amount', newAmount);
+            details.amount = { from: booking.amount === null ? null : parseFloat(booking.amount), to: newAmount };
+            lines.push(`The price was changed from ₹${parseFloat(booking.amount || 0).toFixed(2)} to <strong>₹${newAmount.toFixed(2)}</strong>.`);
+            if (escrowResult?.difference) {
+                lines.push(escrowResult.difference > 0
+                    ? `An extra ₹${escrowResult.difference.toFixed(2)} is now held in escrow from the customer's wallet.`
+                    : `₹${Math.abs(escrowResult.difference).toFixed(2)} of the escrow hold was returned to the customer's available balance.`);
+            }
+        }
+
+        if (hasSchedule) {
+            const conflict = await checkProviderAvailability(client, booking.provider_id, booking.service_id, newTime, booking.id);
+            if (conflict) {
+                await client.query('ROLLBACK');
+                return res.status(409).json({ error: conflict });
+            }
+            await supersedeOpenOffers(client, booking_id, { quotes: false });
+            setColumn('scheduled_at', newTime);
+            setColumn('overdue_flagged_at', null);
+            details.scheduled_at = { from: booking.scheduled_at, to: newTime };
+            lines.push(`The booking was moved from ${new Date(booking.scheduled_at).toLocaleString()} to <strong>${newTime.toLocaleString()}</strong>.`);
+        }
+
+        await client.query(`UPDATE bookings SET ${setClauses.join(', ')} WHERE id = $1`, params);
+        await recordAdminAction(client, { bookingId: booking_id, admin: req.user, action: 'edit', reason: reason.trim(), details });
+
+        await client.query('COMMIT');
+
+        const emailBody = buildAdminActionEmail(booking_id, `Booking ${booking_id} Updated by Support`, lines, reason.trim());
+        await sendEmail(booking.customer_email, `Service Connect: Booking ${booking_id} Updated`, emailBody);
+        await sendEmail(booking.provider_email, `Service Connect: Booking ${booking_id} Updated`, emailBody);
+
+        res.status(200).json({ message: `Booking #${booking_id} updated.` });
+
+    } catch (err) {
+        await client.query('ROLLBACK');
+        console.error('Admin booking edit error:', err);
+        res.status(500).json({ error: 'Failed to update the booking.' });
+    } finally {
+        client.release();
+    }
+});
+
+/**
+ * @route GET /api/v1/admin/bookings/:id/payments
+ * @desc The booking's captured payments with their refunds, for the refund form.
+ * @access Private (Admin only)
+ */
+router.get('/admin/bookings/:id/payments', async (req, res) => {
+    try {
+        const result = await pool.query(
+            `SELECT pay.id, pay.amount, pay.tip_amount, pay.commission_amount, pay.refunded_amount, pay.status,
+                    pay.gateway_transaction_id, pay.paid_at,
+                    COALESCE((SELECT json_agg(r ORDER BY r.created_at) FROM (
+                        SELECT pr.id, pr.amount, pr.provider_amount, pr.commission_amount, pr.reason, pr.created_at
+                        FROM payment_refunds pr WHERE pr.payment_id = pay.id
+                    ) r), '[]') AS refunds
+             FROM payments pay
+             WHERE pay.booking_id = $1 AND pay.status = ANY($2::text[])
+             ORDER BY pay.paid_at DESC`,
+            [req.params.id, CAPTURED_PAYMENT_STATUSES]
+        );
+        res.status(200).json(result.rows);
+    } catch (err) {
+        console.error('Admin booking payments fetch error:', err);
+        res.status(500).json({ error: 'Failed to fetch the booking payments.' });
+    }
+});
+
+/**
+ * @route POST /api/v1/admin/bookings/:id/refunds
+ * @desc Refund a captured payment in full or in part: { payment_id?, amount?, reason }. Without
+ *       payment_id the latest payment is refunded; without amount, everything still refundable.
+ *       The provider and the platform commission give back their shares to the customer's wallet
+ *       (see utils/payments refundPayment). The booking stays closed.
+ * @access Private (Admin only)
+ */
+router.post('/admin/bookings/:id/refunds', idempotency, async (req, res) => {
+    const booking_id = req.params.id;
+    const { payment_id, amount, reason } = req.body;
+
+    if (!reason || !reason.trim()) {
+        return res.status(400).json({ error: 'A reason is required to refund a payment.' });
+    }
+
+    const client = await pool.connect();
+
+    try {
+        await client.query('BEGIN');
+
+        const booking = await lockAdminBooking(client, booking_id);
+        if (!booking) {
+            await client.query('ROLLBACK');
+            return res.status(404).json({ error: 'Booking not found.' });
+        }
+
+        const paymentResult = await client.query(
+            `SELECT pay.*, b.customer_id, p.user_id AS provider_user_id
+             FROM payments pay
+             JOIN bookings b ON b.id = pay.booking_id
+             JOIN providers p ON p.id = b.provider_id
+             WHERE pay.booking_id = $1 AND pay.status = ANY($2::text[]) AND ($3::int IS NULL OR pay.id = $3)
+             ORDER BY pay.paid_at DESC
+             LIMIT 1
+             FOR UPDATE OF pay`,
+            [booking_id, CAPTURED_PAYMENT_STATUSES, payment_id || null]
+        );
+        const payment = paymentResult.rows[0];
+        if (!payment) {
+            await client.query('ROLLBACK');
+            return res.status(404).json({ error: 'No captured payment found for this booking.' });
+        }
+
+        const result = await refundPayment(client, payment, { amount, reason: reason.trim(), actor: req.user });
+        if (result.error) {
+            await client.query('ROLLBACK');
+            return res.status(400).json({ error: result.error });
+        }
+        const { refund, status, remaining } = result;
+        const refundAmount = parseFloat(refund.amount);
+
+        await recordAdminAction(client, {
+            bookingId: booking_id,
+            admin: req.user,
+            action: 'refund',
+            reason: reason.trim(),
+            details: {
+                payment_id: payment.id,
+                amount: refundAmount,
+                provider_amount: parseFloat(refund.provider_amount),
+                commission_amount: parseFloat(refund.commission_amount),
+                payment_status: status,
+            },
+        });
+
+        await client.query('COMMIT');
+
+        const summary = status === 'refunded'
+            ? `₹${refundAmount.toFixed(2)} has been refunded, so the payment for booking #${booking_id} is now fully refunded.`
+            : `₹${refundAmount.toFixed(2)} of the ₹${parseFloat(payment.amount).toFixed(2)} paid for booking #${booking_id} has been refunded (partial refund).`;
+        await sendEmail(
+            booking.customer_email,
+            `Service Connect: Refund for Booking ${booking_id}`,
+            buildAdminActionEmail(booking_id, 'Refund Issued', [
+                summary,
+                `The money has been credited to your wallet's available balance.`,
+            ], reason.trim())
+        );
+        await sendEmail(
+            booking.provider_email,
+            `Service Connect: Refund Issued on Booking ${booking_id}`,
+            buildAdminActionEmail(booking_id, 'Refund Issued', [
+                summary,
+                `₹${parseFloat(refund.provider_amount).toFixed(2)} has been deducted from your wallet${parseFloat(refund.commission_amount) > 0 ? `; the platform has returned its ₹${parseFloat(refund.commission_amount).toFixed(2)} commission share` : ''}.`,
+            ], reason.trim())
+        );
+
+        res.status(201).json({
+            message: `Refunded ₹${refundAmount.toFixed(2)} to the customer.`,
+            refund,
+            payment_status: status,
+            refundable_remaining: remaining,
+        });
+
+    } catch (err) {
+        await client.query('ROLLBACK');
+        console.error('Admin refund error:', err);
+        res.status(500).json({ error: 'Failed to refund the payment.' });
+    } finally {
+        client.release();
+    }
+});
+
+/**
+ * @route GET /api/v1/admin/disputes
+ * @desc List disputes, open ones first
+ * @access Private (Admin only)
+ */
+router.get('/admin/disputes', async (req, res) => {
+    try {
+        const result = await pool.query(`
+            SELECT d.id, d.booking_id, d.reason, d.status, d.ruling, d.ruled_amount, d.created_at, d.resolved_at,
+                   d.provider_response IS NOT NULL AS provider_responded,
+                   b.amount, b.booking_status, s.name AS service_name,
+                   cu.email AS customer_email, p.display_name AS provider_name
+            FROM booking_disputes d
+            JOIN bookings b ON b.id = d.booking_id
+            JOIN services s ON s.id = b.service_id
+            JOIN users cu ON cu.id = b.customer_id
+            JOIN providers p ON p.id = b.provider_id
+            ORDER BY (d.status = 'open') DESC, d.created_at DESC
+        `);
+
+        res.status(200).json(result.rows);
+    } catch (err) {
+        console.error('Admin disputes fetch error:', err);
+        res.status(500).json({ error: 'Failed to fetch disputes.' });
+    }
+});
+
+/**
+ * @route GET /api/v1/admin/disputes/:id
+ * @desc Everything needed to rule on a dispute: both statements, the booking, the chat transcript,
+ *       all booking photos (problem, before/after and dispute evidence) and the status history
+ * @access Private (Admin only)
+ */
+router.get('/admin/disputes/:id', async (req, res) => {
+    const dispute_id = req.params.id;
+
+    try {
+        const disputeResult = await pool.query(
+            `SELECT d.*, b.amount, b.booking_status, b.scheduled_at, b.started_at, b.completed_at, b.address,
+                    b.service_description, s.name AS service_name,
+                    cu.email AS customer_email, cu.id AS customer_user_id,
+                    p.display_name AS provider_name, p.user_id AS provider_user_id
+             FROM booking_disputes d
+             JOIN bookings b ON b.id = d.booking_id
+             JOIN services s ON s.id = b.service_id
+             JOIN users cu ON cu.id = b.customer_id
+             JOIN providers p ON p.id = b.provider_id
+             WHERE d.id = $1`,
+            [dispute_id]
+        );
+        const dispute = disputeResult.rows[0];
+
+        if (!dispute) {
+            return res.status(404).json({ error: 'Dispute not found.' });
+        }
+
+        const messagesResult = await pool.query(
+            `SELECT m.id, m.sender_id, m.content, m.file_url, m.created_at, u.email AS sender_email
+             FROM messages m
+             JOIN users u ON u.id = m.sender_id
+             WHERE m.booking_id = $1
+             ORDER BY m.created_at ASC`,
+            [dispute.booking_id]
+        );
+        const photosResult = await pool.query(
+            'SELECT id, photo_type, file_url, caption, uploader_role, created_at FROM booking_photos WHERE booking_id = $1 ORDER BY created_at ASC, id ASC',
+            [dispute.booking_id]
+        );
+        const historyResult = await pool.query(
+            'SELECT id, from_status, to_status, actor_role, reason, created_at FROM booking_status_history WHERE booking_id = $1 ORDER BY created_at ASC, id ASC',
+            [dispute.booking_id]
+        );
+
+        res.status(200).json({
+            dispute,
+            messages: messagesResult.rows,
+            photos: photosResult.rows,
+            history: historyResult.rows
+        });
+    } catch (err) {
+        console.error('Admin dispute detail fetch error:', err);
+        res.status(500).json({ error: 'Failed to fetch the dispute.' });
+    }
+});
+
+/**
+ * @route PUT /api/v1/admin/disputes/:id/resolve
+ * @desc Rule on an open dispute and close the booking.
+ *       'full_payment' charges the agreed amount, 'partial_payment' charges the given amount and
+ *       'no_payment' charges nothing. Money moves from the booking's escrow hold (or, without one,
+ *       the customer's wallet) to the provider's wallet, less the platform commission, as a
+ *       'dispute_settlement' ledger journal; whatever is left of the hold is returned to the customer.
+ * @access Private (Admin only)
+ */
+router.put('/admin/disputes/:id/resolve', idempotency, async (req, res) => {
+    const dispute_id = req.params.id;
+    const { ruling, amount, admin_notes } = req.body;
+
+    if (!['full_payment', 'partial_payment', 'no_payment'].includes(ruling)) {
+        return res.status(400).json({ error: 'Ruling must be full_payment, partial_payment or no_payment.' });
+    }
+    if (!admin_notes || !admin_notes.trim()) {
+        return res.status(400).json({ error: 'Please explain the ruling. Both parties will see it.' });
+    }
+
+    const client = await pool.connect();
+
+    try {
+        await client.query('BEGIN');
+
+        const disputeResult = await client.query(
+            `SELECT d.id, d.status, b.id AS booking_id, b.booking_status, b.amount, b.customer_id,
+                    p.user_id AS provider_user_id, cu.email AS customer_email, pu.email AS provider_email
+             FROM booking_disputes d
+             JOIN bookings b ON b.id = d.booking_id
+             JOIN providers p ON p.id = b.provider_id
+             JOIN users cu ON cu.id = b.customer_id
+             JOIN users pu ON pu.id = p.user_id
+             WHERE d.id = $1
+             FOR UPDATE OF d, b`,
+            [dispute_id]
+        );
+        const dispute = disputeResult.rows[0];
+
+        if (!dispute) {
+            await client.query('ROLLBACK');
+            return res.status(404).json({ error: 'Dispute not found.' });
+        }
+        if (dispute.status !== 'open' || dispute.booking_status !== 'disputed') {
+            await client.query('ROLLBACK');
+            return res.status(400).json({ error: 'This dispute has already been resolved.' });
+        }
+
+        const agreedAmount = parseFloat(dispute.amount);
+        let chargeAmount = 0;
+        if (ruling === 'full_payment') {
+            chargeAmount = agreedAmount;
+        } else if (ruling === 'partial_payment') {
+            chargeAmount = Math.round(parseFloat(amount) * 100) / 100;
+            if (isNaN(chargeAmount) || chargeAmount <= 0 || chargeAmount >= agreedAmount) {
+                await client.query('ROLLBACK');
+                return res.status(400).json({ error: `A partial payment must be more than ₹0 and less than the agreed ₹${agreedAmount.toFixed(2)}.` });
+            }
+        }
+
+        // The platform commission applies to whatever is ruled payable
+        const { rule, commission, providerAmount } = await getBookingCommission(client, dispute.booking_id, chargeAmount);
+
+        // An escrow hold pays the ruled amount and the rest of it goes back to the customer
+        const escrow = await captureHeldFunds(client, dispute.booking_id, chargeAmount, dispute.provider_user_id, {
+            commission,
+            type: 'dispute_settlement',
+            actorId: req.user.id,
+        });
+
+        let transactionId = null;
+        let invoice = null;
+        if (chargeAmount > 0) {
+            if (!escrow) {
+                const { available: customerBalance } = await getAvailableBalance(client, dispute.customer_id);
+                if (customerBalance < chargeAmount) {
+                    await client.query('ROLLBACK');
+                    return res.status(400).json({ error: `The customer's wallet balance (₹${customerBalance.toFixed(2)}) is below the ruled amount of ₹${chargeAmount.toFixed(2)}. Ask them to top up first.` });
+                }
+
+                await postJournal(client, {
+                    type: 'dispute_settlement',
+                    bookingId: dispute.booking_id,
+                    actorId: req.user.id,
+                    transfers: [
+                        { from: walletOf(dispute.customer_id), to: walletOf(dispute.provider_user_id), amount: providerAmount },
+                        { from: walletOf(dispute.customer_id), to: COMMISSION, amount: commission },
+                    ],
+                });
+            }
+
+            transactionId = `dsp_${Date.now()}${Math.random().toString(36).substring(2, 8)}`;
+            const paymentResult = await client.query(
+                `INSERT INTO payments (booking_id, amount, commission_amount, commission_rule_id, status, gateway_transaction_id, paid_at)
+                 VALUES ($1, $2, $3, $4, 'succeeded', $5, CURRENT_TIMESTAMP)
+                 RETURNING id`,
+                [dispute.booking_id, chargeAmount, commission, rule?.id || null, transactionId]
+            );
+            invoice = await issueInvoice(client, paymentResult.rows[0].id);
+        }
+
+        await client.query(
+            `UPDATE booking_disputes
+             SET status = 'resolved', ruling = $2, ruled_amount = $3, admin_notes = $4, resolved_by = $5,
+                 resolved_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+             WHERE id = $1`,
+            [dispute_id, ruling, chargeAmount, admin_notes.trim(), req.user.id]
+        );
+
+        await transitionBooking(client, { id: dispute.booking_id, booking_status: dispute.booking_status }, 'closed', {
+            actor: req.user,
+            reason: `Dispute ruling: ${ruling.replace(/_/g, ' ')} (₹${chargeAmount.toFixed(2)} of ₹${agreedAmount.toFixed(2)}).`,
+        });
+
+        await client.query('COMMIT');
+
+        const emailBody = `
+            <h2>Dispute Resolved</h2>
+            <p>Our team has reviewed the dispute on booking ID ${dispute.booking_id}.</p>
+            <p><strong>Ruling:</strong> ${ruling.replace(/_/g, ' ')}. ${chargeAmount > 0
+                ? `₹${chargeAmount.toFixed(2)} of the agreed ₹${agreedAmount.toFixed(2)} has been paid from the customer's wallet to the provider.`
+                : 'No payment will be taken for this booking.'}</p>
+            ${commission > 0 ? `<p>The provider receives ₹${providerAmount.toFixed(2)} after the ₹${commission.toFixed(2)} platform fee.</p>` : ''}
+            ${escrow?.returned > 0 ? `<p>₹${escrow.returned.toFixed(2)} held in escrow was returned to the customer's available balance.</p>` : ''}
+            <p><strong>Notes from support:</strong> ${admin_notes.trim()}</p>
+            <p>The booking is now closed.</p>
+        `;
+        await sendEmail(
+            dispute.customer_email,
+            `Service Connect: Dispute Resolved (Booking ${dispute.booking_id})`,
+            invoice ? `${emailBody}<p>Your invoice ${invoice.invoice_number} for this payment is attached.</p>` : emailBody,
+            invoice ? [invoiceAttachment(invoice)] : []
+        );
+        await sendEmail(dispute.provider_email, `Service Connect: Dispute Resolved (Booking ${dispute.booking_id})`, emailBody);
+
+        res.status(200).json({
+            message: `Dispute resolved: ${ruling.replace(/_/g, ' ')} of ₹${chargeAmount.toFixed(2)}. Booking #${dispute.booking_id} is closed.`,
+            transaction_id: transactionId,
+            invoice_number: invoice?.invoice_number || null
+        });
+
+    } catch (err) {
+        await client.query('ROLLBACK');
+        console.error('Dispute resolution error:', err);
+        res.status(500).json({ error: 'Failed to resolve the dispute. Transaction rolled back.' });
+    } finally {
+        client.release();
+    }
+});
+
 router.put('/admin/providers/:id/verify', async (req, res) => {
     const provider_id = req.params.id;
     const { is_verified } = req.body;
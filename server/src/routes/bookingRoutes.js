@@ -4,9 +4,20 @@ const express = require('express');
 const router = express.Router();
 const pool = require('../config/db');
 const auth = require('../../middleware/auth'); 
+const idempotency = require('../../middleware/idempotency');
 const { sendEmail } = require('../config/nodemailer'); 
+const { getTransitionError, recordStatusChange, transitionBooking } = require('../utils/bookingLifecycle');
+const { CANCELLATION_POLICY, getCancellationFee } = require('../utils/cancellationPolicy');
+const { checkProviderAvailability } = require('../utils/availability');
+const { calculateQuote } = require('../utils/quoteCalculator');
+const { carryOverSeriesPrice } = require('../utils/bookingSeries');
+const { holdFunds, returnHeldFunds } = require('../utils/escrow');
+const { getAvailableBalance, postJournal, walletOf } = require('../utils/ledger');
+const { confirmationDueAt } = require('../utils/completionConfirmation');
 const multer = require('multer'); 
 const path = require('path'); 
+const fs = require('fs');
+const crypto = require('crypto');
 
 
 // --- DEDICATED FILE UPLOAD CONFIGURATION FOR MESSAGES ---
@@ -34,9 +45,114 @@ const upload = multer({
         }
     }
 });
+
+// Booking photos go to the same folder but get their own names: several photos arrive in one
+// request, often within the same millisecond, so each one needs a random suffix to stay unique
+const photoStorage = multer.diskStorage({
+    destination: function (req, file, cb) {
+        cb(null, 'uploads/');
+    },
+    filename: function (req, file, cb) {
+        const userId = req.user?.id || 'public';
+        const ext = path.extname(file.originalname);
+        cb(null, `${userId}-${Date.now()}-${crypto.randomBytes(6).toString('hex')}-photo${ext}`);
+    }
+});
+
+const MAX_PHOTOS_PER_UPLOAD = 6;
+const photoUpload = multer({ 
+    storage: photoStorage,
+    limits: { fileSize: 5 * 1024 * 1024, files: MAX_PHOTOS_PER_UPLOAD },
+    fileFilter: (req, file, cb) => {
+        if (file.mimetype.startsWith('image/')) {
+            cb(null, true);
+        } else {
+            cb(null, false);
+            return cb(new Error('Only image files are allowed for booking photos!'));
+        }
+    }
+});
 // -----------------------------------------------------------
 
 
+// --- PHOTO EVIDENCE ---
+// Customers attach 'problem' photos while the request is open; providers add 'before' and 'after'
+// photos around the visit; both sides add 'dispute' evidence while a dispute is open.
+// Photos cannot be deleted, since support relies on them in disputes.
+const PHOTO_RULES = {
+    problem: { roles: ['customer'], statuses: ['pending_provider', 'awaiting_customer_confirmation', 'accepted'] },
+    before: { roles: ['provider'], statuses: ['accepted', 'completed'] },
+    after: { roles: ['provider'], statuses: ['accepted', 'completed'] },
+    dispute: { roles: ['customer', 'provider'], statuses: ['disputed'] },
+};
+const MAX_PHOTOS_PER_TYPE = 12;
+
+// Removes uploaded files that were rejected after multer already wrote them to disk
+const discardUploads = (files = []) => {
+    files.forEach(file => fs.unlink(file.path, () => {}));
+};
+
+
+// --- PRICE NEGOTIATION ---
+// One round is one provider quote. Between rounds the customer may counter-offer; once the
+// provider has quoted MAX_QUOTE_ROUNDS times the customer can only accept or reject.
+const MAX_QUOTE_ROUNDS = parseInt(process.env.MAX_QUOTE_ROUNDS || 3, 10);
+
+const countProviderQuotes = async (db, booking_id) => {
+    const result = await db.query(
+        "SELECT COUNT(*)::int AS rounds FROM booking_quotes WHERE booking_id = $1 AND offer_role = 'provider'",
+        [booking_id]
+    );
+    return result.rows[0].rounds;
+};
+
+// --- JOB HANDSHAKE ---
+// The customer holds a start code and a completion code for each booking. The provider enters the
+// start code on arrival and the completion code when finished; a booking can only be marked completed
+// (and so become payable) with the code, or by an admin override. After MAX_CODE_ATTEMPTS wrong
+// entries the provider has to ask the customer to read the code again or contact support.
+const MAX_CODE_ATTEMPTS = 5;
+
+// Compares a code entered by the provider and counts failures. Returns a user-facing error or null.
+// A failure is committed by the caller so the attempt counter survives the error response.
+const checkHandshakeCode = async (client, booking, expectedCode, enteredCode) => {
+    if (booking.failed_code_attempts >= MAX_CODE_ATTEMPTS) {
+        return 'Too many wrong codes have been entered for this booking. Please contact support.';
+    }
+    if (String(enteredCode || '').trim() === expectedCode) {
+        return null;
+    }
+    await client.query('UPDATE bookings SET failed_code_attempts = failed_code_attempts + 1 WHERE id = $1', [booking.id]);
+    const remaining = MAX_CODE_ATTEMPTS - booking.failed_code_attempts - 1;
+    return `The code is incorrect. ${remaining} attempt${remaining === 1 ? '' : 's'} left.`;
+};
+
+// Closes the offer still awaiting an answer (if any) with the given outcome
+const closePendingQuote = async (client, booking_id, status) => {
+    await client.query(
+        "UPDATE booking_quotes SET status = $2 WHERE booking_id = $1 AND status = 'pending'",
+        [booking_id, status]
+    );
+};
+
+// Saves an offer. Itemized quotes also pass the breakdown computed by calculateQuote().
+const recordQuote = async (client, { bookingId, actor, amount, message = null, breakdown = null }) => {
+    const quoteResult = await client.query(
+        `INSERT INTO booking_quotes (booking_id, offered_by, offer_role, amount, message, subtotal, tax_percent, tax_amount)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8) RETURNING id`,
+        [bookingId, actor.id, actor.role, amount, message || null, breakdown?.subtotal ?? null, breakdown?.tax_percent || 0, breakdown?.tax_amount || 0]
+    );
+
+    for (const line of breakdown?.lines || []) {
+        await client.query(
+            `INSERT INTO booking_quote_items (quote_id, item_type, description, quantity, unit_price, line_total)
+             VALUES ($1, $2, $3, $4, $5, $6)`,
+            [quoteResult.rows[0].id, line.item_type, line.description, line.quantity, line.unit_price, line.line_total]
+        );
+    }
+};
+
+
 /**
  * @route POST /api/v1/bookings
  * @desc Customer creates a new booking request
@@ -53,27 +169,53 @@ router.post('/bookings', auth, async (req, res) => {
     if (!provider_id || !service_id || !scheduled_at || !address || !service_description) {
         return res.status(400).json({ error: 'Provider ID, Service ID, scheduled time, address, and description are required.' });
     }
+
+    const scheduledTime = new Date(scheduled_at);
+    if (isNaN(scheduledTime.getTime()) || scheduledTime <= new Date()) {
+        return res.status(400).json({ error: 'The scheduled time must be a valid time in the future.' });
+    }
     
+    const client = await pool.connect();
+
     try {
+        await client.query('BEGIN');
+
         // Retrieve provider email, display name, and service name for notification
-        const providerInfoResult = await pool.query(
+        const providerInfoResult = await client.query(
             'SELECT u.email, p.display_name, s.name AS service_name FROM providers p JOIN users u ON p.user_id = u.id JOIN services s ON s.id = $2 WHERE p.id = $1',
             [provider_id, service_id]
         );
         const providerInfo = providerInfoResult.rows[0];
 
         if (!providerInfo) {
+            await client.query('ROLLBACK');
             return res.status(404).json({ error: 'Provider or service information not found.' });
         }
+
+        // Reject requests outside working hours or clashing with an existing booking
+        const conflict = await checkProviderAvailability(client, provider_id, service_id, scheduledTime);
+        if (conflict) {
+            await client.query('ROLLBACK');
+            return res.status(409).json({ error: conflict });
+        }
         
         // Insert booking (status is pending_provider)
-        const bookingInsert = await pool.query(
+        const bookingInsert = await client.query(
             `INSERT INTO bookings (customer_id, provider_id, service_id, scheduled_at, address, customer_notes, service_description, booking_status) 
              VALUES ($1, $2, $3, $4, $5, $6, $7, 'pending_provider') RETURNING id`,
-            [customer_user_id, provider_id, service_id, scheduled_at, address, customer_notes, service_description]
+            [customer_user_id, provider_id, service_id, scheduledTime, address, customer_notes, service_description]
         );
 
         const booking_id = bookingInsert.rows[0].id;
+
+        await recordStatusChange(client, {
+            bookingId: booking_id,
+            toStatus: 'pending_provider',
+            actor: req.user,
+            reason: 'Booking requested by customer.',
+        });
+
+        await client.query('COMMIT');
         
         // --- REAL EMAIL SENDING: New Booking Request to Provider ---
         const emailBody = `
@@ -100,8 +242,11 @@ router.post('/bookings', auth, async (req, res) => {
         });
         
     } catch (err) {
+        await client.query('ROLLBACK');
         console.error('Booking creation error:', err);
         res.status(500).json({ error: 'An error occurred during booking creation.' });
+    } finally {
+        client.release();
     }
 });
 
@@ -113,24 +258,46 @@ router.post('/bookings', auth, async (req, res) => {
 router.put('/bookings/:id', auth, async (req, res) => {
     const { id: provider_user_id, role } = req.user;
     const booking_id = req.params.id;
-    const { status, amount } = req.body; // amount is optional, used only for 'accepted' status
+    const { status, reason, message, items, tax_percent, completion_code } = req.body; // amount/items, tax_percent and message are only used for 'accepted' status
+    let { amount } = req.body;
 
     if (role !== 'provider') {
         return res.status(403).json({ msg: 'Access denied. Only providers can update booking status.' });
     }
     
-    // FIX: Updated validStatuses to contain client-side triggers (rejected, completed, closed, accepted)
-    const validStatuses = ['accepted', 'rejected', 'completed', 'closed']; 
+    // Client-side triggers. 'closed' is only reachable through payment (see paymentRoutes).
+    const validStatuses = ['accepted', 'rejected', 'completed']; 
     if (!validStatuses.includes(status)) {
         return res.status(400).json({ error: 'Invalid status update provided.' });
     }
 
+    // 'accepted' from the provider means "price set": the customer still has to confirm it
+    const nextStatus = status === 'accepted' ? 'awaiting_customer_confirmation' : status;
+    const updates = {};
+    let breakdown = null;
+
+    if (status === 'accepted' && items !== undefined) {
+        // Itemized quote: the total is always computed here, never taken from the client
+        breakdown = calculateQuote(items, tax_percent);
+        if (breakdown.error) {
+            return res.status(400).json({ error: breakdown.error });
+        }
+        amount = breakdown.total;
+    }
+
+    if (status === 'accepted') {
+        if (typeof amount !== 'number' || amount <= 0) {
+            return res.status(400).json({ error: 'Amount is required and must be positive when accepting a service.' });
+        }
+        updates.amount = amount;
+    }
+
     const client = await pool.connect();
     
     try {
         await client.query('BEGIN');
         
-        const providerResult = await client.query('SELECT id FROM providers WHERE user_id = $1', [provider_user_id]);
+        const providerResult = await client.query('SELECT id, gstin FROM providers WHERE user_id = $1', [provider_user_id]);
         
         if (providerResult.rows.length === 0) {
              await client.query('ROLLBACK');
@@ -138,51 +305,59 @@ router.put('/bookings/:id', auth, async (req, res) => {
         }
         
         const provider_id = providerResult.rows[0].id;
-        let customer_user_id;
-        let updateQuery;
-        let queryParams;
-        let nextStatus = status;
 
-
-        if (status === 'accepted') {
-            // Logic: Provider sets the price, moves status to AWAITING CUSTOMER CONFIRMATION
-            if (typeof amount !== 'number' || amount <= 0) {
-                await client.query('ROLLBACK');
-                return res.status(400).json({ error: 'Amount is required and must be positive when accepting a service.' });
-            }
-            
-            nextStatus = 'awaiting_customer_confirmation';
-            updateQuery = `
-                UPDATE bookings
-                SET booking_status = $3, amount = $4, updated_at = CURRENT_TIMESTAMP
-                WHERE id = $1 AND provider_id = $2
-                RETURNING customer_id, booking_status, amount;
-            `;
-            queryParams = [booking_id, provider_id, nextStatus, amount];
-            
-        } else if (status === 'rejected' || status === 'completed' || status === 'closed') {
-            // Simple status update
-            updateQuery = `
-                UPDATE bookings
-                SET booking_status = $3, updated_at = CURRENT_TIMESTAMP
-                WHERE id = $1 AND provider_id = $2
-                RETURNING customer_id, booking_status, amount;
-            `;
-            queryParams = [booking_id, provider_id, nextStatus];
-        } else {
-             // Should not happen due to validation, but ensures safety
+        // Only a supplier registered under GST may charge it (see utils/invoices)
+        if (breakdown && breakdown.tax_percent > 0 && !providerResult.rows[0].gstin) {
             await client.query('ROLLBACK');
-            return res.status(400).json({ error: 'Invalid operation.' });
+            return res.status(400).json({ error: 'Add your GSTIN to your profile before charging GST. Providers not registered under GST must quote 0% GST.' });
         }
 
-        const result = await client.query(updateQuery, queryParams);
+        const bookingResult = await client.query(
+            'SELECT id, customer_id, booking_status, amount, started_at, completion_code, failed_code_attempts FROM bookings WHERE id = $1 AND provider_id = $2 FOR UPDATE',
+            [booking_id, provider_id]
+        );
+        const booking = bookingResult.rows[0];
 
-        if (result.rowCount === 0) {
+        if (!booking) {
             await client.query('ROLLBACK');
             return res.status(404).json({ error: 'Booking not found or not owned by this provider.' });
         }
+
+        const transitionError = getTransitionError(booking.booking_status, nextStatus, role);
+        if (transitionError) {
+            await client.query('ROLLBACK');
+            return res.status(400).json({ error: transitionError });
+        }
+
+        if (status === 'accepted') {
+            const rounds = await countProviderQuotes(client, booking_id);
+            if (rounds >= MAX_QUOTE_ROUNDS) {
+                await client.query('ROLLBACK');
+                return res.status(400).json({ error: `The maximum of ${MAX_QUOTE_ROUNDS} quotes has been reached for this booking.` });
+            }
+            // A new quote answers the customer's counter-offer, if there is one
+            await closePendingQuote(client, booking_id, 'countered');
+            await recordQuote(client, { bookingId: booking_id, actor: req.user, amount, message, breakdown });
+        } else if (status === 'rejected') {
+            await closePendingQuote(client, booking_id, 'rejected');
+        } else if (status === 'completed') {
+            if (!booking.started_at) {
+                await client.query('ROLLBACK');
+                return res.status(400).json({ error: 'Enter the customer\'s start code when you arrive before completing the job.' });
+            }
+            const codeError = await checkHandshakeCode(client, booking, booking.completion_code, completion_code);
+            if (codeError) {
+                await client.query('COMMIT');
+                return res.status(400).json({ error: codeError });
+            }
+            updates.completed_at = new Date();
+            updates.confirmation_due_at = confirmationDueAt(updates.completed_at);
+            updates.failed_code_attempts = 0;
+        }
+
+        await transitionBooking(client, booking, nextStatus, { actor: req.user, reason, updates });
         
-        customer_user_id = result.rows[0].customer_id;
+        const customer_user_id = booking.customer_id;
         
         // Retrieve customer email for notification
         const customerEmailResult = await client.query('SELECT email FROM users WHERE id = $1', [customer_user_id]);
@@ -198,20 +373,23 @@ router.put('/bookings/:id', auth, async (req, res) => {
                 emailBody = `
                     <h2>Action Required: Price Quote Received!</h2>
                     <p>Your service request (ID: ${booking_id}) has been reviewed by the provider.</p>
-                    <p>The quoted price is <strong>₹${parseFloat(amount).toFixed(2)}</strong>.</p>
-                    <p>Please log into your Customer Dashboard to **Confirm** or **Reject** this price before proceeding.</p>
+                    <p>The quoted price is <strong>₹${parseFloat(amount).toFixed(2)}</strong>${breakdown ? ` (₹${breakdown.subtotal.toFixed(2)} + ₹${breakdown.tax_amount.toFixed(2)} GST)` : ''}.</p>
+                    ${message ? `<p>Provider's note: ${message}</p>` : ''}
+                    <p>Please log into your Customer Dashboard to **Confirm**, **Counter** or **Reject** this price before proceeding.</p>
                 `;
             } else if (nextStatus === 'completed') {
-                subject = `Service Connect: Action Required - Payment Due for Booking ${booking_id}`;
+                subject = `Service Connect: Action Required - Confirm Booking ${booking_id}`;
                 emailBody = `
-                    <h2>Service Completed - Payment Due</h2>
+                    <h2>Service Completed - Please Confirm</h2>
                     <p>Your service for booking ID ${booking_id} has been marked as <strong>Completed</strong> by the provider.</p>
-                    <p>Please log in to your dashboard to complete the payment.</p>
+                    <p>Please log in to your dashboard to confirm the job and pay, or report it as not done, by <strong>${updates.confirmation_due_at.toLocaleString()}</strong>.</p>
+                    <p>If you do nothing by then, the job is confirmed automatically and paid from your wallet (from the escrow hold, if one was taken).</p>
                 `;
             } else if (nextStatus === 'rejected') {
                  emailBody = `
                     <h2>Service Request Rejected</h2>
                     <p>We are sorry, but your service request (ID: ${booking_id}) was **rejected** by the provider.</p>
+                    ${reason ? `<p>Reason given: ${reason}</p>` : ''}
                     <p>Please search for another service provider in your area.</p>
                 `;
             }
@@ -236,12 +414,96 @@ router.put('/bookings/:id', auth, async (req, res) => {
 });
 
 
+/**
+ * @route PUT /api/v1/bookings/:id/start
+ * @desc Provider checks in on arrival with the customer's start code. Records the actual start time.
+ * @access Private (Provider only)
+ */
+router.put('/bookings/:id/start', auth, async (req, res) => {
+    const { id: provider_user_id, role } = req.user;
+    const booking_id = req.params.id;
+    const { code } = req.body;
+
+    if (role !== 'provider') {
+        return res.status(403).json({ msg: 'Access denied. Only providers can start a job.' });
+    }
+    if (!code) {
+        return res.status(400).json({ error: 'The start code is required.' });
+    }
+
+    const client = await pool.connect();
+
+    try {
+        await client.query('BEGIN');
+
+        const bookingResult = await client.query(
+            `SELECT b.id, b.booking_status, b.started_at, b.start_code, b.failed_code_attempts, u.email AS customer_email
+             FROM bookings b
+             JOIN providers p ON p.id = b.provider_id
+             JOIN users u ON u.id = b.customer_id
+             WHERE b.id = $1 AND p.user_id = $2
+             FOR UPDATE OF b`,
+            [booking_id, provider_user_id]
+        );
+        const booking = bookingResult.rows[0];
+
+        if (!booking) {
+            await client.query('ROLLBACK');
+            return res.status(404).json({ error: 'Booking not found or not owned by this provider.' });
+        }
+        if (booking.booking_status !== 'accepted') {
+            await client.query('ROLLBACK');
+            return res.status(400).json({ error: 'Only accepted bookings can be started.' });
+        }
+        if (booking.started_at) {
+            await client.query('ROLLBACK');
+            return res.status(400).json({ error: 'This job has already been started.' });
+        }
+
+        const codeError = await checkHandshakeCode(client, booking, booking.start_code, code);
+        if (codeError) {
+            await client.query('COMMIT');
+            return res.status(400).json({ error: codeError });
+        }
+
+        const updateResult = await client.query(
+            'UPDATE bookings SET started_at = CURRENT_TIMESTAMP, failed_code_attempts = 0, updated_at = CURRENT_TIMESTAMP WHERE id = $1 RETURNING started_at',
+            [booking_id]
+        );
+
+        await client.query('COMMIT');
+
+        await sendEmail(
+            booking.customer_email,
+            `Service Connect: Your Service Has Started (Booking ${booking_id})`,
+            `
+                <h2>Service Started</h2>
+                <p>Your provider checked in for booking ID ${booking_id} at <strong>${new Date(updateResult.rows[0].started_at).toLocaleString()}</strong>.</p>
+                <p>Only share your <strong>completion code</strong> once the work is finished to your satisfaction. You can find it in your Customer Dashboard.</p>
+            `
+        );
+
+        res.status(200).json({
+            message: 'Job started.',
+            started_at: updateResult.rows[0].started_at
+        });
+
+    } catch (err) {
+        await client.query('ROLLBACK');
+        console.error('Job start error:', err);
+        res.status(500).json({ error: 'An error occurred while starting the job.' });
+    } finally {
+        client.release();
+    }
+});
+
+
 /**
  * @route PUT /api/v1/bookings/:id/confirm-price
  * @desc Customer accepts or rejects the provider's quoted price.
  * @access Private (Customer only)
  */
-router.put('/bookings/:id/confirm-price', auth, async (req, res) => {
+router.put('/bookings/:id/confirm-price', auth, idempotency, async (req, res) => {
     const { id: customer_user_id, role } = req.user;
     const booking_id = req.params.id;
     const { accepted } = req.body; // boolean: true for accept, false for reject
@@ -272,20 +534,44 @@ router.put('/bookings/:id/confirm-price', auth, async (req, res) => {
             message = 'Price rejected. The booking has been cancelled.';
         }
 
-        const updateQuery = `
-            UPDATE bookings
-            SET booking_status = $3, updated_at = CURRENT_TIMESTAMP
-            WHERE id = $1 AND customer_id = $2 AND booking_status = 'awaiting_customer_confirmation'
-            RETURNING provider_id, amount;
-        `;
-        const result = await client.query(updateQuery, [booking_id, customer_user_id, newStatus]);
+        const bookingResult = await client.query(
+            'SELECT id, provider_id, booking_status, amount, series_id FROM bookings WHERE id = $1 AND customer_id = $2 FOR UPDATE',
+            [booking_id, customer_user_id]
+        );
+        const booking = bookingResult.rows[0];
 
-        if (result.rowCount === 0) {
+        if (!booking || getTransitionError(booking.booking_status, newStatus, role)) {
             await client.query('ROLLBACK');
             return res.status(400).json({ error: 'Booking not found, not owned by you, or status is incorrect.' });
         }
+
+        // Accepting moves the quoted amount into escrow, so the provider knows the job is funded
+        if (accepted) {
+            const holdError = await holdFunds(client, { bookingId: booking.id, customerId: customer_user_id, amount: booking.amount });
+            if (holdError) {
+                await client.query('ROLLBACK');
+                return res.status(400).json({ error: holdError });
+            }
+            message += ` ₹${parseFloat(booking.amount).toFixed(2)} is now held from your wallet until the job is paid for.`;
+        }
+
+        await closePendingQuote(client, booking_id, accepted ? 'accepted' : 'rejected');
+        await transitionBooking(client, booking, newStatus, {
+            actor: req.user,
+            reason: accepted ? 'Customer accepted the quoted price.' : 'Customer rejected the quoted price.',
+        });
+
+        // Recurring bookings: the first agreed price applies to the rest of the series.
+        // Only this visit is held in escrow; later visits are paid from the wallet as they happen.
+        let seriesOccurrencesAccepted = 0;
+        if (accepted && booking.series_id) {
+            seriesOccurrencesAccepted = await carryOverSeriesPrice(client, booking.series_id, booking.amount);
+            if (seriesOccurrencesAccepted > 0) {
+                message += ` The same price was applied to ${seriesOccurrencesAccepted} upcoming visits in this recurring series.`;
+            }
+        }
         
-        const provider_id = result.rows[0].provider_id;
+        const provider_id = booking.provider_id;
         
         // Retrieve provider email for notification
         const providerEmailResult = await client.query('SELECT u.email FROM providers p JOIN users u ON p.user_id = u.id WHERE p.id = $1', [provider_id]);
@@ -295,8 +581,9 @@ router.put('/bookings/:id/confirm-price', auth, async (req, res) => {
         if (providerEmail) {
             const emailBody = `
                 <h2>Booking ${booking_id} Update: ${newStatus.toUpperCase()}</h2>
-                <p>The customer has **${newStatus.toUpperCase()}** the quoted price of ₹${parseFloat(result.rows[0].amount).toFixed(2)}.</p>
-                ${accepted ? '<p>The booking is now ACCEPTED. You may start communication via chat.</p>' : '<p>The booking has been cancelled and moved to rejected status.</p>'}
+                <p>The customer has **${newStatus.toUpperCase()}** the quoted price of ₹${parseFloat(booking.amount).toFixed(2)}.</p>
+                ${accepted ? '<p>The booking is now ACCEPTED and the full amount is held in escrow from the customer\'s wallet. You may start communication via chat.</p>' : '<p>The booking has been cancelled and moved to rejected status.</p>'}
+                ${seriesOccurrencesAccepted > 0 ? `<p>This price now also applies to ${seriesOccurrencesAccepted} upcoming visits in the recurring series.</p>` : ''}
             `;
             await sendEmail(providerEmail, subject, emailBody);
         }
@@ -318,6 +605,565 @@ router.put('/bookings/:id/confirm-price', auth, async (req, res) => {
 });
 
 
+// Loads a booking together with both parties' user IDs and emails.
+// Pass lock = true inside a transaction to lock the booking row.
+const fetchBookingParties = async (db, booking_id, lock = false) => {
+    const result = await db.query(
+        `SELECT b.id, b.customer_id, b.provider_id, b.service_id, b.booking_status, b.amount, b.scheduled_at,
+                p.user_id AS provider_user_id, p.display_name AS provider_name,
+                cu.email AS customer_email, pu.email AS provider_email
+         FROM bookings b
+         JOIN providers p ON b.provider_id = p.id
+         JOIN users cu ON b.customer_id = cu.id
+         JOIN users pu ON p.user_id = pu.id
+         WHERE b.id = $1
+         ${lock ? 'FOR UPDATE OF b' : ''}`,
+        [booking_id]
+    );
+    return result.rows[0];
+};
+
+const isBookingParty = (booking, user) => (
+    (user.role === 'customer' && booking.customer_id === user.id) ||
+    (user.role === 'provider' && booking.provider_user_id === user.id)
+);
+
+
+/**
+ * @route POST /api/v1/bookings/:id/counter-offer
+ * @desc Customer answers the provider's quote with a lower/different price. The booking goes back to the provider to re-quote.
+ * @access Private (Customer only)
+ */
+router.post('/bookings/:id/counter-offer', auth, async (req, res) => {
+    const { role } = req.user;
+    const booking_id = req.params.id;
+    const { amount, message } = req.body;
+
+    if (role !== 'customer') {
+        return res.status(403).json({ error: 'Access denied. Only customers can send counter-offers.' });
+    }
+    if (typeof amount !== 'number' || amount <= 0) {
+        return res.status(400).json({ error: 'Counter-offer amount is required and must be positive.' });
+    }
+
+    const client = await pool.connect();
+
+    try {
+        await client.query('BEGIN');
+
+        const booking = await fetchBookingParties(client, booking_id, true);
+
+        if (!booking || !isBookingParty(booking, req.user)) {
+            await client.query('ROLLBACK');
+            return res.status(404).json({ error: 'Booking not found or not owned by you.' });
+        }
+
+        const transitionError = getTransitionError(booking.booking_status, 'pending_provider', role);
+        if (transitionError) {
+            await client.query('ROLLBACK');
+            return res.status(400).json({ error: 'Counter-offers can only be made while a quote is awaiting your confirmation.' });
+        }
+        if (amount === parseFloat(booking.amount)) {
+            await client.query('ROLLBACK');
+            return res.status(400).json({ error: 'Your counter-offer matches the quote. Accept the price instead.' });
+        }
+
+        const rounds = await countProviderQuotes(client, booking_id);
+        if (rounds >= MAX_QUOTE_ROUNDS) {
+            await client.query('ROLLBACK');
+            return res.status(400).json({ error: 'This is the provider\'s final quote. Please accept or reject it.' });
+        }
+
+        await closePendingQuote(client, booking_id, 'countered');
+        await recordQuote(client, { bookingId: booking_id, actor: req.user, amount, message });
+        await transitionBooking(client, booking, 'pending_provider', {
+            actor: req.user,
+            reason: `Customer counter-offered ₹${amount.toFixed(2)}.`,
+        });
+
+        await client.query('COMMIT');
+
+        await sendEmail(
+            booking.provider_email,
+            `Service Connect: Counter-Offer Received for Booking ${booking_id}`,
+            `
+                <h2>Counter-Offer Received</h2>
+                <p>The customer has countered your quote of ₹${parseFloat(booking.amount).toFixed(2)} for booking ID ${booking_id} with <strong>₹${amount.toFixed(2)}</strong>.</p>
+                ${message ? `<p>Customer's note: ${message}</p>` : ''}
+                <p>Please log in to your Provider Dashboard to send a new quote or reject the request.</p>
+            `
+        );
+
+        res.status(201).json({
+            message: 'Counter-offer sent. The provider will review it and send a new quote.',
+            new_status: 'pending_provider',
+            rounds_remaining: MAX_QUOTE_ROUNDS - rounds
+        });
+
+    } catch (err) {
+        await client.query('ROLLBACK');
+        console.error('Counter-offer error:', err);
+        res.status(500).json({ error: 'An error occurred while sending the counter-offer.' });
+    } finally {
+        client.release();
+    }
+});
+
+
+/**
+ * @route GET /api/v1/bookings/:id/quotes
+ * @desc List every quote and counter-offer made on a booking, oldest first
+ * @access Private (Customer or Provider who is a party to the booking, or Admin)
+ */
+router.get('/bookings/:id/quotes', auth, async (req, res) => {
+    const booking_id = req.params.id;
+
+    try {
+        const booking = await fetchBookingParties(pool, booking_id);
+
+        if (!booking || (req.user.role !== 'admin' && !isBookingParty(booking, req.user))) {
+            return res.status(403).json({ error: 'Access denied. You are not a party to this booking.' });
+        }
+
+        const quotesResult = await pool.query(
+            `SELECT q.id, q.offer_role, q.amount, q.subtotal, q.tax_percent, q.tax_amount, q.message, q.status, q.created_at,
+                    COALESCE((
+                        SELECT json_agg(i ORDER BY i.id)
+                        FROM (SELECT id, item_type, description, quantity, unit_price, line_total FROM booking_quote_items WHERE quote_id = q.id) i
+                    ), '[]'::json) AS items
+             FROM booking_quotes q
+             WHERE q.booking_id = $1
+             ORDER BY q.created_at ASC, q.id ASC`,
+            [booking_id]
+        );
+        const rounds = quotesResult.rows.filter(q => q.offer_role === 'provider').length;
+
+        res.status(200).json({
+            message: `${quotesResult.rows.length} quotes retrieved.`,
+            quotes: quotesResult.rows,
+            max_rounds: MAX_QUOTE_ROUNDS,
+            rounds_used: rounds,
+            can_counter: rounds < MAX_QUOTE_ROUNDS
+        });
+
+    } catch (err) {
+        console.error('Booking quotes fetch error:', err);
+        res.status(500).json({ error: 'An error occurred while fetching the quote history.' });
+    }
+});
+
+
+/**
+ * @route GET /api/v1/bookings/:id/cancellation-fee
+ * @desc Preview the fee the logged-in user would be charged for cancelling now
+ * @access Private (Customer or Provider who is a party to the booking)
+ */
+router.get('/bookings/:id/cancellation-fee', auth, async (req, res) => {
+    try {
+        const booking = await fetchBookingParties(pool, req.params.id);
+
+        if (!booking || !isBookingParty(booking, req.user)) {
+            return res.status(403).json({ error: 'Access denied. You are not a party to this booking.' });
+        }
+
+        const { fee, isLate } = getCancellationFee(booking, req.user.role);
+
+        res.status(200).json({
+            can_cancel: !getTransitionError(booking.booking_status, 'cancelled', req.user.role),
+            fee,
+            is_late: isLate,
+            free_cutoff_hours: CANCELLATION_POLICY.freeCutoffHours,
+            late_fee_percent: CANCELLATION_POLICY.lateFeePercent,
+        });
+
+    } catch (err) {
+        console.error('Cancellation fee preview error:', err);
+        res.status(500).json({ error: 'An error occurred while calculating the cancellation fee.' });
+    }
+});
+
+
+/**
+ * @route PUT /api/v1/bookings/:id/cancel
+ * @desc Customer or provider cancels a booking with a reason. A late cancellation by the customer
+ *       moves the policy fee from the customer's wallet to the provider's wallet.
+ * @access Private (Customer or Provider who is a party to the booking)
+ */
+router.put('/bookings/:id/cancel', auth, idempotency, async (req, res) => {
+    const { role } = req.user;
+    const booking_id = req.params.id;
+    const { reason } = req.body;
+
+    if (role !== 'customer' && role !== 'provider') {
+        return res.status(403).json({ error: 'Access denied. Only customers and providers can cancel bookings.' });
+    }
+    if (!reason || !reason.trim()) {
+        return res.status(400).json({ error: 'A reason is required to cancel a booking.' });
+    }
+
+    const client = await pool.connect();
+
+    try {
+        await client.query('BEGIN');
+
+        const booking = await fetchBookingParties(client, booking_id, true);
+
+        if (!booking || !isBookingParty(booking, req.user)) {
+            await client.query('ROLLBACK');
+            return res.status(403).json({ error: 'Access denied. You are not a party to this booking.' });
+        }
+
+        const transitionError = getTransitionError(booking.booking_status, 'cancelled', role);
+        if (transitionError) {
+            await client.query('ROLLBACK');
+            return res.status(400).json({ error: transitionError });
+        }
+
+        // 1. Give back any escrow hold first, so a late fee can be paid out of it
+        const returnedEscrow = await returnHeldFunds(client, booking_id, { actorId: req.user.id });
+
+        // 2. Apply the cancellation policy. The fee is capped at what the customer's wallet holds.
+        const { fee } = getCancellationFee(booking, role);
+        let feeCharged = 0;
+
+        if (fee > 0) {
+            const { available } = await getAvailableBalance(client, booking.customer_id);
+            feeCharged = Math.min(fee, available);
+        }
+
+        if (feeCharged > 0) {
+            await postJournal(client, {
+                type: 'cancellation_fee',
+                bookingId: booking_id,
+                actorId: req.user.id,
+                transfers: [{ from: walletOf(booking.customer_id), to: walletOf(booking.provider_user_id), amount: feeCharged }],
+            });
+        }
+
+        // 3. Move the booking to cancelled
+        await transitionBooking(client, booking, 'cancelled', {
+            actor: req.user,
+            reason: reason.trim(),
+            updates: {
+                cancelled_by: req.user.id,
+                cancellation_reason: reason.trim(),
+                cancellation_fee: feeCharged,
+                cancelled_at: new Date(),
+            },
+        });
+
+        await client.query('COMMIT');
+
+        // 4. Notify both parties
+        const cancelledBy = role === 'customer' ? 'the customer' : `the provider (${booking.provider_name})`;
+        const feeLine = feeCharged > 0
+            ? `<p>A late cancellation fee of <strong>₹${feeCharged.toFixed(2)}</strong> was charged to the customer's wallet and credited to the provider.</p>`
+            : '<p>No cancellation fee was charged.</p>';
+        const escrowLine = returnedEscrow
+            ? `<p>The ₹${parseFloat(returnedEscrow.amount).toFixed(2)} held in escrow was returned to the customer's available balance.</p>`
+            : '';
+        const emailBody = `
+            <h2>Booking ${booking_id} Cancelled</h2>
+            <p>Booking #${booking_id} scheduled for ${new Date(booking.scheduled_at).toLocaleString()} was cancelled by ${cancelledBy}.</p>
+            <p><strong>Reason:</strong> ${reason.trim()}</p>
+            ${escrowLine}
+            ${feeLine}
+        `;
+        await sendEmail(booking.customer_email, `Service Connect: Booking ${booking_id} Cancelled`, emailBody);
+        await sendEmail(booking.provider_email, `Service Connect: Booking ${booking_id} Cancelled`, emailBody);
+
+        res.status(200).json({
+            message: feeCharged > 0
+                ? `Booking #${booking_id} cancelled. A late cancellation fee of ₹${feeCharged.toFixed(2)} was charged.`
+                : `Booking #${booking_id} cancelled free of charge.`,
+            new_status: 'cancelled',
+            cancellation_fee: feeCharged
+        });
+
+    } catch (err) {
+        await client.query('ROLLBACK');
+        console.error('Booking cancellation error:', err);
+        res.status(500).json({ error: 'An error occurred while cancelling the booking.' });
+    } finally {
+        client.release();
+    }
+});
+
+
+// Bookings can only be moved while the job is still ahead
+const RESCHEDULABLE_STATUSES = ['pending_provider', 'awaiting_customer_confirmation', 'accepted'];
+
+
+/**
+ * @route GET /api/v1/bookings/:id/reschedule-proposals
+ * @desc List every reschedule proposal made on a booking, newest first
+ * @access Private (Customer or Provider who is a party to the booking)
+ */
+router.get('/bookings/:id/reschedule-proposals', auth, async (req, res) => {
+    const booking_id = req.params.id;
+
+    try {
+        const booking = await fetchBookingParties(pool, booking_id);
+
+        if (!booking || !isBookingParty(booking, req.user)) {
+            return res.status(403).json({ error: 'Access denied. You are not a party to this booking.' });
+        }
+
+        const proposalsResult = await pool.query(
+            `SELECT id, proposed_by, proposer_role, previous_scheduled_at, proposed_scheduled_at, message, status, responded_at, created_at
+             FROM booking_reschedule_proposals
+             WHERE booking_id = $1
+             ORDER BY created_at DESC, id DESC`,
+            [booking_id]
+        );
+
+        res.status(200).json({
+            message: `${proposalsResult.rows.length} reschedule proposals retrieved.`,
+            proposals: proposalsResult.rows
+        });
+
+    } catch (err) {
+        console.error('Reschedule proposals fetch error:', err);
+        res.status(500).json({ error: 'An error occurred while fetching reschedule proposals.' });
+    }
+});
+
+
+/**
+ * @route POST /api/v1/bookings/:id/reschedule-proposals
+ * @desc Propose a new scheduled time. Replaces any earlier proposal still awaiting an answer.
+ * @access Private (Customer or Provider who is a party to the booking)
+ */
+router.post('/bookings/:id/reschedule-proposals', auth, async (req, res) => {
+    const { id: user_id, role } = req.user;
+    const booking_id = req.params.id;
+    const { scheduled_at, message } = req.body;
+
+    const proposedTime = new Date(scheduled_at);
+    if (!scheduled_at || isNaN(proposedTime.getTime())) {
+        return res.status(400).json({ error: 'A valid new scheduled time is required.' });
+    }
+    if (proposedTime <= new Date()) {
+        return res.status(400).json({ error: 'The new scheduled time must be in the future.' });
+    }
+
+    const client = await pool.connect();
+
+    try {
+        await client.query('BEGIN');
+
+        const booking = await fetchBookingParties(client, booking_id, true);
+
+        if (!booking || !isBookingParty(booking, req.user)) {
+            await client.query('ROLLBACK');
+            return res.status(403).json({ error: 'Access denied. You are not a party to this booking.' });
+        }
+        if (!RESCHEDULABLE_STATUSES.includes(booking.booking_status)) {
+            await client.query('ROLLBACK');
+            return res.status(400).json({ error: `A booking in status '${booking.booking_status}' cannot be rescheduled.` });
+        }
+
+        const conflict = await checkProviderAvailability(client, booking.provider_id, booking.service_id, proposedTime, booking.id);
+        if (conflict) {
+            await client.query('ROLLBACK');
+            return res.status(409).json({ error: conflict });
+        }
+
+        await client.query(
+            `UPDATE booking_reschedule_proposals SET status = 'superseded' WHERE booking_id = $1 AND status = 'pending'`,
+            [booking_id]
+        );
+
+        const proposalInsert = await client.query(
+            `INSERT INTO booking_reschedule_proposals (booking_id, proposed_by, proposer_role, previous_scheduled_at, proposed_scheduled_at, message)
+             VALUES ($1, $2, $3, $4, $5, $6) RETURNING id`,
+            [booking_id, user_id, role, booking.scheduled_at, proposedTime, message || null]
+        );
+
+        await client.query('COMMIT');
+
+        // Notify the other party
+        const recipientEmail = role === 'customer' ? booking.provider_email : booking.customer_email;
+        const emailBody = `
+            <h2>New Time Proposed for Booking ${booking_id}</h2>
+            <p>The ${role} has proposed moving booking #${booking_id}.</p>
+            <ul>
+                <li><strong>Current Time:</strong> ${new Date(booking.scheduled_at).toLocaleString()}</li>
+                <li><strong>Proposed Time:</strong> ${proposedTime.toLocaleString()}</li>
+            </ul>
+            ${message ? `<p><strong>Message:</strong> ${message}</p>` : ''}
+            <p>Please log into your dashboard to <strong>Accept</strong> or <strong>Decline</strong> the new time.</p>
+        `;
+        await sendEmail(recipientEmail, `Service Connect: Reschedule Request for Booking ${booking_id}`, emailBody);
+
+        res.status(201).json({
+            message: 'New time proposed. The other party has been notified.',
+            proposal_id: proposalInsert.rows[0].id
+        });
+
+    } catch (err) {
+        await client.query('ROLLBACK');
+        console.error('Reschedule proposal error:', err);
+        res.status(500).json({ error: 'An error occurred while proposing a new time.' });
+    } finally {
+        client.release();
+    }
+});
+
+
+/**
+ * @route PUT /api/v1/bookings/:id/reschedule-proposals/:proposalId
+ * @desc Accept or decline a pending reschedule proposal. Accepting moves the booking's scheduled_at.
+ * @access Private (the party who did NOT make the proposal)
+ */
+router.put('/bookings/:id/reschedule-proposals/:proposalId', auth, async (req, res) => {
+    const { id: user_id, role } = req.user;
+    const { id: booking_id, proposalId: proposal_id } = req.params;
+    const { accepted } = req.body; // boolean: true to accept, false to decline
+
+    if (typeof accepted !== 'boolean') {
+        return res.status(400).json({ error: 'Response (accepted) must be a boolean.' });
+    }
+
+    const client = await pool.connect();
+
+    try {
+        await client.query('BEGIN');
+
+        const booking = await fetchBookingParties(client, booking_id, true);
+
+        if (!booking || !isBookingParty(booking, req.user)) {
+            await client.query('ROLLBACK');
+            return res.status(403).json({ error: 'Access denied. You are not a party to this booking.' });
+        }
+
+        const proposalResult = await client.query(
+            `SELECT id, proposer_role, proposed_scheduled_at FROM booking_reschedule_proposals
+             WHERE id = $1 AND booking_id = $2 AND status = 'pending' FOR UPDATE`,
+            [proposal_id, booking_id]
+        );
+        const proposal = proposalResult.rows[0];
+
+        if (!proposal) {
+            await client.query('ROLLBACK');
+            return res.status(404).json({ error: 'Pending reschedule proposal not found.' });
+        }
+        if (proposal.proposer_role === role) {
+            await client.query('ROLLBACK');
+            return res.status(403).json({ error: 'You cannot respond to your own proposal.' });
+        }
+        if (accepted && !RESCHEDULABLE_STATUSES.includes(booking.booking_status)) {
+            await client.query('ROLLBACK');
+            return res.status(400).json({ error: `A booking in status '${booking.booking_status}' cannot be rescheduled.` });
+        }
+
+        // The slot may have been taken since the proposal was made
+        if (accepted) {
+            const conflict = await checkProviderAvailability(
+                client, booking.provider_id, booking.service_id, new Date(proposal.proposed_scheduled_at), booking.id
+            );
+            if (conflict) {
+                await client.query('ROLLBACK');
+                return res.status(409).json({ error: conflict });
+            }
+        }
+
+        const newStatus = accepted ? 'accepted' : 'declined';
+        await client.query(
+            `UPDATE booking_reschedule_proposals SET status = $1, responded_by = $2, responded_at = CURRENT_TIMESTAMP WHERE id = $3`,
+            [newStatus, user_id, proposal_id]
+        );
+
+        if (accepted) {
+            await client.query(
+                'UPDATE bookings SET scheduled_at = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2',
+                [proposal.proposed_scheduled_at, booking_id]
+            );
+        }
+
+        await client.query('COMMIT');
+
+        // Notify the proposer
+        const recipientEmail = role === 'customer' ? booking.provider_email : booking.customer_email;
+        const emailBody = accepted ? `
+            <h2>Booking ${booking_id} Rescheduled</h2>
+            <p>The ${role} accepted your proposed time. Booking #${booking_id} is now scheduled for
+            <strong>${new Date(proposal.proposed_scheduled_at).toLocaleString()}</strong>.</p>
+        ` : `
+            <h2>Reschedule Declined for Booking ${booking_id}</h2>
+            <p>The ${role} declined your proposed time of ${new Date(proposal.proposed_scheduled_at).toLocaleString()}.</p>
+            <p>The booking stays at ${new Date(booking.scheduled_at).toLocaleString()}. You can use the chat to agree on another time.</p>
+        `;
+        await sendEmail(
+            recipientEmail,
+            `Service Connect: Reschedule ${accepted ? 'Accepted' : 'Declined'} for Booking ${booking_id}`,
+            emailBody
+        );
+
+        res.status(200).json({
+            message: accepted ? 'New time accepted. The booking has been rescheduled.' : 'Proposed time declined.',
+            scheduled_at: accepted ? proposal.proposed_scheduled_at : booking.scheduled_at
+        });
+
+    } catch (err) {
+        await client.query('ROLLBACK');
+        console.error('Reschedule response error:', err);
+        res.status(500).json({ error: 'An error occurred while responding to the proposal.' });
+    } finally {
+        client.release();
+    }
+});
+
+
+/**
+ * @route GET /api/v1/bookings/:id/status-history
+ * @desc Retrieve the audit trail of status changes for a booking (who changed it, when and why), plus any refunds
+ * @access Private (Customer or Provider who is a party to the booking, or Admin)
+ */
+router.get('/bookings/:id/status-history', auth, async (req, res) => {
+    const { id: user_id, role } = req.user;
+    const booking_id = req.params.id;
+
+    try {
+        if (role !== 'admin') {
+            const bookingResult = await pool.query(
+                'SELECT id FROM bookings WHERE id = $1 AND (customer_id = $2 OR (SELECT user_id FROM providers WHERE id = provider_id) = $2)',
+                [booking_id, user_id]
+            );
+
+            if (bookingResult.rows.length === 0) {
+                return res.status(403).json({ error: 'Access denied. You are not a party to this booking.' });
+            }
+        }
+
+        const historyQuery = `
+            SELECT h.id, h.from_status, h.to_status, h.actor_role, h.reason, h.created_at, h.changed_by, u.email AS changed_by_email
+            FROM booking_status_history h
+            LEFT JOIN users u ON h.changed_by = u.id
+            WHERE h.booking_id = $1
+            ORDER BY h.created_at ASC, h.id ASC;
+        `;
+        const historyResult = await pool.query(historyQuery, [booking_id]);
+
+        // Refunds leave the booking closed, so they are listed next to the status changes
+        const refundsResult = await pool.query(
+            'SELECT id, amount, reason, created_at FROM payment_refunds WHERE booking_id = $1 ORDER BY created_at ASC, id ASC',
+            [booking_id]
+        );
+
+        res.status(200).json({
+            message: `${historyResult.rows.length} status changes retrieved.`,
+            history: historyResult.rows,
+            refunds: refundsResult.rows
+        });
+
+    } catch (err) {
+        console.error('Booking status history fetch error:', err);
+        res.status(500).json({ error: 'An error occurred while fetching the booking history.' });
+    }
+});
+
+
 /**
  * @route GET /api/v1/bookings/:id/messages
  * @desc Retrieve all messages for a specific booking chat
@@ -415,6 +1261,120 @@ router.post('/bookings/:id/messages', auth, async (req, res) => {
 });
 
 
+/**
+ * @route GET /api/v1/bookings/:id/photos
+ * @desc List the problem, before and after photos of a booking
+ * @access Private (Customer or Provider who is a party to the booking, or Admin)
+ */
+router.get('/bookings/:id/photos', auth, async (req, res) => {
+    const { id: user_id, role } = req.user;
+    const booking_id = req.params.id;
+
+    try {
+        if (role !== 'admin') {
+            const bookingResult = await pool.query(
+                'SELECT id FROM bookings WHERE id = $1 AND (customer_id = $2 OR (SELECT user_id FROM providers WHERE id = provider_id) = $2)',
+                [booking_id, user_id]
+            );
+
+            if (bookingResult.rows.length === 0) {
+                return res.status(403).json({ error: 'Access denied. You are not a party to this booking.' });
+            }
+        }
+
+        const photosResult = await pool.query(
+            `SELECT id, photo_type, file_url, caption, uploader_role, created_at
+             FROM booking_photos
+             WHERE booking_id = $1
+             ORDER BY created_at ASC, id ASC`,
+            [booking_id]
+        );
+
+        res.status(200).json({
+            message: `${photosResult.rows.length} photos retrieved.`,
+            photos: photosResult.rows,
+            max_per_upload: MAX_PHOTOS_PER_UPLOAD
+        });
+
+    } catch (err) {
+        console.error('Booking photos fetch error:', err);
+        res.status(500).json({ error: 'An error occurred while fetching the booking photos.' });
+    }
+});
+
+/**
+ * @route POST /api/v1/bookings/:id/photos
+ * @desc Upload photos for a booking (multipart field 'photos', plus 'photo_type' and an optional 'caption').
+ *       Customers upload 'problem' photos; providers upload 'before' and 'after' photos.
+ * @access Private (Customer or Provider who is a party to the booking)
+ */
+router.post('/bookings/:id/photos', auth, (req, res, next) => {
+    photoUpload.array('photos', MAX_PHOTOS_PER_UPLOAD)(req, res, async (err) => {
+        if (err) {
+            discardUploads(req.files);
+            const error = err.code === 'LIMIT_FILE_COUNT' ? `You can upload at most ${MAX_PHOTOS_PER_UPLOAD} photos at a time.` : err.message;
+            return res.status(400).json({ error: error || 'Photo upload failed.' });
+        }
+
+        const { id: user_id, role } = req.user;
+        const booking_id = req.params.id;
+        const { photo_type, caption } = req.body;
+        const files = req.files || [];
+        const rules = PHOTO_RULES[photo_type];
+
+        if (files.length === 0) {
+            return res.status(400).json({ error: 'At least one photo is required.' });
+        }
+        if (!rules || !rules.roles.includes(role)) {
+            discardUploads(files);
+            const allowedTypes = Object.keys(PHOTO_RULES).filter(type => PHOTO_RULES[type].roles.includes(role));
+            return res.status(400).json({ error: `A ${role} can only upload these photo types: ${allowedTypes.join(', ') || 'none'}.` });
+        }
+
+        try {
+            const bookingResult = await pool.query(
+                `SELECT b.id, b.booking_status,
+                        (SELECT COUNT(*)::int FROM booking_photos WHERE booking_id = b.id AND photo_type = $3) AS existing_count
+                 FROM bookings b
+                 WHERE b.id = $1 AND (b.customer_id = $2 OR (SELECT user_id FROM providers WHERE id = b.provider_id) = $2)`,
+                [booking_id, user_id, photo_type]
+            );
+            const booking = bookingResult.rows[0];
+
+            if (!booking) {
+                discardUploads(files);
+                return res.status(403).json({ error: 'Access denied. You are not a party to this booking.' });
+            }
+            if (!rules.statuses.includes(booking.booking_status)) {
+                discardUploads(files);
+                return res.status(400).json({ error: `${photo_type} photos cannot be added to a booking that is ${booking.booking_status}.` });
+            }
+            if (booking.existing_count + files.length > MAX_PHOTOS_PER_TYPE) {
+                discardUploads(files);
+                return res.status(400).json({ error: `A booking can have at most ${MAX_PHOTOS_PER_TYPE} ${photo_type} photos.` });
+            }
+
+            const baseUrl = `${req.protocol}://${req.get('host')}/uploads`;
+            const photosInsert = await pool.query(
+                `INSERT INTO booking_photos (booking_id, uploaded_by, uploader_role, photo_type, file_url, caption)
+                 SELECT $1, $2, $3, $4, UNNEST($5::text[]), $6
+                 RETURNING id, photo_type, file_url, caption, uploader_role, created_at`,
+                [booking_id, user_id, role, photo_type, files.map(file => `${baseUrl}/${file.filename}`), caption || null]
+            );
+
+            res.status(201).json({
+                message: `${photosInsert.rows.length} ${photo_type} photo(s) uploaded.`,
+                photos: photosInsert.rows
+            });
+
+        } catch (dbError) {
+            discardUploads(files);
+            console.error('Booking photo upload error:', dbError);
+            res.status(500).json({ error: 'An error occurred while uploading the photos.' });
+        }
+    });
+});
+
 /**
  * @route POST /api/v1/bookings/:id/messages/upload
  * @desc Send a file attachment within a booking chat
@@ -0,0 +1,172 @@
+// backend/src/routes/calendarRoutes.js
+
+const express = require('express');
+const router = express.Router();
+const crypto = require('crypto');
+const pool = require('../config/db');
+const auth = require('../../middleware/auth');
+const { DEFAULT_JOB_DURATION_MINUTES } = require('../utils/availability');
+const { buildBookingEvent, buildCalendar } = require('../utils/calendar');
+
+// --- CALENDAR EXPORT & FEEDS ---
+// A single accepted booking can be downloaded as an .ics file. Each customer/provider also gets a
+// secret feed URL (no login, the token is the credential) that calendar apps poll. The feed lists
+// upcoming accepted bookings, plus recently cancelled ones marked CANCELLED so subscribed
+// calendars remove them.
+const CANCELLED_FEED_DAYS = 30;
+
+const CALENDAR_SELECT = `
+    SELECT b.id, b.booking_status, b.scheduled_at, b.updated_at, b.address, b.service_description, b.amount,
+           s.name AS service_name, p.display_name AS provider_name,
+           COALESCE(cp.full_name, cu.email) AS customer_name,
+           COALESCE(ps.job_duration_minutes, ${DEFAULT_JOB_DURATION_MINUTES}) AS duration_minutes,
+           -- Bumped on every status change, accepted reschedule or admin edit, so clients replace the old event
+           (SELECT COUNT(*) FROM booking_status_history h WHERE h.booking_id = b.id)
+             + (SELECT COUNT(*) FROM booking_reschedule_proposals r WHERE r.booking_id = b.id AND r.status = 'accepted')
+             + (SELECT COUNT(*) FROM booking_admin_actions a WHERE a.booking_id = b.id) AS sequence
+    FROM bookings b
+    JOIN services s ON s.id = b.service_id
+    JOIN providers p ON p.id = b.provider_id
+    JOIN users cu ON cu.id = b.customer_id
+    LEFT JOIN customer_profiles cp ON cp.user_id = b.customer_id
+    LEFT JOIN provider_services ps ON ps.provider_id = b.provider_id AND ps.service_id = b.service_id`;
+
+const sendCalendar = (res, filename, body) => {
+    res.set({
+        'Content-Type': 'text/calendar; charset=utf-8',
+        'Content-Disposition': `attachment; filename="${filename}"`,
+    });
+    res.status(200).send(body);
+};
+
+/**
+ * @route GET /api/v1/bookings/:id/calendar.ics
+ * @desc Download one accepted booking as an iCalendar file
+ * @access Private (Customer or Provider who is a party to the booking)
+ */
+router.get('/bookings/:id/calendar.ics', auth, async (req, res) => {
+    const { id: user_id, role } = req.user;
+    const booking_id = req.params.id;
+
+    try {
+        const result = await pool.query(
+            `${CALENDAR_SELECT}
+             WHERE b.id = $1 AND (b.customer_id = $2 OR p.user_id = $2)`,
+            [booking_id, user_id]
+        );
+        const booking = result.rows[0];
+
+        if (!booking) {
+            return res.status(403).json({ error: 'Access denied. You are not a party to this booking.' });
+        }
+        if (booking.booking_status !== 'accepted') {
+            return res.status(400).json({ error: 'Only accepted bookings can be added to a calendar.' });
+        }
+
+        sendCalendar(res, `booking-${booking.id}.ics`, buildCalendar('Service Connect', [buildBookingEvent(booking, role)]));
+
+    } catch (err) {
+        console.error('Booking calendar export error:', err);
+        res.status(500).json({ error: 'An error occurred while exporting the booking.' });
+    }
+});
+
+/**
+ * @route GET /api/v1/user/calendar-feed
+ * @desc Get the user's secret calendar feed path, creating the token on first use
+ * @access Private (Customer or Provider)
+ */
+router.get('/user/calendar-feed', auth, async (req, res) => {
+    const { id: user_id, role } = req.user;
+
+    if (role !== 'customer' && role !== 'provider') {
+        return res.status(403).json({ msg: 'Access denied. Calendar feeds are for customers and providers.' });
+    }
+
+    try {
+        const result = await pool.query(
+            'UPDATE users SET calendar_feed_token = COALESCE(calendar_feed_token, $2) WHERE id = $1 RETURNING calendar_feed_token',
+            [user_id, crypto.randomBytes(24).toString('hex')]
+        );
+
+        res.status(200).json({ feed_path: `/calendar/${result.rows[0].calendar_feed_token}.ics` });
+
+    } catch (err) {
+        console.error('Calendar feed fetch error:', err);
+        res.status(500).json({ error: 'An error occurred while fetching the calendar feed.' });
+    }
+});
+
+/**
+ * @route POST /api/v1/user/calendar-feed/reset
+ * @desc Replace the feed token. The old feed URL stops working immediately.
+ * @access Private (Customer or Provider)
+ */
+router.post('/user/calendar-feed/reset', auth, async (req, res) => {
+    const { id: user_id, role } = req.user;
+
+    if (role !== 'customer' && role !== 'provider') {
+        return res.status(403).json({ msg: 'Access denied. Calendar feeds are for customers and providers.' });
+    }
+
+    try {
+        const result = await pool.query(
+            'UPDATE users SET calendar_feed_token = $2 WHERE id = $1 RETURNING calendar_feed_token',
+            [user_id, crypto.randomBytes(24).toString('hex')]
+        );
+
+        res.status(200).json({
+            message: 'Calendar feed link reset. Re-subscribe your calendar with the new link.',
+            feed_path: `/calendar/${result.rows[0].calendar_feed_token}.ics`
+        });
+
+    } catch (err) {
+        console.error('Calendar feed reset error:', err);
+        res.status(500).json({ error: 'An error occurred while resetting the calendar feed.' });
+    }
+});
+
+/**
+ * @route GET /api/v1/calendar/:token.ics
+ * @desc Subscribable calendar feed of the user's upcoming bookings
+ * @access Public (secret token)
+ */
+router.get('/calendar/:token.ics', async (req, res) => {
+    const { token } = req.params;
+
+    try {
+        const userResult = await pool.query(
+            "SELECT id, role FROM users WHERE calendar_feed_token = $1 AND role IN ('customer', 'provider')",
+            [token]
+        );
+        const user = userResult.rows[0];
+
+        if (!user) {
+            return res.status(404).json({ error: 'Calendar feed not found.' });
+        }
+
+        // Cancelled bookings are only sent if they had been accepted, i.e. were on the calendar
+        const bookingsResult = await pool.query(
+            `${CALENDAR_SELECT}
+             WHERE ${user.role === 'provider' ? 'p.user_id' : 'b.customer_id'} = $1
+               AND b.scheduled_at > NOW() - INTERVAL '1 day'
+               AND (
+                   b.booking_status = 'accepted'
+                   OR (b.booking_status = 'cancelled'
+                       AND b.updated_at > NOW() - $2::int * INTERVAL '1 day'
+                       AND EXISTS (SELECT 1 FROM booking_status_history h WHERE h.booking_id = b.id AND h.to_status = 'accepted'))
+               )
+             ORDER BY b.scheduled_at`,
+            [user.id, CANCELLED_FEED_DAYS]
+        );
+
+        const events = bookingsResult.rows.map(booking => buildBookingEvent(booking, user.role));
+        sendCalendar(res, 'service-connect.ics', buildCalendar('Service Connect Bookings', events));
+
+    } catch (err) {
+        console.error('Calendar feed error:', err);
+        res.status(500).json({ error: 'An error occurred while building the calendar feed.' });
+    }
+});
+
+module.exports = router;
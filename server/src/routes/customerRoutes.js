@@ -4,6 +4,9 @@ const express = require('express');
 const router = express.Router();
 const pool = require('../config/db');
 const auth = require('../../middleware/auth'); 
+const idempotency = require('../../middleware/idempotency');
+const { parseBookingListQuery, buildBookingListSql, paginateBookings } = require('../utils/bookingListQuery');
+const { getPaymentGateway, validateDepositAmount } = require('../utils/paymentGateway');
 
 // For deposit request, we need multer setup here.
 const multer = require('multer'); 
@@ -40,7 +43,8 @@ const upload = multer({
 
 /**
  * @route GET /api/v1/customer/bookings
- * @desc Get all bookings associated with the logged-in customer
+ * @desc Get the logged-in customer's bookings, one page at a time.
+ *       Query: status, from, to, service_id, q, sort, limit, cursor (see utils/bookingListQuery.js)
  * @access Private (Customer only)
  */
 router.get('/customer/bookings', auth, async (req, res) => {
@@ -49,23 +53,55 @@ router.get('/customer/bookings', auth, async (req, res) => {
         return res.status(403).json({ error: 'Access denied. Only customers can view their bookings.' });
     }
 
+    const listOptions = parseBookingListQuery(req.query, 'scheduled_desc');
+    if (listOptions.error) {
+        return res.status(400).json({ error: listOptions.error });
+    }
+
     try {
+        const params = [customer_user_id];
+        const list = buildBookingListSql(listOptions, params);
+
         const bookingsQuery = `
             SELECT 
                 b.id, b.scheduled_at, b.address, b.customer_notes, b.booking_status, b.amount, b.service_description,
-                p.display_name AS provider_name, s.name AS service_name, b.provider_id, u.profile_picture_url AS provider_photo
+                b.cancellation_reason, b.cancellation_fee, b.series_id, b.series_occurrence,
+                b.started_at, b.completed_at, b.confirmation_due_at, be.status AS escrow_status, be.amount AS escrow_amount,
+                -- Handshake codes are only ever sent to the customer
+                CASE WHEN b.booking_status = 'accepted' THEN b.start_code END AS start_code,
+                CASE WHEN b.booking_status = 'accepted' THEN b.completion_code END AS completion_code,
+                (SELECT row_to_json(rp) FROM (
+                    SELECT id, proposer_role, proposed_scheduled_at, message
+                    FROM booking_reschedule_proposals
+                    WHERE booking_id = b.id AND status = 'pending'
+                    ORDER BY created_at DESC LIMIT 1
+                ) rp) AS pending_reschedule,
+                (SELECT json_agg(r ORDER BY r.created_at) FROM (
+                    SELECT id, amount, reason, created_at
+                    FROM payment_refunds
+                    WHERE booking_id = b.id
+                ) r) AS refunds,
+                (SELECT invoice_number FROM invoices WHERE booking_id = b.id ORDER BY issued_at DESC LIMIT 1) AS invoice_number,
+                -- is_paid (not invoice_number) offers the download: older payments get their invoice on first download
+                EXISTS (SELECT 1 FROM payments WHERE booking_id = b.id AND status IN ('succeeded', 'partially_refunded', 'refunded')) AS is_paid,
+                p.display_name AS provider_name, s.name AS service_name, b.service_id, b.provider_id, u.profile_picture_url AS provider_photo,
+                ${list.cursorSelect}
             FROM bookings b
             JOIN providers p ON b.provider_id = p.id
             JOIN services s ON b.service_id = s.id
             JOIN users u ON p.user_id = u.id
-            WHERE b.customer_id = $1
-            ORDER BY b.scheduled_at DESC;
+            LEFT JOIN booking_escrow be ON be.booking_id = b.id
+            WHERE b.customer_id = $1 ${list.where}
+            ORDER BY ${list.orderBy}
+            LIMIT ${list.limit};
         `;
-        const result = await pool.query(bookingsQuery, [customer_user_id]);
+        const result = await pool.query(bookingsQuery, params);
+        const { bookings, next_cursor } = paginateBookings(result.rows, listOptions);
 
         res.status(200).json({
-            message: `${result.rows.length} bookings retrieved.`,
-            bookings: result.rows
+            message: `${bookings.length} bookings retrieved.`,
+            bookings,
+            next_cursor
         });
         
     } catch (err) {
@@ -76,10 +112,10 @@ router.get('/customer/bookings', auth, async (req, res) => {
 
 /**
  * @route POST /api/v1/customer/wallet/deposit-request
- * @desc Customer submits a deposit request after paying via QR/UPI.
+ * @desc Customer submits a deposit request after paying via QR/UPI. Kept as the manual fallback to online top-ups.
  * @access Private (Customer only)
  */
-router.post('/customer/wallet/deposit-request', auth, upload.single('screenshot_file'), async (req, res) => {
+router.post('/customer/wallet/deposit-request', auth, upload.single('screenshot_file'), idempotency, async (req, res) => {
     const { id: user_id, role } = req.user;
     const { amount: amountStr, transaction_reference } = req.body;
     const file = req.file;
@@ -128,5 +164,75 @@ router.post('/customer/wallet/deposit-request', auth, upload.single('screenshot_
     }
 });
 
+/**
+ * @route POST /api/v1/customer/wallet/gateway-orders
+ * @desc Starts an online top-up: opens an order with the payment gateway and returns its checkout URL.
+ *       The wallet is credited only when the gateway's webhook confirms the payment (see gatewayRoutes).
+ * @access Private (Customer only)
+ */
+router.post('/customer/wallet/gateway-orders', auth, idempotency, async (req, res) => {
+    const { id: user_id, role } = req.user;
+    if (role !== 'customer') {
+        return res.status(403).json({ error: 'Access denied. Only customers can top up online.' });
+    }
+
+    const { amount, error } = validateDepositAmount(req.body.amount);
+    if (error) {
+        return res.status(400).json({ error });
+    }
+
+    const gateway = getPaymentGateway();
+    if (!gateway) {
+        return res.status(503).json({ error: 'Online payments are not available right now. Please use a manual deposit.' });
+    }
+
+    try {
+        const { gatewayOrderId, checkoutUrl } = await gateway.createOrder({
+            amount,
+            currency: 'INR',
+            userId: user_id,
+            baseUrl: `${req.protocol}://${req.get('host')}`,
+        });
+        const result = await pool.query(
+            `INSERT INTO gateway_orders (user_id, gateway, gateway_order_id, amount)
+             VALUES ($1, $2, $3, $4)
+             RETURNING id, amount, status, created_at`,
+            [user_id, gateway.name, gatewayOrderId, amount]
+        );
+
+        res.status(201).json({
+            message: `Order created. Complete the payment on the ${gateway.label} checkout page.`,
+            order: { ...result.rows[0], gateway: gateway.label },
+            checkout_url: checkoutUrl
+        });
+    } catch (err) {
+        console.error('Gateway order creation error:', err);
+        res.status(500).json({ error: 'Could not start the online payment. Please try again.' });
+    }
+});
+
+/**
+ * @route GET /api/v1/customer/wallet/gateway-orders/:id
+ * @desc Status of an online top-up ('created' until the gateway reports back, then 'paid' or 'failed').
+ * @access Private (Customer who created the order)
+ */
+router.get('/customer/wallet/gateway-orders/:id', auth, async (req, res) => {
+    try {
+        const result = await pool.query(
+            `SELECT id, amount, status, failure_reason, wallet_request_id, created_at, updated_at
+             FROM gateway_orders
+             WHERE id = $1 AND user_id = $2`,
+            [req.params.id, req.user.id]
+        );
+        if (result.rows.length === 0) {
+            return res.status(404).json({ error: 'Order not found.' });
+        }
+        res.status(200).json({ order: result.rows[0] });
+    } catch (err) {
+        console.error('Gateway order fetch error:', err);
+        res.status(500).json({ error: 'Failed to fetch the order status.' });
+    }
+});
+
 
 module.exports = router;
\ No newline at end of file
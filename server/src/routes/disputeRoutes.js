@@ -0,0 +1,195 @@
+// backend/src/routes/disputeRoutes.js
+
+const express = require('express');
+const router = express.Router();
+const pool = require('../config/db');
+const auth = require('../../middleware/auth');
+const { sendEmail } = require('../config/nodemailer');
+const { getTransitionError, transitionBooking } = require('../utils/bookingLifecycle');
+const { isConfirmationWindowOpen } = require('../utils/completionConfirmation');
+
+// --- DISPUTES ---
+// A customer can dispute a completed booking instead of paying it. The booking moves to 'disputed',
+// which blocks POST /payments, until an admin rules on it (see PUT /admin/disputes/:id/resolve).
+// Disputes (including "not done" reports) must be opened within the completion confirmation window.
+// Evidence is uploaded through POST /bookings/:id/photos with photo_type 'dispute'.
+const DISPUTE_REASONS = ['work_not_done', 'poor_quality', 'overcharged', 'damage', 'other'];
+
+const DISPUTE_SELECT = `
+    SELECT d.id, d.booking_id, d.reason, d.customer_statement, d.provider_response, d.provider_responded_at,
+           d.status, d.ruling, d.ruled_amount, d.admin_notes, d.resolved_at, d.created_at
+    FROM booking_disputes d`;
+
+/**
+ * @route GET /api/v1/bookings/:id/dispute
+ * @desc Get the dispute for a booking (null if none was opened)
+ * @access Private (Customer or Provider who is a party to the booking, or Admin)
+ */
+router.get('/bookings/:id/dispute', auth, async (req, res) => {
+    const { id: user_id, role } = req.user;
+    const booking_id = req.params.id;
+
+    try {
+        if (role !== 'admin') {
+            const bookingResult = await pool.query(
+                'SELECT id FROM bookings WHERE id = $1 AND (customer_id = $2 OR (SELECT user_id FROM providers WHERE id = provider_id) = $2)',
+                [booking_id, user_id]
+            );
+
+            if (bookingResult.rows.length === 0) {
+                return res.status(403).json({ error: 'Access denied. You are not a party to this booking.' });
+            }
+        }
+
+        const disputeResult = await pool.query(`${DISPUTE_SELECT} WHERE d.booking_id = $1`, [booking_id]);
+
+        res.status(200).json({
+            dispute: disputeResult.rows[0] || null,
+            reasons: DISPUTE_REASONS
+        });
+
+    } catch (err) {
+        console.error('Dispute fetch error:', err);
+        res.status(500).json({ error: 'An error occurred while fetching the dispute.' });
+    }
+});
+
+/**
+ * @route POST /api/v1/bookings/:id/dispute
+ * @desc Customer disputes a completed booking. Payment is frozen until an admin rules on it.
+ * @access Private (Customer only)
+ */
+router.post('/bookings/:id/dispute', auth, async (req, res) => {
+    const { id: customer_user_id, role } = req.user;
+    const booking_id = req.params.id;
+    const { reason, statement } = req.body;
+
+    if (role !== 'customer') {
+        return res.status(403).json({ msg: 'Access denied. Only customers can open a dispute.' });
+    }
+    if (!DISPUTE_REASONS.includes(reason)) {
+        return res.status(400).json({ error: `Reason must be one of: ${DISPUTE_REASONS.join(', ')}.` });
+    }
+    if (!statement || !statement.trim()) {
+        return res.status(400).json({ error: 'Please describe what went wrong.' });
+    }
+
+    const client = await pool.connect();
+
+    try {
+        await client.query('BEGIN');
+
+        const bookingResult = await client.query(
+            `SELECT b.id, b.booking_status, b.amount, b.confirmation_due_at, pu.email AS provider_email
+             FROM bookings b
+             JOIN providers p ON p.id = b.provider_id
+             JOIN users pu ON pu.id = p.user_id
+             WHERE b.id = $1 AND b.customer_id = $2
+             FOR UPDATE OF b`,
+            [booking_id, customer_user_id]
+        );
+        const booking = bookingResult.rows[0];
+
+        if (!booking) {
+            await client.query('ROLLBACK');
+            return res.status(404).json({ error: 'Booking not found or not owned by you.' });
+        }
+
+        const transitionError = getTransitionError(booking.booking_status, 'disputed', role);
+        if (transitionError) {
+            await client.query('ROLLBACK');
+            return res.status(400).json({ error: 'Only completed bookings that have not been paid can be disputed.' });
+        }
+        if (!isConfirmationWindowOpen(booking)) {
+            await client.query('ROLLBACK');
+            return res.status(400).json({ error: 'The confirmation window for this booking has ended, so it can no longer be disputed.' });
+        }
+
+        const disputeInsert = await client.query(
+            `INSERT INTO booking_disputes (booking_id, opened_by, reason, customer_statement)
+             VALUES ($1, $2, $3, $4) RETURNING id`,
+            [booking_id, customer_user_id, reason, statement.trim()]
+        );
+
+        await transitionBooking(client, booking, 'disputed', {
+            actor: req.user,
+            reason: `Dispute opened: ${reason.replace(/_/g, ' ')}.`,
+        });
+
+        await client.query('COMMIT');
+
+        const emailBody = `
+            <h2>Booking Disputed - Payment On Hold</h2>
+            <p>The customer has disputed booking ID ${booking_id} (₹${parseFloat(booking.amount).toFixed(2)}).</p>
+            <p><strong>Reason:</strong> ${reason.replace(/_/g, ' ')}</p>
+            <p><strong>Customer's statement:</strong><br/>${statement.trim()}</p>
+            <p>Payment is frozen until our support team reviews the case. Providers can add their side of the story and evidence from the Provider Dashboard.</p>
+        `;
+        await sendEmail(booking.provider_email, `Service Connect: Booking ${booking_id} Has Been Disputed`, emailBody);
+        await sendEmail(process.env.ADMIN_EMAIL || process.env.EMAIL_USER, `Service Connect: New Dispute on Booking ${booking_id}`, emailBody);
+
+        res.status(201).json({
+            message: 'Dispute opened. Payment is on hold while our team reviews it.',
+            dispute_id: disputeInsert.rows[0].id
+        });
+
+    } catch (err) {
+        await client.query('ROLLBACK');
+        console.error('Dispute creation error:', err);
+        res.status(500).json({ error: 'An error occurred while opening the dispute.' });
+    } finally {
+        client.release();
+    }
+});
+
+/**
+ * @route PUT /api/v1/bookings/:id/dispute/response
+ * @desc Provider gives their side of an open dispute (can be updated until it is resolved)
+ * @access Private (Provider only)
+ */
+router.put('/bookings/:id/dispute/response', auth, async (req, res) => {
+    const { id: provider_user_id, role } = req.user;
+    const booking_id = req.params.id;
+    const { response } = req.body;
+
+    if (role !== 'provider') {
+        return res.status(403).json({ msg: 'Access denied. Only providers can respond to a dispute.' });
+    }
+    if (!response || !response.trim()) {
+        return res.status(400).json({ error: 'A response is required.' });
+    }
+
+    try {
+        const updateResult = await pool.query(
+            `UPDATE booking_disputes d
+             SET provider_response = $3, provider_responded_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+             FROM bookings b
+             JOIN providers p ON p.id = b.provider_id
+             JOIN users cu ON cu.id = b.customer_id
+             WHERE d.booking_id = b.id AND b.id = $1 AND p.user_id = $2 AND d.status = 'open'
+             RETURNING d.id, cu.email AS customer_email`,
+            [booking_id, provider_user_id, response.trim()]
+        );
+
+        if (updateResult.rows.length === 0) {
+            return res.status(404).json({ error: 'No open dispute found for this booking.' });
+        }
+
+        const emailBody = `
+            <h2>Provider Responded to the Dispute</h2>
+            <p>The provider has responded to the dispute on booking ID ${booking_id}:</p>
+            <p>${response.trim()}</p>
+            <p>Our support team will review both statements and the evidence before making a ruling.</p>
+        `;
+        await sendEmail(updateResult.rows[0].customer_email, `Service Connect: Update on Your Dispute (Booking ${booking_id})`, emailBody);
+        await sendEmail(process.env.ADMIN_EMAIL || process.env.EMAIL_USER, `Service Connect: Provider Responded to Dispute (Booking ${booking_id})`, emailBody);
+
+        res.status(200).json({ message: 'Your response has been saved.' });
+
+    } catch (err) {
+        console.error('Dispute response error:', err);
+        res.status(500).json({ error: 'An error occurred while saving your response.' });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,41 @@
+// backend/src/routes/gatewayRoutes.js
+
+const express = require('express');
+const router = express.Router();
+const { getPaymentGateway, processGatewayEvent } = require('../utils/paymentGateway');
+
+// --- PAYMENT GATEWAY WEBHOOKS ---
+// Gateways call these server to server, so there is no login: the signature over the raw body is
+// the credential. Orders are created from customerRoutes; see utils/paymentGateway for the flow.
+// The offline mock gateway's checkout page lives in mockGatewayRoutes and is only mounted when enabled.
+
+/**
+ * @route POST /api/v1/payments/webhooks/:gateway
+ * @desc Receives a gateway's payment event. Verifies the signature, then credits the wallet (once)
+ *       or marks the order failed. Always answers 200 for verified events so the gateway stops retrying.
+ * @access Public (signed by the gateway)
+ */
+router.post('/payments/webhooks/:gateway', async (req, res) => {
+    const gateway = getPaymentGateway(req.params.gateway);
+    if (!gateway) {
+        return res.status(404).json({ error: 'Unknown payment gateway.' });
+    }
+    if (!gateway.verifyWebhook(req.rawBody, req.headers)) {
+        return res.status(401).json({ error: 'Invalid webhook signature.' });
+    }
+
+    const event = gateway.parseWebhook(req.body);
+    if (!event.eventId || !event.gatewayOrderId) {
+        return res.status(400).json({ error: 'Webhook event is missing its id or order id.' });
+    }
+
+    try {
+        const result = await processGatewayEvent(gateway.name, event, req.body);
+        res.status(200).json({ received: true, outcome: result.outcome });
+    } catch (err) {
+        console.error('Gateway webhook processing error:', err);
+        res.status(500).json({ error: 'Failed to process the webhook. It can be retried.' });
+    }
+});
+
+module.exports = router;
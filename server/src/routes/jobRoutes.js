@@ -0,0 +1,531 @@
+// backend/src/routes/jobRoutes.js
+
+const express = require('express');
+const router = express.Router();
+const pool = require('../config/db');
+const auth = require('../../middleware/auth');
+const idempotency = require('../../middleware/idempotency');
+const { sendEmail } = require('../config/nodemailer');
+const { calculateDistance } = require('../utils/helpers');
+const { recordStatusChange } = require('../utils/bookingLifecycle');
+const { checkProviderAvailability } = require('../utils/availability');
+const { holdFunds } = require('../utils/escrow');
+
+
+// --- JOB POSTS ---
+// Instead of picking a provider first, a customer can post a job. It is shown to every verified
+// provider who offers the service and whose service radius covers the job location. Providers bid
+// (price + time inside the customer's window); accepting a bid creates an accepted booking.
+
+// Distance from the provider's base to the job, rounded to 0.1 km
+const distanceToJob = (provider, job) => Math.round(calculateDistance(
+    parseFloat(job.location_lat),
+    parseFloat(job.location_lon),
+    parseFloat(provider.location_lat || 0),
+    parseFloat(provider.location_lon || 0)
+) * 10) / 10;
+
+const isWithinServiceArea = (provider, job) => distanceToJob(provider, job) <= (provider.service_radius_km || 0);
+
+// The logged-in provider's profile, plus the services they offer
+const fetchProviderForBidding = async (db, user_id) => {
+    const result = await db.query(
+        `SELECT p.id, p.display_name, p.is_verified, p.location_lat, p.location_lon, p.service_radius_km,
+                COALESCE(ARRAY_AGG(ps.service_id) FILTER (WHERE ps.service_id IS NOT NULL), '{}') AS service_ids
+         FROM providers p
+         LEFT JOIN provider_services ps ON ps.provider_id = p.id
+         WHERE p.user_id = $1
+         GROUP BY p.id`,
+        [user_id]
+    );
+    return result.rows[0];
+};
+
+
+/**
+ * @route POST /api/v1/jobs
+ * @desc Customer posts a job for nearby providers to bid on
+ * @access Private (Customer only)
+ */
+router.post('/jobs', auth, async (req, res) => {
+    const { id: customer_user_id, role } = req.user;
+    if (role !== 'customer') {
+        return res.status(403).json({ msg: 'Access denied. Only customers can post jobs.' });
+    }
+
+    const { service_id, description, address, window_start, window_end } = req.body;
+    let { location_lat, location_lon } = req.body;
+
+    if (!service_id || !description || !address || !window_start || !window_end) {
+        return res.status(400).json({ error: 'Service, description, address and a time window are required.' });
+    }
+
+    const windowStart = new Date(window_start);
+    const windowEnd = new Date(window_end);
+    if (isNaN(windowStart.getTime()) || isNaN(windowEnd.getTime()) || windowStart >= windowEnd || windowEnd <= new Date()) {
+        return res.status(400).json({ error: 'The time window must have a start before its end and must not be in the past.' });
+    }
+
+    try {
+        // Default to the location saved on the customer's profile
+        if (location_lat == null || location_lon == null) {
+            const profileResult = await pool.query('SELECT location_lat, location_lon FROM customer_profiles WHERE user_id = $1', [customer_user_id]);
+            location_lat = profileResult.rows[0]?.location_lat;
+            location_lon = profileResult.rows[0]?.location_lon;
+        }
+        if (location_lat == null || location_lon == null) {
+            return res.status(400).json({ error: 'Please set your location on your profile (or pass location_lat/location_lon) so nearby providers can see the job.' });
+        }
+
+        const jobInsert = await pool.query(
+            `INSERT INTO job_posts (customer_id, service_id, description, address, location_lat, location_lon, window_start, window_end)
+             VALUES ($1, $2, $3, $4, $5, $6, $7, $8) RETURNING *`,
+            [customer_user_id, service_id, description, address, location_lat, location_lon, windowStart, windowEnd]
+        );
+        const job = jobInsert.rows[0];
+
+        // Let every eligible provider know about the new job
+        const providersResult = await pool.query(
+            `SELECT p.id, p.display_name, p.location_lat, p.location_lon, p.service_radius_km, u.email, s.name AS service_name
+             FROM providers p
+             JOIN users u ON u.id = p.user_id
+             JOIN provider_services ps ON ps.provider_id = p.id AND ps.service_id = $1
+             JOIN services s ON s.id = ps.service_id
+             WHERE p.is_verified = TRUE`,
+            [service_id]
+        );
+        const nearbyProviders = providersResult.rows.filter(provider => isWithinServiceArea(provider, job));
+
+        for (const provider of nearbyProviders) {
+            await sendEmail(
+                provider.email,
+                `New ${provider.service_name} Job Near You (Job ${job.id}) on Service Connect`,
+                `
+                    <h2>New Job Open for Bids</h2>
+                    <p>Dear ${provider.display_name},</p>
+                    <p>A customer ${distanceToJob(provider, job)} km away has posted a ${provider.service_name} job:</p>
+                    <p><strong>Description:</strong><br/>${description}</p>
+                    <p><strong>Preferred Time:</strong> between ${windowStart.toLocaleString()} and ${windowEnd.toLocaleString()}</p>
+                    <p>Log into your Provider Dashboard (Job Board) to submit a quote.</p>
+                `
+            );
+        }
+
+        res.status(201).json({
+            message: `Job posted. ${nearbyProviders.length} nearby providers have been notified.`,
+            job_id: job.id,
+            providers_notified: nearbyProviders.length
+        });
+
+    } catch (err) {
+        console.error('Job post creation error:', err);
+        res.status(500).json({ error: 'An error occurred while posting the job.' });
+    }
+});
+
+
+/**
+ * @route GET /api/v1/customer/jobs
+ * @desc List the customer's job posts with their bids (best rated providers first)
+ * @access Private (Customer only)
+ */
+router.get('/customer/jobs', auth, async (req, res) => {
+    const { id: customer_user_id, role } = req.user;
+    if (role !== 'customer') {
+        return res.status(403).json({ error: 'Access denied. Only customers can view their job posts.' });
+    }
+
+    try {
+        const jobsResult = await pool.query(
+            `SELECT j.*, s.name AS service_name
+             FROM job_posts j
+             JOIN services s ON s.id = j.service_id
+             WHERE j.customer_id = $1
+             ORDER BY j.created_at DESC`,
+            [customer_user_id]
+        );
+
+        const bidsResult = await pool.query(
+            `SELECT b.id, b.job_post_id, b.provider_id, b.amount, b.proposed_time, b.message, b.status, b.created_at,
+                    p.display_name AS provider_name, p.average_rating, p.review_count, p.location_lat, p.location_lon,
+                    u.profile_picture_url AS provider_photo
+             FROM job_bids b
+             JOIN job_posts j ON j.id = b.job_post_id
+             JOIN providers p ON p.id = b.provider_id
+             JOIN users u ON u.id = p.user_id
+             WHERE j.customer_id = $1 AND b.status <> 'withdrawn'
+             ORDER BY b.amount ASC, p.average_rating DESC`,
+            [customer_user_id]
+        );
+
+        const jobs = jobsResult.rows.map(job => ({
+            ...job,
+            bids: bidsResult.rows
+                .filter(bid => bid.job_post_id === job.id)
+                .map(({ location_lat, location_lon, ...bid }) => ({
+                    ...bid,
+                    distance_km: distanceToJob({ location_lat, location_lon }, job),
+                })),
+        }));
+
+        res.status(200).json({
+            message: `${jobs.length} job posts retrieved.`,
+            jobs
+        });
+
+    } catch (err) {
+        console.error('Customer job posts fetch error:', err);
+        res.status(500).json({ error: 'An error occurred while fetching your job posts.' });
+    }
+});
+
+
+/**
+ * @route GET /api/v1/provider/jobs
+ * @desc Job board: open jobs for the provider's services within their service radius, nearest first
+ * @access Private (Verified Provider only)
+ */
+router.get('/provider/jobs', auth, async (req, res) => {
+    const { id: provider_user_id, role } = req.user;
+    if (role !== 'provider') {
+        return res.status(403).json({ error: 'Access denied. Only providers can view the job board.' });
+    }
+
+    try {
+        const provider = await fetchProviderForBidding(pool, provider_user_id);
+        if (!provider) {
+            return res.status(404).json({ error: 'Provider profile not found.' });
+        }
+        if (!provider.is_verified) {
+            return res.status(200).json({ message: 'Your profile must be verified before you can bid on jobs.', jobs: [] });
+        }
+
+        const jobsResult = await pool.query(
+            `SELECT j.id, j.service_id, j.description, j.address, j.location_lat, j.location_lon, j.window_start, j.window_end, j.created_at,
+                    s.name AS service_name,
+                    (SELECT COUNT(*)::int FROM job_bids WHERE job_post_id = j.id AND status = 'pending') AS bid_count,
+                    (SELECT row_to_json(mb) FROM (
+                        SELECT id, amount, proposed_time, message, status FROM job_bids WHERE job_post_id = j.id AND provider_id = $2
+                    ) mb) AS my_bid
+             FROM job_posts j
+             JOIN services s ON s.id = j.service_id
+             WHERE j.status = 'open' AND j.window_end > CURRENT_TIMESTAMP AND j.service_id = ANY($1::int[])
+             ORDER BY j.created_at DESC`,
+            [provider.service_ids, provider.id]
+        );
+
+        const jobs = jobsResult.rows
+            .map(job => ({ ...job, distance_km: distanceToJob(provider, job) }))
+            .filter(job => job.distance_km <= (provider.service_radius_km || 0))
+            .sort((a, b) => a.distance_km - b.distance_km)
+            // Don't expose the exact location before the job is awarded
+            .map(({ location_lat, location_lon, ...job }) => job);
+
+        res.status(200).json({
+            message: `${jobs.length} open jobs near you.`,
+            jobs
+        });
+
+    } catch (err) {
+        console.error('Provider job board fetch error:', err);
+        res.status(500).json({ error: 'An error occurred while fetching the job board.' });
+    }
+});
+
+
+/**
+ * @route POST /api/v1/jobs/:id/bids
+ * @desc Provider submits (or updates) a quote for an open job
+ * @access Private (Verified Provider only)
+ */
+router.post('/jobs/:id/bids', auth, async (req, res) => {
+    const { id: provider_user_id, role } = req.user;
+    const job_id = req.params.id;
+    const { amount, proposed_time, message } = req.body;
+
+    if (role !== 'provider') {
+        return res.status(403).json({ error: 'Access denied. Only providers can bid on jobs.' });
+    }
+    if (typeof amount !== 'number' || amount <= 0) {
+        return res.status(400).json({ error: 'Bid amount is required and must be positive.' });
+    }
+
+    const proposedTime = new Date(proposed_time);
+    if (!proposed_time || isNaN(proposedTime.getTime()) || proposedTime <= new Date()) {
+        return res.status(400).json({ error: 'A proposed time in the future is required.' });
+    }
+
+    try {
+        const provider = await fetchProviderForBidding(pool, provider_user_id);
+        const jobResult = await pool.query(
+            `SELECT j.*, u.email AS customer_email, s.name AS service_name
+             FROM job_posts j
+             JOIN users u ON u.id = j.customer_id
+             JOIN services s ON s.id = j.service_id
+             WHERE j.id = $1`,
+            [job_id]
+        );
+        const job = jobResult.rows[0];
+
+        if (!job || job.status !== 'open' || new Date(job.window_end) <= new Date()) {
+            return res.status(404).json({ error: 'This job is no longer open for bids.' });
+        }
+        if (!provider || !provider.is_verified || !provider.service_ids.includes(job.service_id) || !isWithinServiceArea(provider, job)) {
+            return res.status(403).json({ error: 'You are not eligible to bid on this job (verification, service or service area).' });
+        }
+        if (proposedTime < new Date(job.window_start) || proposedTime > new Date(job.window_end)) {
+            return res.status(400).json({ error: "The proposed time must be inside the customer's time window." });
+        }
+
+        const bidResult = await pool.query(
+            `INSERT INTO job_bids (job_post_id, provider_id, amount, proposed_time, message)
+             VALUES ($1, $2, $3, $4, $5)
+             ON CONFLICT (job_post_id, provider_id) DO UPDATE
+                SET amount = EXCLUDED.amount, proposed_time = EXCLUDED.proposed_time, message = EXCLUDED.message,
+                    status = 'pending', updated_at = CURRENT_TIMESTAMP
+                WHERE job_bids.status IN ('pending', 'withdrawn')
+             RETURNING id, (xmax = 0) AS is_new`,
+            [job_id, provider.id, amount, proposedTime, message || null]
+        );
+
+        if (bidResult.rows.length === 0) {
+            return res.status(400).json({ error: 'Your bid on this job has already been answered and can no longer be changed.' });
+        }
+        const bid = bidResult.rows[0];
+
+        await sendEmail(
+            job.customer_email,
+            `Service Connect: ${bid.is_new ? 'New' : 'Updated'} Quote for Your ${job.service_name} Job (Job ${job_id})`,
+            `
+                <h2>${bid.is_new ? 'New' : 'Updated'} Quote Received</h2>
+                <p>${provider.display_name} quoted <strong>₹${amount.toFixed(2)}</strong> for your job, proposing ${proposedTime.toLocaleString()}.</p>
+                ${message ? `<p>Provider's note: ${message}</p>` : ''}
+                <p>Log into your Customer Dashboard (Job Posts) to compare quotes and pick one.</p>
+            `
+        );
+
+        res.status(bid.is_new ? 201 : 200).json({
+            message: bid.is_new ? 'Bid submitted.' : 'Bid updated.',
+            bid_id: bid.id
+        });
+
+    } catch (err) {
+        console.error('Job bid submission error:', err);
+        res.status(500).json({ error: 'An error occurred while submitting the bid.' });
+    }
+});
+
+
+/**
+ * @route DELETE /api/v1/jobs/:id/bids
+ * @desc Provider withdraws their pending bid
+ * @access Private (Provider only)
+ */
+router.delete('/jobs/:id/bids', auth, async (req, res) => {
+    const { id: provider_user_id, role } = req.user;
+    if (role !== 'provider') {
+        return res.status(403).json({ error: 'Access denied. Only providers can withdraw bids.' });
+    }
+
+    try {
+        const result = await pool.query(
+            `UPDATE job_bids SET status = 'withdrawn', updated_at = CURRENT_TIMESTAMP
+             WHERE job_post_id = $1 AND status = 'pending' AND provider_id = (SELECT id FROM providers WHERE user_id = $2)`,
+            [req.params.id, provider_user_id]
+        );
+
+        if (result.rowCount === 0) {
+            return res.status(404).json({ error: 'No pending bid found for this job.' });
+        }
+
+        res.status(200).json({ message: 'Bid withdrawn.' });
+
+    } catch (err) {
+        console.error('Job bid withdrawal error:', err);
+        res.status(500).json({ error: 'An error occurred while withdrawing the bid.' });
+    }
+});
+
+
+/**
+ * @route PUT /api/v1/jobs/:id/bids/:bidId/accept
+ * @desc Customer picks a bid. The job becomes a normal booking, already accepted at the bid price.
+ * @access Private (Customer only)
+ */
+router.put('/jobs/:id/bids/:bidId/accept', auth, idempotency, async (req, res) => {
+    const { id: customer_user_id, role } = req.user;
+    const { id: job_id, bidId: bid_id } = req.params;
+
+    if (role !== 'customer') {
+        return res.status(403).json({ error: 'Access denied. Only customers can accept bids.' });
+    }
+
+    const client = await pool.connect();
+
+    try {
+        await client.query('BEGIN');
+
+        const jobResult = await client.query(
+            'SELECT * FROM job_posts WHERE id = $1 AND customer_id = $2 FOR UPDATE',
+            [job_id, customer_user_id]
+        );
+        const job = jobResult.rows[0];
+
+        if (!job) {
+            await client.query('ROLLBACK');
+            return res.status(404).json({ error: 'Job post not found or not owned by you.' });
+        }
+        if (job.status !== 'open') {
+            await client.query('ROLLBACK');
+            return res.status(400).json({ error: `This job is already ${job.status}.` });
+        }
+
+        const bidResult = await client.query(
+            `SELECT b.*, p.user_id AS provider_user_id, p.display_name AS provider_name, u.email AS provider_email
+             FROM job_bids b
+             JOIN providers p ON p.id = b.provider_id
+             JOIN users u ON u.id = p.user_id
+             WHERE b.id = $1 AND b.job_post_id = $2
+             FOR UPDATE OF b`,
+            [bid_id, job_id]
+        );
+        const bid = bidResult.rows[0];
+
+        if (!bid || bid.status !== 'pending') {
+            await client.query('ROLLBACK');
+            return res.status(400).json({ error: 'This bid is no longer available.' });
+        }
+        if (new Date(bid.proposed_time) <= new Date()) {
+            await client.query('ROLLBACK');
+            return res.status(400).json({ error: 'The time proposed in this bid has already passed.' });
+        }
+
+        // The provider may have taken other work since bidding
+        const conflict = await checkProviderAvailability(client, bid.provider_id, job.service_id, new Date(bid.proposed_time));
+        if (conflict) {
+            await client.query('ROLLBACK');
+            return res.status(409).json({ error: conflict });
+        }
+
+        const bookingInsert = await client.query(
+            `INSERT INTO bookings (customer_id, provider_id, service_id, scheduled_at, address, service_description, booking_status, amount)
+             VALUES ($1, $2, $3, $4, $5, $6, 'accepted', $7) RETURNING id`,
+            [customer_user_id, bid.provider_id, job.service_id, bid.proposed_time, job.address, job.description, bid.amount]
+        );
+        const booking_id = bookingInsert.rows[0].id;
+
+        // Same as accepting a quote: the bid amount is held in escrow until the job is paid for
+        const holdError = await holdFunds(client, { bookingId: booking_id, customerId: customer_user_id, amount: bid.amount });
+        if (holdError) {
+            await client.query('ROLLBACK');
+            return res.status(400).json({ error: holdError });
+        }
+
+        await recordStatusChange(client, {
+            bookingId: booking_id,
+            toStatus: 'accepted',
+            actor: req.user,
+            reason: `Booked from job post #${job_id}: customer accepted bid #${bid_id}.`,
+        });
+
+        // Keep the bid in the booking's quote history so receipts and disputes see the agreed price
+        await client.query(
+            `INSERT INTO booking_quotes (booking_id, offered_by, offer_role, amount, message, status)
+             VALUES ($1, $2, 'provider', $3, $4, 'accepted')`,
+            [booking_id, bid.provider_user_id, bid.amount, bid.message]
+        );
+
+        await client.query("UPDATE job_bids SET status = 'accepted', updated_at = CURRENT_TIMESTAMP WHERE id = $1", [bid_id]);
+        const declinedResult = await client.query(
+            `UPDATE job_bids SET status = 'declined', updated_at = CURRENT_TIMESTAMP
+             WHERE job_post_id = $1 AND id <> $2 AND status = 'pending'
+             RETURNING (SELECT u.email FROM providers p JOIN users u ON u.id = p.user_id WHERE p.id = job_bids.provider_id) AS provider_email`,
+            [job_id, bid_id]
+        );
+        await client.query(
+            "UPDATE job_posts SET status = 'awarded', booking_id = $2, updated_at = CURRENT_TIMESTAMP WHERE id = $1",
+            [job_id, booking_id]
+        );
+
+        await client.query('COMMIT');
+
+        await sendEmail(
+            bid.provider_email,
+            `Service Connect: Your Quote Was Accepted (Booking ${booking_id})`,
+            `
+                <h2>You Got the Job!</h2>
+                <p>The customer accepted your quote of <strong>₹${parseFloat(bid.amount).toFixed(2)}</strong> for job ${job_id}.</p>
+                <p>Booking ID ${booking_id} is now <strong>ACCEPTED</strong> for ${new Date(bid.proposed_time).toLocaleString()} at ${job.address}. The full amount is held in escrow from the customer's wallet.</p>
+                <p>You can chat with the customer from your Provider Dashboard.</p>
+            `
+        );
+        for (const declined of declinedResult.rows) {
+            await sendEmail(
+                declined.provider_email,
+                `Service Connect: Job ${job_id} Was Awarded to Another Provider`,
+                `<p>Thank you for your quote. The customer has chosen another provider for job ${job_id}.</p>`
+            );
+        }
+
+        res.status(200).json({
+            message: `Quote from ${bid.provider_name} accepted. Your booking is confirmed and ₹${parseFloat(bid.amount).toFixed(2)} is held from your wallet until the job is paid for.`,
+            booking_id
+        });
+
+    } catch (err) {
+        await client.query('ROLLBACK');
+        console.error('Job bid acceptance error:', err);
+        res.status(500).json({ error: 'An error occurred while accepting the bid.' });
+    } finally {
+        client.release();
+    }
+});
+
+
+/**
+ * @route PUT /api/v1/jobs/:id/cancel
+ * @desc Customer withdraws an open job post; all pending bids are declined
+ * @access Private (Customer only)
+ */
+router.put('/jobs/:id/cancel', auth, async (req, res) => {
+    const { id: customer_user_id, role } = req.user;
+    if (role !== 'customer') {
+        return res.status(403).json({ error: 'Access denied. Only customers can cancel job posts.' });
+    }
+
+    const client = await pool.connect();
+
+    try {
+        await client.query('BEGIN');
+
+        const result = await client.query(
+            `UPDATE job_posts SET status = 'cancelled', updated_at = CURRENT_TIMESTAMP
+             WHERE id = $1 AND customer_id = $2 AND status = 'open' RETURNING id`,
+            [req.params.id, customer_user_id]
+        );
+
+        if (result.rowCount === 0) {
+            await client.query('ROLLBACK');
+            return res.status(404).json({ error: 'Open job post not found.' });
+        }
+
+        await client.query(
+            "UPDATE job_bids SET status = 'declined', updated_at = CURRENT_TIMESTAMP WHERE job_post_id = $1 AND status = 'pending'",
+            [req.params.id]
+        );
+
+        await client.query('COMMIT');
+
+        res.status(200).json({ message: 'Job post cancelled.' });
+
+    } catch (err) {
+        await client.query('ROLLBACK');
+        console.error('Job post cancellation error:', err);
+        res.status(500).json({ error: 'An error occurred while cancelling the job post.' });
+    } finally {
+        client.release();
+    }
+});
+
+
+module.exports = router;
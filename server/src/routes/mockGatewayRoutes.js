@@ -0,0 +1,105 @@
+// backend/src/routes/mockGatewayRoutes.js
+
+const express = require('express');
+const router = express.Router();
+const pool = require('../config/db');
+const { processGatewayEvent } = require('../utils/paymentGateway');
+const mockGateway = require('../utils/mockGateway');
+
+// --- MOCK GATEWAY CHECKOUT ---
+// The offline mock gateway's hosted checkout page. The random gateway order id in the URL is the
+// only credential, as with a real gateway's checkout link. Paying or declining applies the same
+// event a webhook would carry, in process: the mock is part of this API, so there is nothing to call.
+// Mounted only when MOCK_GATEWAY_ENABLED is set (see utils/mockGateway), since paying here credits
+// a wallet without any real money.
+
+const renderCheckoutPage = (title, body) => `<!DOCTYPE html>
+<html>
+<head><meta charset="utf-8"><title>${title}</title></head>
+<body style="font-family: sans-serif; max-width: 420px; margin: 60px auto; text-align: center;">
+    <h2>${title}</h2>
+    ${body}
+    <p style="color: #888; font-size: 12px;">Mock payment gateway for testing. No real money is moved.</p>
+</body>
+</html>`;
+
+const CHECKOUT_CLOSED_MESSAGES = {
+    paid: 'This order has already been paid. You can close this window.',
+    failed: 'This payment did not go through. Start a new top-up from your wallet.',
+};
+
+const loadMockOrder = async (gatewayOrderId) => {
+    const result = await pool.query(
+        'SELECT id, gateway_order_id, amount, status FROM gateway_orders WHERE gateway = $1 AND gateway_order_id = $2',
+        [mockGateway.name, gatewayOrderId]
+    );
+    return result.rows[0] || null;
+};
+
+/**
+ * @route GET /api/v1/payments/mock-gateway/checkout/:order_id
+ * @desc The mock gateway's checkout page for an order.
+ * @access Public (the gateway order id is the credential)
+ */
+router.get('/payments/mock-gateway/checkout/:order_id', async (req, res) => {
+    try {
+        const order = await loadMockOrder(req.params.order_id);
+        if (!order) {
+            return res.status(404).send(renderCheckoutPage('Order not found', '<p>This checkout link is not valid.</p>'));
+        }
+        if (order.status !== 'created') {
+            return res.status(200).send(renderCheckoutPage('Service Connect wallet top-up', `<p>${CHECKOUT_CLOSED_MESSAGES[order.status]}</p>`));
+        }
+
+        const action = `${req.baseUrl}/payments/mock-gateway/checkout/${encodeURIComponent(order.gateway_order_id)}`;
+        res.status(200).send(renderCheckoutPage('Service Connect wallet top-up', `
+            <p style="font-size: 28px; font-weight: bold;">₹${parseFloat(order.amount).toFixed(2)}</p>
+            <form method="POST" action="${action}/pay" style="margin-bottom: 12px;">
+                <button type="submit" style="padding: 10px 40px; background: #008080; color: white; border: none; border-radius: 6px;">Pay</button>
+            </form>
+            <form method="POST" action="${action}/fail">
+                <button type="submit" style="padding: 8px 20px; background: white; border: 1px solid #c00; color: #c00; border-radius: 6px;">Simulate a failed payment</button>
+            </form>
+        `));
+    } catch (err) {
+        console.error('Mock checkout page error:', err);
+        res.status(500).send(renderCheckoutPage('Something went wrong', '<p>Please try again.</p>'));
+    }
+});
+
+/**
+ * @route POST /api/v1/payments/mock-gateway/checkout/:order_id/:outcome
+ * @desc Completes the mock checkout ('pay' or 'fail') by applying the mock gateway's event for it.
+ * @access Public (the gateway order id is the credential)
+ */
+router.post('/payments/mock-gateway/checkout/:order_id/:outcome', async (req, res) => {
+    const { outcome } = req.params;
+    if (!['pay', 'fail'].includes(outcome)) {
+        return res.status(404).send(renderCheckoutPage('Page not found', ''));
+    }
+
+    try {
+        const order = await loadMockOrder(req.params.order_id);
+        if (!order) {
+            return res.status(404).send(renderCheckoutPage('Order not found', '<p>This checkout link is not valid.</p>'));
+        }
+        if (order.status !== 'created') {
+            return res.status(200).send(renderCheckoutPage('Service Connect wallet top-up', `<p>${CHECKOUT_CLOSED_MESSAGES[order.status]}</p>`));
+        }
+
+        const payload = mockGateway.buildCheckoutEvent(order, outcome === 'pay');
+        await processGatewayEvent(mockGateway.name, mockGateway.parseWebhook(payload), payload);
+
+        res.status(200).send(renderCheckoutPage(
+            outcome === 'pay' ? 'Payment successful' : 'Payment failed',
+            outcome === 'pay'
+                ? '<p>Your wallet has been topped up. You can close this window and return to Service Connect.</p>'
+                : '<p>No money was taken. You can close this window and try again from your wallet.</p>'
+        ));
+    } catch (err) {
+        console.error('Mock checkout completion error:', err);
+        res.status(500).send(renderCheckoutPage('Something went wrong', '<p>The payment could not be completed. Please try again.</p>'));
+    }
+});
+
+module.exports = router;
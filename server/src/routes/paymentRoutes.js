@@ -4,16 +4,23 @@ const express = require('express');
 const router = express.Router();
 const pool = require('../config/db');
 const auth = require('../../middleware/auth'); 
+const idempotency = require('../../middleware/idempotency');
 const { sendEmail } = require('../config/nodemailer'); 
+const { loadAcceptedQuote } = require('../utils/quoteCalculator');
+const { calculateTip, capturePayment, buildReceiptHtml, CAPTURED_PAYMENT_STATUSES } = require('../utils/payments');
+const { issueInvoice, buildInvoicePdf, invoiceAttachment } = require('../utils/invoices');
 
 /**
  * @route POST /api/v1/payments
- * @desc Capture payment for a completed booking using customer wallet balance.
+ * @desc Customer confirms a completed booking and pays for it: from its escrow hold, or from the wallet balance if nothing was held.
+ *       Bookings left unconfirmed are paid automatically when the confirmation window ends (see utils/completionConfirmation).
+ *       An optional tip (tip_percent of the booking amount, or a fixed tip_amount) is paid on top from the wallet balance.
+ *       The receipt email carries the payment's invoice as a PDF. Accepts an Idempotency-Key header (see middleware/idempotency).
  * @access Private (Customer only)
  */
-router.post('/payments', auth, async (req, res) => {
+router.post('/payments', auth, idempotency, async (req, res) => {
     const { id: customer_user_id, role } = req.user;
-    const { booking_id } = req.body;
+    const { booking_id, tip_percent, tip_amount } = req.body;
 
     if (role !== 'customer') {
         return res.status(403).json({ msg: 'Access denied. Only customers can make payments.' });
@@ -29,7 +36,7 @@ router.post('/payments', auth, async (req, res) => {
 
         // 1. Fetch booking details, ensuring it's the customer's and completed
         const bookingResult = await client.query(
-            'SELECT customer_id, booking_status, provider_id, amount FROM bookings WHERE id = $1 FOR UPDATE',
+            'SELECT id, customer_id, booking_status, provider_id, amount FROM bookings WHERE id = $1 FOR UPDATE',
             [booking_id]
         );
         const booking = bookingResult.rows[0];
@@ -47,70 +54,44 @@ router.post('/payments', auth, async (req, res) => {
             return res.status(400).json({ error: `Cannot process payment. Booking status is '${booking.booking_status}'.` });
         }
         
-        const paymentAmount = parseFloat(booking.amount);
-        if (isNaN(paymentAmount) || paymentAmount <= 0) {
+        const { tip, error: tipError } = calculateTip(booking.amount, { tip_percent, tip_amount });
+        if (tipError) {
             await client.query('ROLLBACK');
-            return res.status(400).json({ error: 'Payment amount is invalid or zero.' });
+            return res.status(400).json({ error: tipError });
         }
-        
-        // 2. Check customer wallet balance
-        const customerWallet = await client.query('SELECT balance, user_id FROM wallets WHERE user_id = $1 FOR UPDATE', [customer_user_id]);
-        const customerBalance = parseFloat(customerWallet.rows[0]?.balance || 0);
-        
-        if (customerBalance < paymentAmount) {
-            await client.query('ROLLBACK');
-            return res.status(400).json({ error: `Insufficient wallet balance. Required: ₹${paymentAmount.toFixed(2)}` });
-        }
-
-        // 3. Process Transaction: Debit Customer
-        await client.query(
-            'UPDATE wallets SET balance = balance - $1 WHERE user_id = $2',
-            [paymentAmount, customer_user_id]
-        );
-        await client.query(
-            `INSERT INTO transactions (user_id, type, amount, related_id)
-             VALUES ($1, $2, $3, $4)`,
-            [customer_user_id, 'payment_sent', paymentAmount, booking_id]
-        );
-        
-        // 4. Process Transaction: Credit Provider
-        const providerUserResult = await client.query('SELECT user_id FROM providers WHERE id = $1', [booking.provider_id]);
-        const provider_user_id = providerUserResult.rows[0]?.user_id;
 
-        if (!provider_user_id) {
-            // Should not happen, but safe rollback if provider user ID is missing
+        // 2. Debit the customer (and any tip), credit the provider and close the booking
+        const capture = await capturePayment(client, booking, { actor: req.user, reason: 'Customer confirmed completion; payment captured', tip });
+        if (capture.error) {
             await client.query('ROLLBACK');
-            return res.status(500).json({ error: 'Provider account user ID not found.' });
+            return res.status(400).json({ error: capture.error });
         }
-        
-        await client.query(
-            'UPDATE wallets SET balance = balance + $1 WHERE user_id = $2',
-            [paymentAmount, provider_user_id]
-        );
-        await client.query(
-            `INSERT INTO transactions (user_id, type, amount, related_id)
-             VALUES ($1, $2, $3, $4)`,
-            [provider_user_id, 'payment_received', paymentAmount, booking_id]
-        );
+        const { transactionId, paymentAmount, tipAmount, invoice } = capture;
 
-        // 5. Log Payment and Update Booking Status to closed
-        const transactionId = `txn_${Date.now()}${Math.random().toString(36).substring(2, 8)}`; 
-        await client.query(
-            `INSERT INTO payments (booking_id, amount, status, gateway_transaction_id, paid_at)
-             VALUES ($1, $2, $3, $4, CURRENT_TIMESTAMP)`,
-            [booking_id, paymentAmount, 'succeeded', transactionId]
-        );
-        await client.query(
-            `UPDATE bookings SET booking_status = 'closed', updated_at = CURRENT_TIMESTAMP WHERE id = $1`,
-            [booking_id]
-        );
+        const quote = await loadAcceptedQuote(client, booking_id);
 
         await client.query('COMMIT');
+
+        const customerEmailResult = await pool.query('SELECT email FROM users WHERE id = $1', [customer_user_id]);
+        if (customerEmailResult.rows[0]) {
+            await sendEmail(
+                customerEmailResult.rows[0].email,
+                `Service Connect: Payment Receipt for Booking ${booking_id}`,
+                `${buildReceiptHtml(booking_id, transactionId, paymentAmount, quote, tipAmount)}
+                 <p>Your invoice ${invoice.invoice_number} is attached.</p>`,
+                [invoiceAttachment(invoice)]
+            );
+        }
         
         res.status(200).json({
-            message: 'Payment captured successfully. Your provider has been credited.',
+            message: tipAmount > 0
+                ? `Payment captured successfully. Your provider has been credited, including your ₹${tipAmount.toFixed(2)} tip.`
+                : 'Payment captured successfully. Your provider has been credited.',
             status: 'succeeded',
-            transaction_id: transactionId
+            transaction_id: transactionId,
+            invoice_number: invoice.invoice_number,
+            tip_amount: tipAmount,
+            quote
         });
 
     } catch (err) {
@@ -122,6 +103,84 @@ router.post('/payments', auth, async (req, res) => {
     }
 });
 
+/**
+ * @route GET /api/v1/payments/:booking_id/receipt
+ * @desc Price breakdown for a booking: the accepted quote's line items and GST, plus the payment (tip and any refund) once captured
+ * @access Private (Customer or Provider who is a party to the booking)
+ */
+router.get('/payments/:booking_id/receipt', auth, async (req, res) => {
+    const { id: user_id } = req.user;
+    const { booking_id } = req.params;
+
+    try {
+        const bookingResult = await pool.query(
+            `SELECT b.id, b.amount, b.booking_status, b.scheduled_at, s.name AS service_name, p.display_name AS provider_name
+             FROM bookings b
+             JOIN providers p ON b.provider_id = p.id
+             JOIN services s ON b.service_id = s.id
+             WHERE b.id = $1 AND (b.customer_id = $2 OR p.user_id = $2)`,
+            [booking_id, user_id]
+        );
+        const booking = bookingResult.rows[0];
+
+        if (!booking) {
+            return res.status(404).json({ error: 'Booking not found or access denied.' });
+        }
+
+        const paymentResult = await pool.query(
+            "SELECT amount, tip_amount, refunded_amount, status, gateway_transaction_id, paid_at FROM payments WHERE booking_id = $1 AND status IN ('succeeded', 'partially_refunded', 'refunded') ORDER BY paid_at DESC LIMIT 1",
+            [booking_id]
+        );
+
+        res.status(200).json({
+            booking,
+            quote: await loadAcceptedQuote(pool, booking_id),
+            payment: paymentResult.rows[0] || null
+        });
+
+    } catch (err) {
+        console.error('Receipt fetch error:', err);
+        res.status(500).json({ error: 'An error occurred while fetching the receipt.' });
+    }
+});
+
+/**
+ * @route GET /api/v1/payments/:booking_id/invoice
+ * @desc Downloads the invoice PDF for a booking's payment. Payments captured before invoices existed are issued one on first download.
+ * @access Private (Customer or Provider who is a party to the booking)
+ */
+router.get('/payments/:booking_id/invoice', auth, async (req, res) => {
+    const { id: user_id } = req.user;
+    const { booking_id } = req.params;
+
+    try {
+        const paymentResult = await pool.query(
+            `SELECT pay.id
+             FROM payments pay
+             JOIN bookings b ON b.id = pay.booking_id
+             JOIN providers p ON p.id = b.provider_id
+             WHERE pay.booking_id = $1 AND pay.status = ANY($3::text[]) AND (b.customer_id = $2 OR p.user_id = $2)
+             ORDER BY pay.paid_at DESC
+             LIMIT 1`,
+            [booking_id, user_id, CAPTURED_PAYMENT_STATUSES]
+        );
+        if (paymentResult.rows.length === 0) {
+            return res.status(404).json({ error: 'No paid invoice found for this booking.' });
+        }
+
+        const invoice = await issueInvoice(pool, paymentResult.rows[0].id);
+        res.set({
+            'Content-Type': 'application/pdf',
+            'Content-Disposition': `attachment; filename="invoice-${invoice.invoice_number.replace(/\//g, '-')}.pdf"`,
+        });
+        res.status(200).send(buildInvoicePdf(invoice));
+
+    } catch (err) {
+        console.error('Invoice download error:', err);
+        res.status(500).json({ error: 'An error occurred while generating the invoice.' });
+    }
+});
+
 /**
  * @route POST /api/v1/reviews
  * @desc Submit a review and rating for a paid booking (Optional for Customer)
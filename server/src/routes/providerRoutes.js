@@ -4,10 +4,17 @@ const express = require('express');
 const router = express.Router();
 const pool = require('../config/db');
 const auth = require('../../middleware/auth'); 
+const idempotency = require('../../middleware/idempotency');
+const { getAvailableBalance } = require('../utils/ledger');
 
 // NOTE: sendEmail is not strictly needed for the routes below but is included 
 // for consistency if future routes require it.
 const { sendEmail } = require('../config/nodemailer'); 
+const { DEFAULT_WORKING_HOURS } = require('../utils/availability');
+const { parseBookingListQuery, buildBookingListSql, paginateBookings } = require('../utils/bookingListQuery');
+
+// State code, PAN, entity number, 'Z', checksum character
+const GSTIN_PATTERN = /^\d{2}[A-Z]{5}\d{4}[A-Z][1-9A-Z]Z[0-9A-Z]$/;
 
 /**
  * @route GET /api/v1/provider/earnings
@@ -22,20 +29,50 @@ router.get('/provider/earnings', auth, async (req, res) => {
 
     try {
         const analyticsQuery = `
+            WITH provider_credits AS (
+                SELECT j.entry_type, e.amount
+                FROM ledger_entries e
+                JOIN ledger_accounts a ON a.id = e.account_id
+                JOIN ledger_journals j ON j.id = e.journal_id
+                WHERE a.kind = 'wallet' AND a.user_id = $1 AND e.direction = 'credit'
+            )
             SELECT 
                 w.balance AS wallet_balance,
+                -- Customer funds held in escrow for this provider's accepted jobs, paid out on payment
+                (SELECT COALESCE(SUM(be.amount), 0)
+                 FROM booking_escrow be JOIN bookings eb ON eb.id = be.booking_id
+                 WHERE eb.provider_id = p.id AND be.status = 'held') AS escrow_held,
                 p.average_rating,
                 p.review_count,
                 COUNT(b.id) FILTER (WHERE b.booking_status = 'closed' AND b.amount IS NOT NULL) AS completed_jobs,
-                -- FIX: Total earnings sum should track all money CREDITED from payments
-                COALESCE(SUM(t.amount) FILTER (WHERE t.type = 'payment_received' OR t.type = 'deposit_admin_approved'), 0) AS total_money_credited
+                -- FIX: Total earnings sum should track all money CREDITED from payments.
+                -- Summed in subqueries: joining transactions next to bookings would count each one once per booking.
+                -- Ledger credits to the provider's wallet, plus the pre-ledger history in transactions.
+                (SELECT COALESCE(SUM(le.amount), 0) FROM provider_credits le
+                 WHERE le.entry_type IN ('escrow_release', 'booking_payment', 'dispute_settlement', 'cancellation_fee', 'deposit', 'tip'))
+                + (SELECT COALESCE(SUM(t.amount), 0) FROM transactions t
+                 WHERE t.user_id = u.id AND t.type IN ('payment_received', 'cancellation_fee_received', 'deposit_admin_approved', 'tip_received'))
+                -- Less the provider's share of refunds given back to customers
+                - (SELECT COALESCE(SUM(pr.provider_amount), 0) FROM payment_refunds pr JOIN bookings rb ON rb.id = pr.booking_id
+                 WHERE rb.provider_id = p.id) AS total_money_credited,
+                -- Tips are part of total earnings and also reported on their own
+                (SELECT COALESCE(SUM(le.amount), 0) FROM provider_credits le WHERE le.entry_type = 'tip')
+                + (SELECT COALESCE(SUM(t.amount), 0) FROM transactions t WHERE t.user_id = u.id AND t.type = 'tip_received') AS tips_received,
+                (SELECT COUNT(*) FROM provider_credits le WHERE le.entry_type = 'tip')
+                + (SELECT COUNT(*) FROM transactions t WHERE t.user_id = u.id AND t.type = 'tip_received') AS tip_count,
+                -- Job payments before and after the platform commission (tips excluded), net of refunds
+                (SELECT COALESCE(SUM(pay.amount - pay.refunded_amount), 0) FROM payments pay JOIN bookings pb ON pb.id = pay.booking_id
+                 WHERE pb.provider_id = p.id AND pay.status IN ('succeeded', 'partially_refunded', 'refunded')) AS gross_payments,
+                (SELECT COALESCE(SUM(pay.commission_amount - pay.refunded_commission), 0) FROM payments pay JOIN bookings pb ON pb.id = pay.booking_id
+                 WHERE pb.provider_id = p.id AND pay.status IN ('succeeded', 'partially_refunded', 'refunded')) AS platform_fees,
+                (SELECT COALESCE(SUM(pay.refunded_amount), 0) FROM payments pay JOIN bookings pb ON pb.id = pay.booking_id
+                 WHERE pb.provider_id = p.id) AS refunded_payments
             FROM users u
             JOIN providers p ON u.id = p.user_id
             LEFT JOIN wallets w ON w.user_id = u.id
             LEFT JOIN bookings b ON b.provider_id = p.id
-            LEFT JOIN transactions t ON t.user_id = u.id 
             WHERE u.id = $1
-            GROUP BY w.balance, p.average_rating, p.review_count;
+            GROUP BY u.id, w.balance, p.id, p.average_rating, p.review_count;
         `;
         
         const result = await pool.query(analyticsQuery, [user_id]);
@@ -50,11 +87,18 @@ router.get('/provider/earnings', auth, async (req, res) => {
             message: 'Provider analytics retrieved successfully.',
             analytics: {
                 wallet_balance: parseFloat(row.wallet_balance || 0),
+                escrow_held: parseFloat(row.escrow_held || 0),
                 average_rating: parseFloat(row.average_rating || 0),
                 review_count: parseInt(row.review_count || 0, 10),
                 completed_jobs: parseInt(row.completed_jobs || 0, 10),
                 // FIX: Use total_money_credited as total_earnings
                 total_earnings: parseFloat(row.total_money_credited || 0),
+                tips_received: parseFloat(row.tips_received || 0),
+                tip_count: parseInt(row.tip_count || 0, 10),
+                gross_payments: parseFloat(row.gross_payments || 0),
+                platform_fees: parseFloat(row.platform_fees || 0),
+                refunded_payments: parseFloat(row.refunded_payments || 0),
+                net_payments: Math.round((parseFloat(row.gross_payments || 0) - parseFloat(row.platform_fees || 0)) * 100) / 100,
             }
         });
 
@@ -116,7 +160,7 @@ router.post('/provider/profile', auth, async (req, res) => {
         return res.status(403).json({ error: 'Access denied. Only providers can update profiles.' });
     }
 
-    const { display_name, bio, location_lat, location_lon, service_radius_km, service_ids, payout_upi_id } = req.body;
+    const { display_name, bio, location_lat, location_lon, service_radius_km, service_ids, payout_upi_id, gstin } = req.body;
 
     if (!display_name || !bio || !service_ids || !Array.isArray(service_ids) || service_ids.length === 0) {
         return res.status(400).json({ error: 'Display name, bio, and at least one service ID are required.' });
@@ -127,6 +171,12 @@ router.post('/provider/profile', auth, async (req, res) => {
         return res.status(400).json({ error: 'Payout UPI ID is required.' });
     }
 
+    // GSTIN is optional and printed on invoices; an empty value clears it
+    const normalizedGstin = typeof gstin === 'string' ? gstin.trim().toUpperCase() : gstin;
+    if (normalizedGstin && !GSTIN_PATTERN.test(normalizedGstin)) {
+        return res.status(400).json({ error: 'GSTIN must be 15 characters, e.g. 27ABCDE1234F1Z5.' });
+    }
+
     const client = await pool.connect();
 
     try {
@@ -139,6 +189,10 @@ router.post('/provider/profile', auth, async (req, res) => {
              updateFields += `, payout_upi_id = $${updateParams.length + 1}`;
              updateParams.push(payout_upi_id);
         }
+        if (gstin !== undefined) {
+             updateFields += `, gstin = $${updateParams.length + 1}`;
+             updateParams.push(normalizedGstin || null);
+        }
         updateParams.push(user_id); // User ID is the last parameter
 
         const updateQuery = `
@@ -155,10 +209,11 @@ router.post('/provider/profile', auth, async (req, res) => {
 
         const provider_id = result.rows[0].id;
 
-        await client.query('DELETE FROM provider_services WHERE provider_id = $1', [provider_id]);
+        // Keep existing rows (and their rate/job duration) for services still offered
+        await client.query('DELETE FROM provider_services WHERE provider_id = $1 AND NOT (service_id = ANY($2::int[]))', [provider_id, service_ids]);
 
         const serviceInserts = service_ids.map(service_id => 
-            client.query('INSERT INTO provider_services (provider_id, service_id) VALUES ($1, $2)', [provider_id, service_id])
+            client.query('INSERT INTO provider_services (provider_id, service_id) VALUES ($1, $2) ON CONFLICT (provider_id, service_id) DO NOTHING', [provider_id, service_id])
         );
         await Promise.all(serviceInserts);
 
@@ -179,9 +234,201 @@ router.post('/provider/profile', auth, async (req, res) => {
 });
 
 
+// Helper: resolves the providers.id for the logged-in provider user
+const getProviderId = async (db, user_id) => {
+    const result = await db.query('SELECT id FROM providers WHERE user_id = $1', [user_id]);
+    return result.rows[0]?.id;
+};
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+
+/**
+ * @route GET /api/v1/provider/availability
+ * @desc Get the provider's weekly working hours, upcoming time off and job duration per service
+ * @access Private (Provider only)
+ */
+router.get('/provider/availability', auth, async (req, res) => {
+    const { id: user_id, role } = req.user;
+    if (role !== 'provider') {
+        return res.status(403).json({ error: 'Access denied. Only providers can view availability.' });
+    }
+
+    try {
+        const provider_id = await getProviderId(pool, user_id);
+        if (!provider_id) {
+            return res.status(404).json({ error: 'Provider profile not found.' });
+        }
+
+        const hoursResult = await pool.query(
+            "SELECT day_of_week, TO_CHAR(start_time, 'HH24:MI') AS start_time, TO_CHAR(end_time, 'HH24:MI') AS end_time FROM provider_working_hours WHERE provider_id = $1 ORDER BY day_of_week, start_time",
+            [provider_id]
+        );
+        const timeOffResult = await pool.query(
+            'SELECT id, starts_at, ends_at, reason FROM provider_time_off WHERE provider_id = $1 AND ends_at > CURRENT_TIMESTAMP ORDER BY starts_at',
+            [provider_id]
+        );
+        const durationsResult = await pool.query(
+            'SELECT ps.service_id, s.name AS service_name, ps.job_duration_minutes, ps.rate_per_hour FROM provider_services ps JOIN services s ON ps.service_id = s.id WHERE ps.provider_id = $1 ORDER BY s.name',
+            [provider_id]
+        );
+
+        res.status(200).json({
+            message: 'Provider availability retrieved successfully.',
+            uses_default_hours: hoursResult.rows.length === 0,
+            working_hours: hoursResult.rows.length > 0 ? hoursResult.rows : DEFAULT_WORKING_HOURS,
+            time_off: timeOffResult.rows,
+            service_durations: durationsResult.rows
+        });
+
+    } catch (err) {
+        console.error('Provider availability fetch error:', err);
+        res.status(500).json({ error: 'An error occurred while fetching availability.' });
+    }
+});
+
+/**
+ * @route PUT /api/v1/provider/availability
+ * @desc Replace the provider's weekly working hours and update job durations (and hourly rates) per service
+ * @access Private (Provider only)
+ */
+router.put('/provider/availability', auth, async (req, res) => {
+    const { id: user_id, role } = req.user;
+    if (role !== 'provider') {
+        return res.status(403).json({ error: 'Access denied. Only providers can update availability.' });
+    }
+
+    const { working_hours, service_durations = [] } = req.body;
+
+    if (!Array.isArray(working_hours)) {
+        return res.status(400).json({ error: 'Working hours must be a list of { day_of_week, start_time, end_time }.' });
+    }
+    const invalidHours = working_hours.find(w =>
+        !Number.isInteger(w.day_of_week) || w.day_of_week < 0 || w.day_of_week > 6 ||
+        !TIME_PATTERN.test(w.start_time) || !TIME_PATTERN.test(w.end_time) ||
+        w.start_time >= w.end_time
+    );
+    if (invalidHours) {
+        return res.status(400).json({ error: 'Each working period needs a day (0-6) and a start time before its end time (HH:MM).' });
+    }
+    if (!Array.isArray(service_durations) || service_durations.some(d => !Number.isInteger(d.job_duration_minutes) || d.job_duration_minutes < 15 || d.job_duration_minutes > 720)) {
+        return res.status(400).json({ error: 'Job durations must be whole minutes between 15 and 720.' });
+    }
+    if (service_durations.some(d => d.rate_per_hour != null && !(typeof d.rate_per_hour === 'number' && d.rate_per_hour >= 0))) {
+        return res.status(400).json({ error: 'Hourly rates must be non-negative numbers.' });
+    }
+
+    const client = await pool.connect();
+
+    try {
+        await client.query('BEGIN');
+
+        const provider_id = await getProviderId(client, user_id);
+        if (!provider_id) {
+            await client.query('ROLLBACK');
+            return res.status(404).json({ error: 'Provider profile not found.' });
+        }
+
+        await client.query('DELETE FROM provider_working_hours WHERE provider_id = $1', [provider_id]);
+        for (const w of working_hours) {
+            await client.query(
+                'INSERT INTO provider_working_hours (provider_id, day_of_week, start_time, end_time) VALUES ($1, $2, $3, $4)',
+                [provider_id, w.day_of_week, w.start_time, w.end_time]
+            );
+        }
+
+        for (const d of service_durations) {
+            await client.query(
+                'UPDATE provider_services SET job_duration_minutes = $1, rate_per_hour = $4 WHERE provider_id = $2 AND service_id = $3',
+                [d.job_duration_minutes, provider_id, d.service_id, d.rate_per_hour ?? null]
+            );
+        }
+
+        await client.query('COMMIT');
+
+        res.status(200).json({ message: 'Availability updated successfully.' });
+
+    } catch (err) {
+        await client.query('ROLLBACK');
+        console.error('Provider availability update error:', err);
+        res.status(500).json({ error: 'An error occurred while updating availability.' });
+    } finally {
+        client.release();
+    }
+});
+
+/**
+ * @route POST /api/v1/provider/availability/time-off
+ * @desc Block out a period (leave, holiday) during which no bookings can be made
+ * @access Private (Provider only)
+ */
+router.post('/provider/availability/time-off', auth, async (req, res) => {
+    const { id: user_id, role } = req.user;
+    if (role !== 'provider') {
+        return res.status(403).json({ error: 'Access denied. Only providers can add time off.' });
+    }
+
+    const { starts_at, ends_at, reason } = req.body;
+    const start = new Date(starts_at);
+    const end = new Date(ends_at);
+
+    if (!starts_at || !ends_at || isNaN(start.getTime()) || isNaN(end.getTime()) || start >= end) {
+        return res.status(400).json({ error: 'A valid start and end time (start before end) are required.' });
+    }
+
+    try {
+        const provider_id = await getProviderId(pool, user_id);
+        if (!provider_id) {
+            return res.status(404).json({ error: 'Provider profile not found.' });
+        }
+
+        const result = await pool.query(
+            'INSERT INTO provider_time_off (provider_id, starts_at, ends_at, reason) VALUES ($1, $2, $3, $4) RETURNING id',
+            [provider_id, start, end, reason || null]
+        );
+
+        res.status(201).json({ message: 'Time off added.', time_off_id: result.rows[0].id });
+
+    } catch (err) {
+        console.error('Provider time off creation error:', err);
+        res.status(500).json({ error: 'An error occurred while adding time off.' });
+    }
+});
+
+/**
+ * @route DELETE /api/v1/provider/availability/time-off/:id
+ * @desc Remove a time off period
+ * @access Private (Provider only)
+ */
+router.delete('/provider/availability/time-off/:id', auth, async (req, res) => {
+    const { id: user_id, role } = req.user;
+    if (role !== 'provider') {
+        return res.status(403).json({ error: 'Access denied. Only providers can remove time off.' });
+    }
+
+    try {
+        const result = await pool.query(
+            'DELETE FROM provider_time_off WHERE id = $1 AND provider_id = (SELECT id FROM providers WHERE user_id = $2)',
+            [req.params.id, user_id]
+        );
+
+        if (result.rowCount === 0) {
+            return res.status(404).json({ error: 'Time off entry not found.' });
+        }
+
+        res.status(200).json({ message: 'Time off removed.' });
+
+    } catch (err) {
+        console.error('Provider time off deletion error:', err);
+        res.status(500).json({ error: 'An error occurred while removing time off.' });
+    }
+});
+
+
 /**
  * @route GET /api/v1/provider/bookings
- * @desc Get all bookings associated with the logged-in provider
+ * @desc Get the logged-in provider's bookings, one page at a time.
+ *       Query: status, from, to, service_id, q, sort, limit, cursor (see utils/bookingListQuery.js)
  * @access Private (Provider only)
  */
 router.get('/provider/bookings', auth, async (req, res) => {
@@ -190,6 +437,11 @@ router.get('/provider/bookings', auth, async (req, res) => {
         return res.status(403).json({ error: 'Access denied. Only providers can view their bookings.' });
     }
 
+    const listOptions = parseBookingListQuery(req.query, 'scheduled_desc');
+    if (listOptions.error) {
+        return res.status(400).json({ error: listOptions.error });
+    }
+
     try {
         const providerResult = await pool.query('SELECT id FROM providers WHERE user_id = $1', [provider_user_id]);
         if (providerResult.rows.length === 0) {
@@ -197,21 +449,48 @@ router.get('/provider/bookings', auth, async (req, res) => {
         }
         const provider_id = providerResult.rows[0].id;
 
+        const params = [provider_id];
+        const list = buildBookingListSql(listOptions, params);
+
         const bookingsQuery = `
             SELECT 
                 b.id, b.scheduled_at, b.address, b.customer_notes, b.booking_status, b.amount, b.service_description,
-                u.email AS customer_email, u.profile_picture_url AS customer_photo, s.name AS service_name, b.customer_id
+                b.cancellation_reason, b.cancellation_fee, b.series_id, b.series_occurrence,
+                b.started_at, b.completed_at, b.confirmation_due_at, be.status AS escrow_status, be.amount AS escrow_amount,
+                (SELECT row_to_json(rp) FROM (
+                    SELECT id, proposer_role, proposed_scheduled_at, message
+                    FROM booking_reschedule_proposals
+                    WHERE booking_id = b.id AND status = 'pending'
+                    ORDER BY created_at DESC LIMIT 1
+                ) rp) AS pending_reschedule,
+                (SELECT row_to_json(q) FROM (
+                    SELECT id, amount, message
+                    FROM booking_quotes
+                    WHERE booking_id = b.id AND offer_role = 'customer' AND status = 'pending'
+                    ORDER BY created_at DESC LIMIT 1
+                ) q) AS pending_counter_offer,
+                u.email AS customer_email, u.profile_picture_url AS customer_photo, s.name AS service_name, b.customer_id,
+                b.service_id, ps.rate_per_hour,
+                (SELECT invoice_number FROM invoices WHERE booking_id = b.id ORDER BY issued_at DESC LIMIT 1) AS invoice_number,
+                -- is_paid (not invoice_number) offers the download: older payments get their invoice on first download
+                EXISTS (SELECT 1 FROM payments WHERE booking_id = b.id AND status IN ('succeeded', 'partially_refunded', 'refunded')) AS is_paid,
+                ${list.cursorSelect}
             FROM bookings b
             JOIN services s ON b.service_id = s.id
             JOIN users u ON b.customer_id = u.id
-            WHERE b.provider_id = $1
-            ORDER BY b.scheduled_at DESC;
+            LEFT JOIN provider_services ps ON ps.provider_id = b.provider_id AND ps.service_id = b.service_id
+            LEFT JOIN booking_escrow be ON be.booking_id = b.id
+            WHERE b.provider_id = $1 ${list.where}
+            ORDER BY ${list.orderBy}
+            LIMIT ${list.limit};
         `;
-        const result = await pool.query(bookingsQuery, [provider_id]);
+        const result = await pool.query(bookingsQuery, params);
+        const { bookings, next_cursor } = paginateBookings(result.rows, listOptions);
 
         res.status(200).json({
-            message: `${result.rows.length} bookings retrieved.`,
-            bookings: result.rows
+            message: `${bookings.length} bookings retrieved.`,
+            bookings,
+            next_cursor
         });
         
     } catch (err) {
@@ -223,10 +502,11 @@ router.get('/provider/bookings', auth, async (req, res) => {
 
 /**
  * @route POST /api/v1/provider/wallet/withdraw-request
- * @desc Provider submits a withdrawal request.
+ * @desc Provider submits a withdrawal request. Amounts in other pending withdrawal requests count as already taken.
+ *       Accepts an Idempotency-Key header (see middleware/idempotency).
  * @access Private (Provider only)
  */
-router.post('/provider/wallet/withdraw-request', auth, async (req, res) => {
+router.post('/provider/wallet/withdraw-request', auth, idempotency, async (req, res) => {
     const { id: user_id, role } = req.user;
     const { amount, transaction_reference } = req.body; // transaction_reference holds UPI ID or Bank details
 
@@ -245,13 +525,17 @@ router.post('/provider/wallet/withdraw-request', auth, async (req, res) => {
     try {
         await client.query('BEGIN');
         
-        // 1. Check if balance is sufficient (FOR UPDATE to lock row)
-        const walletResult = await client.query('SELECT balance FROM wallets WHERE user_id = $1 FOR UPDATE', [user_id]);
-        const currentBalance = parseFloat(walletResult.rows[0]?.balance || 0);
+        // 1. Check if balance is sufficient (locks the wallet row). Withdrawals still awaiting
+        //    approval are already spoken for, so concurrent requests cannot ask for the same money twice.
+        const { available, reserved } = await getAvailableBalance(client, user_id);
 
-        if (amount > currentBalance) {
+        if (amount > available) {
             await client.query('ROLLBACK');
-            return res.status(400).json({ error: 'Insufficient wallet balance for withdrawal request.' });
+            return res.status(400).json({
+                error: reserved > 0
+                    ? `Insufficient wallet balance for withdrawal request. ₹${reserved.toFixed(2)} is already reserved by pending withdrawal requests, leaving ₹${available.toFixed(2)} available.`
+                    : 'Insufficient wallet balance for withdrawal request.'
+            });
         }
         
         // 2. Insert withdrawal request
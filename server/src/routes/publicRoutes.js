@@ -4,6 +4,7 @@ const express = require('express');
 const router = express.Router();
 const pool = require('../config/db');
 const { calculateDistance } = require('../utils/helpers');
+const { localMidnight, loadProviderSchedule, listFreeSlots } = require('../utils/availability');
 
 /**
  * @route GET /
@@ -135,6 +136,39 @@ router.get('/providers', async (req, res) => {
 });
 
 
+/**
+ * @route GET /api/v1/providers/:id/available-slots
+ * @desc List free start times for a provider's service on one date (YYYY-MM-DD, business time zone)
+ * @access Public
+ */
+router.get('/providers/:id/available-slots', async (req, res) => {
+    const provider_id = req.params.id;
+    const { service_id, date } = req.query;
+
+    if (!service_id || !/^\d{4}-\d{2}-\d{2}$/.test(date || '')) {
+        return res.status(400).json({ error: 'Service ID and a date (YYYY-MM-DD) are required.' });
+    }
+
+    try {
+        const dayStart = localMidnight(date);
+        const dayEnd = new Date(dayStart.getTime() + 24 * 3600000);
+        const schedule = await loadProviderSchedule(pool, provider_id, service_id, dayStart, dayEnd);
+
+        const slots = listFreeSlots(schedule, date);
+
+        res.status(200).json({
+            message: `${slots.length} free slots found.`,
+            job_duration_minutes: schedule.durationMinutes,
+            slots
+        });
+
+    } catch (err) {
+        console.error('Available slots fetch error:', err);
+        res.status(500).json({ error: 'An error occurred while fetching available slots.' });
+    }
+});
+
+
 /**
  * @route POST /api/v1/contact-us
  * @desc Submit a contact form message to be viewed by Admin
@@ -0,0 +1,437 @@
+// backend/src/routes/seriesRoutes.js
+
+const express = require('express');
+const router = express.Router();
+const pool = require('../config/db');
+const auth = require('../../middleware/auth');
+const { sendEmail } = require('../config/nodemailer');
+const { getTransitionError, recordStatusChange, transitionBooking } = require('../utils/bookingLifecycle');
+const { getCancellationFee } = require('../utils/cancellationPolicy');
+const { checkProviderAvailability } = require('../utils/availability');
+const {
+    SERIES_FREQUENCIES,
+    MAX_SERIES_OCCURRENCES,
+    buildOccurrenceDates,
+} = require('../utils/bookingSeries');
+
+
+// Occurrences in these statuses are still upcoming work that skip/pause/end can remove
+const OPEN_OCCURRENCE_STATUSES = ['pending_provider', 'awaiting_customer_confirmation', 'accepted'];
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Loads a series together with both parties' user IDs and emails.
+// Pass lock = true inside a transaction to lock the series row.
+const fetchSeriesParties = async (db, series_id, lock = false) => {
+    const result = await db.query(
+        `SELECT bs.*, TO_CHAR(bs.ends_on, 'YYYY-MM-DD') AS ends_on_date, p.user_id AS provider_user_id, p.display_name AS provider_name, s.name AS service_name,
+                cu.email AS customer_email, pu.email AS provider_email
+         FROM booking_series bs
+         JOIN providers p ON bs.provider_id = p.id
+         JOIN services s ON bs.service_id = s.id
+         JOIN users cu ON bs.customer_id = cu.id
+         JOIN users pu ON p.user_id = pu.id
+         WHERE bs.id = $1
+         ${lock ? 'FOR UPDATE OF bs' : ''}`,
+        [series_id]
+    );
+    return result.rows[0];
+};
+
+const isSeriesParty = (series, user) => (
+    (user.role === 'customer' && series.customer_id === user.id) ||
+    (user.role === 'provider' && series.provider_user_id === user.id)
+);
+
+// Removes one upcoming occurrence. Providers reject occurrences they have not priced yet
+// (they cannot cancel a pending request); everything else is cancelled.
+const removeOccurrence = async (client, booking, actor, reason) => {
+    const toStatus = getTransitionError(booking.booking_status, 'cancelled', actor.role) ? 'rejected' : 'cancelled';
+    const updates = toStatus === 'cancelled'
+        ? { cancelled_by: actor.id, cancellation_reason: reason, cancelled_at: new Date() }
+        : {};
+    return transitionBooking(client, booking, toStatus, { actor, reason, updates });
+};
+
+// Removes every upcoming occurrence of a series that can be dropped free of charge.
+// Accepted visits inside the customer's late-cancellation window are kept: the customer
+// has to cancel those individually (and pay the fee) if they really want to.
+const removeUpcomingOccurrences = async (client, series_id, actor, reason) => {
+    const occurrencesResult = await client.query(
+        `SELECT id, booking_status, scheduled_at, amount FROM bookings
+         WHERE series_id = $1 AND booking_status = ANY($2) AND scheduled_at > CURRENT_TIMESTAMP
+         ORDER BY scheduled_at
+         FOR UPDATE`,
+        [series_id, OPEN_OCCURRENCE_STATUSES]
+    );
+
+    let removed = 0;
+    let kept = 0;
+    for (const booking of occurrencesResult.rows) {
+        if (getCancellationFee(booking, actor.role).fee > 0) {
+            kept++;
+            continue;
+        }
+        await removeOccurrence(client, booking, actor, reason);
+        removed++;
+    }
+    return { removed, kept };
+};
+
+// Inserts one occurrence. Once the series price is agreed new occurrences start out accepted at that price.
+const createOccurrence = async (client, series, scheduledAt, occurrence, actor) => {
+    const status = series.agreed_amount ? 'accepted' : 'pending_provider';
+    const bookingInsert = await client.query(
+        `INSERT INTO bookings (customer_id, provider_id, service_id, scheduled_at, address, customer_notes, service_description, booking_status, amount, series_id, series_occurrence)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11) RETURNING id`,
+        [series.customer_id, series.provider_id, series.service_id, scheduledAt, series.address, series.customer_notes,
+            series.service_description, status, series.agreed_amount, series.id, occurrence]
+    );
+
+    await recordStatusChange(client, {
+        bookingId: bookingInsert.rows[0].id,
+        toStatus: status,
+        actor,
+        reason: series.agreed_amount
+            ? `Recurring visit #${occurrence} scheduled at the series price.`
+            : `Recurring visit #${occurrence} requested by customer.`,
+    });
+    return bookingInsert.rows[0].id;
+};
+
+
+/**
+ * @route POST /api/v1/booking-series
+ * @desc Customer books a provider on a repeating schedule. Every occurrence becomes its own booking.
+ * @access Private (Customer only)
+ */
+router.post('/booking-series', auth, async (req, res) => {
+    const { id: customer_user_id, role } = req.user;
+    if (role !== 'customer') {
+        return res.status(403).json({ msg: 'Access denied. Only customers can create bookings.' });
+    }
+
+    const { provider_id, service_id, starts_at, frequency, ends_on, occurrence_count, address, customer_notes, service_description } = req.body;
+
+    if (!provider_id || !service_id || !starts_at || !address || !service_description) {
+        return res.status(400).json({ error: 'Provider ID, Service ID, first visit time, address, and description are required.' });
+    }
+    if (!SERIES_FREQUENCIES.includes(frequency)) {
+        return res.status(400).json({ error: `Frequency must be one of: ${SERIES_FREQUENCIES.join(', ')}.` });
+    }
+    if (!ends_on && !occurrence_count) {
+        return res.status(400).json({ error: 'An end date or a number of visits is required.' });
+    }
+    if (ends_on && !DATE_PATTERN.test(ends_on)) {
+        return res.status(400).json({ error: 'End date must be in YYYY-MM-DD format.' });
+    }
+    if (occurrence_count && (!Number.isInteger(occurrence_count) || occurrence_count < 2)) {
+        return res.status(400).json({ error: 'A recurring booking needs at least 2 visits.' });
+    }
+
+    const startsAt = new Date(starts_at);
+    if (isNaN(startsAt.getTime()) || startsAt <= new Date()) {
+        return res.status(400).json({ error: 'The first visit must be a valid time in the future.' });
+    }
+
+    const dates = buildOccurrenceDates(startsAt, frequency, { endsOn: ends_on, occurrenceCount: occurrence_count });
+    if (dates.length < 2) {
+        return res.status(400).json({ error: 'The end date leaves fewer than 2 visits. Pick a later end date.' });
+    }
+    if (dates.length > MAX_SERIES_OCCURRENCES) {
+        return res.status(400).json({ error: `A recurring booking can have at most ${MAX_SERIES_OCCURRENCES} visits.` });
+    }
+
+    const client = await pool.connect();
+
+    try {
+        await client.query('BEGIN');
+
+        const providerInfoResult = await client.query(
+            'SELECT u.email, p.display_name, s.name AS service_name FROM providers p JOIN users u ON p.user_id = u.id JOIN services s ON s.id = $2 WHERE p.id = $1',
+            [provider_id, service_id]
+        );
+        const providerInfo = providerInfoResult.rows[0];
+
+        if (!providerInfo) {
+            await client.query('ROLLBACK');
+            return res.status(404).json({ error: 'Provider or service information not found.' });
+        }
+
+        // Every visit must fit the provider's calendar; report all clashes at once so the customer can adjust
+        const conflicts = [];
+        for (const date of dates) {
+            const conflict = await checkProviderAvailability(client, provider_id, service_id, date);
+            if (conflict) conflicts.push({ scheduled_at: date, reason: conflict });
+        }
+        if (conflicts.length > 0) {
+            await client.query('ROLLBACK');
+            return res.status(409).json({
+                error: `${conflicts.length} of the ${dates.length} visits clash with the provider's schedule.`,
+                conflicts
+            });
+        }
+
+        const seriesInsert = await client.query(
+            `INSERT INTO booking_series (customer_id, provider_id, service_id, frequency, starts_at, ends_on, occurrence_count, address, service_description, customer_notes)
+             VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10) RETURNING *`,
+            [customer_user_id, provider_id, service_id, frequency, startsAt, ends_on || null, occurrence_count || null, address, service_description, customer_notes]
+        );
+        const series = seriesInsert.rows[0];
+
+        const bookingIds = [];
+        for (let i = 0; i < dates.length; i++) {
+            bookingIds.push(await createOccurrence(client, series, dates[i], i + 1, req.user));
+        }
+
+        await client.query('COMMIT');
+
+        const emailBody = `
+            <h2>New Recurring Booking Request - ${providerInfo.service_name}</h2>
+            <p>Dear ${providerInfo.display_name},</p>
+            <p>A customer would like to book you <strong>${frequency}</strong> for ${dates.length} visits:</p>
+            <ul>
+                <li><strong>First Visit:</strong> ${dates[0].toLocaleString()}</li>
+                <li><strong>Last Visit:</strong> ${dates[dates.length - 1].toLocaleString()}</li>
+                <li><strong>Location:</strong> ${address}</li>
+            </ul>
+            <p><strong>Customer's Detailed Description:</strong><br/>${service_description}</p>
+            <p>Set a price on any visit: once the customer accepts it, the same price applies to every upcoming visit in the series.</p>
+        `;
+        await sendEmail(providerInfo.email, `New Recurring Service Request (Series ${series.id}) on Service Connect`, emailBody);
+
+        res.status(201).json({
+            message: `Recurring booking requested: ${dates.length} visits sent to the provider.`,
+            series_id: series.id,
+            booking_ids: bookingIds
+        });
+
+    } catch (err) {
+        await client.query('ROLLBACK');
+        console.error('Booking series creation error:', err);
+        res.status(500).json({ error: 'An error occurred while creating the recurring booking.' });
+    } finally {
+        client.release();
+    }
+});
+
+
+/**
+ * @route GET /api/v1/booking-series/:id
+ * @desc Get a recurring series with all of its occurrences
+ * @access Private (Customer or Provider who is a party to the series)
+ */
+router.get('/booking-series/:id', auth, async (req, res) => {
+    try {
+        const series = await fetchSeriesParties(pool, req.params.id);
+
+        if (!series || !isSeriesParty(series, req.user)) {
+            return res.status(403).json({ error: 'Access denied. You are not a party to this recurring booking.' });
+        }
+
+        const occurrencesResult = await pool.query(
+            `SELECT id, series_occurrence, scheduled_at, booking_status, amount, cancellation_reason
+             FROM bookings
+             WHERE series_id = $1
+             ORDER BY series_occurrence, created_at`,
+            [series.id]
+        );
+
+        res.status(200).json({
+            series: {
+                id: series.id,
+                frequency: series.frequency,
+                starts_at: series.starts_at,
+                ends_on: series.ends_on_date,
+                occurrence_count: series.occurrence_count,
+                agreed_amount: series.agreed_amount,
+                status: series.status,
+                service_name: series.service_name,
+                provider_name: series.provider_name,
+            },
+            occurrences: occurrencesResult.rows
+        });
+
+    } catch (err) {
+        console.error('Booking series fetch error:', err);
+        res.status(500).json({ error: 'An error occurred while fetching the recurring booking.' });
+    }
+});
+
+
+/**
+ * @route PUT /api/v1/booking-series/:id/occurrences/:bookingId/skip
+ * @desc Skip a single upcoming visit without affecting the rest of the series
+ * @access Private (Customer or Provider who is a party to the series)
+ */
+router.put('/booking-series/:id/occurrences/:bookingId/skip', auth, async (req, res) => {
+    const { id: series_id, bookingId: booking_id } = req.params;
+    const { reason } = req.body;
+
+    const client = await pool.connect();
+
+    try {
+        await client.query('BEGIN');
+
+        const series = await fetchSeriesParties(client, series_id);
+        if (!series || !isSeriesParty(series, req.user)) {
+            await client.query('ROLLBACK');
+            return res.status(403).json({ error: 'Access denied. You are not a party to this recurring booking.' });
+        }
+
+        const bookingResult = await client.query(
+            'SELECT id, booking_status, scheduled_at, amount, series_occurrence FROM bookings WHERE id = $1 AND series_id = $2 FOR UPDATE',
+            [booking_id, series_id]
+        );
+        const booking = bookingResult.rows[0];
+
+        if (!booking) {
+            await client.query('ROLLBACK');
+            return res.status(404).json({ error: 'This visit does not belong to the recurring booking.' });
+        }
+        if (!OPEN_OCCURRENCE_STATUSES.includes(booking.booking_status) || new Date(booking.scheduled_at) <= new Date()) {
+            await client.query('ROLLBACK');
+            return res.status(400).json({ error: 'Only upcoming visits can be skipped.' });
+        }
+        if (getCancellationFee(booking, req.user.role).fee > 0) {
+            await client.query('ROLLBACK');
+            return res.status(400).json({ error: 'This visit is inside the late-cancellation window. Cancel it from the booking instead (a fee applies).' });
+        }
+
+        const skipReason = `Visit #${booking.series_occurrence} skipped by ${req.user.role}${reason ? `: ${reason}` : '.'}`;
+        await removeOccurrence(client, booking, req.user, skipReason);
+
+        await client.query('COMMIT');
+
+        const recipientEmail = req.user.role === 'customer' ? series.provider_email : series.customer_email;
+        await sendEmail(
+            recipientEmail,
+            `Service Connect: Recurring Visit Skipped (Booking ${booking_id})`,
+            `
+                <h2>Recurring Visit Skipped</h2>
+                <p>The ${series.service_name} visit on <strong>${new Date(booking.scheduled_at).toLocaleString()}</strong> (booking ID ${booking_id}) will not take place.</p>
+                <p>${skipReason}</p>
+                <p>The rest of the recurring schedule is unchanged.</p>
+            `
+        );
+
+        res.status(200).json({ message: skipReason });
+
+    } catch (err) {
+        await client.query('ROLLBACK');
+        console.error('Series occurrence skip error:', err);
+        res.status(500).json({ error: 'An error occurred while skipping the visit.' });
+    } finally {
+        client.release();
+    }
+});
+
+
+/**
+ * @route PUT /api/v1/booking-series/:id/status
+ * @desc Pause, resume or end a recurring series.
+ *       Pausing and ending remove upcoming visits; resuming re-creates the visits removed by the pause.
+ * @access Private (Customer or Provider who is a party to the series)
+ */
+router.put('/booking-series/:id/status', auth, async (req, res) => {
+    const series_id = req.params.id;
+    const { status } = req.body;
+
+    if (!['active', 'paused', 'ended'].includes(status)) {
+        return res.status(400).json({ error: "Status must be 'active', 'paused' or 'ended'." });
+    }
+
+    const client = await pool.connect();
+
+    try {
+        await client.query('BEGIN');
+
+        const series = await fetchSeriesParties(client, series_id, true);
+        if (!series || !isSeriesParty(series, req.user)) {
+            await client.query('ROLLBACK');
+            return res.status(403).json({ error: 'Access denied. You are not a party to this recurring booking.' });
+        }
+
+        const allowed = { active: ['paused'], paused: ['active'], ended: ['active', 'paused'] };
+        if (!allowed[status].includes(series.status)) {
+            await client.query('ROLLBACK');
+            return res.status(400).json({ error: `A ${series.status} series cannot be set to ${status}.` });
+        }
+
+        let message;
+        const skipped = [];
+
+        if (status === 'paused' || status === 'ended') {
+            const reason = status === 'paused' ? `Series paused by ${req.user.role}.` : `Series ended by ${req.user.role}.`;
+            const { removed, kept } = await removeUpcomingOccurrences(client, series.id, req.user, reason);
+            await client.query(
+                'UPDATE booking_series SET status = $2, paused_at = $3, updated_at = CURRENT_TIMESTAMP WHERE id = $1',
+                [series.id, status, status === 'paused' ? new Date() : series.paused_at]
+            );
+            message = `Recurring booking ${status}. ${removed} upcoming visits removed.`;
+            if (kept > 0) {
+                message += ` ${kept} visits inside the late-cancellation window were kept; cancel them individually if needed.`;
+            }
+        } else {
+            // Re-create the upcoming visits that the pause removed (visits skipped before the pause stay skipped)
+            const dates = buildOccurrenceDates(new Date(series.starts_at), series.frequency, {
+                endsOn: series.ends_on_date,
+                occurrenceCount: series.occurrence_count,
+            });
+            const removedResult = await client.query(
+                `SELECT series_occurrence FROM bookings
+                 WHERE series_id = $1
+                 GROUP BY series_occurrence
+                 HAVING BOOL_AND(booking_status IN ('cancelled', 'rejected') AND updated_at >= $2)`,
+                [series.id, series.paused_at]
+            );
+
+            let restored = 0;
+            for (const { series_occurrence } of removedResult.rows) {
+                const date = dates[series_occurrence - 1];
+                if (!date || date <= new Date()) continue;
+
+                const conflict = await checkProviderAvailability(client, series.provider_id, series.service_id, date);
+                if (conflict) {
+                    skipped.push({ scheduled_at: date, reason: conflict });
+                    continue;
+                }
+                await createOccurrence(client, series, date, series_occurrence, req.user);
+                restored++;
+            }
+
+            await client.query(
+                "UPDATE booking_series SET status = 'active', paused_at = NULL, updated_at = CURRENT_TIMESTAMP WHERE id = $1",
+                [series.id]
+            );
+            message = `Recurring booking resumed. ${restored} upcoming visits scheduled.`;
+            if (skipped.length > 0) {
+                message += ` ${skipped.length} visits could not be restored because the provider is unavailable.`;
+            }
+        }
+
+        await client.query('COMMIT');
+
+        const recipientEmail = req.user.role === 'customer' ? series.provider_email : series.customer_email;
+        await sendEmail(
+            recipientEmail,
+            `Service Connect: Recurring Booking ${status === 'active' ? 'Resumed' : status.charAt(0).toUpperCase() + status.slice(1)} (Series ${series.id})`,
+            `
+                <h2>Recurring Booking Update</h2>
+                <p>The ${series.frequency} ${series.service_name} series (ID ${series.id}) was set to <strong>${status}</strong> by the ${req.user.role}.</p>
+                <p>${message}</p>
+            `
+        );
+
+        res.status(200).json({ message, status, skipped });
+
+    } catch (err) {
+        await client.query('ROLLBACK');
+        console.error('Booking series status update error:', err);
+        res.status(500).json({ error: 'An error occurred while updating the recurring booking.' });
+    } finally {
+        client.release();
+    }
+});
+
+
+module.exports = router;
@@ -5,6 +5,7 @@ const router = express.Router();
 const pool = require('../config/db');
 // NOTE: Assumes 'middleware/auth.js' exists and handles JWT verification
 const auth = require('../../middleware/auth'); 
+const { MAX_EXPORT_ENTRIES, parseStatementQuery, loadStatement, buildStatementCsv, buildStatementPdf } = require('../utils/walletStatement');
 // NOTE: Multer configuration (upload) must be exported from index.js or handled there
 // For now, we will assume the main file (index.js) passes 'upload' to the routes if needed, 
 // OR we keep the upload endpoint in index.js to use its defined upload middleware.
@@ -208,7 +209,8 @@ router.post('/user/profile-photo', auth, (req, res, next) => {
 
 /**
  * @route GET /api/v1/user/wallet
- * @desc Get authenticated user's wallet balance
+ * @desc Get authenticated user's wallet balance. `balance` is what is available to spend or withdraw;
+ *       `held_balance` is locked in escrow for accepted bookings.
  * @access Private
  */
 router.get('/user/wallet', auth, async (req, res) => {
@@ -216,14 +218,14 @@ router.get('/user/wallet', auth, async (req, res) => {
     
     try {
         const walletQuery = await pool.query(
-            'SELECT balance FROM wallets WHERE user_id = $1', 
+            'SELECT balance, held_balance FROM wallets WHERE user_id = $1', 
             [user_id]
         );
         
         if (walletQuery.rows.length === 0) {
             // This should not happen if the registration flow is correct, but handle it gracefully
             await pool.query('INSERT INTO wallets (user_id) VALUES ($1) ON CONFLICT (user_id) DO NOTHING', [user_id]);
-            return res.status(200).json({ balance: 0.00 });
+            return res.status(200).json({ balance: 0.00, held_balance: 0.00 });
         }
 
         // NEW: Also fetch pending requests count
@@ -236,6 +238,7 @@ router.get('/user/wallet', auth, async (req, res) => {
         res.status(200).json({
             message: 'Wallet balance retrieved successfully.',
             balance: parseFloat(walletQuery.rows[0].balance),
+            held_balance: parseFloat(walletQuery.rows[0].held_balance),
             pending_requests_count: parseInt(pendingRequests.rows[0].count, 10)
         });
     } catch (err) {
@@ -245,6 +248,69 @@ router.get('/user/wallet', auth, async (req, res) => {
 });
 
 
+/**
+ * @route GET /api/v1/user/wallet/statement
+ * @desc Wallet statement: movements on the available balance, newest first, each with a description,
+ *       the linked booking or wallet request and the balance after it. Filter with from/to (local
+ *       dates, inclusive); page with limit and the returned next_cursor.
+ * @access Private
+ */
+router.get('/user/wallet/statement', auth, async (req, res) => {
+    const options = parseStatementQuery(req.query);
+    if (options.error) {
+        return res.status(400).json({ error: options.error });
+    }
+
+    try {
+        const statement = await loadStatement(pool, req.user.id, options);
+        res.status(200).json({
+            message: `${statement.entries.length} wallet movements retrieved.`,
+            ...statement
+        });
+    } catch (err) {
+        console.error('Wallet statement fetch error:', err);
+        res.status(500).json({ error: 'Failed to load the wallet statement.' });
+    }
+});
+
+/**
+ * @route GET /api/v1/user/wallet/statement.csv | /api/v1/user/wallet/statement.pdf
+ * @desc Downloads the whole statement for a from/to range (e.g. one month for an accountant).
+ * @access Private
+ */
+router.get('/user/wallet/statement.:format', auth, async (req, res) => {
+    const { format } = req.params;
+    if (!['csv', 'pdf'].includes(format)) {
+        return res.status(404).json({ error: 'Statements can be downloaded as csv or pdf.' });
+    }
+
+    const options = parseStatementQuery(req.query);
+    if (options.error) {
+        return res.status(400).json({ error: options.error });
+    }
+
+    try {
+        const range = { from: options.from, to: options.to };
+        const statement = await loadStatement(pool, req.user.id, { ...range, limit: MAX_EXPORT_ENTRIES });
+        if (statement.next_cursor) {
+            return res.status(400).json({ error: `This period has more than ${MAX_EXPORT_ENTRIES} movements. Please choose a shorter date range.` });
+        }
+
+        const userResult = await pool.query('SELECT email FROM users WHERE id = $1', [req.user.id]);
+        const header = { email: userResult.rows[0]?.email, range };
+
+        const filename = `wallet-statement-${req.query.from || 'start'}-to-${req.query.to || 'today'}.${format}`;
+        res.set({
+            'Content-Type': format === 'csv' ? 'text/csv; charset=utf-8' : 'application/pdf',
+            'Content-Disposition': `attachment; filename="${filename}"`,
+        });
+        res.status(200).send(format === 'csv' ? buildStatementCsv(statement, header) : buildStatementPdf(statement, header));
+    } catch (err) {
+        console.error('Wallet statement export error:', err);
+        res.status(500).json({ error: 'Failed to export the wallet statement.' });
+    }
+});
+
 /**
  * @route GET /api/v1/user/unread-messages
  * @desc Retrieve count of unread messages for the logged-in user
@@ -0,0 +1,161 @@
+// backend/src/utils/availability.js
+
+require('dotenv').config();
+
+// --- PROVIDER AVAILABILITY ---
+// Working hours are stored as local times of day. All providers operate in one business
+// time zone, configured as a fixed offset from UTC (India Standard Time by default).
+const UTC_OFFSET_MINUTES = parseInt(process.env.BUSINESS_UTC_OFFSET_MINUTES || 330, 10);
+const DEFAULT_JOB_DURATION_MINUTES = 60;
+const SLOT_STEP_MINUTES = 30;
+
+// Used for providers who have not set up their weekly hours yet: Monday to Saturday, 9am to 6pm
+const DEFAULT_WORKING_HOURS = [1, 2, 3, 4, 5, 6].map(day_of_week => ({
+    day_of_week,
+    start_time: '09:00',
+    end_time: '18:00',
+}));
+
+// Bookings in these statuses hold their time slot
+const SLOT_HOLDING_STATUSES = ['pending_provider', 'awaiting_customer_confirmation', 'accepted'];
+
+// 'HH:MM' or 'HH:MM:SS' (as returned by pg for TIME columns) -> minutes since midnight
+const timeToMinutes = (time) => {
+    const [hours, minutes] = String(time).split(':').map(Number);
+    return hours * 60 + minutes;
+};
+
+// Day of week (0 = Sunday) and minutes since local midnight for a UTC instant
+const toLocalParts = (date) => {
+    const local = new Date(date.getTime() + UTC_OFFSET_MINUTES * 60000);
+    return {
+        dayOfWeek: local.getUTCDay(),
+        minutes: local.getUTCHours() * 60 + local.getUTCMinutes(),
+    };
+};
+
+// 'YYYY-MM-DD' (a local calendar date) -> Date at local midnight
+const localMidnight = (dateStr) => {
+    const [year, month, day] = dateStr.split('-').map(Number);
+    return new Date(Date.UTC(year, month - 1, day) - UTC_OFFSET_MINUTES * 60000);
+};
+
+const overlaps = (startA, endA, startB, endB) => startA < endB && startB < endA;
+
+/**
+ * @function loadProviderSchedule
+ * @desc Loads everything needed to check a provider's availability for one service between two instants:
+ *       weekly hours, time off, the job duration and the bookings that already hold a slot.
+ */
+const loadProviderSchedule = async (db, provider_id, service_id, rangeStart, rangeEnd) => {
+    const hoursResult = await db.query(
+        'SELECT day_of_week, start_time, end_time FROM provider_working_hours WHERE provider_id = $1 ORDER BY day_of_week, start_time',
+        [provider_id]
+    );
+    const timeOffResult = await db.query(
+        'SELECT starts_at, ends_at FROM provider_time_off WHERE provider_id = $1 AND starts_at < $3 AND ends_at > $2',
+        [provider_id, rangeStart, rangeEnd]
+    );
+    const durationResult = await db.query(
+        'SELECT job_duration_minutes FROM provider_services WHERE provider_id = $1 AND service_id = $2',
+        [provider_id, service_id]
+    );
+    // Look back a day so jobs that started before the range but run into it are included
+    const bookingsResult = await db.query(
+        `SELECT b.id, b.scheduled_at, COALESCE(ps.job_duration_minutes, $4) AS duration_minutes
+         FROM bookings b
+         LEFT JOIN provider_services ps ON ps.provider_id = b.provider_id AND ps.service_id = b.service_id
+         WHERE b.provider_id = $1
+           AND b.booking_status = ANY($5)
+           AND b.scheduled_at < $3
+           AND b.scheduled_at > $2::timestamptz - INTERVAL '1 day'`,
+        [provider_id, rangeStart, rangeEnd, DEFAULT_JOB_DURATION_MINUTES, SLOT_HOLDING_STATUSES]
+    );
+
+    return {
+        workingHours: hoursResult.rows.length > 0 ? hoursResult.rows : DEFAULT_WORKING_HOURS,
+        timeOff: timeOffResult.rows.map(t => ({ start: new Date(t.starts_at), end: new Date(t.ends_at) })),
+        durationMinutes: durationResult.rows[0]?.job_duration_minutes || DEFAULT_JOB_DURATION_MINUTES,
+        bookings: bookingsResult.rows.map(b => ({
+            id: b.id,
+            start: new Date(b.scheduled_at),
+            end: new Date(new Date(b.scheduled_at).getTime() + b.duration_minutes * 60000),
+        })),
+    };
+};
+
+/**
+ * @function findScheduleConflict
+ * @desc Checks whether a job starting at `start` fits the provider's schedule.
+ * @returns {string|null} A user-facing reason the slot is unavailable, or null if it is free.
+ */
+const findScheduleConflict = (schedule, start, excludeBookingId = null) => {
+    const end = new Date(start.getTime() + schedule.durationMinutes * 60000);
+    const { dayOfWeek, minutes } = toLocalParts(start);
+
+    const fitsWorkingHours = schedule.workingHours.some(w =>
+        Number(w.day_of_week) === dayOfWeek &&
+        timeToMinutes(w.start_time) <= minutes &&
+        minutes + schedule.durationMinutes <= timeToMinutes(w.end_time)
+    );
+    if (!fitsWorkingHours) {
+        return 'The provider does not work at this time.';
+    }
+    if (schedule.timeOff.some(t => overlaps(start, end, t.start, t.end))) {
+        return 'The provider is on leave at this time.';
+    }
+    const clash = schedule.bookings.find(b => b.id !== Number(excludeBookingId) && overlaps(start, end, b.start, b.end));
+    if (clash) {
+        return 'The provider is already booked at this time. Please choose another slot.';
+    }
+    return null;
+};
+
+/**
+ * @function listFreeSlots
+ * @desc Lists every free start time on one local calendar date ('YYYY-MM-DD') as ISO strings.
+ */
+const listFreeSlots = (schedule, dateStr, now = new Date()) => {
+    const midnight = localMidnight(dateStr);
+    const { dayOfWeek } = toLocalParts(midnight);
+    const slots = [];
+
+    schedule.workingHours
+        .filter(w => Number(w.day_of_week) === dayOfWeek)
+        .forEach(w => {
+            const lastStart = timeToMinutes(w.end_time) - schedule.durationMinutes;
+            for (let m = timeToMinutes(w.start_time); m <= lastStart; m += SLOT_STEP_MINUTES) {
+                const start = new Date(midnight.getTime() + m * 60000);
+                if (start > now && !findScheduleConflict(schedule, start)) {
+                    slots.push(start.toISOString());
+                }
+            }
+        });
+
+    return slots;
+};
+
+/**
+ * @function checkProviderAvailability
+ * @desc Locks the provider row (serialising concurrent bookings for the same provider) and
+ *       checks the requested start time against their working hours, time off and other bookings.
+ *       Must be called inside an open transaction.
+ * @returns {string|null} A user-facing reason the slot is unavailable, or null if it is free.
+ */
+const checkProviderAvailability = async (client, provider_id, service_id, start, excludeBookingId = null) => {
+    await client.query('SELECT id FROM providers WHERE id = $1 FOR UPDATE', [provider_id]);
+    const rangeEnd = new Date(start.getTime() + 24 * 3600000);
+    const schedule = await loadProviderSchedule(client, provider_id, service_id, start, rangeEnd);
+    return findScheduleConflict(schedule, start, excludeBookingId);
+};
+
+module.exports = {
+    UTC_OFFSET_MINUTES,
+    DEFAULT_JOB_DURATION_MINUTES,
+    DEFAULT_WORKING_HOURS,
+    localMidnight,
+    loadProviderSchedule,
+    findScheduleConflict,
+    listFreeSlots,
+    checkProviderAvailability,
+};
@@ -0,0 +1,227 @@
+// backend/src/utils/bookingExpiry.js
+
+const pool = require('../config/db');
+const { sendEmail } = require('../config/nodemailer');
+const { transitionBooking } = require('./bookingLifecycle');
+const { SYSTEM_ACTOR } = require('./bookingSeries');
+const { autoConfirmCompletedBookings } = require('./completionConfirmation');
+const { purgeExpiredIdempotencyKeys } = require('../../middleware/idempotency');
+require('dotenv').config();
+
+// --- BOOKING EXPIRY JOB ---
+// Runs on a timer inside the API process. Requests the provider never priced and quotes the
+// customer never answered are moved to 'expired' (freeing the time slot), and accepted bookings
+// that are long past their scheduled time are flagged once for admin attention. Completed bookings
+// whose confirmation window has ended are confirmed and paid (see completionConfirmation.js).
+// "Unanswered" is measured from the booking's last change (updated_at), so a counter-offer or a
+// new quote restarts the clock. A request whose scheduled time has already passed expires at once.
+// Later occurrences of a recurring series are only priced through its first occurrence (the price
+// is carried over to them), so while the series is live they wait for their own scheduled time
+// instead of expiring together, one email each, 48 hours after the series was booked.
+// Each pass also deletes expired idempotency keys (see middleware/idempotency.js).
+const PENDING_PROVIDER_EXPIRY_HOURS = parseFloat(process.env.BOOKING_REQUEST_EXPIRY_HOURS || 48);
+const QUOTE_EXPIRY_HOURS = parseFloat(process.env.BOOKING_QUOTE_EXPIRY_HOURS || 48);
+const OVERDUE_AFTER_HOURS = parseFloat(process.env.BOOKING_OVERDUE_AFTER_HOURS || 24);
+const EXPIRY_CHECK_INTERVAL_MINUTES = parseFloat(process.env.BOOKING_EXPIRY_CHECK_INTERVAL_MINUTES || 15);
+
+const EXPIRY_RULES = [
+    {
+        status: 'pending_provider',
+        hours: PENDING_PROVIDER_EXPIRY_HOURS,
+        reason: 'The provider did not respond to the request in time.',
+    },
+    {
+        status: 'awaiting_customer_confirmation',
+        hours: QUOTE_EXPIRY_HOURS,
+        reason: 'The customer did not respond to the quote in time.',
+    },
+];
+
+// $2 is the rule's hours; reads bookings as b
+const EXPIRY_DUE_CONDITION = `
+    (b.scheduled_at < NOW()
+     OR (b.updated_at < NOW() - $2::float8 * INTERVAL '1 hour'
+         AND NOT EXISTS (SELECT 1 FROM booking_series bs
+                         WHERE bs.id = b.series_id AND bs.status <> 'ended' AND b.series_occurrence > 1)))`;
+
+const BOOKING_DETAILS_QUERY = `
+    SELECT b.id, b.booking_status, b.scheduled_at, b.updated_at, b.provider_id,
+           s.name AS service_name, cu.email AS customer_email, pu.email AS provider_email, p.display_name AS provider_name
+    FROM bookings b
+    JOIN services s ON s.id = b.service_id
+    JOIN users cu ON cu.id = b.customer_id
+    JOIN providers p ON p.id = b.provider_id
+    JOIN users pu ON pu.id = p.user_id`;
+
+/**
+ * @function expireBooking
+ * @desc Expires one booking in its own transaction. The booking is re-read under lock so a
+ *       customer or provider answering at the same moment wins over the job.
+ * @returns the booking details if it was expired, or null if it no longer qualifies.
+ */
+const expireBooking = async (booking_id, rule) => {
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+
+        const bookingResult = await client.query(
+            `${BOOKING_DETAILS_QUERY}
+             WHERE b.id = $1 AND b.booking_status = $3 AND ${EXPIRY_DUE_CONDITION}
+             FOR UPDATE OF b`,
+            [booking_id, rule.hours, rule.status]
+        );
+        const booking = bookingResult.rows[0];
+        if (!booking) {
+            await client.query('ROLLBACK');
+            return null;
+        }
+
+        await transitionBooking(client, booking, 'expired', { actor: SYSTEM_ACTOR, reason: rule.reason });
+        await client.query(
+            "UPDATE booking_quotes SET status = 'expired' WHERE booking_id = $1 AND status = 'pending'",
+            [booking_id]
+        );
+
+        await client.query('COMMIT');
+        return booking;
+    } catch (err) {
+        await client.query('ROLLBACK');
+        throw err;
+    } finally {
+        client.release();
+    }
+};
+
+const notifyExpired = async (booking, rule) => {
+    const html = `
+        <h2>Booking Request Expired</h2>
+        <p>The ${booking.service_name} booking with ${booking.provider_name} scheduled for <strong>${new Date(booking.scheduled_at).toLocaleString()}</strong> (booking ID ${booking.id}) has expired.</p>
+        <p>${rule.reason} The time slot has been released.</p>
+        <p>Customers can book the same or another provider again from the Service Connect website.</p>
+    `;
+    await sendEmail(booking.customer_email, `Service Connect: Booking Request Expired (Booking ${booking.id})`, html);
+    await sendEmail(booking.provider_email, `Service Connect: Booking Request Expired (Booking ${booking.id})`, html);
+};
+
+/**
+ * @function expireStaleBookings
+ * @desc Expires every booking matching an EXPIRY_RULES entry and emails both parties.
+ * @returns {number} how many bookings were expired
+ */
+const expireStaleBookings = async () => {
+    let expiredCount = 0;
+
+    for (const rule of EXPIRY_RULES) {
+        const candidates = await pool.query(
+            `SELECT b.id FROM bookings b
+             WHERE b.booking_status = $1 AND ${EXPIRY_DUE_CONDITION}
+             ORDER BY b.id`,
+            [rule.status, rule.hours]
+        );
+
+        for (const { id } of candidates.rows) {
+            try {
+                const booking = await expireBooking(id, rule);
+                if (booking) {
+                    expiredCount += 1;
+                    await notifyExpired(booking, rule);
+                }
+            } catch (err) {
+                // One bad row must not stop the rest of the run
+                console.error(`Booking expiry failed for booking ${id}:`, err.message);
+            }
+        }
+    }
+
+    return expiredCount;
+};
+
+/**
+ * @function flagOverdueBookings
+ * @desc Flags accepted bookings still open OVERDUE_AFTER_HOURS after their scheduled time
+ *       and sends the admin one summary email. Each booking is only flagged once.
+ * @returns {number} how many bookings were newly flagged
+ */
+const flagOverdueBookings = async () => {
+    const result = await pool.query(
+        `WITH flagged AS (
+             UPDATE bookings SET overdue_flagged_at = CURRENT_TIMESTAMP
+             WHERE booking_status = 'accepted'
+               AND overdue_flagged_at IS NULL
+               AND scheduled_at < NOW() - $1::float8 * INTERVAL '1 hour'
+             RETURNING id
+         )
+         ${BOOKING_DETAILS_QUERY}
+         JOIN flagged f ON f.id = b.id
+         ORDER BY b.scheduled_at`,
+        [OVERDUE_AFTER_HOURS]
+    );
+
+    if (result.rows.length > 0) {
+        const adminEmail = process.env.ADMIN_EMAIL || process.env.EMAIL_USER;
+        const rows = result.rows.map(b => `
+            <li>Booking ${b.id}: ${b.service_name} by ${b.provider_name} for ${b.customer_email}, scheduled ${new Date(b.scheduled_at).toLocaleString()}</li>
+        `).join('');
+        await sendEmail(
+            adminEmail,
+            `Service Connect: ${result.rows.length} Overdue Booking(s) Need Attention`,
+            `
+                <h2>Overdue Bookings</h2>
+                <p>These bookings are still 'accepted' more than ${OVERDUE_AFTER_HOURS} hours after their scheduled time:</p>
+                <ul>${rows}</ul>
+                <p>They are marked as overdue in the admin bookings list.</p>
+            `
+        );
+    }
+
+    return result.rows.length;
+};
+
+let isRunning = false;
+
+/**
+ * @function runBookingExpiry
+ * @desc One pass of the job. Overlapping passes are skipped, so a slow run never doubles up.
+ */
+const runBookingExpiry = async () => {
+    if (isRunning) return;
+    isRunning = true;
+    try {
+        const expired = await expireStaleBookings();
+        const flagged = await flagOverdueBookings();
+        const { confirmed, failed } = await autoConfirmCompletedBookings();
+        await purgeExpiredIdempotencyKeys();
+        if (expired > 0 || flagged > 0 || confirmed > 0 || failed > 0) {
+            console.log(`Booking expiry: ${expired} expired, ${flagged} flagged as overdue, ${confirmed} auto-confirmed, ${failed} could not be paid.`);
+        }
+    } catch (err) {
+        console.error('Booking expiry run failed:', err.message);
+    } finally {
+        isRunning = false;
+    }
+};
+
+/**
+ * @function startBookingExpiryJob
+ * @desc Runs the job once at startup and then every EXPIRY_CHECK_INTERVAL_MINUTES.
+ *       Set BOOKING_EXPIRY_CHECK_INTERVAL_MINUTES=0 to disable it (e.g. on extra API instances).
+ */
+const startBookingExpiryJob = () => {
+    if (EXPIRY_CHECK_INTERVAL_MINUTES <= 0) {
+        console.log('Booking expiry job is disabled.');
+        return null;
+    }
+    runBookingExpiry();
+    const timer = setInterval(runBookingExpiry, EXPIRY_CHECK_INTERVAL_MINUTES * 60000);
+    timer.unref();
+    return timer;
+};
+
+module.exports = {
+    EXPIRY_RULES,
+    OVERDUE_AFTER_HOURS,
+    expireStaleBookings,
+    flagOverdueBookings,
+    runBookingExpiry,
+    startBookingExpiryJob,
+};
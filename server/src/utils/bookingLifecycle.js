@@ -0,0 +1,149 @@
+// backend/src/utils/bookingLifecycle.js
+
+const { ESCROW_RETURN_STATUSES, returnHeldFunds } = require('./escrow');
+
+// --- BOOKING STATE MACHINE ---
+// Every booking_status change must go through transitionBooking() so that the
+// allowed transitions are enforced in one place and each change is audited
+// in booking_status_history.
+
+// Allowed transitions: { fromStatus: { toStatus: [roles allowed to trigger it] } }
+// 'system' is used for changes made by the server itself (no logged-in user).
+const BOOKING_TRANSITIONS = {
+    pending_provider: {
+        awaiting_customer_confirmation: ['provider'], // Provider sets a price
+        accepted: ['system'],                         // Recurring series: price already agreed on the series
+        rejected: ['provider'],
+        cancelled: ['customer', 'admin'],
+        expired: ['system'],                          // Provider never answered the request
+    },
+    awaiting_customer_confirmation: {
+        accepted: ['customer', 'system'],             // Customer accepts the quote (or the series price applies)
+        rejected: ['customer'],                       // Customer rejects the quote
+        pending_provider: ['customer'],               // Customer counter-offers, provider re-quotes
+        cancelled: ['customer', 'provider', 'admin'],
+        expired: ['system'],                          // Customer never answered the quote
+    },
+    accepted: {
+        completed: ['provider', 'admin'],            // Provider with the customer's completion code, or admin override
+        cancelled: ['customer', 'provider', 'admin'],
+    },
+    completed: {
+        closed: ['customer', 'system'],               // Payment captured
+        disputed: ['customer'],                       // Customer disputes the work; payment is frozen
+    },
+    disputed: {
+        closed: ['admin'],                            // Admin ruling settles the payment
+    },
+    rejected: {},
+    cancelled: {},
+    closed: {},
+    expired: {},
+};
+
+const BOOKING_STATUSES = Object.keys(BOOKING_TRANSITIONS);
+
+/**
+ * @function getTransitionError
+ * @desc Checks a transition against the state machine.
+ * @returns {string|null} A user-facing error message, or null if the transition is allowed.
+ */
+const getTransitionError = (fromStatus, toStatus, role) => {
+    const allowedTargets = BOOKING_TRANSITIONS[fromStatus];
+    if (!allowedTargets) {
+        return `Unknown booking status '${fromStatus}'.`;
+    }
+    const allowedRoles = allowedTargets[toStatus];
+    if (!allowedRoles) {
+        return `Booking cannot move from '${fromStatus}' to '${toStatus}'.`;
+    }
+    if (!allowedRoles.includes(role)) {
+        return `A ${role} cannot move a booking from '${fromStatus}' to '${toStatus}'.`;
+    }
+    return null;
+};
+
+/**
+ * @function recordStatusChange
+ * @desc Writes one row to booking_status_history. Used directly when a booking is created.
+ */
+const recordStatusChange = async (client, { bookingId, fromStatus = null, toStatus, actor, reason = null }) => {
+    await client.query(
+        `INSERT INTO booking_status_history (booking_id, from_status, to_status, changed_by, actor_role, reason)
+         VALUES ($1, $2, $3, $4, $5, $6)`,
+        [bookingId, fromStatus, toStatus, actor.id || null, actor.role, reason]
+    );
+};
+
+/**
+ * @function transitionBooking
+ * @desc Moves a booking to a new status, optionally updating other columns in the same statement,
+ *       and records the change in booking_status_history. A booking that ends without payment
+ *       (cancelled, rejected, expired) gives any escrow hold back to the customer.
+ *       Must be called inside an open transaction with the booking row already locked (SELECT ... FOR UPDATE).
+ * @param client - pg client from pool.connect()
+ * @param booking - the locked booking row (needs id and booking_status)
+ * @param toStatus - target booking_status
+ * @param options.actor - { id, role } of whoever triggers the change (id is null for 'system')
+ * @param options.reason - optional free-text reason kept in the history
+ * @param options.updates - optional { column: value } pairs to set alongside the status
+ * @param options.force - admin only: skip the BOOKING_TRANSITIONS check (PUT /admin/bookings/:id/status).
+ *        The change is still recorded in the history like any other.
+ * @returns the updated booking row
+ */
+const transitionBooking = async (client, booking, toStatus, { actor, reason = null, updates = {}, force = false }) => {
+    if (force) {
+        if (actor.role !== 'admin') {
+            throw new Error('Only an admin can force a booking status change.');
+        }
+        if (!BOOKING_STATUSES.includes(toStatus)) {
+            throw new Error(`Unknown booking status '${toStatus}'.`);
+        }
+    } else {
+        const transitionError = getTransitionError(booking.booking_status, toStatus, actor.role);
+        if (transitionError) {
+            throw new Error(transitionError);
+        }
+    }
+
+    const params = [booking.id, booking.booking_status, toStatus];
+    const setClauses = ['booking_status = $3', 'updated_at = CURRENT_TIMESTAMP'];
+    Object.entries(updates).forEach(([column, value]) => {
+        params.push(value);
+        setClauses.push(`${column} = $${params.length}`);
+    });
+
+    // The status guard protects against a concurrent change slipping in between read and write
+    const result = await client.query(
+        `UPDATE bookings SET ${setClauses.join(', ')}
+         WHERE id = $1 AND booking_status = $2
+         RETURNING *`,
+        params
+    );
+
+    if (result.rowCount === 0) {
+        throw new Error(`Booking #${booking.id} is no longer in status '${booking.booking_status}'.`);
+    }
+
+    await recordStatusChange(client, {
+        bookingId: booking.id,
+        fromStatus: booking.booking_status,
+        toStatus,
+        actor,
+        reason,
+    });
+
+    if (ESCROW_RETURN_STATUSES.includes(toStatus)) {
+        await returnHeldFunds(client, booking.id, { actorId: actor.id });
+    }
+
+    return result.rows[0];
+};
+
+module.exports = {
+    BOOKING_TRANSITIONS,
+    BOOKING_STATUSES,
+    getTransitionError,
+    recordStatusChange,
+    transitionBooking,
+};
@@ -0,0 +1,157 @@
+// backend/src/utils/bookingListQuery.js
+
+const { localMidnight } = require('./availability');
+const { BOOKING_STATUSES } = require('./bookingLifecycle');
+
+// --- BOOKING LIST FILTERS & PAGINATION ---
+// Shared by GET /customer/bookings, /provider/bookings and /admin/bookings. Lists use keyset
+// (cursor) pagination on the sort column plus the booking id, so pages stay stable while new
+// bookings arrive. The cursor is opaque to clients: pass back `next_cursor` to get the next page.
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+const MAX_SEARCH_LENGTH = 100;
+
+const BOOKING_SORTS = {
+    scheduled_desc: { column: 'b.scheduled_at', direction: 'DESC' },
+    scheduled_asc: { column: 'b.scheduled_at', direction: 'ASC' },
+    created_desc: { column: 'b.created_at', direction: 'DESC' },
+    updated_desc: { column: 'b.updated_at', direction: 'DESC' },
+};
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const encodeCursor = (value, id) => Buffer.from(JSON.stringify([value, id])).toString('base64url');
+
+const decodeCursor = (cursor) => {
+    try {
+        const [value, id] = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+        if (typeof value !== 'string' || !Number.isInteger(id)) return null;
+        return { value, id };
+    } catch (err) {
+        return null;
+    }
+};
+
+/**
+ * @function parseBookingListQuery
+ * @desc Validates the list query string: status (comma-separated), from/to (local dates, inclusive),
+ *       service_id, q (searches description and address), sort, limit and cursor.
+ * @param defaultSort - key of BOOKING_SORTS used when no sort is given
+ * @returns {{ error: string }|{ statuses, from, to, serviceId, search, sort, limit, cursor }}
+ */
+const parseBookingListQuery = (query, defaultSort = 'scheduled_desc') => {
+    const statuses = query.status ? String(query.status).split(',').map(s => s.trim()).filter(Boolean) : [];
+    const unknownStatus = statuses.find(s => !BOOKING_STATUSES.includes(s));
+    if (unknownStatus) {
+        return { error: `Unknown booking status '${unknownStatus}'.` };
+    }
+
+    for (const field of ['from', 'to']) {
+        if (query[field] && !DATE_PATTERN.test(query[field])) {
+            return { error: `'${field}' must be a date in YYYY-MM-DD format.` };
+        }
+    }
+
+    const serviceId = query.service_id ? Number(query.service_id) : null;
+    if (serviceId !== null && !Number.isInteger(serviceId)) {
+        return { error: 'service_id must be a number.' };
+    }
+
+    const search = query.q ? String(query.q).trim().slice(0, MAX_SEARCH_LENGTH) : '';
+
+    const sortKey = query.sort || defaultSort;
+    if (!BOOKING_SORTS[sortKey]) {
+        return { error: `Sort must be one of: ${Object.keys(BOOKING_SORTS).join(', ')}.` };
+    }
+
+    const limit = query.limit ? Number(query.limit) : DEFAULT_PAGE_SIZE;
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+        return { error: `limit must be between 1 and ${MAX_PAGE_SIZE}.` };
+    }
+
+    const cursor = query.cursor ? decodeCursor(String(query.cursor)) : null;
+    if (query.cursor && !cursor) {
+        return { error: 'Invalid cursor. Start again from the first page.' };
+    }
+
+    return {
+        statuses,
+        from: query.from ? localMidnight(query.from) : null,
+        to: query.to ? new Date(localMidnight(query.to).getTime() + 24 * 3600000) : null,
+        serviceId,
+        search,
+        sort: BOOKING_SORTS[sortKey],
+        limit,
+        cursor,
+    };
+};
+
+/**
+ * @function buildBookingListSql
+ * @desc Turns parsed list options into SQL fragments for a query over `bookings b`.
+ *       Appends its values to `params`, so call it after the route's own parameters are in place.
+ * @returns {{ cursorSelect: string, where: string, orderBy: string, limit: number }}
+ *          `where` starts with AND; `limit` is one more than the page size to detect a next page.
+ */
+const buildBookingListSql = (options, params) => {
+    const conditions = [];
+    const addParam = (value) => {
+        params.push(value);
+        return `$${params.length}`;
+    };
+
+    if (options.statuses.length > 0) {
+        conditions.push(`b.booking_status = ANY(${addParam(options.statuses)}::text[])`);
+    }
+    if (options.from) {
+        conditions.push(`b.scheduled_at >= ${addParam(options.from)}`);
+    }
+    if (options.to) {
+        conditions.push(`b.scheduled_at < ${addParam(options.to)}`);
+    }
+    if (options.serviceId) {
+        conditions.push(`b.service_id = ${addParam(options.serviceId)}`);
+    }
+    if (options.search) {
+        // Wildcards typed by the user are matched literally
+        const pattern = addParam(`%${options.search.replace(/[\\%_]/g, '\\$&')}%`);
+        conditions.push(`(b.service_description ILIKE ${pattern} OR b.address ILIKE ${pattern})`);
+    }
+
+    const { column, direction } = options.sort;
+    if (options.cursor) {
+        const comparison = direction === 'DESC' ? '<' : '>';
+        conditions.push(`(${column}, b.id) ${comparison} (${addParam(options.cursor.value)}::timestamptz, ${addParam(options.cursor.id)}::int)`);
+    }
+
+    return {
+        // Sent back as text so the cursor keeps Postgres' microsecond precision
+        cursorSelect: `${column}::text AS cursor_value`,
+        where: conditions.map(condition => `AND ${condition}`).join(' '),
+        orderBy: `${column} ${direction}, b.id ${direction}`,
+        limit: options.limit + 1,
+    };
+};
+
+/**
+ * @function paginateBookings
+ * @desc Trims the extra row fetched by buildBookingListSql and builds the cursor for the next page.
+ * @returns {{ bookings: Array, next_cursor: string|null }}
+ */
+const paginateBookings = (rows, options) => {
+    const hasMore = rows.length > options.limit;
+    const pageRows = hasMore ? rows.slice(0, options.limit) : rows;
+    const last = pageRows[pageRows.length - 1];
+
+    return {
+        bookings: pageRows.map(({ cursor_value, ...booking }) => booking),
+        next_cursor: hasMore ? encodeCursor(last.cursor_value, last.id) : null,
+    };
+};
+
+module.exports = {
+    BOOKING_SORTS,
+    parseBookingListQuery,
+    buildBookingListSql,
+    paginateBookings,
+};
@@ -0,0 +1,95 @@
+// backend/src/utils/bookingSeries.js
+
+const { UTC_OFFSET_MINUTES, localMidnight } = require('./availability');
+const { transitionBooking } = require('./bookingLifecycle');
+
+// --- RECURRING BOOKINGS ---
+// A series is expanded into individual bookings up front (one row per occurrence), so every
+// occurrence goes through the normal booking lifecycle. A series must have an end date or a
+// fixed number of occurrences, and is capped at MAX_SERIES_OCCURRENCES.
+const SERIES_FREQUENCIES = ['weekly', 'biweekly', 'monthly'];
+const MAX_SERIES_OCCURRENCES = 52;
+const SYSTEM_ACTOR = { id: null, role: 'system' };
+
+// Start of the n-th occurrence (n = 0 is the first). Monthly series keep the same local day of
+// the month, falling back to the last day for shorter months (e.g. the 31st -> 30 April).
+const occurrenceStart = (startsAt, frequency, n) => {
+    if (frequency === 'weekly' || frequency === 'biweekly') {
+        const days = (frequency === 'weekly' ? 7 : 14) * n;
+        return new Date(startsAt.getTime() + days * 24 * 3600000);
+    }
+
+    const local = new Date(startsAt.getTime() + UTC_OFFSET_MINUTES * 60000);
+    const targetMonth = local.getUTCMonth() + n;
+    const lastDayOfMonth = new Date(Date.UTC(local.getUTCFullYear(), targetMonth + 1, 0)).getUTCDate();
+    const day = Math.min(local.getUTCDate(), lastDayOfMonth);
+    const localTarget = Date.UTC(local.getUTCFullYear(), targetMonth, day, local.getUTCHours(), local.getUTCMinutes());
+    return new Date(localTarget - UTC_OFFSET_MINUTES * 60000);
+};
+
+/**
+ * @function buildOccurrenceDates
+ * @desc Expands a schedule rule into the start times of every occurrence.
+ * @param startsAt - Date of the first occurrence
+ * @param frequency - 'weekly' | 'biweekly' | 'monthly'
+ * @param options.endsOn - last local date ('YYYY-MM-DD') an occurrence may fall on
+ * @param options.occurrenceCount - or a fixed number of occurrences
+ * @returns {Date[]} at most MAX_SERIES_OCCURRENCES + 1 dates (so callers can detect an over-long series)
+ */
+const buildOccurrenceDates = (startsAt, frequency, { endsOn = null, occurrenceCount = null }) => {
+    const limit = occurrenceCount ? Math.min(occurrenceCount, MAX_SERIES_OCCURRENCES + 1) : MAX_SERIES_OCCURRENCES + 1;
+    const endOfLastDay = endsOn ? new Date(localMidnight(endsOn).getTime() + 24 * 3600000) : null;
+    const dates = [];
+
+    for (let n = 0; n < limit; n++) {
+        const start = occurrenceStart(startsAt, frequency, n);
+        if (endOfLastDay && start >= endOfLastDay) break;
+        dates.push(start);
+    }
+    return dates;
+};
+
+/**
+ * @function carryOverSeriesPrice
+ * @desc Called when a customer accepts a quote on an occurrence. The first accepted price becomes the
+ *       series price and every other upcoming occurrence still awaiting a price is accepted at it.
+ *       Must be called inside an open transaction.
+ * @returns {number} how many other occurrences were accepted
+ */
+const carryOverSeriesPrice = async (client, series_id, amount) => {
+    const seriesResult = await client.query(
+        'UPDATE booking_series SET agreed_amount = $2, updated_at = CURRENT_TIMESTAMP WHERE id = $1 AND agreed_amount IS NULL RETURNING id',
+        [series_id, amount]
+    );
+    if (seriesResult.rowCount === 0) {
+        return 0; // Price was already agreed earlier
+    }
+
+    const occurrencesResult = await client.query(
+        `SELECT id, booking_status FROM bookings
+         WHERE series_id = $1 AND booking_status IN ('pending_provider', 'awaiting_customer_confirmation') AND scheduled_at > CURRENT_TIMESTAMP
+         FOR UPDATE`,
+        [series_id]
+    );
+
+    for (const occurrence of occurrencesResult.rows) {
+        await client.query(
+            "UPDATE booking_quotes SET status = 'superseded' WHERE booking_id = $1 AND status = 'pending'",
+            [occurrence.id]
+        );
+        await transitionBooking(client, occurrence, 'accepted', {
+            actor: SYSTEM_ACTOR,
+            reason: `Recurring series price of ₹${parseFloat(amount).toFixed(2)} applied.`,
+            updates: { amount },
+        });
+    }
+    return occurrencesResult.rows.length;
+};
+
+module.exports = {
+    SERIES_FREQUENCIES,
+    MAX_SERIES_OCCURRENCES,
+    SYSTEM_ACTOR,
+    buildOccurrenceDates,
+    carryOverSeriesPrice,
+};
@@ -0,0 +1,99 @@
+// backend/src/utils/calendar.js
+
+const { DEFAULT_JOB_DURATION_MINUTES } = require('./availability');
+
+// --- CALENDAR EXPORT (iCalendar, RFC 5545) ---
+// Bookings are exported as VEVENTs with a stable UID, so calendar clients update an event in
+// place when the booking is rescheduled and drop it when it arrives with STATUS:CANCELLED.
+const CALENDAR_PRODUCT_ID = '-//Service Connect//Bookings//EN';
+const CALENDAR_UID_DOMAIN = 'service-connect';
+
+// Escapes TEXT values: backslash, semicolon, comma and line breaks
+const escapeText = (value) => String(value ?? '')
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+
+// 2025-10-19T08:30:00.000Z -> 20251019T083000Z
+const formatUtc = (date) => new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+// Content lines longer than 75 octets are folded onto continuation lines starting with a space
+const foldLine = (line) => {
+    const parts = [];
+    let current = '';
+    for (const char of line) {
+        const limit = parts.length === 0 ? 75 : 74;
+        if (Buffer.byteLength(current + char) > limit) {
+            parts.push(current);
+            current = '';
+        }
+        current += char;
+    }
+    parts.push(current);
+    return parts.join('\r\n ');
+};
+
+/**
+ * @function buildBookingEvent
+ * @desc Turns a booking row into VEVENT content lines, written from the viewer's side
+ *       (a provider sees the customer's name, a customer sees the provider's).
+ * @param booking - needs id, booking_status, scheduled_at, updated_at, address, service_name,
+ *        customer_name, provider_name; optional duration_minutes, service_description, amount, sequence
+ * @param viewerRole - 'customer' | 'provider'
+ * @returns {string[]} unfolded content lines
+ */
+const buildBookingEvent = (booking, viewerRole) => {
+    const start = new Date(booking.scheduled_at);
+    const end = new Date(start.getTime() + (booking.duration_minutes || DEFAULT_JOB_DURATION_MINUTES) * 60000);
+    const otherParty = viewerRole === 'provider'
+        ? `Customer: ${booking.customer_name}`
+        : `Provider: ${booking.provider_name}`;
+
+    const description = [
+        `Booking #${booking.id}`,
+        otherParty,
+        booking.amount ? `Price: ₹${parseFloat(booking.amount).toFixed(2)}` : null,
+        booking.service_description ? `Details: ${booking.service_description}` : null,
+    ].filter(Boolean).join('\n');
+
+    return [
+        'BEGIN:VEVENT',
+        `UID:booking-${booking.id}@${CALENDAR_UID_DOMAIN}`,
+        `DTSTAMP:${formatUtc(booking.updated_at || new Date())}`,
+        `LAST-MODIFIED:${formatUtc(booking.updated_at || new Date())}`,
+        `SEQUENCE:${parseInt(booking.sequence || 0, 10)}`,
+        `DTSTART:${formatUtc(start)}`,
+        `DTEND:${formatUtc(end)}`,
+        `SUMMARY:${escapeText(`${booking.service_name} - ${viewerRole === 'provider' ? booking.customer_name : booking.provider_name}`)}`,
+        `LOCATION:${escapeText(booking.address)}`,
+        `DESCRIPTION:${escapeText(description)}`,
+        `STATUS:${booking.booking_status === 'accepted' ? 'CONFIRMED' : 'CANCELLED'}`,
+        'END:VEVENT',
+    ];
+};
+
+/**
+ * @function buildCalendar
+ * @desc Wraps events into a complete VCALENDAR document with CRLF line endings.
+ * @param name - calendar name shown by subscribing clients
+ * @param events - arrays of content lines from buildBookingEvent
+ */
+const buildCalendar = (name, events) => {
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        `PRODID:${CALENDAR_PRODUCT_ID}`,
+        'CALSCALE:GREGORIAN',
+        'METHOD:PUBLISH',
+        `X-WR-CALNAME:${escapeText(name)}`,
+        ...events.flat(),
+        'END:VCALENDAR',
+    ];
+    return lines.map(foldLine).join('\r\n') + '\r\n';
+};
+
+module.exports = {
+    buildBookingEvent,
+    buildCalendar,
+};
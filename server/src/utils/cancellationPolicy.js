@@ -0,0 +1,34 @@
+// backend/src/utils/cancellationPolicy.js
+
+require('dotenv').config();
+
+// --- CANCELLATION POLICY CONFIGURATION ---
+// Cancelling before the cutoff is free. A customer cancelling an accepted booking
+// inside the cutoff pays a fee (a percentage of the agreed amount) to the provider.
+const CANCELLATION_POLICY = {
+    freeCutoffHours: parseFloat(process.env.CANCELLATION_FREE_CUTOFF_HOURS || 24),
+    lateFeePercent: parseFloat(process.env.CANCELLATION_LATE_FEE_PERCENT || 20),
+};
+
+/**
+ * @function getCancellationFee
+ * @desc Works out what a cancellation costs under the policy.
+ * @returns {{ fee: number, isLate: boolean, hoursUntilService: number|null }}
+ */
+const getCancellationFee = (booking, cancelledByRole, now = new Date()) => {
+    const hoursUntilService = booking.scheduled_at
+        ? (new Date(booking.scheduled_at).getTime() - now.getTime()) / 3600000
+        : null;
+    const isLate = hoursUntilService !== null && hoursUntilService < CANCELLATION_POLICY.freeCutoffHours;
+
+    // Only customers pay, and only once a price has been agreed (booking accepted)
+    const amount = parseFloat(booking.amount || 0);
+    if (cancelledByRole !== 'customer' || booking.booking_status !== 'accepted' || !isLate || amount <= 0) {
+        return { fee: 0, isLate, hoursUntilService };
+    }
+
+    const fee = Math.round(amount * CANCELLATION_POLICY.lateFeePercent) / 100;
+    return { fee, isLate, hoursUntilService };
+};
+
+module.exports = { CANCELLATION_POLICY, getCancellationFee };
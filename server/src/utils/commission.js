@@ -0,0 +1,98 @@
+// backend/src/utils/commission.js
+
+// --- PLATFORM COMMISSION ---
+// The platform keeps a commission on every booking payment (not on tips or cancellation fees).
+// Rules live in commission_rules: one global rule, plus optional overrides per service and per
+// provider. The most specific rule wins (provider > service > global). A rule is either a percentage
+// of the payment or a flat fee per payment, capped at the payment itself.
+const COMMISSION_SCOPES = ['global', 'service', 'provider'];
+const COMMISSION_FEE_TYPES = ['percent', 'flat'];
+
+const roundMoney = (value) => Math.round(value * 100) / 100;
+
+/**
+ * @function validateCommissionRule
+ * @desc Checks an admin's rule input: { scope, service_id, provider_id, fee_type, rate }.
+ * @returns {{ error: string }|{ scope, serviceId, providerId, feeType, rate }}
+ */
+const validateCommissionRule = ({ scope, service_id, provider_id, fee_type, rate } = {}) => {
+    if (!COMMISSION_SCOPES.includes(scope)) {
+        return { error: `Scope must be one of: ${COMMISSION_SCOPES.join(', ')}.` };
+    }
+    if (!COMMISSION_FEE_TYPES.includes(fee_type)) {
+        return { error: `Fee type must be one of: ${COMMISSION_FEE_TYPES.join(', ')}.` };
+    }
+
+    const value = Number(rate);
+    if (rate === '' || rate === null || !Number.isFinite(value) || value < 0) {
+        return { error: 'The rate must be zero or a positive number.' };
+    }
+    if (fee_type === 'percent' && value > 100) {
+        return { error: 'A percentage commission cannot be more than 100%.' };
+    }
+
+    const serviceId = scope === 'service' ? Number(service_id) : null;
+    const providerId = scope === 'provider' ? Number(provider_id) : null;
+    if (scope === 'service' && !Number.isInteger(serviceId)) {
+        return { error: 'Choose the service this rule applies to.' };
+    }
+    if (scope === 'provider' && !Number.isInteger(providerId)) {
+        return { error: 'Choose the provider this rule applies to.' };
+    }
+
+    return { scope, serviceId, providerId, feeType: fee_type, rate: roundMoney(value) };
+};
+
+/**
+ * @function describeCommissionRule
+ * @desc Short label for a rule, e.g. '10%' or '₹50.00 flat'.
+ */
+const describeCommissionRule = (rule) => (rule.fee_type === 'percent'
+    ? `${parseFloat(rule.rate)}%`
+    : `₹${parseFloat(rule.rate).toFixed(2)} flat`);
+
+/**
+ * @function calculateCommission
+ * @desc The platform's share of a payment under a rule (0 without one).
+ */
+const calculateCommission = (rule, amount) => {
+    if (!rule) return 0;
+    const gross = parseFloat(amount);
+    const fee = rule.fee_type === 'percent'
+        ? gross * parseFloat(rule.rate) / 100
+        : parseFloat(rule.rate);
+    return roundMoney(Math.min(Math.max(fee, 0), gross));
+};
+
+/**
+ * @function getBookingCommission
+ * @desc Finds the rule that applies to a booking's provider and service and splits a payment on it.
+ * @returns {{ rule: object|null, commission: number, providerAmount: number }}
+ */
+const getBookingCommission = async (db, bookingId, amount) => {
+    const result = await db.query(
+        `SELECT cr.*
+         FROM bookings b
+         JOIN commission_rules cr
+           ON (cr.scope = 'provider' AND cr.provider_id = b.provider_id)
+           OR (cr.scope = 'service' AND cr.service_id = b.service_id)
+           OR cr.scope = 'global'
+         WHERE b.id = $1
+         ORDER BY CASE cr.scope WHEN 'provider' THEN 1 WHEN 'service' THEN 2 ELSE 3 END
+         LIMIT 1`,
+        [bookingId]
+    );
+    const rule = result.rows[0] || null;
+    const commission = calculateCommission(rule, amount);
+
+    return { rule, commission, providerAmount: roundMoney(parseFloat(amount) - commission) };
+};
+
+module.exports = {
+    COMMISSION_SCOPES,
+    COMMISSION_FEE_TYPES,
+    validateCommissionRule,
+    describeCommissionRule,
+    calculateCommission,
+    getBookingCommission,
+};
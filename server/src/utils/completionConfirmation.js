@@ -0,0 +1,182 @@
+// backend/src/utils/completionConfirmation.js
+
+const pool = require('../config/db');
+const { sendEmail } = require('../config/nodemailer');
+const { SYSTEM_ACTOR } = require('./bookingSeries');
+const { capturePayment, buildReceiptHtml } = require('./payments');
+const { loadAcceptedQuote } = require('./quoteCalculator');
+const { invoiceAttachment } = require('./invoices');
+require('dotenv').config();
+
+// --- COMPLETION CONFIRMATION WINDOW ---
+// When a booking is marked completed, the customer has COMPLETION_CONFIRMATION_HOURS to confirm
+// the job (POST /payments) or report it as not done (a 'work_not_done' dispute). Once the window
+// ends, the booking expiry job confirms it on the customer's behalf and takes the payment. If the
+// wallet cannot cover it, the customer and admin are told once and the job keeps retrying, so the
+// booking is paid as soon as the customer tops up.
+const COMPLETION_CONFIRMATION_HOURS = parseFloat(process.env.COMPLETION_CONFIRMATION_HOURS || 48);
+
+const AUTO_CONFIRM_REASON = 'Confirmation window ended; payment captured automatically';
+
+const CONFIRMATION_DETAILS_QUERY = `
+    SELECT b.id, b.customer_id, b.provider_id, b.booking_status, b.amount, b.confirmation_due_at,
+           s.name AS service_name, cu.email AS customer_email, pu.email AS provider_email, p.display_name AS provider_name
+    FROM bookings b
+    JOIN services s ON s.id = b.service_id
+    JOIN users cu ON cu.id = b.customer_id
+    JOIN providers p ON p.id = b.provider_id
+    JOIN users pu ON pu.id = p.user_id`;
+
+/**
+ * @function confirmationDueAt
+ * @desc End of the customer's confirmation window for a booking completed at `completedAt`.
+ */
+const confirmationDueAt = (completedAt = new Date()) =>
+    new Date(completedAt.getTime() + COMPLETION_CONFIRMATION_HOURS * 3600000);
+
+/**
+ * @function isConfirmationWindowOpen
+ * @desc Whether the customer can still confirm or report a completed booking. Bookings completed
+ *       before the window existed have no due date and stay open.
+ */
+const isConfirmationWindowOpen = (booking) =>
+    !booking.confirmation_due_at || new Date(booking.confirmation_due_at) > new Date();
+
+/**
+ * @function autoConfirmBooking
+ * @desc Confirms and pays one booking in its own transaction, re-reading it under lock so a
+ *       customer confirming or disputing at the same moment wins over the job.
+ * @returns {{ booking, transactionId, paymentAmount, invoice, quote }|{ booking, error }|null}
+ *          null if the booking no longer qualifies
+ */
+const autoConfirmBooking = async (booking_id) => {
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+
+        const bookingResult = await client.query(
+            `${CONFIRMATION_DETAILS_QUERY}
+             WHERE b.id = $1 AND b.booking_status = 'completed' AND b.confirmation_due_at < NOW()
+             FOR UPDATE OF b`,
+            [booking_id]
+        );
+        const booking = bookingResult.rows[0];
+        if (!booking) {
+            await client.query('ROLLBACK');
+            return null;
+        }
+
+        const capture = await capturePayment(client, booking, { actor: SYSTEM_ACTOR, reason: AUTO_CONFIRM_REASON });
+        if (capture.error) {
+            await client.query('ROLLBACK');
+            return { booking, error: capture.error };
+        }
+
+        const quote = await loadAcceptedQuote(client, booking_id);
+
+        await client.query('COMMIT');
+        return { booking, ...capture, quote };
+    } catch (err) {
+        await client.query('ROLLBACK');
+        throw err;
+    } finally {
+        client.release();
+    }
+};
+
+const notifyAutoConfirmed = async ({ booking, transactionId, paymentAmount, commissionAmount, providerAmount, invoice, quote }) => {
+    await sendEmail(
+        booking.customer_email,
+        `Service Connect: Booking ${booking.id} Confirmed Automatically`,
+        `
+            <p>Your ${booking.service_name} booking with ${booking.provider_name} (booking ID ${booking.id}) was not confirmed or reported within ${COMPLETION_CONFIRMATION_HOURS} hours of being completed, so it has been confirmed automatically and paid from your wallet.</p>
+            ${buildReceiptHtml(booking.id, transactionId, paymentAmount, quote)}
+            <p>Your invoice ${invoice.invoice_number} is attached.</p>
+        `,
+        [invoiceAttachment(invoice)]
+    );
+    await sendEmail(
+        booking.provider_email,
+        `Service Connect: Payment Received for Booking ${booking.id}`,
+        `
+            <h2>Payment Received</h2>
+            <p>The confirmation window for booking ID ${booking.id} has ended and <strong>₹${providerAmount.toFixed(2)}</strong> has been credited to your wallet (₹${paymentAmount.toFixed(2)} less the ₹${commissionAmount.toFixed(2)} platform fee).</p>
+        `
+    );
+};
+
+// Records the first failed attempt and tells the customer and admin; later failures stay quiet
+const flagFailedAutoConfirm = async ({ booking, error }) => {
+    const result = await pool.query(
+        `UPDATE bookings SET auto_confirm_failed_at = CURRENT_TIMESTAMP
+         WHERE id = $1 AND auto_confirm_failed_at IS NULL
+         RETURNING id`,
+        [booking.id]
+    );
+    if (result.rows.length === 0) {
+        return false;
+    }
+
+    await sendEmail(
+        booking.customer_email,
+        `Service Connect: Payment Due for Booking ${booking.id}`,
+        `
+            <h2>Automatic Payment Failed</h2>
+            <p>The confirmation window for your ${booking.service_name} booking (booking ID ${booking.id}) has ended, but we could not take the payment of <strong>₹${parseFloat(booking.amount).toFixed(2)}</strong> from your wallet.</p>
+            <p>${error}</p>
+            <p>Please top up your wallet. The payment will be taken automatically once the balance is sufficient, or you can pay from your Customer Dashboard.</p>
+        `
+    );
+    await sendEmail(
+        process.env.ADMIN_EMAIL || process.env.EMAIL_USER,
+        `Service Connect: Automatic Payment Failed for Booking ${booking.id}`,
+        `
+            <p>Booking ${booking.id} (${booking.service_name} by ${booking.provider_name} for ${booking.customer_email}) passed its confirmation window but could not be paid automatically.</p>
+            <p>${error}</p>
+            <p>The job will keep retrying. The provider has not been paid yet.</p>
+        `
+    );
+    return true;
+};
+
+/**
+ * @function autoConfirmCompletedBookings
+ * @desc Confirms and pays every completed booking whose confirmation window has ended.
+ * @returns {{ confirmed: number, failed: number }} bookings paid, and bookings newly flagged as unpayable
+ */
+const autoConfirmCompletedBookings = async () => {
+    let confirmed = 0;
+    let failed = 0;
+
+    const candidates = await pool.query(
+        `SELECT id FROM bookings
+         WHERE booking_status = 'completed' AND confirmation_due_at < NOW()
+         ORDER BY confirmation_due_at`
+    );
+
+    for (const { id } of candidates.rows) {
+        try {
+            const result = await autoConfirmBooking(id);
+            if (!result) continue;
+
+            if (result.error) {
+                if (await flagFailedAutoConfirm(result)) failed += 1;
+            } else {
+                confirmed += 1;
+                await notifyAutoConfirmed(result);
+            }
+        } catch (err) {
+            // One bad row must not stop the rest of the run
+            console.error(`Auto-confirmation failed for booking ${id}:`, err.message);
+        }
+    }
+
+    return { confirmed, failed };
+};
+
+module.exports = {
+    COMPLETION_CONFIRMATION_HOURS,
+    confirmationDueAt,
+    isConfirmationWindowOpen,
+    autoConfirmCompletedBookings,
+};
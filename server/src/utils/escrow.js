@@ -0,0 +1,176 @@
+// backend/src/utils/escrow.js
+
+const { COMMISSION, getAvailableBalance, postJournal, walletOf, escrowOf } = require('./ledger');
+
+// --- ESCROW ---
+// When a customer accepts a quote, the agreed amount moves from their wallet account to their
+// escrow account in the ledger (wallets.balance -> wallets.held_balance), and a booking_escrow row
+// ties the hold to the booking. Paying for the completed booking (POST /payments or a dispute ruling)
+// releases the hold to the provider; a booking that is cancelled, rejected or expires gets it back.
+// Every function here must be called inside an open transaction.
+
+// Statuses that end a booking without payment: any hold goes back to the customer
+const ESCROW_RETURN_STATUSES = ['cancelled', 'rejected', 'expired'];
+
+const roundMoney = (value) => Math.round(value * 100) / 100;
+
+// Locks and returns the booking's open hold, if it has one
+const getHeldEscrow = async (client, bookingId) => {
+    const result = await client.query(
+        "SELECT * FROM booking_escrow WHERE booking_id = $1 AND status = 'held' FOR UPDATE",
+        [bookingId]
+    );
+    return result.rows[0] || null;
+};
+
+/**
+ * @function holdFunds
+ * @desc Moves the agreed amount from the customer's available balance into a hold for the booking.
+ *       A booking has one escrow row: a hold that was already released or returned (e.g. the booking
+ *       was moved back to an earlier status) is reopened rather than inserted again.
+ * @returns {string|null} A user-facing error if the available balance is too low, otherwise null.
+ */
+const holdFunds = async (client, { bookingId, customerId, amount }) => {
+    const holdAmount = roundMoney(parseFloat(amount));
+    if (!(holdAmount > 0)) {
+        return null;
+    }
+
+    const { available } = await getAvailableBalance(client, customerId);
+    if (available < holdAmount) {
+        return `Insufficient wallet balance. Accepting holds ₹${holdAmount.toFixed(2)} until the job is paid for, but only ₹${available.toFixed(2)} is available. Please top up your wallet first.`;
+    }
+
+    const escrowResult = await client.query(
+        `INSERT INTO booking_escrow (booking_id, customer_id, amount) VALUES ($1, $2, $3)
+         ON CONFLICT (booking_id) DO UPDATE
+         SET customer_id = EXCLUDED.customer_id, amount = EXCLUDED.amount, status = 'held',
+             held_at = CURRENT_TIMESTAMP, settled_at = NULL
+         WHERE booking_escrow.status <> 'held'
+         RETURNING id`,
+        [bookingId, customerId, holdAmount]
+    );
+    if (escrowResult.rows.length === 0) {
+        return 'Funds are already held for this booking.';
+    }
+    await postJournal(client, {
+        type: 'escrow_hold',
+        bookingId,
+        actorId: customerId,
+        transfers: [{ from: walletOf(customerId), to: escrowOf(customerId), amount: holdAmount }],
+    });
+    return null;
+};
+
+/**
+ * @function captureHeldFunds
+ * @desc Pays for a booking out of its hold: up to `amount` goes to the provider's wallet (less the
+ *       platform commission) and anything left in the hold goes back to the customer's available
+ *       balance, in one ledger journal.
+ * @param options.commission - the platform's share of the captured amount
+ * @param options.type - ledger entry type, 'escrow_release' unless a dispute ruling settles it
+ * @param options.actorId - user who triggered the payment
+ * @returns the settled escrow row with `captured`, `returned` and `commission` amounts, or null if the booking has no hold
+ */
+const captureHeldFunds = async (client, bookingId, amount, providerUserId, { commission = 0, type = 'escrow_release', actorId = null } = {}) => {
+    const escrow = await getHeldEscrow(client, bookingId);
+    if (!escrow) {
+        return null;
+    }
+
+    const held = parseFloat(escrow.amount);
+    const captured = roundMoney(Math.min(Math.max(amount, 0), held));
+    const returned = roundMoney(held - captured);
+    const fee = roundMoney(Math.min(commission, captured));
+
+    await postJournal(client, {
+        type,
+        bookingId,
+        actorId,
+        transfers: [
+            { from: escrowOf(escrow.customer_id), to: walletOf(providerUserId), amount: captured - fee },
+            { from: escrowOf(escrow.customer_id), to: COMMISSION, amount: fee },
+            { from: escrowOf(escrow.customer_id), to: walletOf(escrow.customer_id), amount: returned },
+        ],
+    });
+    await client.query(
+        "UPDATE booking_escrow SET status = 'released', settled_at = CURRENT_TIMESTAMP WHERE id = $1",
+        [escrow.id]
+    );
+
+    return { ...escrow, captured, returned, commission: fee };
+};
+
+/**
+ * @function returnHeldFunds
+ * @desc Gives a booking's whole hold back to the customer's available balance.
+ * @returns the returned escrow row, or null if the booking has no hold
+ */
+const returnHeldFunds = async (client, bookingId, { actorId = null } = {}) => {
+    const escrow = await getHeldEscrow(client, bookingId);
+    if (!escrow) {
+        return null;
+    }
+
+    await postJournal(client, {
+        type: 'escrow_return',
+        bookingId,
+        actorId,
+        transfers: [{ from: escrowOf(escrow.customer_id), to: walletOf(escrow.customer_id), amount: escrow.amount }],
+    });
+    await client.query(
+        "UPDATE booking_escrow SET status = 'returned', settled_at = CURRENT_TIMESTAMP WHERE id = $1",
+        [escrow.id]
+    );
+
+    return escrow;
+};
+
+/**
+ * @function adjustHeldFunds
+ * @desc Resizes a booking's hold after an admin changes its amount: an increase is taken from the
+ *       customer's available balance, a decrease goes back to it.
+ * @returns {{ error: string }|{ escrow, difference: number }|null} null if the booking has no hold
+ */
+const adjustHeldFunds = async (client, bookingId, newAmount, { actorId = null } = {}) => {
+    const escrow = await getHeldEscrow(client, bookingId);
+    if (!escrow) {
+        return null;
+    }
+
+    const target = roundMoney(parseFloat(newAmount));
+    const difference = roundMoney(target - parseFloat(escrow.amount));
+    if (difference === 0) {
+        return { escrow, difference };
+    }
+
+    if (difference > 0) {
+        const { available } = await getAvailableBalance(client, escrow.customer_id);
+        if (available < difference) {
+            return { error: `The customer's available balance (₹${available.toFixed(2)}) cannot cover the extra ₹${difference.toFixed(2)} to hold.` };
+        }
+    }
+
+    const wallet = walletOf(escrow.customer_id);
+    const hold = escrowOf(escrow.customer_id);
+    await postJournal(client, {
+        type: difference > 0 ? 'escrow_hold' : 'escrow_return',
+        bookingId,
+        actorId,
+        memo: 'Hold resized after an admin changed the booking amount',
+        transfers: [difference > 0
+            ? { from: wallet, to: hold, amount: difference }
+            : { from: hold, to: wallet, amount: -difference }],
+    });
+    await client.query('UPDATE booking_escrow SET amount = $1 WHERE id = $2', [target, escrow.id]);
+
+    return { escrow: { ...escrow, amount: target }, difference };
+};
+
+module.exports = {
+    ESCROW_RETURN_STATUSES,
+    holdFunds,
+    captureHeldFunds,
+    returnHeldFunds,
+    adjustHeldFunds,
+};
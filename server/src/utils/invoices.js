@@ -0,0 +1,248 @@
+// backend/src/utils/invoices.js
+
+const { loadAcceptedQuote } = require('./quoteCalculator');
+const { UTC_OFFSET_MINUTES } = require('./availability');
+const { PDF_LINE_WIDTH, buildTextPdf } = require('./pdf');
+
+// --- INVOICES ---
+// Every captured booking payment gets one numbered invoice, issued by the platform on behalf of the
+// provider (the supplier of the service). The invoice stores a snapshot of everything printed on it,
+// so it reads the same however often it is downloaded. Line items and GST come from the accepted
+// quote; when a dispute ruling charged a different amount, the payment becomes a single line with
+// the quote's GST rate backed out of it. Home services are supplied where the customer is, by a
+// provider in the same state, so GST is split evenly into CGST and SGST for registered providers.
+// A provider without a GSTIN cannot charge GST: their invoice is a bill of supply, with the whole
+// amount paid as the value of supply and no tax breakdown.
+const roundMoney = (value) => Math.round(value * 100) / 100;
+
+const INVOICE_DETAILS_QUERY = `
+    SELECT pay.id, pay.booking_id, pay.amount, pay.tip_amount, pay.commission_amount, pay.gateway_transaction_id, pay.paid_at,
+           b.customer_id, b.provider_id, b.address, b.scheduled_at, b.completed_at, s.name AS service_name,
+           p.display_name AS provider_name, p.gstin AS provider_gstin, pu.email AS provider_email,
+           cu.email AS customer_email, cp.full_name AS customer_name, cp.phone_number AS customer_phone,
+           cp.address_line_1 AS customer_address, cp.city AS customer_city
+    FROM payments pay
+    JOIN bookings b ON b.id = pay.booking_id
+    JOIN services s ON s.id = b.service_id
+    JOIN providers p ON p.id = b.provider_id
+    JOIN users pu ON pu.id = p.user_id
+    JOIN users cu ON cu.id = b.customer_id
+    LEFT JOIN customer_profiles cp ON cp.user_id = b.customer_id
+    WHERE pay.id = $1`;
+
+// Indian financial years run April to March, e.g. '26-27'
+const financialYear = (date) => {
+    const local = new Date(new Date(date).getTime() + UTC_OFFSET_MINUTES * 60000);
+    const start = local.getUTCMonth() >= 3 ? local.getUTCFullYear() : local.getUTCFullYear() - 1;
+    const twoDigits = (year) => String(year % 100).padStart(2, '0');
+    return `${twoDigits(start)}-${twoDigits(start + 1)}`;
+};
+
+const formatInvoiceNumber = (paidAt, serial) => `SC/${financialYear(paidAt)}/${String(serial).padStart(6, '0')}`;
+
+// Taxable lines and GST for the amount actually paid
+const buildInvoiceLines = (payment, quote) => {
+    const amount = parseFloat(payment.amount);
+    const registered = Boolean(payment.provider_gstin);
+    const quoteTaxed = quote && parseFloat(quote.tax_amount) > 0;
+
+    if (quote && quote.items.length > 0 && roundMoney(parseFloat(quote.amount)) === amount && (registered || !quoteTaxed)) {
+        return {
+            lines: quote.items.map(item => ({
+                description: item.description || item.item_type.replace('_', ' '),
+                quantity: parseFloat(item.quantity),
+                unit_price: parseFloat(item.unit_price) * (item.item_type === 'discount' ? -1 : 1),
+                amount: parseFloat(item.line_total),
+            })),
+            subtotal: parseFloat(quote.subtotal),
+            tax_percent: parseFloat(quote.tax_percent),
+            tax_amount: parseFloat(quote.tax_amount),
+        };
+    }
+
+    const taxPercent = quote && registered ? parseFloat(quote.tax_percent) : 0;
+    const subtotal = roundMoney(amount * 100 / (100 + taxPercent));
+    const settled = quote && roundMoney(parseFloat(quote.amount)) !== amount;
+    return {
+        lines: [{
+            description: `${payment.service_name} service${settled ? ' (amount as settled)' : ''}`,
+            quantity: 1,
+            unit_price: subtotal,
+            amount: subtotal,
+        }],
+        subtotal,
+        tax_percent: taxPercent,
+        tax_amount: roundMoney(amount - subtotal),
+    };
+};
+
+/**
+ * @function issueInvoice
+ * @desc Issues the invoice for a captured payment, or returns the one already issued for it.
+ *       Call inside the capturing transaction so a payment never commits without its invoice.
+ * @returns {object} the invoices row (with details)
+ */
+const issueInvoice = async (db, paymentId) => {
+    const existing = await db.query('SELECT * FROM invoices WHERE payment_id = $1', [paymentId]);
+    if (existing.rows[0]) {
+        return existing.rows[0];
+    }
+
+    const paymentResult = await db.query(INVOICE_DETAILS_QUERY, [paymentId]);
+    const payment = paymentResult.rows[0];
+    if (!payment) {
+        throw new Error(`Payment ${paymentId} not found; cannot issue an invoice.`);
+    }
+
+    const quote = await loadAcceptedQuote(db, payment.booking_id);
+    const { lines, subtotal, tax_percent, tax_amount } = buildInvoiceLines(payment, quote);
+    const amount = parseFloat(payment.amount);
+    const tip = parseFloat(payment.tip_amount || 0);
+    const commission = parseFloat(payment.commission_amount || 0);
+    const cgst = payment.provider_gstin ? roundMoney(tax_amount / 2) : null;
+
+    const details = {
+        supplier: {
+            name: payment.provider_name,
+            gstin: payment.provider_gstin || null,
+            email: payment.provider_email,
+        },
+        customer: {
+            name: payment.customer_name || payment.customer_email,
+            email: payment.customer_email,
+            phone: payment.customer_phone || null,
+            address: [payment.customer_address, payment.customer_city].filter(Boolean).join(', ') || null,
+        },
+        service: {
+            name: payment.service_name,
+            place_of_supply: payment.address,
+            scheduled_at: payment.scheduled_at,
+            completed_at: payment.completed_at,
+        },
+        lines,
+        subtotal,
+        tax_percent,
+        tax_amount,
+        cgst,
+        sgst: cgst === null ? null : roundMoney(tax_amount - cgst),
+        invoice_total: amount,
+        tip,
+        total_paid: roundMoney(amount + tip),
+        platform_fee: commission,
+        provider_amount: roundMoney(amount - commission),
+        transaction_id: payment.gateway_transaction_id,
+        paid_at: payment.paid_at,
+    };
+
+    const serialResult = await db.query("SELECT nextval('invoice_number_seq') AS serial");
+    const result = await db.query(
+        `INSERT INTO invoices (invoice_number, payment_id, booking_id, customer_id, provider_id, total, details)
+         VALUES ($1, $2, $3, $4, $5, $6, $7)
+         ON CONFLICT (payment_id) DO NOTHING
+         RETURNING *`,
+        [formatInvoiceNumber(payment.paid_at, serialResult.rows[0].serial), paymentId, payment.booking_id,
+            payment.customer_id, payment.provider_id, details.total_paid, details]
+    );
+    if (result.rows[0]) {
+        return result.rows[0];
+    }
+
+    // Issued by a concurrent request in the meantime
+    const raced = await db.query('SELECT * FROM invoices WHERE payment_id = $1', [paymentId]);
+    return raced.rows[0];
+};
+
+const formatLocalDate = (date) => new Date(new Date(date).getTime() + UTC_OFFSET_MINUTES * 60000).toISOString().slice(0, 10);
+
+/**
+ * @function buildInvoicePdf
+ * @desc Renders an issued invoice: parties, place of supply, line items, GST breakdown and the platform fee.
+ * @returns {Buffer}
+ */
+const buildInvoicePdf = (invoice) => {
+    const d = invoice.details;
+    // Written as Rs. up front (not ₹) so padded columns keep their width in the PDF
+    const money = (value) => `${value < 0 ? '-' : ''}Rs.${Math.abs(value).toFixed(2)}`;
+    const columns = { quantity: 8, rate: 14, amount: 14 };
+    const descriptionWidth = PDF_LINE_WIDTH - columns.quantity - columns.rate - columns.amount - 3;
+    const row = (description, quantity, rate, amount) => [
+        description.slice(0, descriptionWidth).padEnd(descriptionWidth),
+        quantity.padStart(columns.quantity),
+        rate.padStart(columns.rate),
+        amount.padStart(columns.amount),
+    ].join(' ');
+    const total = (label, amount) => `${label.padEnd(PDF_LINE_WIDTH - columns.amount)}${amount.padStart(columns.amount)}`;
+
+    const lines = [
+        d.supplier.gstin ? 'TAX INVOICE' : 'BILL OF SUPPLY',
+        '',
+        `Invoice number:   ${invoice.invoice_number}`,
+        `Invoice date:     ${formatLocalDate(invoice.issued_at)}`,
+        `Booking:          #${invoice.booking_id}`,
+        `Payment ref:      ${d.transaction_id}`,
+        '',
+        'Supplier (service provider)',
+        `  ${d.supplier.name}`,
+        `  ${d.supplier.gstin ? `GSTIN: ${d.supplier.gstin}` : 'Not registered under GST'}`,
+        `  ${d.supplier.email}`,
+        '',
+        'Billed to',
+        `  ${d.customer.name}`,
+        `  ${d.customer.email}${d.customer.phone ? `, ${d.customer.phone}` : ''}`,
+        ...(d.customer.address ? [`  ${d.customer.address}`] : []),
+        '',
+        `Service:          ${d.service.name}`,
+        `Performed on:     ${formatLocalDate(d.service.completed_at || d.service.scheduled_at)}`,
+        `Place of supply:  ${d.service.place_of_supply}`,
+        '',
+        row('Description', 'Qty', 'Rate', 'Amount'),
+        '-'.repeat(PDF_LINE_WIDTH),
+        ...d.lines.map(line => row(line.description, String(line.quantity), money(line.unit_price), money(line.amount))),
+        '-'.repeat(PDF_LINE_WIDTH),
+    ];
+
+    if (d.supplier.gstin) {
+        lines.push(total('Taxable value', money(d.subtotal)));
+        if (d.tax_amount > 0) {
+            lines.push(total(`CGST (${d.tax_percent / 2}%)`, money(d.cgst)));
+            lines.push(total(`SGST (${d.tax_percent / 2}%)`, money(d.sgst)));
+        }
+        lines.push(total('Invoice total', money(d.invoice_total)));
+    } else {
+        lines.push(total('Value of supply', money(d.invoice_total)));
+    }
+    if (d.tip > 0) {
+        lines.push(total('Tip (not taxable, paid to the provider in full)', money(d.tip)));
+    }
+    lines.push(total('Total paid', money(d.total_paid)));
+    lines.push('');
+
+    if (d.platform_fee > 0) {
+        lines.push(`Platform fee: Service Connect keeps ${money(d.platform_fee)} of the invoice total as its fee from`);
+        lines.push(`the provider, who receives ${money(d.provider_amount)}. It is not charged to the customer on top.`);
+    }
+    if (!d.supplier.gstin) {
+        lines.push('The supplier is not registered under GST, so no GST is charged on this bill of supply.');
+    }
+    lines.push(`Paid from the Service Connect wallet on ${formatLocalDate(d.paid_at)}.`);
+    lines.push('Issued by Service Connect on behalf of the supplier named above. Amounts in Indian rupees.');
+
+    return buildTextPdf(lines, { title: `Invoice ${invoice.invoice_number}` });
+};
+
+/**
+ * @function invoiceAttachment
+ * @desc The invoice PDF as a nodemailer attachment.
+ */
+const invoiceAttachment = (invoice) => ({
+    filename: `invoice-${invoice.invoice_number.replace(/\//g, '-')}.pdf`,
+    content: buildInvoicePdf(invoice),
+    contentType: 'application/pdf',
+});
+
+module.exports = {
+    formatInvoiceNumber,
+    issueInvoice,
+    buildInvoicePdf,
+    invoiceAttachment,
+};
@@ -0,0 +1,222 @@
+// backend/src/utils/ledger.js
+
+// --- DOUBLE-ENTRY LEDGER ---
+// All wallet money moves through postJournal(): one journal per business event, made of transfers
+// that each debit one account and credit another, so every journal balances by construction.
+// Accounts (see migrations/018_ledger.sql):
+//   wallet:<user_id>  the user's available balance         grows with credits
+//   escrow:<user_id>  the customer's money held for jobs     grows with credits
+//   cash              money actually received/paid out      grows with debits
+//   commission        the platform's fees                    grows with credits
+// wallets.balance and wallets.held_balance are caches of the wallet/escrow accounts and are only
+// written here, in the same transaction as the entries. verifyLedger() checks they still agree.
+// Pending withdrawal requests reserve part of wallets.balance until an admin pays them out, so
+// every wallet debit checks getAvailableBalance() rather than the bare balance.
+
+const LEDGER_ENTRY_TYPES = [
+    'opening_balance',    // carried over by the ledger migration
+    'deposit',            // cash -> wallet, on admin approval or a paid gateway order
+    'withdrawal',         // wallet -> cash, on admin approval
+    'escrow_hold',        // wallet -> escrow, quote accepted (or hold increased)
+    'escrow_return',      // escrow -> wallet, booking ended unpaid (or hold reduced)
+    'escrow_release',     // escrow -> provider wallet + commission (+ leftover back to the customer), booking paid
+    'booking_payment',    // customer wallet -> provider wallet + commission, booking paid without a hold
+    'tip',                // customer wallet -> provider wallet
+    'cancellation_fee',   // customer wallet -> provider wallet
+    'dispute_settlement', // escrow or customer wallet -> provider wallet + commission, dispute ruling
+    'refund',             // provider wallet + commission -> customer wallet, admin refund of a payment
+];
+
+// Account references for postJournal transfers
+const walletOf = (userId) => ({ kind: 'wallet', userId });
+const escrowOf = (userId) => ({ kind: 'escrow', userId });
+const CASH = { kind: 'cash' };
+const COMMISSION = { kind: 'commission' };
+
+const roundMoney = (value) => Math.round(value * 100) / 100;
+
+const accountCode = (ref) => (ref.userId ? `${ref.kind}:${ref.userId}` : ref.kind);
+
+// Returns the account id, opening the account on first use
+const getAccountId = async (client, ref) => {
+    const result = await client.query(
+        `INSERT INTO ledger_accounts (code, kind, user_id) VALUES ($1, $2, $3)
+         ON CONFLICT (code) DO UPDATE SET code = EXCLUDED.code
+         RETURNING id`,
+        [accountCode(ref), ref.kind, ref.userId || null]
+    );
+    return result.rows[0].id;
+};
+
+/**
+ * @function getAvailableBalance
+ * @desc Locks the user's wallet row and returns what can still be spent from it: the balance less
+ *       what pending withdrawal requests have reserved. Call inside the debiting transaction.
+ * @param options.excludeRequestId - a pending withdrawal not to count (the one being approved)
+ * @returns {{ balance: number, reserved: number, available: number }}
+ */
+const getAvailableBalance = async (client, userId, { excludeRequestId = null } = {}) => {
+    const walletResult = await client.query('SELECT balance FROM wallets WHERE user_id = $1 FOR UPDATE', [userId]);
+    const reservedResult = await client.query(
+        `SELECT COALESCE(SUM(amount), 0) AS reserved FROM wallet_requests
+         WHERE user_id = $1 AND type = 'withdrawal' AND status = 'pending' AND id IS DISTINCT FROM $2::integer`,
+        [userId, excludeRequestId]
+    );
+    const balance = parseFloat(walletResult.rows[0]?.balance || 0);
+    const reserved = parseFloat(reservedResult.rows[0].reserved);
+    return { balance, reserved, available: Math.max(roundMoney(balance - reserved), 0) };
+};
+
+/**
+ * @function postJournal
+ * @desc Records one money movement as balanced ledger entries and updates the cached wallet balances.
+ *       Must be called inside an open transaction. Callers check available balances first; a posting
+ *       that would still overdraw a wallet or hold throws, rolling the whole transaction back.
+ * @param options.type - one of LEDGER_ENTRY_TYPES
+ * @param options.transfers - [{ from, to, amount }]: debits `from` and credits `to` (zero amounts are skipped)
+ * @param options.bookingId / options.walletRequestId / options.paymentId - what the movement belongs to, if anything
+ * @param options.memo - optional note shown in statements
+ * @param options.actorId - user who triggered it (null for the system)
+ * @returns {number|null} the journal id, or null if there was nothing to post
+ */
+const postJournal = async (client, { type, transfers, bookingId = null, walletRequestId = null, paymentId = null, memo = null, actorId = null }) => {
+    if (!LEDGER_ENTRY_TYPES.includes(type)) {
+        throw new Error(`Unknown ledger entry type '${type}'.`);
+    }
+
+    const movements = transfers
+        .map(t => ({ ...t, amount: roundMoney(parseFloat(t.amount)) }))
+        .filter(t => t.amount > 0);
+    if (movements.length === 0) {
+        return null;
+    }
+
+    const journalResult = await client.query(
+        `INSERT INTO ledger_journals (entry_type, booking_id, wallet_request_id, payment_id, memo, created_by)
+         VALUES ($1, $2, $3, $4, $5, $6) RETURNING id`,
+        [type, bookingId, walletRequestId, paymentId, memo, actorId]
+    );
+    const journalId = journalResult.rows[0].id;
+
+    // Net change per user: { userId: { balance, held_balance } }
+    const walletChanges = {};
+    const track = (ref, change) => {
+        if (ref.kind !== 'wallet' && ref.kind !== 'escrow') return;
+        const entry = walletChanges[ref.userId] || (walletChanges[ref.userId] = { balance: 0, held_balance: 0 });
+        entry[ref.kind === 'wallet' ? 'balance' : 'held_balance'] += change;
+    };
+
+    for (const { from, to, amount } of movements) {
+        const fromId = await getAccountId(client, from);
+        const toId = await getAccountId(client, to);
+        await client.query(
+            `INSERT INTO ledger_entries (journal_id, account_id, direction, amount)
+             VALUES ($1, $2, 'debit', $4), ($1, $3, 'credit', $4)`,
+            [journalId, fromId, toId, amount]
+        );
+        track(from, -amount);
+        track(to, amount);
+    }
+
+    for (const [userId, change] of Object.entries(walletChanges)) {
+        const walletResult = await client.query(
+            `INSERT INTO wallets (user_id, balance, held_balance) VALUES ($1, $2, $3)
+             ON CONFLICT (user_id) DO UPDATE SET
+                 balance = wallets.balance + EXCLUDED.balance,
+                 held_balance = wallets.held_balance + EXCLUDED.held_balance,
+                 updated_at = CURRENT_TIMESTAMP
+             RETURNING balance, held_balance`,
+            [userId, roundMoney(change.balance), roundMoney(change.held_balance)]
+        );
+        const { balance, held_balance } = walletResult.rows[0];
+        if (parseFloat(balance) < 0 || parseFloat(held_balance) < 0) {
+            throw new Error(`Ledger posting '${type}' would overdraw the wallet of user ${userId}.`);
+        }
+    }
+
+    return journalId;
+};
+
+/**
+ * @function verifyLedger
+ * @desc Checks that every journal balances, that the cached wallet and held balances match their
+ *       ledger accounts, and that each customer's escrow account matches their open booking holds.
+ * @returns {{ ok: boolean, unbalanced_journals, balance_mismatches, escrow_mismatches, trial_balance }}
+ */
+const verifyLedger = async (db) => {
+    const unbalanced = await db.query(
+        `SELECT journal_id, SUM(CASE WHEN direction = 'debit' THEN amount ELSE -amount END) AS difference
+         FROM ledger_entries
+         GROUP BY journal_id
+         HAVING SUM(CASE WHEN direction = 'debit' THEN amount ELSE -amount END) <> 0
+         ORDER BY journal_id`
+    );
+
+    const mismatches = await db.query(
+        `WITH ledger AS (
+             SELECT a.user_id,
+                    SUM(CASE WHEN a.kind = 'wallet' THEN CASE WHEN e.direction = 'credit' THEN e.amount ELSE -e.amount END ELSE 0 END) AS balance,
+                    SUM(CASE WHEN a.kind = 'escrow' THEN CASE WHEN e.direction = 'credit' THEN e.amount ELSE -e.amount END ELSE 0 END) AS held_balance
+             FROM ledger_accounts a
+             JOIN ledger_entries e ON e.account_id = a.id
+             WHERE a.user_id IS NOT NULL
+             GROUP BY a.user_id
+         )
+         SELECT COALESCE(w.user_id, l.user_id) AS user_id,
+                COALESCE(w.balance, 0) AS cached_balance, COALESCE(l.balance, 0) AS ledger_balance,
+                COALESCE(w.held_balance, 0) AS cached_held_balance, COALESCE(l.held_balance, 0) AS ledger_held_balance
+         FROM wallets w
+         FULL JOIN ledger l ON l.user_id = w.user_id
+         WHERE COALESCE(w.balance, 0) <> COALESCE(l.balance, 0)
+            OR COALESCE(w.held_balance, 0) <> COALESCE(l.held_balance, 0)
+         ORDER BY 1`
+    );
+
+    const escrowMismatches = await db.query(
+        `WITH holds AS (
+             SELECT customer_id AS user_id, SUM(amount) AS held
+             FROM booking_escrow WHERE status = 'held'
+             GROUP BY customer_id
+         ), ledger AS (
+             SELECT a.user_id, SUM(CASE WHEN e.direction = 'credit' THEN e.amount ELSE -e.amount END) AS held
+             FROM ledger_accounts a
+             JOIN ledger_entries e ON e.account_id = a.id
+             WHERE a.kind = 'escrow'
+             GROUP BY a.user_id
+         )
+         SELECT COALESCE(h.user_id, l.user_id) AS user_id, COALESCE(h.held, 0) AS open_holds, COALESCE(l.held, 0) AS ledger_held
+         FROM holds h
+         FULL JOIN ledger l ON l.user_id = h.user_id
+         WHERE COALESCE(h.held, 0) <> COALESCE(l.held, 0)
+         ORDER BY 1`
+    );
+
+    const trialBalance = await db.query(
+        `SELECT a.kind,
+                COALESCE(SUM(e.amount) FILTER (WHERE e.direction = 'debit'), 0) AS debits,
+                COALESCE(SUM(e.amount) FILTER (WHERE e.direction = 'credit'), 0) AS credits
+         FROM ledger_accounts a
+         LEFT JOIN ledger_entries e ON e.account_id = a.id
+         GROUP BY a.kind
+         ORDER BY a.kind`
+    );
+
+    return {
+        ok: unbalanced.rows.length === 0 && mismatches.rows.length === 0 && escrowMismatches.rows.length === 0,
+        unbalanced_journals: unbalanced.rows,
+        balance_mismatches: mismatches.rows,
+        escrow_mismatches: escrowMismatches.rows,
+        trial_balance: trialBalance.rows,
+    };
+};
+
+module.exports = {
+    LEDGER_ENTRY_TYPES,
+    CASH,
+    COMMISSION,
+    walletOf,
+    escrowOf,
+    getAvailableBalance,
+    postJournal,
+    verifyLedger,
+};
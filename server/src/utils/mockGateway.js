@@ -0,0 +1,89 @@
+// backend/src/utils/mockGateway.js
+
+const crypto = require('crypto');
+require('dotenv').config();
+
+// --- MOCK PAYMENT GATEWAY ---
+// A local stand-in for a real gateway, so online top-ups can be tried end to end without network
+// access or merchant keys. Its checkout page is served by this API (see mockGatewayRoutes, mounted
+// only when the mock is enabled), and choosing "Pay" or "Fail" there applies the matching event directly. Webhooks sent to /payments/webhooks/mock
+// (e.g. by a test harness) must be signed with MOCK_GATEWAY_SECRET the way a real gateway signs
+// them (HMAC-SHA256 of the raw request body, hex encoded).
+// Paying on the mock moves no real money, so it is off unless MOCK_GATEWAY_ENABLED=true, it refuses
+// to start in production, and it has no default secret.
+const MOCK_GATEWAY_ENABLED = process.env.MOCK_GATEWAY_ENABLED === 'true';
+const MOCK_GATEWAY_SECRET = process.env.MOCK_GATEWAY_SECRET;
+
+if (MOCK_GATEWAY_ENABLED && process.env.NODE_ENV === 'production') {
+    throw new Error('MOCK_GATEWAY_ENABLED must not be set in production: the mock gateway credits wallets without real payments.');
+}
+if (MOCK_GATEWAY_ENABLED && !MOCK_GATEWAY_SECRET) {
+    throw new Error('MOCK_GATEWAY_SECRET is required when MOCK_GATEWAY_ENABLED is set.');
+}
+const SIGNATURE_HEADER = 'x-mock-gateway-signature';
+
+const randomId = (prefix) => `${prefix}_${crypto.randomBytes(8).toString('hex')}`;
+
+const sign = (rawBody) => crypto.createHmac('sha256', MOCK_GATEWAY_SECRET).update(rawBody).digest('hex');
+
+/**
+ * @function createOrder
+ * @desc Opens an order on the gateway. The order id is random and doubles as the checkout page's credential.
+ * @returns {{ gatewayOrderId: string, checkoutUrl: string }}
+ */
+const createOrder = async ({ baseUrl }) => {
+    const gatewayOrderId = randomId('mock_order');
+    return { gatewayOrderId, checkoutUrl: `${baseUrl}/api/v1/payments/mock-gateway/checkout/${gatewayOrderId}` };
+};
+
+/**
+ * @function verifyWebhook
+ * @desc Checks the signature header against the raw body, in constant time.
+ */
+const verifyWebhook = (rawBody, headers) => {
+    const signature = headers[SIGNATURE_HEADER];
+    if (!MOCK_GATEWAY_ENABLED || !rawBody || typeof signature !== 'string') return false;
+
+    const expected = Buffer.from(sign(rawBody));
+    const received = Buffer.from(signature);
+    return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+};
+
+/**
+ * @function parseWebhook
+ * @desc Maps the mock gateway's event body to the common event shape (see utils/paymentGateway).
+ */
+const parseWebhook = (body) => ({
+    eventId: body.id,
+    type: body.type,
+    gatewayOrderId: body.data?.order_id,
+    gatewayPaymentId: body.data?.payment_id || null,
+    amount: body.data?.amount,
+    failureReason: body.data?.failure_reason || null,
+});
+
+/**
+ * @function buildCheckoutEvent
+ * @desc The event body for a customer paying or declining on the mock checkout page.
+ * @returns {object} a webhook body, as parseWebhook expects it
+ */
+const buildCheckoutEvent = (order, succeeded) => ({
+    id: randomId('mock_evt'),
+    type: succeeded ? 'payment.succeeded' : 'payment.failed',
+    data: {
+        order_id: order.gateway_order_id,
+        payment_id: succeeded ? randomId('mock_pay') : null,
+        amount: parseFloat(order.amount),
+        failure_reason: succeeded ? null : 'Declined on the mock checkout page.',
+    },
+});
+
+module.exports = {
+    name: 'mock',
+    enabled: MOCK_GATEWAY_ENABLED,
+    label: 'Test gateway (offline)',
+    createOrder,
+    verifyWebhook,
+    parseWebhook,
+    buildCheckoutEvent,
+};
@@ -0,0 +1,171 @@
+// backend/src/utils/paymentGateway.js
+
+const pool = require('../config/db');
+const { sendEmail } = require('../config/nodemailer');
+const mockGateway = require('./mockGateway');
+const { CASH, postJournal, walletOf } = require('./ledger');
+require('dotenv').config();
+
+// --- ONLINE WALLET TOP-UPS ---
+// A customer tops up their wallet by creating a gateway order, paying on the gateway's checkout page,
+// and waiting for the gateway's webhook, which is the only thing that credits the wallet. The flow
+// does not depend on which gateway is used; each one is an adapter exposing:
+//   name, label
+//   createOrder({ amount, currency, userId, baseUrl }) -> { gatewayOrderId, checkoutUrl }
+//   verifyWebhook(rawBody, headers) -> boolean
+//   parseWebhook(body) -> { eventId, type, gatewayOrderId, gatewayPaymentId, amount, failureReason }
+//     where type is 'payment.succeeded' or 'payment.failed' (other events are stored and ignored)
+// PAYMENT_GATEWAY picks the adapter for new orders. The offline mock is registered only when it is
+// explicitly enabled, and is then the default; with no gateway, online top-ups answer 503. Manual
+// screenshot deposits approved by an admin keep working alongside.
+const PAYMENT_GATEWAYS = {
+    ...(mockGateway.enabled ? { [mockGateway.name]: mockGateway } : {}),
+};
+
+const ACTIVE_PAYMENT_GATEWAY = process.env.PAYMENT_GATEWAY || (mockGateway.enabled ? mockGateway.name : null);
+
+const MAX_GATEWAY_DEPOSIT = 100000;
+
+const getPaymentGateway = (name = ACTIVE_PAYMENT_GATEWAY) => PAYMENT_GATEWAYS[name] || null;
+
+/**
+ * @function validateDepositAmount
+ * @desc A top-up must be a positive rupee amount with at most two decimals, up to MAX_GATEWAY_DEPOSIT.
+ * @returns {{ error: string }|{ amount: number }}
+ */
+const validateDepositAmount = (value) => {
+    const amount = Number(value);
+    if (!Number.isFinite(amount) || amount <= 0 || Math.abs(Math.round(amount * 100) - amount * 100) > 1e-6) {
+        return { error: 'Enter an amount in rupees, e.g. 500 or 499.50.' };
+    }
+    if (amount > MAX_GATEWAY_DEPOSIT) {
+        return { error: `Online top-ups are limited to ₹${MAX_GATEWAY_DEPOSIT} at a time.` };
+    }
+    return { amount };
+};
+
+/**
+ * @function applyGatewayEvent
+ * @desc Applies one verified webhook event, exactly once. Must be called inside an open transaction.
+ *       A repeated event id is ignored; a success for an order that is already paid is ignored too,
+ *       so retried or duplicated deliveries never credit twice. A successful payment becomes an
+ *       approved 'gateway' deposit request with its 'deposit' ledger journal.
+ * @returns {{ outcome: 'duplicate'|'unknown_order'|'ignored'|'credited'|'failed', order?: object }}
+ */
+const applyGatewayEvent = async (client, gatewayName, event, payload) => {
+    const eventResult = await client.query(
+        `INSERT INTO gateway_webhook_events (gateway, event_id, event_type, payload)
+         VALUES ($1, $2, $3, $4)
+         ON CONFLICT (gateway, event_id) DO NOTHING
+         RETURNING id`,
+        [gatewayName, event.eventId, event.type, payload]
+    );
+    if (eventResult.rows.length === 0) {
+        return { outcome: 'duplicate' };
+    }
+
+    const orderResult = await client.query(
+        'SELECT * FROM gateway_orders WHERE gateway = $1 AND gateway_order_id = $2 FOR UPDATE',
+        [gatewayName, event.gatewayOrderId]
+    );
+    const order = orderResult.rows[0];
+    if (!order) {
+        return { outcome: 'unknown_order' };
+    }
+
+    if (event.type === 'payment.succeeded' && order.status !== 'paid') {
+        if (Math.round(parseFloat(event.amount) * 100) !== Math.round(parseFloat(order.amount) * 100)) {
+            await client.query(
+                "UPDATE gateway_orders SET status = 'failed', failure_reason = $2, updated_at = CURRENT_TIMESTAMP WHERE id = $1",
+                [order.id, `Paid amount ₹${event.amount} does not match the order amount; contact support.`]
+            );
+            return { outcome: 'failed', order };
+        }
+
+        const requestResult = await client.query(
+            `INSERT INTO wallet_requests (user_id, type, amount, transaction_reference, status, processed_at, source)
+             VALUES ($1, 'deposit', $2, $3, 'approved', CURRENT_TIMESTAMP, 'gateway')
+             RETURNING id`,
+            [order.user_id, order.amount, event.gatewayPaymentId]
+        );
+        const walletRequestId = requestResult.rows[0].id;
+
+        await postJournal(client, {
+            type: 'deposit',
+            walletRequestId,
+            memo: `Paid online (${gatewayName} ${event.gatewayPaymentId})`,
+            transfers: [{ from: CASH, to: walletOf(order.user_id), amount: order.amount }],
+        });
+
+        const paidResult = await client.query(
+            `UPDATE gateway_orders
+             SET status = 'paid', gateway_payment_id = $2, wallet_request_id = $3, failure_reason = NULL, updated_at = CURRENT_TIMESTAMP
+             WHERE id = $1
+             RETURNING *`,
+            [order.id, event.gatewayPaymentId, walletRequestId]
+        );
+        return { outcome: 'credited', order: paidResult.rows[0] };
+    }
+
+    if (event.type === 'payment.failed' && order.status === 'created') {
+        await client.query(
+            "UPDATE gateway_orders SET status = 'failed', failure_reason = $2, updated_at = CURRENT_TIMESTAMP WHERE id = $1",
+            [order.id, event.failureReason || 'The payment was not completed.']
+        );
+        return { outcome: 'failed', order };
+    }
+
+    return { outcome: 'ignored', order };
+};
+
+/**
+ * @function processGatewayEvent
+ * @desc Applies a verified event in its own transaction (see applyGatewayEvent) and emails the
+ *       customer when it credited their wallet or failed their order. Throws if the transaction fails.
+ * @returns {{ outcome: string, order?: object }}
+ */
+const processGatewayEvent = async (gatewayName, event, payload) => {
+    const client = await pool.connect();
+    let result;
+
+    try {
+        await client.query('BEGIN');
+        result = await applyGatewayEvent(client, gatewayName, event, payload);
+        await client.query('COMMIT');
+    } catch (err) {
+        await client.query('ROLLBACK');
+        throw err;
+    } finally {
+        client.release();
+    }
+
+    if (result.outcome === 'credited' || result.outcome === 'failed') {
+        const userResult = await pool.query('SELECT email FROM users WHERE id = $1', [result.order.user_id]);
+        const email = userResult.rows[0]?.email;
+        const amount = parseFloat(result.order.amount).toFixed(2);
+        if (email && result.outcome === 'credited') {
+            await sendEmail(email, 'Service Connect: Wallet Top-Up Received', `
+                <h2>Wallet Top-Up Received</h2>
+                <p>Your online payment of <strong>₹${amount}</strong> was successful and has been added to your wallet.</p>
+                <p>Payment reference: ${result.order.gateway_payment_id}</p>
+            `);
+        } else if (email) {
+            await sendEmail(email, 'Service Connect: Wallet Top-Up Failed', `
+                <h2>Wallet Top-Up Failed</h2>
+                <p>Your online payment of ₹${amount} did not go through, so your wallet was not charged or credited.</p>
+                <p>You can try again, or use a manual deposit from your wallet page.</p>
+            `);
+        }
+    }
+
+    return result;
+};
+
+module.exports = {
+    ACTIVE_PAYMENT_GATEWAY,
+    MAX_GATEWAY_DEPOSIT,
+    getPaymentGateway,
+    validateDepositAmount,
+    applyGatewayEvent,
+    processGatewayEvent,
+};
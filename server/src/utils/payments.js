@@ -0,0 +1,248 @@
+// backend/src/utils/payments.js
+
+const { transitionBooking } = require('./bookingLifecycle');
+const { captureHeldFunds } = require('./escrow');
+const { COMMISSION, getAvailableBalance, postJournal, walletOf } = require('./ledger');
+const { getBookingCommission } = require('./commission');
+const { issueInvoice } = require('./invoices');
+
+// --- PAYMENT CAPTURE ---
+// Paying for a completed booking closes it: the customer is debited (from the escrow hold if one
+// was taken, otherwise from the available wallet balance), the provider is credited with the amount
+// less the platform commission (see utils/commission), and a payment row is logged. Used by POST /payments when the customer confirms the job, and by the booking
+// expiry job when the confirmation window runs out. Must be called inside an open transaction.
+// A customer paying by hand can add a tip, which always comes from the available wallet balance
+// (never the escrow hold) and is posted as its own 'tip' ledger journal. Every payment is issued
+// its invoice in the same transaction (see utils/invoices).
+const MAX_TIP_PERCENT = 100;
+
+const roundMoney = (value) => Math.round(value * 100) / 100;
+
+const isBlank = (value) => value === undefined || value === null || value === '';
+
+/**
+ * @function calculateTip
+ * @desc Validates an optional tip given as a percentage of the booking amount or as a fixed amount.
+ *       A tip may not exceed MAX_TIP_PERCENT of the booking amount.
+ * @returns {{ error: string }|{ tip: number }}
+ */
+const calculateTip = (bookingAmount, { tip_percent, tip_amount } = {}) => {
+    const amount = parseFloat(bookingAmount);
+    const maxTip = roundMoney(amount * MAX_TIP_PERCENT / 100);
+
+    if (!isBlank(tip_percent) && !isBlank(tip_amount)) {
+        return { error: 'Give either tip_percent or tip_amount, not both.' };
+    }
+    if (!isBlank(tip_percent)) {
+        const percent = Number(tip_percent);
+        if (!Number.isFinite(percent) || percent < 0 || percent > MAX_TIP_PERCENT) {
+            return { error: `tip_percent must be between 0 and ${MAX_TIP_PERCENT}.` };
+        }
+        return { tip: roundMoney(amount * percent / 100) };
+    }
+    if (!isBlank(tip_amount)) {
+        const tip = Number(tip_amount);
+        if (!Number.isFinite(tip) || tip < 0) {
+            return { error: 'tip_amount must be a positive number.' };
+        }
+        if (roundMoney(tip) > maxTip) {
+            return { error: `A tip cannot be more than ₹${maxTip.toFixed(2)}.` };
+        }
+        return { tip: roundMoney(tip) };
+    }
+    return { tip: 0 };
+};
+
+// Builds the receipt email body from the accepted quote (itemized or lump sum), plus the tip if one was given
+const buildReceiptHtml = (booking_id, transactionId, paymentAmount, quote, tipAmount = 0) => {
+    const rows = (quote?.items || []).map(item => `
+        <tr>
+            <td>${item.description || item.item_type.replace('_', ' ')}</td>
+            <td>${parseFloat(item.quantity)} x ₹${parseFloat(item.unit_price).toFixed(2)}</td>
+            <td style="text-align:right">₹${parseFloat(item.line_total).toFixed(2)}</td>
+        </tr>`).join('');
+    const taxRow = quote && parseFloat(quote.tax_amount) > 0
+        ? `<tr><td colspan="2">GST (${parseFloat(quote.tax_percent)}%)</td><td style="text-align:right">₹${parseFloat(quote.tax_amount).toFixed(2)}</td></tr>`
+        : '';
+    const tipRows = tipAmount > 0
+        ? `<tr><td colspan="2">Service Total</td><td style="text-align:right">₹${paymentAmount.toFixed(2)}</td></tr>
+            <tr><td colspan="2">Tip for your provider</td><td style="text-align:right">₹${tipAmount.toFixed(2)}</td></tr>`
+        : '';
+
+    return `
+        <h2>Payment Receipt - Booking ${booking_id}</h2>
+        <p>Transaction ID: ${transactionId}</p>
+        <table cellpadding="4">
+            ${rows}
+            ${taxRow}
+            ${tipRows}
+            <tr><td colspan="2"><strong>Total Paid</strong></td><td style="text-align:right"><strong>₹${(paymentAmount + tipAmount).toFixed(2)}</strong></td></tr>
+        </table>
+    `;
+};
+
+// Payments in these statuses hold captured money (and can still be refunded, up to what is left)
+const CAPTURED_PAYMENT_STATUSES = ['succeeded', 'partially_refunded', 'refunded'];
+
+/**
+ * @function capturePayment
+ * @desc Takes payment for a locked, completed booking and moves it to 'closed'. A booking is only
+ *       ever paid once: one that already has a captured payment is refused.
+ * @param booking - needs id, customer_id, provider_id, booking_status, amount
+ * @param options.actor - who the closing is recorded against (req.user or SYSTEM_ACTOR)
+ * @param options.reason - prefix for the status history entry, e.g. 'Payment captured'
+ * @param options.tip - optional tip from calculateTip, paid on top from the available balance
+ * @returns {{ error: string }|{ transactionId: string, paymentAmount: number, tipAmount: number, commissionAmount: number, providerAmount: number, invoice }}
+ */
+const capturePayment = async (client, booking, { actor, reason = 'Payment captured', tip = 0 }) => {
+    const paymentAmount = parseFloat(booking.amount);
+    if (isNaN(paymentAmount) || paymentAmount <= 0) {
+        return { error: 'Payment amount is invalid or zero.' };
+    }
+
+    const paidResult = await client.query(
+        'SELECT 1 FROM payments WHERE booking_id = $1 AND status = ANY($2) LIMIT 1',
+        [booking.id, CAPTURED_PAYMENT_STATUSES]
+    );
+    if (paidResult.rows.length > 0) {
+        return { error: `Booking #${booking.id} has already been paid.` };
+    }
+
+    const providerUserResult = await client.query('SELECT user_id FROM providers WHERE id = $1', [booking.provider_id]);
+    const provider_user_id = providerUserResult.rows[0]?.user_id;
+
+    if (!provider_user_id) {
+        throw new Error(`Provider account user ID not found for booking ${booking.id}.`);
+    }
+
+    const { rule, commission, providerAmount } = await getBookingCommission(client, booking.id, paymentAmount);
+
+    // 1. Pay the provider out of the escrow hold taken when the quote was accepted, if there is one
+    const escrow = await captureHeldFunds(client, booking.id, paymentAmount, provider_user_id, { commission, actorId: actor.id });
+
+    if (!escrow) {
+        // 2. No hold (e.g. later visits of a recurring series): pay from the available wallet balance
+        const { available: customerBalance } = await getAvailableBalance(client, booking.customer_id);
+
+        if (customerBalance < paymentAmount + tip) {
+            return { error: `Insufficient wallet balance. Required: ₹${(paymentAmount + tip).toFixed(2)}` };
+        }
+
+        await postJournal(client, {
+            type: 'booking_payment',
+            bookingId: booking.id,
+            actorId: actor.id,
+            transfers: [
+                { from: walletOf(booking.customer_id), to: walletOf(provider_user_id), amount: providerAmount },
+                { from: walletOf(booking.customer_id), to: COMMISSION, amount: commission },
+            ],
+        });
+    }
+
+    // 3. Pay the tip from the available balance (anything left of the hold was just returned to it)
+    if (tip > 0) {
+        const { available } = await getAvailableBalance(client, booking.customer_id);
+
+        if (available < tip) {
+            return { error: `Insufficient wallet balance for the tip. Available: ₹${available.toFixed(2)}, tip: ₹${tip.toFixed(2)}` };
+        }
+
+        await postJournal(client, {
+            type: 'tip',
+            bookingId: booking.id,
+            actorId: actor.id,
+            transfers: [{ from: walletOf(booking.customer_id), to: walletOf(provider_user_id), amount: tip }],
+        });
+    }
+
+    // 4. Log Payment (and its invoice) and Update Booking Status to closed
+    const transactionId = `txn_${Date.now()}${Math.random().toString(36).substring(2, 8)}`;
+    const paymentResult = await client.query(
+        `INSERT INTO payments (booking_id, amount, tip_amount, commission_amount, commission_rule_id, status, gateway_transaction_id, paid_at)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, CURRENT_TIMESTAMP)
+         RETURNING id`,
+        [booking.id, paymentAmount, tip, commission, rule?.id || null, 'succeeded', transactionId]
+    );
+    const invoice = await issueInvoice(client, paymentResult.rows[0].id);
+    await transitionBooking(client, booking, 'closed', {
+        actor,
+        reason: `${reason} (${transactionId}).`,
+    });
+
+    return { transactionId, paymentAmount, tipAmount: tip, commissionAmount: commission, providerAmount, invoice };
+};
+
+/**
+ * @function refundPayment
+ * @desc Gives back all or part of a captured payment to the customer's wallet. The provider and the
+ *       platform give back their shares in proportion to the original split; the last refund takes
+ *       back exactly what is left of the commission. Tips are not refunded.
+ *       Must be called inside an open transaction, with the payment row locked.
+ * @param payment - needs id, booking_id, amount, commission_amount, refunded_amount, refunded_commission,
+ *                  customer_id and provider_user_id
+ * @param options.amount - amount to refund; the whole remaining amount if omitted
+ * @returns {{ error: string }|{ refund, status: string, remaining: number }}
+ */
+const refundPayment = async (client, payment, { amount, reason, actor }) => {
+    const gross = parseFloat(payment.amount);
+    const refundable = roundMoney(gross - parseFloat(payment.refunded_amount));
+    if (refundable <= 0) {
+        return { error: 'This payment has already been refunded in full.' };
+    }
+
+    const refundAmount = isBlank(amount) ? refundable : roundMoney(Number(amount));
+    if (!Number.isFinite(refundAmount) || refundAmount <= 0 || refundAmount > refundable) {
+        return { error: `The refund must be more than ₹0 and at most the ₹${refundable.toFixed(2)} still refundable.` };
+    }
+
+    const commissionLeft = roundMoney(parseFloat(payment.commission_amount) - parseFloat(payment.refunded_commission));
+    const commissionShare = refundAmount === refundable
+        ? commissionLeft
+        : roundMoney(Math.min(parseFloat(payment.commission_amount) * refundAmount / gross, commissionLeft));
+    const providerShare = roundMoney(refundAmount - commissionShare);
+
+    const { available: providerBalance, reserved } = await getAvailableBalance(client, payment.provider_user_id);
+    if (providerBalance < providerShare) {
+        const reservedNote = reserved > 0 ? ` (₹${reserved.toFixed(2)} more is reserved by their pending withdrawal requests)` : '';
+        return { error: `The provider's available balance (₹${providerBalance.toFixed(2)})${reservedNote} cannot cover their ₹${providerShare.toFixed(2)} share of this refund.` };
+    }
+
+    const journalId = await postJournal(client, {
+        type: 'refund',
+        bookingId: payment.booking_id,
+        paymentId: payment.id,
+        actorId: actor.id,
+        memo: reason,
+        transfers: [
+            { from: walletOf(payment.provider_user_id), to: walletOf(payment.customer_id), amount: providerShare },
+            { from: COMMISSION, to: walletOf(payment.customer_id), amount: commissionShare },
+        ],
+    });
+
+    const refundResult = await client.query(
+        `INSERT INTO payment_refunds (payment_id, booking_id, amount, provider_amount, commission_amount, reason, journal_id, refunded_by)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+         RETURNING *`,
+        [payment.id, payment.booking_id, refundAmount, providerShare, commissionShare, reason, journalId, actor.id]
+    );
+
+    const remaining = roundMoney(refundable - refundAmount);
+    const status = remaining === 0 ? 'refunded' : 'partially_refunded';
+    await client.query(
+        `UPDATE payments
+         SET refunded_amount = refunded_amount + $2, refunded_commission = refunded_commission + $3, status = $4
+         WHERE id = $1`,
+        [payment.id, refundAmount, commissionShare, status]
+    );
+
+    return { refund: refundResult.rows[0], status, remaining };
+};
+
+module.exports = {
+    MAX_TIP_PERCENT,
+    CAPTURED_PAYMENT_STATUSES,
+    calculateTip,
+    buildReceiptHtml,
+    capturePayment,
+    refundPayment,
+};
@@ -0,0 +1,85 @@
+// backend/src/utils/pdf.js
+
+// --- PLAIN-TEXT PDF ---
+// Just enough of PDF 1.4 to print reports: monospaced text lines on A4 pages, split into pages
+// automatically. Courier keeps columns aligned without measuring text. Only Latin-1 can be shown
+// with the built-in fonts, so the rupee sign is written as "Rs." and anything else becomes '?'.
+const PAGE_WIDTH = 595;   // A4 in points
+const PAGE_HEIGHT = 842;
+const MARGIN = 40;
+const FONT_SIZE = 9;
+const LINE_HEIGHT = 12;
+const LINES_PER_PAGE = Math.floor((PAGE_HEIGHT - 2 * MARGIN) / LINE_HEIGHT);
+// Courier glyphs are 0.6 em wide
+const PDF_LINE_WIDTH = Math.floor((PAGE_WIDTH - 2 * MARGIN) / (FONT_SIZE * 0.6));
+
+const toPdfText = (value) => String(value ?? '')
+    .replace(/₹/g, 'Rs.')
+    .replace(/[^\x20-\x7e\xa0-\xff]/g, '?')
+    .replace(/\\/g, '\\\\')
+    .replace(/\(/g, '\\(')
+    .replace(/\)/g, '\\)');
+
+/**
+ * @function buildTextPdf
+ * @desc Lays out text lines (at most PDF_LINE_WIDTH characters each; longer ones are cut) on as many
+ *       pages as needed, with "Page n of m" at the foot of each page.
+ * @returns {Buffer} the PDF file
+ */
+const buildTextPdf = (lines, { title = 'Document' } = {}) => {
+    const pages = [];
+    for (let i = 0; i < Math.max(lines.length, 1); i += LINES_PER_PAGE - 2) {
+        pages.push(lines.slice(i, i + LINES_PER_PAGE - 2));
+    }
+
+    // Object numbers: 1 catalog, 2 page tree, 3 font, 4 info, then a page and its content stream per page
+    const objects = [];
+    const pageIds = pages.map((_, index) => 5 + index * 2);
+
+    objects[1] = '<< /Type /Catalog /Pages 2 0 R >>';
+    objects[2] = `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pages.length} >>`;
+    objects[3] = '<< /Type /Font /Subtype /Type1 /BaseFont /Courier /Encoding /WinAnsiEncoding >>';
+    objects[4] = `<< /Title (${toPdfText(title)}) /Producer (Service Connect) >>`;
+
+    pages.forEach((pageLines, index) => {
+        const footer = `Page ${index + 1} of ${pages.length}`;
+        const text = [
+            'BT',
+            `/F1 ${FONT_SIZE} Tf`,
+            `${LINE_HEIGHT} TL`,
+            `${MARGIN} ${PAGE_HEIGHT - MARGIN - FONT_SIZE} Td`,
+            ...pageLines.map(line => `(${toPdfText(line.slice(0, PDF_LINE_WIDTH))}) Tj T*`),
+            'ET',
+            'BT',
+            `/F1 ${FONT_SIZE} Tf`,
+            `${PAGE_WIDTH - MARGIN - footer.length * FONT_SIZE * 0.6} ${MARGIN - FONT_SIZE} Td`,
+            `(${footer}) Tj`,
+            'ET',
+        ].join('\n');
+
+        const pageId = pageIds[index];
+        objects[pageId] = `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] /Resources << /Font << /F1 3 0 R >> >> /Contents ${pageId + 1} 0 R >>`;
+        objects[pageId + 1] = `<< /Length ${Buffer.byteLength(text, 'latin1')} >>\nstream\n${text}\nendstream`;
+    });
+
+    let pdf = '%PDF-1.4\n';
+    const offsets = [];
+    for (let id = 1; id < objects.length; id++) {
+        offsets[id] = Buffer.byteLength(pdf, 'latin1');
+        pdf += `${id} 0 obj\n${objects[id]}\nendobj\n`;
+    }
+
+    const xrefOffset = Buffer.byteLength(pdf, 'latin1');
+    pdf += `xref\n0 ${objects.length}\n0000000000 65535 f \n`;
+    for (let id = 1; id < objects.length; id++) {
+        pdf += `${String(offsets[id]).padStart(10, '0')} 00000 n \n`;
+    }
+    pdf += `trailer\n<< /Size ${objects.length} /Root 1 0 R /Info 4 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`;
+
+    return Buffer.from(pdf, 'latin1');
+};
+
+module.exports = {
+    PDF_LINE_WIDTH,
+    buildTextPdf,
+};
@@ -0,0 +1,82 @@
+// backend/src/utils/quoteCalculator.js
+
+// --- ITEMIZED QUOTES ---
+// Providers build a quote from line items; the server always recomputes the totals
+// so the amount the customer confirms matches the breakdown they were shown.
+const QUOTE_ITEM_TYPES = ['labor', 'material', 'visit_charge', 'discount'];
+const MAX_TAX_PERCENT = 28; // Highest GST slab
+
+const roundMoney = (value) => Math.round(value * 100) / 100;
+
+/**
+ * @function calculateQuote
+ * @desc Validates line items ({ item_type, description, quantity, unit_price }) and a GST rate,
+ *       then computes each line total, the subtotal (after discounts), the tax and the grand total.
+ *       Discount lines are entered as positive amounts and subtracted.
+ * @returns {{ error: string }|{ lines: Array, subtotal: number, tax_percent: number, tax_amount: number, total: number }}
+ */
+const calculateQuote = (items, taxPercent = 0) => {
+    if (!Array.isArray(items) || items.length === 0) {
+        return { error: 'A quote needs at least one line item.' };
+    }
+    const tax_percent = Number(taxPercent || 0);
+    if (!Number.isFinite(tax_percent) || tax_percent < 0 || tax_percent > MAX_TAX_PERCENT) {
+        return { error: `GST must be between 0 and ${MAX_TAX_PERCENT} percent.` };
+    }
+
+    const lines = [];
+    for (const item of items) {
+        const quantity = item.quantity === undefined || item.quantity === '' ? 1 : Number(item.quantity);
+        const unit_price = Number(item.unit_price);
+
+        if (!QUOTE_ITEM_TYPES.includes(item.item_type)) {
+            return { error: `Unknown quote item type '${item.item_type}'.` };
+        }
+        if (!Number.isFinite(quantity) || quantity <= 0 || !Number.isFinite(unit_price) || unit_price < 0) {
+            return { error: 'Each quote item needs a positive quantity and a non-negative price.' };
+        }
+
+        const amount = roundMoney(quantity * unit_price);
+        lines.push({
+            item_type: item.item_type,
+            description: item.description || null,
+            quantity,
+            unit_price,
+            line_total: item.item_type === 'discount' ? -amount : amount,
+        });
+    }
+
+    const subtotal = roundMoney(lines.reduce((sum, line) => sum + line.line_total, 0));
+    if (subtotal <= 0) {
+        return { error: 'The quote total must be greater than zero after discounts.' };
+    }
+    const tax_amount = roundMoney(subtotal * tax_percent / 100);
+
+    return { lines, subtotal, tax_percent, tax_amount, total: roundMoney(subtotal + tax_amount) };
+};
+
+/**
+ * @function loadAcceptedQuote
+ * @desc Returns the quote the customer accepted for a booking, with its line items (empty for lump-sum quotes), or null.
+ */
+const loadAcceptedQuote = async (db, booking_id) => {
+    const result = await db.query(
+        `SELECT q.id, q.amount, q.subtotal, q.tax_percent, q.tax_amount, q.message, q.created_at,
+                COALESCE((
+                    SELECT json_agg(i ORDER BY i.id)
+                    FROM (SELECT id, item_type, description, quantity, unit_price, line_total FROM booking_quote_items WHERE quote_id = q.id) i
+                ), '[]'::json) AS items
+         FROM booking_quotes q
+         WHERE q.booking_id = $1 AND q.offer_role = 'provider' AND q.status = 'accepted'
+         ORDER BY q.created_at DESC, q.id DESC
+         LIMIT 1`,
+        [booking_id]
+    );
+    return result.rows[0] || null;
+};
+
+module.exports = {
+    QUOTE_ITEM_TYPES,
+    calculateQuote,
+    loadAcceptedQuote,
+};
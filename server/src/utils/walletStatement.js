@@ -0,0 +1,266 @@
+// backend/src/utils/walletStatement.js
+
+const { localMidnight, UTC_OFFSET_MINUTES } = require('./availability');
+const { PDF_LINE_WIDTH, buildTextPdf } = require('./pdf');
+
+// --- WALLET STATEMENT ---
+// A user's statement is the history of their wallet account in the ledger (their available
+// balance), newest first, with the balance after every movement. Escrow holds show as money
+// leaving the available balance and coming back when the hold is returned or released.
+// Lists page with a cursor (the last entry id seen); CSV and PDF exports cover the whole range.
+const DEFAULT_STATEMENT_PAGE_SIZE = 50;
+const MAX_STATEMENT_PAGE_SIZE = 200;
+const MAX_EXPORT_ENTRIES = 5000;
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const roundMoney = (value) => Math.round(value * 100) / 100;
+
+/**
+ * @function parseStatementQuery
+ * @desc Validates from/to (local dates, inclusive), limit and cursor.
+ * @returns {{ error: string }|{ from: Date|null, to: Date|null, limit: number, cursor: number|null }}
+ */
+const parseStatementQuery = (query) => {
+    for (const field of ['from', 'to']) {
+        if (query[field] && !DATE_PATTERN.test(query[field])) {
+            return { error: `'${field}' must be a date in YYYY-MM-DD format.` };
+        }
+    }
+
+    const from = query.from ? localMidnight(query.from) : null;
+    const to = query.to ? new Date(localMidnight(query.to).getTime() + 24 * 3600000) : null;
+    if (from && to && from >= to) {
+        return { error: "'from' must be on or before 'to'." };
+    }
+
+    const limit = query.limit ? Number(query.limit) : DEFAULT_STATEMENT_PAGE_SIZE;
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_STATEMENT_PAGE_SIZE) {
+        return { error: `limit must be between 1 and ${MAX_STATEMENT_PAGE_SIZE}.` };
+    }
+
+    const cursor = query.cursor ? Number(query.cursor) : null;
+    if (query.cursor && !Number.isInteger(cursor)) {
+        return { error: 'Invalid cursor. Start again from the first page.' };
+    }
+
+    return { from, to, limit, cursor };
+};
+
+const bookingLabel = (row) => `booking #${row.booking_id}${row.service_name ? ` (${row.service_name})` : ''}`;
+
+/**
+ * @function describeStatementEntry
+ * @desc Human-readable line for one movement, written from the account holder's side.
+ */
+const describeStatementEntry = (row) => {
+    const credit = parseFloat(row.amount) > 0;
+    const request = row.wallet_request_id ? ` (request #${row.wallet_request_id})` : '';
+
+    switch (row.entry_type) {
+        case 'opening_balance': return 'Balance carried over from the old wallet history';
+        case 'deposit': return `Wallet top-up approved${request}`;
+        case 'withdrawal': return `Withdrawal paid out${request}`;
+        case 'escrow_hold': return `Held in escrow for ${bookingLabel(row)}`;
+        case 'escrow_return': return `Escrow hold returned for ${bookingLabel(row)}`;
+        case 'escrow_release':
+            return row.is_customer
+                ? `Unused escrow returned for ${bookingLabel(row)}`
+                : `Payment received for ${bookingLabel(row)}, after platform fee`;
+        case 'booking_payment':
+            return credit ? `Payment received for ${bookingLabel(row)}, after platform fee` : `Payment for ${bookingLabel(row)}`;
+        case 'tip': return credit ? `Tip received for ${bookingLabel(row)}` : `Tip for ${bookingLabel(row)}`;
+        case 'cancellation_fee':
+            return credit ? `Cancellation fee received for ${bookingLabel(row)}` : `Cancellation fee for ${bookingLabel(row)}`;
+        case 'dispute_settlement':
+            if (row.is_customer && credit) return `Escrow returned after dispute ruling on ${bookingLabel(row)}`;
+            return credit ? `Dispute ruling payment received for ${bookingLabel(row)}` : `Dispute ruling payment for ${bookingLabel(row)}`;
+        case 'refund': return credit ? `Refund for ${bookingLabel(row)}` : `Refund to customer for ${bookingLabel(row)}`;
+        default: return row.entry_type.replace(/_/g, ' ');
+    }
+};
+
+/**
+ * @function loadStatement
+ * @desc Loads movements on a user's wallet account in [from, to), newest first, with the running balance.
+ * @param options - from/to/limit/cursor from parseStatementQuery; limit null loads the whole range
+ * @returns {{ opening_balance, closing_balance, total_credits, total_debits, entry_count, entries, next_cursor }}
+ *          opening/closing are the balances at the start and end of the range
+ */
+const loadStatement = async (db, userId, { from = null, to = null, limit = null, cursor = null }) => {
+    const movements = `
+        WITH movements AS (
+            SELECT e.id, j.created_at, j.entry_type, j.booking_id, j.wallet_request_id, j.memo,
+                   CASE WHEN e.direction = 'credit' THEN e.amount ELSE -e.amount END AS amount,
+                   SUM(CASE WHEN e.direction = 'credit' THEN e.amount ELSE -e.amount END) OVER (ORDER BY e.id) AS balance
+            FROM ledger_entries e
+            JOIN ledger_accounts a ON a.id = e.account_id
+            JOIN ledger_journals j ON j.id = e.journal_id
+            WHERE a.kind = 'wallet' AND a.user_id = $1
+        )`;
+    const range = '($2::timestamptz IS NULL OR m.created_at >= $2) AND ($3::timestamptz IS NULL OR m.created_at < $3)';
+
+    const summaryResult = await db.query(
+        `${movements}
+         SELECT
+             COALESCE(SUM(m.amount) FILTER (WHERE $2::timestamptz IS NOT NULL AND m.created_at < $2), 0) AS opening_balance,
+             COALESCE(SUM(m.amount) FILTER (WHERE $3::timestamptz IS NULL OR m.created_at < $3), 0) AS closing_balance,
+             COALESCE(SUM(m.amount) FILTER (WHERE ${range} AND m.amount > 0), 0) AS total_credits,
+             COALESCE(-SUM(m.amount) FILTER (WHERE ${range} AND m.amount < 0), 0) AS total_debits,
+             COUNT(*) FILTER (WHERE ${range}) AS entry_count
+         FROM movements m`,
+        [userId, from, to]
+    );
+    const summary = summaryResult.rows[0];
+
+    const params = [userId, from, to, cursor];
+    let limitSql = '';
+    if (limit) {
+        params.push(limit + 1);
+        limitSql = `LIMIT $${params.length}`;
+    }
+
+    const entriesResult = await db.query(
+        `${movements}
+         SELECT m.*, s.name AS service_name, (b.customer_id = $1) AS is_customer
+         FROM movements m
+         LEFT JOIN bookings b ON b.id = m.booking_id
+         LEFT JOIN services s ON s.id = b.service_id
+         WHERE ${range} AND ($4::int IS NULL OR m.id < $4)
+         ORDER BY m.id DESC
+         ${limitSql}`,
+        params
+    );
+
+    const hasMore = limit && entriesResult.rows.length > limit;
+    const rows = hasMore ? entriesResult.rows.slice(0, limit) : entriesResult.rows;
+
+    return {
+        opening_balance: roundMoney(parseFloat(summary.opening_balance)),
+        closing_balance: roundMoney(parseFloat(summary.closing_balance)),
+        total_credits: roundMoney(parseFloat(summary.total_credits)),
+        total_debits: roundMoney(parseFloat(summary.total_debits)),
+        entry_count: parseInt(summary.entry_count, 10),
+        entries: rows.map(row => ({
+            id: row.id,
+            date: row.created_at,
+            type: row.entry_type,
+            description: describeStatementEntry(row),
+            memo: row.memo,
+            amount: roundMoney(parseFloat(row.amount)),
+            balance: roundMoney(parseFloat(row.balance)),
+            booking_id: row.booking_id,
+            wallet_request_id: row.wallet_request_id,
+        })),
+        next_cursor: hasMore ? rows[rows.length - 1].id : null,
+    };
+};
+
+// Statement dates are printed in the business time zone, like the rest of the app
+const formatLocalDate = (date) => new Date(new Date(date).getTime() + UTC_OFFSET_MINUTES * 60000).toISOString().slice(0, 10);
+
+const formatPeriod = ({ from, to }) => {
+    const start = from ? formatLocalDate(from) : 'account opening';
+    const end = to ? formatLocalDate(new Date(to.getTime() - 1)) : formatLocalDate(new Date());
+    return `${start} to ${end}`;
+};
+
+const csvCell = (value) => {
+    const text = String(value ?? '');
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * @function buildStatementCsv
+ * @desc One row per movement, oldest first (the order accountants reconcile in), after a short header.
+ */
+const buildStatementCsv = (statement, { email, range }) => {
+    const rows = [
+        ['Service Connect wallet statement'],
+        ['Account', email],
+        ['Period', formatPeriod(range)],
+        ['Opening balance', statement.opening_balance.toFixed(2)],
+        ['Closing balance', statement.closing_balance.toFixed(2)],
+        [],
+        ['Date', 'Description', 'Booking ID', 'Wallet Request ID', 'Debit', 'Credit', 'Balance', 'Note'],
+        ...[...statement.entries].reverse().map(entry => [
+            new Date(entry.date).toISOString(),
+            entry.description,
+            entry.booking_id || '',
+            entry.wallet_request_id || '',
+            entry.amount < 0 ? (-entry.amount).toFixed(2) : '',
+            entry.amount > 0 ? entry.amount.toFixed(2) : '',
+            entry.balance.toFixed(2),
+            entry.memo || '',
+        ]),
+    ];
+    return rows.map(row => row.map(csvCell).join(',')).join('\r\n') + '\r\n';
+};
+
+/**
+ * @function buildStatementPdf
+ * @desc A printable statement: header, summary and the movements oldest first in fixed-width columns.
+ */
+const buildStatementPdf = (statement, { email, range }) => {
+    const money = (value) => (value ? value.toFixed(2) : '');
+    const columns = { date: 10, debit: 11, credit: 11, balance: 12 };
+    const descriptionWidth = PDF_LINE_WIDTH - columns.date - columns.debit - columns.credit - columns.balance - 4;
+    const row = (date, description, debit, credit, balance) => [
+        date.padEnd(columns.date),
+        description.padEnd(descriptionWidth),
+        debit.padStart(columns.debit),
+        credit.padStart(columns.credit),
+        balance.padStart(columns.balance),
+    ].join(' ');
+
+    const lines = [
+        'SERVICE CONNECT - WALLET STATEMENT',
+        '',
+        `Account:          ${email}`,
+        `Period:           ${formatPeriod(range)}`,
+        `Opening balance:  ₹${statement.opening_balance.toFixed(2)}`,
+        `Money in:         ₹${statement.total_credits.toFixed(2)}`,
+        `Money out:        ₹${statement.total_debits.toFixed(2)}`,
+        `Closing balance:  ₹${statement.closing_balance.toFixed(2)}`,
+        '',
+        row('Date', 'Description', 'Debit', 'Credit', 'Balance'),
+        '-'.repeat(PDF_LINE_WIDTH),
+    ];
+
+    [...statement.entries].reverse().forEach(entry => {
+        // Long descriptions wrap onto continuation lines under the description column
+        const words = entry.description.split(' ');
+        const parts = [''];
+        words.forEach(word => {
+            const current = parts[parts.length - 1];
+            if (current && (current + ' ' + word).length > descriptionWidth) parts.push(word);
+            else parts[parts.length - 1] = current ? `${current} ${word}` : word;
+        });
+
+        lines.push(row(
+            formatLocalDate(entry.date),
+            parts[0],
+            money(entry.amount < 0 ? -entry.amount : 0),
+            money(entry.amount > 0 ? entry.amount : 0),
+            entry.balance.toFixed(2)
+        ));
+        parts.slice(1).forEach(part => lines.push(row('', part, '', '', '')));
+    });
+
+    if (statement.entries.length === 0) {
+        lines.push('No wallet movements in this period.');
+    }
+    lines.push('-'.repeat(PDF_LINE_WIDTH));
+    lines.push(`Generated ${new Date().toISOString()}. Amounts in Indian rupees.`);
+
+    return buildTextPdf(lines, { title: `Wallet statement ${formatPeriod(range)}` });
+};
+
+module.exports = {
+    MAX_EXPORT_ENTRIES,
+    parseStatementQuery,
+    describeStatementEntry,
+    loadStatement,
+    buildStatementCsv,
+    buildStatementPdf,
+};